@@ -0,0 +1,95 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_RATE_LIMITS = 'mock-limited=1/1000';
+const { tryModels, analyzeCTScan, getChatbotResponse, getQueueStatus } = require('../../utils/aiService');
+const { mapAnalysisError } = require('../../utils/analysisErrors');
+
+// 1×1 greyscale PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGNgAAAAAgABSK+kcQAAAABJRU5ErkJggg==', 'base64');
+
+const chat = (provider, model) => provider.chat({ model, message: 'What is a nodule?' });
+const vision = (provider, model) => provider.generateVision({ model, prompt: 'Analyze', images: [{ mimeType: 'image/png', data: PIXEL.toString('base64') }] });
+
+/**
+ * The error tryModels rejects with, as the routes report it.
+ */
+async function mappedFailure(task, fn) {
+    const error = await tryModels(task, fn).then(() => assert.fail('expected the cascade to fail'), err => err);
+    return mapAnalysisError(error);
+}
+
+describe('model cascade with the mock provider', () => {
+    // The cascade logs every attempt; keep the runner's stdout to test results
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    it('fails over from a model out of quota to the next one', async () => {
+        process.env.AI_CHAT_MODELS = 'mock-429,mock-chat';
+        const { modelName, provider } = await tryModels('chat', chat);
+        assert.equal(provider.id, 'mock');
+        assert.equal(modelName, 'mock-chat');
+    });
+
+    it('reports quota when every model is out of quota', async () => {
+        process.env.AI_CHAT_MODELS = 'mock-429';
+        const { statusCode, kind, userMessage } = await mappedFailure('chat', chat);
+        assert.equal(kind, 'quota');
+        assert.equal(statusCode, 429);
+        assert.match(userMessage, /^Rate limit reached on all Mock \(offline fixtures\) models\. Please wait \d+ seconds/);
+    });
+
+    it('skips a model that does not exist and reports it once nothing is left', async () => {
+        process.env.AI_VISION_MODELS = 'mock-404,mock-vision';
+        const { modelName } = await tryModels('vision', vision);
+        assert.equal(modelName, 'mock-vision');
+
+        process.env.AI_VISION_MODELS = 'mock-404';
+        const { statusCode, kind } = await mappedFailure('vision', vision);
+        assert.equal(kind, 'notFound');
+        assert.equal(statusCode, 503);
+    });
+
+    it('does not fail over on malformed JSON', async () => {
+        process.env.AI_VISION_MODELS = 'mock-malformed,mock-vision';
+        const { modelName, result } = await tryModels('vision', vision);
+        assert.equal(modelName, 'mock-malformed');
+        assert.throws(() => JSON.parse(result), SyntaxError);
+    });
+
+    it('gives up a queued request when its signal is aborted', async () => {
+        process.env.AI_CHAT_MODELS = 'mock-limited';
+        await getChatbotResponse('What is a nodule?');
+
+        const controller = new AbortController();
+        const queued = getChatbotResponse('What is a nodule?', [], { signal: controller.signal });
+        assert.equal(getQueueStatus().length, 1);
+        controller.abort();
+        await assert.rejects(queued, { name: 'AbortError' });
+        assert.equal(getQueueStatus().length, 0);
+    });
+
+    describe('analysis of malformed output', () => {
+        let imagePath;
+
+        before(() => {
+            imagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-cascade-')), 'slice.png');
+            fs.writeFileSync(imagePath, PIXEL);
+        });
+
+        after(() => fs.rmSync(path.dirname(imagePath), { recursive: true, force: true }));
+
+        it('reports no diagnosis after the re-asks instead of an error', async () => {
+            process.env.AI_VISION_MODELS = 'mock-malformed,mock-vision';
+            const prediction = await analyzeCTScan(imagePath);
+            assert.equal(prediction.modelVersion, 'mock-malformed');
+            assert.equal(prediction.parseStatus, 'unparseable');
+            assert.equal(prediction.result, 'Unparseable - Model Output Invalid');
+            assert.match(prediction.validationErrors[0], /not valid JSON/);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { providerError, errorKind } = require('../providerError');
+
+const PROVIDER = { id: 'example', displayName: 'Example AI', credentials: 'EXAMPLE_API_KEY' };
+
+describe('providerError', () => {
+    it('derives the kind from the HTTP status', () => {
+        assert.equal(providerError(PROVIDER, 'x', { status: 401 }).kind, 'auth');
+        assert.equal(providerError(PROVIDER, 'x', { status: 403 }).kind, 'auth');
+        assert.equal(providerError(PROVIDER, 'x', { status: 429 }).kind, 'quota');
+        assert.equal(providerError(PROVIDER, 'x', { status: 404 }).kind, 'notFound');
+        assert.equal(providerError(PROVIDER, 'x', { status: 500 }).kind, 'other');
+    });
+
+    it('derives the kind from the provider error code', () => {
+        assert.equal(providerError(PROVIDER, 'x', { status: 400, code: 'API_KEY_INVALID' }).kind, 'auth');
+        assert.equal(providerError(PROVIDER, 'x', { code: 'RESOURCE_EXHAUSTED' }).kind, 'quota');
+        assert.equal(providerError(PROVIDER, 'x', { code: 'NOT_FOUND' }).kind, 'notFound');
+        assert.equal(providerError(PROVIDER, 'x', { code: 'ECONNRESET' }).kind, 'other');
+    });
+
+    it('ignores the message text', () => {
+        assert.equal(providerError(PROVIDER, 'Image file not found on disk', { status: 500 }).kind, 'other');
+        assert.equal(providerError(PROVIDER, 'Model not found (404)').kind, 'other');
+        assert.equal(providerError(PROVIDER, 'quota exceeded').kind, 'other');
+    });
+
+    it('takes an explicit kind over status and code', () => {
+        assert.equal(providerError(PROVIDER, 'x', { status: 404, kind: 'notConfigured' }).kind, 'notConfigured');
+        assert.equal(providerError(PROVIDER, 'x', { status: 404, kind: 'bogus' }).kind, 'notFound');
+    });
+
+    it('names the provider and its credentials and keeps extra details', () => {
+        const error = providerError(PROVIDER, 'Slow down', { status: 429, code: 'rate_limit_exceeded', retryAfterMs: 2000 });
+        assert.equal(error.message, 'Slow down');
+        assert.equal(error.providerId, 'example');
+        assert.equal(error.provider, 'Example AI');
+        assert.equal(error.credentials, 'EXAMPLE_API_KEY');
+        assert.equal(error.code, 'rate_limit_exceeded');
+        assert.equal(error.retryAfterMs, 2000);
+    });
+});
+
+describe('errorKind', () => {
+    it('treats errors that did not come from a provider as other', () => {
+        assert.equal(errorKind(new Error('404 model not found')), 'other');
+        assert.equal(errorKind(null), 'other');
+        assert.equal(errorKind(providerError(PROVIDER, 'x', { status: 429 })), 'quota');
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * GEMINI PROVIDER
+ * Google Gemini implementation of the AI provider interface.
+ *
+ * Free Tier (Google AI Studio):
+ *   Get a FREE key at: https://aistudio.google.com/app/apikey
+ *
+ * Default model priority order (fastest/newest first):
+ *   1. gemini-2.0-flash     – 15 RPM, 1500 RPD
+ *   2. gemini-2.0-flash-lite – 30 RPM, 1500 RPD (lighter quota)
+ *   3. gemini-2.5-flash     – 10 RPM, 500 RPD
+ *   4. gemini-flash-lite-latest – alias for flash-lite */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { providerError } = require('./providerError');
+
+const DEFAULT_MODELS = [
+    'gemini-2.0-flash',
+    'gemini-2.0-flash-lite',
+    'gemini-2.5-flash',
+    'gemini-flash-lite-latest',
+];
+
+// Free-tier limits used by the request scheduler (override with AI_RATE_LIMITS)
+const RATE_LIMITS = {
+    'gemini-2.0-flash': { rpm: 15, rpd: 1500 },
+    'gemini-2.0-flash-lite': { rpm: 30, rpd: 1500 },
+    'gemini-2.5-flash': { rpm: 10, rpd: 500 },
+    'gemini-flash-lite-latest': { rpm: 30, rpd: 1500 },
+};
+
+/**
+ * Provider error for an SDK failure. Fetch errors carry the HTTP status, and
+ * the reason (e.g. API_KEY_INVALID) in their error details.
+ */
+function toProviderError(provider, err) {
+    if (err.kind) return err;
+    const reason = (err.errorDetails || []).map(detail => detail.reason).find(Boolean);
+    return providerError(provider, err.message, {
+        status: Number.isInteger(err.status) ? err.status : null,
+        code: reason || null,
+        errorDetails: err.errorDetails,
+    });
+}
+
+/**
+ * Create the Gemini provider. The client is built lazily so the key is read
+ * when a request is made, not when the module is loaded.
+ * @param {Object} [config]
+ * @param {string} [config.apiKey] - Defaults to GEMINI_API_KEY
+ */
+function createGeminiProvider(config = {}) {
+    let client = null;
+    let clientKey = null;
+
+    const getApiKey = () => config.apiKey || process.env.GEMINI_API_KEY;
+
+    const getClient = () => {
+        const apiKey = getApiKey();
+        if (!client || clientKey !== apiKey) {
+            client = new GoogleGenerativeAI(apiKey);
+            clientKey = apiKey;
+        }
+        return client;
+    };
+
+    const toGeminiHistory = (history = []) => history
+        .filter(m => m.role === 'user' || m.role === 'model')
+        .map(m => ({ role: m.role, parts: [{ text: m.text }] }));
+
+    const provider = {
+        id: 'gemini',
+        displayName: 'Google Gemini',
+        credentials: 'GEMINI_API_KEY',
+        defaultVisionModels: DEFAULT_MODELS,
+        defaultChatModels: DEFAULT_MODELS,
+        rateLimits: RATE_LIMITS,
+
+        isConfigured() {
+            const apiKey = getApiKey();
+            return !!apiKey && apiKey !== 'YOUR_GEMINI_API_KEY_HERE';
+        },
+
+        assertConfigured() {
+            if (!this.isConfigured()) {
+                throw providerError(provider, 'GEMINI_API_KEY is not configured. Please add your API key to backend/.env. Get a FREE key at https://aistudio.google.com/app/apikey', { kind: 'notConfigured' });
+            }
+        },
+
+        /**
+         * @param {Object} request - { model, prompt, images: [{ mimeType, data }] }
+         * @returns {Promise<string>} Raw model text
+         */
+        async generateVision({ model, prompt, images }) {
+            const m = getClient().getGenerativeModel({ model });
+            try {
+                const result = await m.generateContent([
+                    prompt,
+                    ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+                ]);
+                return result.response.text();
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+        },
+
+        /**
+         * @param {Object} request - { model, systemInstruction, history: [{ role, text }], message, signal }
+         * @returns {Promise<string>} Reply text
+         */
+        async chat({ model, systemInstruction, history, message, signal }) {
+            const m = getClient().getGenerativeModel({ model, systemInstruction });
+            const chat = m.startChat({ history: toGeminiHistory(history) });
+            try {
+                const result = await chat.sendMessage(message, { signal });
+                return result.response.text();
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+        },
+
+        /**
+         * Same request as chat(); yields text chunks as they arrive.
+         */
+        async *streamChat({ model, systemInstruction, history, message, signal }) {
+            const m = getClient().getGenerativeModel({ model, systemInstruction });
+            const chat = m.startChat({ history: toGeminiHistory(history) });
+            try {
+                const result = await chat.sendMessageStream(message, { signal });
+                for await (const chunk of result.stream) {
+                    const text = chunk.text();
+                    if (text) yield text;
+                }
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+        },
+    };
+    return provider;
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,120 @@
+/**
+ * AI PROVIDER REGISTRY
+ * Selects the vision and chat providers (and their model lists) from the
+ * environment, so deployments can switch between Gemini, an on-prem
+ * OpenAI-compatible server and the offline mock without code changes.
+ *
+ * Every provider implements:
+ *   id, displayName, defaultVisionModels, defaultChatModels
+ *   credentials (optional) – environment variable holding its API key
+ *   rateLimits (optional) – { [model]: { rpm, rpd } } for the request scheduler
+ *   isConfigured() / assertConfigured()
+ *   generateVision({ model, prompt, images: [{ mimeType, data, name }] }) → Promise<string>
+ *   chat({ model, systemInstruction, history, message, signal }) → Promise<string>
+ *   streamChat({ ... same as chat }) → AsyncIterable<string>
+ *     (signal is an optional AbortSignal that cancels the request)
+ * and throws providerError()s (see providerError.js) when a request fails.
+ *
+ * Environment:
+ *   AI_PROVIDER          – default provider for both tasks (gemini | openai-compatible | mock)
+ *   AI_VISION_PROVIDER   – override for CT scan analysis
+ *   AI_CHAT_PROVIDER     – override for the chatbot
+ *   AI_VISION_MODELS     – comma-separated cascade order for analysis
+ *   AI_CHAT_MODELS       – comma-separated cascade order for chat
+ *   AI_ENSEMBLE_MODELS   – consensus members as "provider:model" or "model"
+ *                          (defaults to the first AI_ENSEMBLE_SIZE vision models) */
+
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+const { providerError } = require('./providerError');
+
+const FACTORIES = {
+    gemini: createGeminiProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    mock: createMockProvider,
+};
+
+const instances = {};
+
+/**
+ * Get (and cache) a provider by id.
+ * @param {string} id - Provider id
+ */
+function getProvider(id) {
+    const factory = FACTORIES[id];
+    if (!factory) {
+        throw providerError(
+            { id },
+            `Unknown AI provider "${id}". Available providers: ${Object.keys(FACTORIES).join(', ')}`,
+            { kind: 'notConfigured' }
+        );
+    }
+    if (!instances[id]) instances[id] = factory();
+    return instances[id];
+}
+
+/**
+ * Register an extra provider implementation (e.g. a test double).
+ * @param {string} id - Provider id used in AI_PROVIDER
+ * @param {Function} factory - Returns an object implementing the interface
+ */
+function registerProvider(id, factory) {
+    FACTORIES[id] = factory;
+    delete instances[id];
+}
+
+function parseModelList(value) {
+    return (value || '').split(',').map(m => m.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve provider + model cascade for a task.
+ * @param {'vision'|'chat'} task
+ * @returns {{ provider: Object, models: string[] }}
+ */
+function resolveTask(task) {
+    const providerId = (task === 'vision' ? process.env.AI_VISION_PROVIDER : process.env.AI_CHAT_PROVIDER) ||
+        process.env.AI_PROVIDER ||
+        'gemini';
+    const provider = getProvider(providerId);
+
+    const configured = parseModelList(task === 'vision' ? process.env.AI_VISION_MODELS : process.env.AI_CHAT_MODELS);
+    const models = configured.length
+        ? configured
+        : (task === 'vision' ? provider.defaultVisionModels : provider.defaultChatModels);
+
+    if (!models.length) {
+        throw providerError(
+            provider,
+            `AI_${task.toUpperCase()}_MODELS is not configured for provider "${provider.id}". Please list the models to use in backend/.env.`,
+            { kind: 'notConfigured' }
+        );
+    }
+
+    return { provider, models };
+}
+
+/**
+ * Resolve the members of a consensus (ensemble) analysis.
+ * @returns {{ provider: Object, model: string }[]}
+ */
+function resolveEnsemble() {
+    const configured = parseModelList(process.env.AI_ENSEMBLE_MODELS);
+    if (configured.length) {
+        const vision = resolveTask('vision').provider;
+        return configured.map(entry => {
+            // Model names may contain ':' themselves (e.g. Ollama's "llava:13b")
+            const prefix = entry.substring(0, entry.indexOf(':'));
+            return FACTORIES[prefix]
+                ? { provider: getProvider(prefix), model: entry.substring(prefix.length + 1) }
+                : { provider: vision, model: entry };
+        });
+    }
+
+    const { provider, models } = resolveTask('vision');
+    const size = parseInt(process.env.AI_ENSEMBLE_SIZE, 10) || 3;
+    return models.slice(0, size).map(model => ({ provider, model }));
+}
+
+module.exports = { getProvider, registerProvider, resolveTask, resolveEnsemble };
@@ -0,0 +1,187 @@
+/**
+ * MOCK PROVIDER
+ * Deterministic, offline implementation of the AI provider interface for
+ * tests and demos. No network access and no API key required.
+ *
+ * Vision responses come from JSON fixtures in providers/mock-fixtures/
+ * (or MOCK_AI_FIXTURES_DIR). A fixture is chosen by, in order:
+ *   1. match.sha256    – SHA-256 of the image bytes sent to the model
+ *   2. match.fileNames – glob on the uploaded file name (e.g. "malignant-case-*")
+ *   3. default.json
+ * A model named "mock-fixture-<name>" always answers with fixture <name>,
+ * which lets a consensus run see models that disagree.
+ *
+ * Failure simulation — pick the behaviour with the model name, so the
+ * cascade can be exercised through AI_VISION_MODELS / AI_CHAT_MODELS:
+ *   mock-429       – always fails with a 429 quota error
+ *   mock-404       – always fails with a 404 model-not-found error
+ *   mock-malformed – returns text that is not valid JSON
+ *   mock-malformed-once – malformed on every other call, so a single
+ *                    schema-repair re-ask succeeds
+ * A fixture can also set "simulate": "429" | "404" | "malformed".
+ *
+ * MOCK_AI_LATENCY_MS adds a fixed delay to every call (default 0). */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { providerError } = require('./providerError');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'mock-fixtures');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Throw (or return malformed text for) a simulated failure.
+ * @returns {string|null} Malformed response text, or null for normal behaviour
+ */
+function simulate(provider, behaviour, model) {
+    if (behaviour === '429') {
+        throw providerError(provider, `[mock] 429 Too Many Requests: Resource has been exhausted (e.g. check quota) for model ${model}. Please retry in 5s.`, {
+            status: 429,
+            code: 'RESOURCE_EXHAUSTED',
+        });
+    }
+    if (behaviour === '404') {
+        throw providerError(provider, `[mock] 404 Not Found: model ${model} is not found or not supported`, { status: 404, code: 'NOT_FOUND' });
+    }
+    if (behaviour === 'malformed') {
+        return 'Based on the image, the nodule appears benign. {"result": "Nodule Detected - Benign", "confidence": 8';
+    }
+    return null;
+}
+
+function behaviourForModel(model) {
+    const match = /^mock-(429|404|malformed)$/.exec(model);
+    return match ? match[1] : null;
+}
+
+/**
+ * Alternates malformed / normal output per model name.
+ */
+function createAlternator() {
+    const calls = {};
+    return (model) => {
+        calls[model] = (calls[model] || 0) + 1;
+        return calls[model] % 2 === 1 ? 'malformed' : null;
+    };
+}
+
+/**
+ * Create the mock provider.
+ * @param {Object} [config]
+ * @param {string} [config.fixturesDir] - Defaults to MOCK_AI_FIXTURES_DIR or providers/mock-fixtures
+ * @param {number} [config.latencyMs] - Defaults to MOCK_AI_LATENCY_MS
+ */
+function createMockProvider(config = {}) {
+    const fixturesDir = config.fixturesDir || process.env.MOCK_AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    const getLatency = () => config.latencyMs ?? (parseInt(process.env.MOCK_AI_LATENCY_MS, 10) || 0);
+
+    const malformedOnce = createAlternator();
+    let fixtures = null;
+    let chatFixture = null;
+
+    const loadFixtures = () => {
+        if (fixtures) return;
+        fixtures = [];
+        chatFixture = { replies: [], default: '' };
+
+        for (const file of fs.readdirSync(fixturesDir).filter(f => f.endsWith('.json')).sort()) {
+            const data = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+            if (file === 'chat.json') {
+                chatFixture = data;
+            } else {
+                fixtures.push({ name: data.name || path.basename(file, '.json'), ...data });
+            }
+        }
+        console.log(`🧪 Mock AI provider loaded ${fixtures.length} vision fixture(s) from ${fixturesDir}`);
+    };
+
+    const findFixture = (images) => {
+        loadFixtures();
+        const hashes = images.map(image => crypto.createHash('sha256').update(Buffer.from(image.data, 'base64')).digest('hex'));
+        const names = images.map(image => image.name).filter(Boolean);
+
+        const byHash = fixtures.find(f => (f.match?.sha256 || []).some(h => hashes.includes(h.toLowerCase())));
+        const byName = fixtures.find(f => (f.match?.fileNames || []).some(p => names.some(n => globToRegExp(p).test(n))));
+        const fixture = byHash || byName || fixtures.find(f => f.name === 'default');
+
+        if (!fixture) {
+            throw new Error(`[mock] No fixture matches image ${hashes[0]} and there is no default.json in ${fixturesDir}`);
+        }
+        console.log(`🧪 Mock fixture "${fixture.name}" (image sha256 ${hashes[0].substring(0, 12)}…)`);
+        return fixture;
+    };
+
+    const fixtureByName = (name) => {
+        loadFixtures();
+        const fixture = fixtures.find(f => f.name === name);
+        if (!fixture) {
+            // The fixture is named by the model, so a missing one is a missing model
+            throw providerError(provider, `[mock] 404 Not Found: no fixture named "${name}" in ${fixturesDir}`, { status: 404, code: 'NOT_FOUND' });
+        }
+        return fixture;
+    };
+
+    const chatReply = (message) => {
+        loadFixtures();
+        const lower = message.toLowerCase();
+        const hit = (chatFixture.replies || []).find(r => r.keywords.some(k => new RegExp(`\\b${k}\\b`).test(lower)));
+        return hit ? hit.reply : chatFixture.default;
+    };
+
+    const provider = {
+        id: 'mock',
+        displayName: 'Mock (offline fixtures)',
+        defaultVisionModels: ['mock-vision'],
+        defaultChatModels: ['mock-chat'],
+
+        isConfigured() {
+            return fs.existsSync(fixturesDir);
+        },
+
+        assertConfigured() {
+            if (!this.isConfigured()) {
+                throw providerError(provider, `Mock AI fixtures directory not configured: ${fixturesDir} does not exist (set MOCK_AI_FIXTURES_DIR).`, { kind: 'notConfigured' });
+            }
+        },
+
+        async generateVision({ model, images }) {
+            await sleep(getLatency());
+            const behaviour = model === 'mock-malformed-once' ? malformedOnce(model) : behaviourForModel(model);
+            const malformed = simulate(provider, behaviour, model);
+            if (malformed) return malformed;
+
+            const forced = /^mock-fixture-(.+)$/.exec(model);
+            const fixture = forced ? fixtureByName(forced[1]) : findFixture(images);
+            return simulate(provider, fixture.simulate, model) || fixture.rawText || JSON.stringify(fixture.prediction);
+        },
+
+        async chat({ model, message, signal }) {
+            await sleep(getLatency());
+            signal?.throwIfAborted();
+            return simulate(provider, behaviourForModel(model), model) || chatReply(message);
+        },
+
+        /**
+         * Yields the chat reply word by word, spreading the latency across chunks.
+         */
+        async *streamChat({ model, message, signal }) {
+            const text = simulate(provider, behaviourForModel(model), model) || chatReply(message);
+            const words = text.split(/(?<=\s)/);
+            for (const word of words) {
+                await sleep(getLatency() / words.length);
+                signal?.throwIfAborted();
+                yield word;
+            }
+        },
+    };
+    return provider;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,149 @@
+/**
+ * OPENAI-COMPATIBLE PROVIDER
+ * Talks to any server exposing the OpenAI /v1/chat/completions API
+ * (vLLM, Ollama, LM Studio, LocalAI, on-prem gateways, ...).
+ *
+ * Configuration:
+ *   OPENAI_BASE_URL – e.g. http://gpu-server:8000/v1 (required)
+ *   OPENAI_API_KEY  – bearer token, if the server needs one
+ *   OPENAI_TIMEOUT_MS – request timeout (default 120000) */
+
+const axios = require('axios');
+const { providerError } = require('./providerError');
+
+/**
+ * Turn an HTTP failure into a provider error with its status code, so the
+ * cascade's quota / not-found handling works the same as for Gemini.
+ */
+function toProviderError(provider, err) {
+    if (err.response) {
+        const status = err.response.status;
+        const detail = err.response.data?.error?.message || err.response.statusText || 'Request failed';
+        const label = status === 429 ? 'Too Many Requests' : status === 404 ? 'Model not found' : 'Error';
+        // Retry-After is in seconds; the circuit breaker uses it as the cooldown
+        const retryAfter = parseFloat(err.response.headers?.['retry-after']);
+        return providerError(provider, `[openai-compatible] ${status} ${label}: ${detail}`, {
+            status,
+            code: err.response.data?.error?.code || null,
+            ...(Number.isFinite(retryAfter) && { retryAfterMs: retryAfter * 1000 }),
+        });
+    }
+    return providerError(provider, `[openai-compatible] ${err.message}`, { code: err.code || null });
+}
+
+/**
+ * Create the OpenAI-compatible provider.
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to OPENAI_BASE_URL
+ * @param {string} [config.apiKey] - Defaults to OPENAI_API_KEY
+ */
+function createOpenAICompatibleProvider(config = {}) {
+    const getBaseUrl = () => (config.baseUrl || process.env.OPENAI_BASE_URL || '').replace(/\/+$/, '');
+    const getApiKey = () => config.apiKey || process.env.OPENAI_API_KEY;
+
+    const request = (body, options = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (getApiKey()) headers.Authorization = `Bearer ${getApiKey()}`;
+
+        return axios.post(`${getBaseUrl()}/chat/completions`, body, {
+            headers,
+            timeout: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120000,
+            ...options,
+        });
+    };
+
+    const toMessages = ({ systemInstruction, history = [], message }) => [
+        ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+        ...history
+            .filter(m => m.role === 'user' || m.role === 'model')
+            .map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.text })),
+        { role: 'user', content: message },
+    ];
+
+    const provider = {
+        id: 'openai-compatible',
+        displayName: 'OpenAI-compatible server',
+        credentials: 'OPENAI_API_KEY',
+        defaultVisionModels: [],
+        defaultChatModels: [],
+
+        isConfigured() {
+            return !!getBaseUrl();
+        },
+
+        assertConfigured() {
+            if (!this.isConfigured()) {
+                throw providerError(provider, 'OPENAI_BASE_URL is not configured. Please set it in backend/.env to your OpenAI-compatible server (e.g. http://localhost:8000/v1).', { kind: 'notConfigured' });
+            }
+        },
+
+        async generateVision({ model, prompt, images }) {
+            try {
+                const { data } = await request({
+                    model,
+                    messages: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            ...images.map(image => ({
+                                type: 'image_url',
+                                image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+                            })),
+                        ],
+                    }],
+                    temperature: 0.2,
+                });
+                return data.choices?.[0]?.message?.content || '';
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+        },
+
+        async chat(req) {
+            try {
+                const { data } = await request({ model: req.model, messages: toMessages(req) }, { signal: req.signal });
+                return data.choices?.[0]?.message?.content || '';
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+        },
+
+        /**
+         * Parse the server-sent event stream and yield content deltas.
+         */
+        async *streamChat(req) {
+            let response;
+            try {
+                response = await request(
+                    { model: req.model, messages: toMessages(req), stream: true },
+                    { responseType: 'stream', signal: req.signal }
+                );
+            } catch (err) {
+                throw toProviderError(provider, err);
+            }
+
+            let buffered = '';
+            for await (const chunk of response.data) {
+                buffered += chunk.toString('utf8');
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+                    const payload = trimmed.substring(5).trim();
+                    if (payload === '[DONE]') return;
+                    try {
+                        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+                        if (text) yield text;
+                    } catch {
+                        // Ignore keep-alives and partial frames
+                    }
+                }
+            }
+        },
+    };
+    return provider;
+}
+
+module.exports = { createOpenAICompatibleProvider };
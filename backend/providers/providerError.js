@@ -0,0 +1,60 @@
+/**
+ * PROVIDER ERRORS
+ * Errors from an AI provider carry what the provider reported — the HTTP
+ * status and its error code — plus a kind derived from them, so the model
+ * cascade and the API's error messages never depend on the message text.
+ *
+ *   auth          – credentials rejected (401, 403, API_KEY_INVALID)
+ *   quota         – rate limit or quota exhausted (429, RESOURCE_EXHAUSTED)
+ *   notFound      – the model does not exist (404, NOT_FOUND)
+ *   notConfigured – the provider or its models are not set up in backend/.env
+ *   other         – anything else, including network failures
+ *
+ * Each error also names the provider (displayName) and the environment
+ * variable holding its credentials, for messages shown to the user. */
+
+const KINDS = ['auth', 'quota', 'notFound', 'notConfigured', 'other'];
+
+function kindOf(status, code) {
+    if (status === 401 || status === 403 || ['API_KEY_INVALID', 'UNAUTHENTICATED', 'PERMISSION_DENIED'].includes(code)) {
+        return 'auth';
+    }
+    if (status === 429 || code === 'RESOURCE_EXHAUSTED') return 'quota';
+    if (status === 404 || code === 'NOT_FOUND') return 'notFound';
+    return 'other';
+}
+
+/**
+ * Create an error for a failed provider request.
+ * @param {Object} provider - { id, displayName, credentials } of the provider that failed
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {number} [details.status] - HTTP status the provider returned
+ * @param {string} [details.code] - Provider error code or reason, e.g. 'API_KEY_INVALID'
+ * @param {string} [details.kind] - Set the kind instead of deriving it from status and code
+ * @param {*} [details.*] - Anything else is copied onto the error (retryAfterMs, errorDetails, ...)
+ * @returns {Error}
+ */
+function providerError(provider, message, { status = null, code = null, kind, ...extra } = {}) {
+    const error = new Error(message);
+    Object.assign(error, extra, {
+        providerId: provider.id,
+        provider: provider.displayName || provider.id,
+        credentials: provider.credentials || null,
+        status,
+        code,
+        kind: KINDS.includes(kind) ? kind : kindOf(status, code),
+    });
+    return error;
+}
+
+/**
+ * Kind of an error thrown while calling a model; errors that did not come
+ * from a provider are 'other'.
+ * @returns {string} One of KINDS
+ */
+function errorKind(err) {
+    return err && KINDS.includes(err.kind) ? err.kind : 'other';
+}
+
+module.exports = { KINDS, providerError, errorKind };
@@ -0,0 +1,123 @@
+/**
+ * ADMIN ROUTES
+ * Prompt management: list the versioned prompt templates, make one version
+ * active, or split traffic between versions for an A/B comparison. See
+ * utils/promptRegistry.js.
+ *
+ * Every request needs the ADMIN_TOKEN, as "Authorization: Bearer <token>"
+ * or an "x-admin-token" header. Without ADMIN_TOKEN set the admin API is off. */
+
+const crypto = require('crypto');
+const express = require('express');
+const { listPrompts, findVersion, activateVersion, setSplit } = require('../utils/promptRegistry');
+
+const router = express.Router();
+
+
+// AUTHENTICATION
+
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+router.use('/admin', (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN on the server to enable the admin API',
+    });
+  }
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!tokenMatches(bearer ? bearer[1] : req.get('x-admin-token'), expected)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized', message: 'A valid admin token is required' });
+  }
+  next();
+});
+
+/**
+ * Map registry errors to 404 (unknown prompt or version) / 400 (bad split).
+ */
+function sendPromptError(res, error, action) {
+  if (error.message.startsWith('Unknown prompt')) {
+    return res.status(404).json({ success: false, error: 'Prompt not found', message: error.message });
+  }
+  if (error.message.startsWith('Invalid prompt split')) {
+    return res.status(400).json({ success: false, error: 'Invalid prompt split', message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: `Failed ${action}`, message: error.message });
+}
+
+
+// PROMPTS
+
+
+/**
+ * GET /api/admin/prompts
+ * Every prompt with its versions (file, content hash, variables), the active
+ * version and any A/B split.
+ */
+router.get('/admin/prompts', (req, res) => {
+  try {
+    res.json({ success: true, prompts: listPrompts() });
+  } catch (error) {
+    sendPromptError(res, error, 'listing prompts');
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:id/:version
+ * The template text of one version.
+ */
+router.get('/admin/prompts/:id/:version', (req, res) => {
+  try {
+    res.json({ success: true, prompt: findVersion(req.params.id, req.params.version) });
+  } catch (error) {
+    sendPromptError(res, error, 'loading the prompt');
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:id/activate
+ * Body: { version } – used for every request from now on; ends any A/B split.
+ */
+router.post('/admin/prompts/:id/activate', (req, res) => {
+  try {
+    const { version } = req.body;
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'No version provided', message: 'Send { "version": "v2" }' });
+    }
+    res.json({ success: true, id: req.params.id, ...activateVersion(req.params.id, version) });
+  } catch (error) {
+    sendPromptError(res, error, 'activating the prompt');
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:id/split
+ * Body: { weights } – e.g. { "v1": 50, "v2": 50 } to split traffic between
+ * versions, or null to go back to the active version only.
+ */
+router.post('/admin/prompts/:id/split', (req, res) => {
+  try {
+    const { weights } = req.body;
+    if (weights === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt split',
+        message: 'Send { "weights": { "v1": 50, "v2": 50 } }, or { "weights": null } to end the split',
+      });
+    }
+    res.json({ success: true, id: req.params.id, ...setSplit(req.params.id, weights) });
+  } catch (error) {
+    sendPromptError(res, error, 'setting the prompt split');
+  }
+});
+
+module.exports = router;
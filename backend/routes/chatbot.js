@@ -1,19 +1,23 @@
 /**
  * CHATBOT ROUTES
- * Intelligent medical chatbot powered by Google Gemini AI.
- *
- * Uses Gemini 1.5 Flash (FREE tier):
- *   - 15 req/min, 1,500 req/day, 1M tokens/month
- *   - Falls back to rule-based responses if API key is missing */
+ * Intelligent medical chatbot powered by the configured chat provider
+ * (see providers/), chosen with AI_PROVIDER / AI_CHAT_PROVIDER.
+ * Falls back to rule-based responses when the provider is not configured. */
 
 const express = require('express');
-const { getChatbotResponse } = require('../utils/geminiAI');
+const {
+  getChatbotResponse,
+  streamChatbotResponse,
+  isChatConfigured,
+  getEngineInfo,
+} = require('../utils/aiService');
+const { getPrediction } = require('../utils/predictionStore');
 
 const router = express.Router();
 
 // ==========================================
 // RULE-BASED FALLBACK KNOWLEDGE BASE
-// (used when Gemini API is unavailable)
+// (used when the AI provider is unavailable)
 // ==========================================
 
 const knowledgeBase = [
@@ -69,7 +73,7 @@ const knowledgeBase = [
   {
     keywords: ['hello', 'hi', 'hey'],
     response:
-      "Hello! I'm your AI Medical Assistant powered by Google Gemini. " +
+      "Hello! I'm your AI Medical Assistant. " +
       'I can answer questions about pulmonary nodules, CT scans, treatment options, and more. ' +
       'How can I help you today?',
   },
@@ -89,6 +93,37 @@ function getRuleBasedResponse(message) {
   return defaultFallbackResponse;
 }
 
+/**
+ * Check the chat request body.
+ * @returns {string|null} Error code for a 400 response, or null if valid
+ */
+function validateChatRequest({ message, language }) {
+  if (!message || !message.trim()) return 'No message provided';
+  if (message.length > 1000) return 'Message too long';
+  if (language !== undefined && (typeof language !== 'string' || !language.trim() || language.length > 40)) {
+    return 'Invalid language';
+  }
+  return null;
+}
+
+/**
+ * The stored analysis the user is asking about, if the request names one.
+ * @returns {{ analysis: Object|null, missing: boolean }}
+ */
+function loadAnalysis(predictionId) {
+  if (!predictionId) return { analysis: null, missing: false };
+  const stored = getPrediction(predictionId);
+  return stored
+    ? { analysis: { ...stored.response.prediction, review: stored.review }, missing: false }
+    : { analysis: null, missing: true };
+}
+
+const VALIDATION_REPLIES = {
+  'No message provided': 'Please send a message.',
+  'Message too long': 'Please keep your question under 1000 characters.',
+  'Invalid language': 'Please name the reply language in a few words, e.g. "Spanish".',
+};
+
 
 // CHATBOT ENDPOINT
 
@@ -96,54 +131,60 @@ function getRuleBasedResponse(message) {
 /**
  * POST /api/chatbot
  * Get AI-powered response to a medical question
+ * Body: { message, history, language?, predictionId? } – language defaults to the language of the
+ * message; predictionId gives the model that stored analysis (every nodule) as context
+ * The reply names the system prompt version it used (prompt: { id, version }; null for rule-based)
  */
 router.post('/chatbot', async (req, res) => {
   try {
-    const { message, history = [] } = req.body;
-
-    if (!message || !message.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'No message provided',
-        reply: 'Please send a message.',
-      });
-    }
+    const { message, history = [], language, predictionId } = req.body;
 
-    if (message.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message too long',
-        reply: 'Please keep your question under 1000 characters.',
-      });
+    const invalid = validateChatRequest(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid, reply: VALIDATION_REPLIES[invalid] });
+    }
+    const { analysis, missing } = loadAnalysis(predictionId);
+    if (missing) {
+      return res.status(404).json({ success: false, error: 'Prediction not found', reply: 'That analysis could not be found.' });
     }
 
     console.log(`💬 Chatbot question: "${message.substring(0, 60)}..."`);
 
     let reply;
     let engine;
+    let queue = null;
+    let prompt = null;
 
-    // Try Gemini AI first, fall back to rule-based if unavailable
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'YOUR_GEMINI_API_KEY_HERE') {
+    // Try the AI provider first, fall back to rule-based if unavailable
+    if (isChatConfigured()) {
       try {
-        reply = await getChatbotResponse(message, history);
-        engine = 'gemini';
-        console.log('✅ Gemini chatbot response generated');
+        reply = await getChatbotResponse(message, history, {
+          language,
+          analysis,
+          onQueued: (info) => { queue = queue || info; },
+          onPrompt: (info) => { prompt = info; },
+        });
+        engine = getEngineInfo('chat').provider;
+        console.log(`✅ ${engine} chatbot response generated`);
       } catch (aiError) {
-        console.warn('⚠️ Gemini chatbot error, falling back to rule-based:', aiError.message);
+        console.warn('⚠️ AI chatbot error, falling back to rule-based:', aiError.message);
         reply = getRuleBasedResponse(message);
         engine = 'rule-based';
+        prompt = null;
       }
     } else {
       // No API key — use rule-based fallback
       reply = getRuleBasedResponse(message);
       engine = 'rule-based';
-      console.log('ℹ️  Using rule-based chatbot (no GEMINI_API_KEY set)');
+      console.log('ℹ️  Using rule-based chatbot (AI provider not configured)');
     }
 
     res.json({
       success: true,
       reply,
       engine,
+      prompt,
+      queue,
       timestamp: new Date().toISOString(),
     });
 
@@ -158,6 +199,120 @@ router.post('/chatbot', async (req, res) => {
 });
 
 
+// STREAMING CHATBOT ENDPOINT  (SERVER-SENT EVENTS)
+
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/chatbot/stream
+ * Same request body as /api/chatbot; the reply is streamed as SSE events:
+ *   queued – { position, estimatedWaitMs } while waiting for AI quota
+ *   token  – { text } partial reply, in order
+ *   done   – { engine, provider, model, prompt, timestamp } once the reply is complete
+ *            (prompt: { id, version } of the system prompt; null for rule-based)
+ *   error  – { message } if the model fails after it started answering
+ * Closing the connection stops generation.
+ */
+router.post('/chatbot/stream', async (req, res) => {
+  const { message, history = [], language, predictionId } = req.body;
+
+  const invalid = validateChatRequest(req.body);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid, reply: VALIDATION_REPLIES[invalid] });
+  }
+  let analysis;
+  try {
+    const loaded = loadAnalysis(predictionId);
+    if (loaded.missing) {
+      return res.status(404).json({ success: false, error: 'Prediction not found', reply: 'That analysis could not be found.' });
+    }
+    analysis = loaded.analysis;
+  } catch (error) {
+    console.error('❌ Could not load the analysis for chat:', error.message);
+    return res.status(500).json({ success: false, error: 'Chatbot error', reply: "I couldn't load that analysis. Please try again." });
+  }
+
+  console.log(`💬 Chatbot question (streaming): "${message.substring(0, 60)}..."`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  // The client going away cancels the queued slot or the model call. (req 'close'
+  // fires as soon as the body has been read, so the response's is the one to watch.)
+  let stopped = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    stopped = true;
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let prompt = null;
+  const finish = (engine, provider, model) => {
+    sendEvent(res, 'done', {
+      engine,
+      provider,
+      model,
+      prompt: engine === 'rule-based' ? null : prompt,
+      timestamp: new Date().toISOString(),
+    });
+    res.end();
+  };
+
+  const fallBack = () => {
+    sendEvent(res, 'token', { text: getRuleBasedResponse(message) });
+    finish('rule-based', null, null);
+  };
+
+  if (!isChatConfigured()) {
+    console.log('ℹ️  Using rule-based chatbot (AI provider not configured)');
+    return fallBack();
+  }
+
+  let used = null;
+  try {
+    const stream = streamChatbotResponse(message, history, {
+      language,
+      analysis,
+      onQueued: (info) => sendEvent(res, 'queued', info),
+      onModel: (info) => { used = info; },
+      onPrompt: (info) => { prompt = info; },
+      signal: controller.signal,
+    });
+    for await (const text of stream) {
+      if (stopped) break;
+      sendEvent(res, 'token', { text });
+    }
+
+    if (stopped) {
+      console.log('⏹️  Chatbot stream stopped by the client');
+      return;
+    }
+    finish(used.provider, used.provider, used.model);
+    console.log(`✅ ${used.provider} chatbot response streamed`);
+
+  } catch (aiError) {
+    if (stopped) {
+      console.log('⏹️  Chatbot request cancelled by the client');
+      return;
+    }
+    if (!used) {
+      // Failed before any text was sent — answer from the rule-based fallback instead
+      console.warn('⚠️ AI chatbot error, falling back to rule-based:', aiError.message);
+      return fallBack();
+    }
+    console.error('❌ Chatbot stream error:', aiError.message);
+    sendEvent(res, 'error', { message: 'The AI reply was interrupted. Please try again.' });
+    res.end();
+  }
+});
+
+
 // CHATBOT INFO
 
 
@@ -165,16 +320,19 @@ router.post('/chatbot', async (req, res) => {
  * GET /api/chatbot/info
  */
 router.get('/chatbot/info', (req, res) => {
-  const hasApiKey =
-    !!process.env.GEMINI_API_KEY &&
-    process.env.GEMINI_API_KEY !== 'YOUR_GEMINI_API_KEY_HERE';
+  const hasApiKey = isChatConfigured();
+  let engineName = 'Rule-based (fallback)';
+  if (hasApiKey) {
+    const { displayName, models } = getEngineInfo('chat');
+    engineName = `${displayName} (${models[0]})`;
+  }
 
   res.json({
     success: true,
     info: {
       name: 'Medical AI Assistant',
       version: '2.0.0',
-      engine: hasApiKey ? 'Google Gemini 1.5 Flash' : 'Rule-based (fallback)',
+      engine: engineName,
       apiConfigured: hasApiKey,
       capabilities: [
         'Answer questions about lung nodules',
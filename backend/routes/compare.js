@@ -0,0 +1,58 @@
+/**
+ * COMPARISON ROUTES
+ * Longitudinal comparison of two stored analyses of the same patient:
+ * nodules matched across the scans by location and size, with diameter
+ * change, volume doubling time and new or resolved nodules. See
+ * utils/longitudinal.js. */
+
+const express = require('express');
+const { getPrediction } = require('../utils/predictionStore');
+const { compareAnalyses } = require('../utils/longitudinal');
+
+const router = express.Router();
+
+
+// COMPARISON
+
+
+/**
+ * POST /api/compare
+ * Body:
+ *   priorId   – stored analysis of the earlier scan
+ *   currentId – stored analysis of the later scan
+ * Scans are dated by their study date (DICOM header or upload form), or the
+ * analysis date when they have none. A de-identified DICOM date is shifted,
+ * so against a real date the interval and doubling time are left out.
+ */
+router.post('/compare', (req, res) => {
+  try {
+    const { priorId, currentId } = req.body;
+    if (!priorId || !currentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid comparison',
+        message: 'Send { "priorId": "...", "currentId": "..." } with two stored prediction ids',
+      });
+    }
+
+    const prior = getPrediction(priorId);
+    const current = getPrediction(currentId);
+    if (!prior || !current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prediction not found',
+        message: `No stored prediction ${!prior ? priorId : currentId}`,
+      });
+    }
+
+    res.json({ success: true, comparison: compareAnalyses(prior, current) });
+  } catch (error) {
+    if (error.message.startsWith('Invalid comparison')) {
+      return res.status(400).json({ success: false, error: 'Invalid comparison', message: error.message });
+    }
+    console.error('Error comparing predictions:', error);
+    res.status(500).json({ success: false, error: 'Failed to compare predictions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,407 @@
+/**
+ * DICOMWEB ROUTES
+ * Local DICOMweb (PS3.18) surface so PACS and viewer tools can talk to the
+ * backend directly. Mounted at /dicomweb.
+ *
+ *   STOW-RS  POST /studies[/:study]                                  – store instances
+ *   QIDO-RS  GET  /studies, /series, /instances (and scoped variants) – search
+ *   WADO-RS  GET  /studies/:study[/series/:series[/instances/:sop]]  – retrieve
+ *            GET  .../instances/:sop/metadata                        – DICOM JSON
+ *            GET  .../instances/:sop/rendered, .../frames/:n/rendered – PNG
+ *            GET  .../instances/:sop/frames/:n                       – raw pixel data
+ *
+ * Extension (not part of PS3.18):
+ *   POST .../instances/:sop/analyze – run the /api/predict analysis pipeline
+ *   POST /studies?analyze=true      – store and analyze in one request
+ *   Both accept ?consensus=true[&vote=majority] for multi-model consensus and
+ *   ?force=true to analyze again instead of returning the cached result */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const dicomParser = require('dicom-parser');
+
+const { mapAnalysisError } = require('../utils/analysisErrors');
+const { UPLOAD_DIR, pixelHash, findReusable, prepareForAnalysis, runAnalysis } = require('../utils/analysisPipeline');
+const { convertDicomToPng } = require('../utils/dicomProcessor');
+const { parseMultipartRelated, buildMultipartRelated } = require('../utils/multipartRelated');
+const { storeInstance, findInstances, query, toDicomJson, getInstance } = require('../utils/dicomStore');
+const { hashContent, recordAnalysis } = require('../utils/predictionStore');
+const { analysisCacheKey } = require('../utils/aiService');
+const { assessFleischner } = require('../utils/fleischner');
+const { calibratePrediction } = require('../utils/calibration');
+const { selectVersion } = require('../utils/promptRegistry');
+const { studyFor } = require('../utils/longitudinal');
+
+const router = express.Router();
+
+const DICOM_JSON = 'application/dicom+json';
+
+// STOW-RS bodies are raw multipart/related (or a bare application/dicom instance)
+const rawDicomBody = express.raw({
+  type: ['multipart/related', 'application/dicom'],
+  limit: '500mb',
+});
+
+
+// HELPERS
+
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+function instanceUrl(req, entry) {
+  return `${baseUrl(req)}/studies/${entry.studyUID}/series/${entry.seriesUID}/instances/${entry.sopUID}`;
+}
+
+function sendDicomError(res, status, message) {
+  res.status(status).json({ success: false, error: message });
+}
+
+/**
+ * Send QIDO-RS results with limit/offset paging.
+ */
+function sendQueryResults(req, res, results) {
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = parseInt(req.query.limit, 10) || results.length;
+  const page = results.slice(offset, offset + limit);
+
+  if (!page.length) {
+    return res.status(204).end();
+  }
+  res.type(DICOM_JSON).send(JSON.stringify(page.map(values => toDicomJson(values))));
+}
+
+/**
+ * Send instances as a multipart/related application/dicom response.
+ */
+function sendInstances(req, res, entries) {
+  if (!entries.length) {
+    return sendDicomError(res, 404, 'No matching instances found');
+  }
+
+  const { contentType, body } = buildMultipartRelated(
+    entries.map(entry => ({
+      contentType: 'application/dicom',
+      location: instanceUrl(req, entry),
+      body: fs.readFileSync(entry.filePath),
+    })),
+    'application/dicom'
+  );
+  res.set('Content-Type', contentType).send(body);
+}
+
+/**
+ * Wrap a QIDO handler so unsupported query keys become 400s.
+ */
+function qido(level, scopeFrom) {
+  return (req, res) => {
+    try {
+      sendQueryResults(req, res, query(level, scopeFrom(req.params), req.query));
+    } catch (error) {
+      sendDicomError(res, 400, error.message);
+    }
+  };
+}
+
+function lookupInstance(req, res) {
+  const entry = getInstance(req.params.study, req.params.series, req.params.sop);
+  if (!entry) {
+    sendDicomError(res, 404, 'Instance not found');
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * ?consensus=true[&vote=majority|weighted] runs the multi-model ensemble;
+ * ?force=true skips the cached result.
+ */
+function analysisOptions(req) {
+  return { consensus: req.query.consensus === 'true', vote: req.query.vote, force: req.query.force === 'true' };
+}
+
+/**
+ * Run the same pipeline /api/predict uses on a stored instance, returning the
+ * cached result when the same pixels were analyzed under the same prompt and
+ * models before.
+ */
+async function analyzeStoredInstance(entry, { force = false, ...options } = {}) {
+  const startedAt = Date.now();
+  const instanceIds = {
+    studyInstanceUID: entry.studyUID,
+    seriesInstanceUID: entry.seriesUID,
+    sopInstanceUID: entry.sopUID,
+  };
+
+  // The A/B split is keyed on the pixels, as for /api/predict, so the cache lookups agree
+  const hash = await pixelHash(fs.readFileSync(entry.filePath), entry.filePath);
+  options.promptVersion = selectVersion('vision', hash);
+  const cacheKey = analysisCacheKey(options);
+  const { cached } = findReusable(hash, cacheKey, force);
+
+  if (cached) {
+    console.log(`♻️  Same pixels analyzed before — returning cached prediction ${cached.id}`);
+    // DICOMweb requests carry no patient context, so none is taken from the earlier request
+    const { patient, ...reused } = cached.response;
+    return {
+      ...reused,
+      prediction: {
+        ...cached.response.prediction,
+        fleischner: assessFleischner(cached.response.prediction),
+        ...calibratePrediction(cached.response.prediction),
+      },
+      study: studyFor({}, cached.response.dicom),
+      ...instanceIds,
+      cached: true,
+      cachedFrom: { predictionId: cached.id, analyzedAt: cached.createdAt },
+      predictionId: cached.id,
+      uploadedAt: new Date().toISOString(),
+    };
+  }
+
+  const outputPath = path.join(UPLOAD_DIR, `dicomweb-${entry.sopUID}.png`);
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  }
+
+  const prepared = await prepareForAnalysis(
+    { savedFilePath: entry.filePath, isDicom: true, headerBurnedIn: entry.headerBurnedIn },
+    { outputPath }
+  );
+  const prediction = await runAnalysis(prepared, options);
+
+  const timings = {
+    queueWaitMs: prediction.queueWaitMs,
+    analysisMs: Math.round(prediction.processingTime * 1000),
+    totalMs: Date.now() - startedAt,
+  };
+  const response = {
+    success: true,
+    prediction,
+    imagePath: `/uploads/${path.basename(outputPath)}`,
+    fileName: path.basename(entry.filePath),
+    dicom: prepared.dicom,
+    study: studyFor({}, prepared.dicom),
+    burnedInAnnotation: prepared.burnedInAnnotation,
+    ...instanceIds,
+    uploadedAt: new Date().toISOString(),
+    aiEngine: prediction.analysisEngine,
+    timings,
+    cached: false,
+  };
+  response.predictionId = recordAnalysis({
+    source: 'dicomweb',
+    input: {
+      originalName: entry.sopUID,
+      fileName: path.basename(entry.filePath),
+      fileHash: hashContent([entry.filePath]),
+      pixelHash: hash,
+      isDicom: true,
+    },
+    response,
+    timings,
+    cacheKey: prediction.parseStatus === 'unparseable' ? null : cacheKey,
+  });
+
+  return response;
+}
+
+
+// STOW-RS
+
+
+/**
+ * POST /dicomweb/studies[/:study]
+ * Store instances sent as multipart/related; type="application/dicom"
+ */
+async function stow(req, res) {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return sendDicomError(res, 415, 'Expected multipart/related; type="application/dicom" or application/dicom body');
+  }
+
+  let parts;
+  try {
+    parts = req.is('application/dicom')
+      ? [{ headers: {}, body: req.body }]
+      : parseMultipartRelated(req.body, req.get('Content-Type'));
+  } catch (error) {
+    return sendDicomError(res, 400, error.message);
+  }
+
+  const stored = [];
+  const failed = [];
+
+  for (const part of parts) {
+    try {
+      stored.push(storeInstance(part.body, { studyUID: req.params.study }));
+    } catch (error) {
+      console.warn(`⚠️  STOW-RS instance rejected: ${error.message}`);
+      failed.push(error.message);
+    }
+  }
+
+  console.log(`\n📥 STOW-RS: stored ${stored.length}, failed ${failed.length}`);
+
+  const response = {};
+  if (stored.length) {
+    response['00081199'] = {
+      vr: 'SQ',
+      Value: stored.map(entry => ({
+        '00081150': { vr: 'UI', Value: [entry.values.SOPClassUID] },
+        '00081155': { vr: 'UI', Value: [entry.sopUID] },
+        '00081190': { vr: 'UR', Value: [instanceUrl(req, entry)] },
+      })),
+    };
+  }
+  if (failed.length) {
+    response['00081198'] = {
+      vr: 'SQ',
+      // 0xC000 – "Cannot understand" processing failure
+      Value: failed.map(() => ({ '00081197': { vr: 'US', Value: [0xC000] } })),
+    };
+  }
+
+  // Opt-in: analyze each stored instance with the /api/predict pipeline
+  if (req.query.analyze === 'true' && stored.length) {
+    response.analyses = [];
+    for (const entry of stored) {
+      try {
+        response.analyses.push(await analyzeStoredInstance(entry, analysisOptions(req)));
+      } catch (error) {
+        const { statusCode, userMessage, kind } = mapAnalysisError(error);
+        response.analyses.push({ success: false, sopInstanceUID: entry.sopUID, status: statusCode, message: userMessage, kind });
+      }
+    }
+  }
+
+  const status = !failed.length ? 200 : stored.length ? 202 : 409;
+  res.status(status).type(DICOM_JSON).send(JSON.stringify(response));
+}
+
+router.post('/studies', rawDicomBody, stow);
+router.post('/studies/:study', rawDicomBody, stow);
+
+
+// QIDO-RS
+
+
+router.get('/studies', qido('study', () => ({})));
+router.get('/series', qido('series', () => ({})));
+router.get('/instances', qido('instance', () => ({})));
+router.get('/studies/:study/series', qido('series', p => ({ studyUID: p.study })));
+router.get('/studies/:study/instances', qido('instance', p => ({ studyUID: p.study })));
+router.get('/studies/:study/series/:series/instances', qido('instance', p => ({ studyUID: p.study, seriesUID: p.series })));
+
+
+// WADO-RS
+
+
+router.get('/studies/:study', (req, res) => {
+  sendInstances(req, res, findInstances({ studyUID: req.params.study }));
+});
+
+router.get('/studies/:study/series/:series', (req, res) => {
+  sendInstances(req, res, findInstances({ studyUID: req.params.study, seriesUID: req.params.series }));
+});
+
+router.get('/studies/:study/series/:series/instances/:sop', (req, res) => {
+  const entry = lookupInstance(req, res);
+  if (entry) sendInstances(req, res, [entry]);
+});
+
+router.get('/studies/:study/series/:series/instances/:sop/metadata', (req, res) => {
+  const entry = lookupInstance(req, res);
+  if (!entry) return;
+
+  const metadata = toDicomJson(entry.values, {
+    '00081190': { vr: 'UR', Value: [instanceUrl(req, entry)] },
+  });
+  res.type(DICOM_JSON).send(JSON.stringify([metadata]));
+});
+
+/**
+ * Rendered instance / frame — lung-windowed PNG
+ */
+async function sendRendered(req, res) {
+  const entry = lookupInstance(req, res);
+  if (!entry) return;
+
+  if (req.params.frames && req.params.frames !== '1') {
+    return sendDicomError(res, 404, 'Only single-frame instances are supported; frame 1 is available');
+  }
+
+  try {
+    const outputPath = path.join(path.dirname(entry.filePath), `${entry.sopUID}.png`);
+    if (!fs.existsSync(outputPath)) {
+      await convertDicomToPng(entry.filePath, outputPath);
+    }
+    res.type('image/png').sendFile(outputPath);
+  } catch (error) {
+    sendDicomError(res, 400, error.message);
+  }
+}
+
+router.get('/studies/:study/series/:series/instances/:sop/rendered', sendRendered);
+router.get('/studies/:study/series/:series/instances/:sop/frames/:frames/rendered', sendRendered);
+
+/**
+ * Raw frame pixel data — multipart/related; type="application/octet-stream"
+ */
+router.get('/studies/:study/series/:series/instances/:sop/frames/:frames', (req, res) => {
+  const entry = lookupInstance(req, res);
+  if (!entry) return;
+
+  if (req.params.frames !== '1') {
+    return sendDicomError(res, 404, 'Only single-frame instances are supported; frame 1 is available');
+  }
+
+  let dataSet;
+  try {
+    dataSet = dicomParser.parseDicom(new Uint8Array(fs.readFileSync(entry.filePath)));
+  } catch (error) {
+    console.warn(`⚠️  WADO-RS frame of ${entry.sopUID} unreadable: ${error.exception || error.message || error}`);
+    return sendDicomError(res, 500, 'Stored instance could not be read');
+  }
+  const pixelElement = dataSet.elements.x7fe00010;
+  if (!pixelElement) {
+    return sendDicomError(res, 404, 'Instance has no pixel data');
+  }
+
+  const pixels = Buffer.from(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + pixelElement.dataOffset, pixelElement.length);
+  const { contentType, body } = buildMultipartRelated(
+    [{ contentType: 'application/octet-stream', location: `${instanceUrl(req, entry)}/frames/1`, body: pixels }],
+    'application/octet-stream'
+  );
+  res.set('Content-Type', contentType).send(body);
+});
+
+
+// ANALYSIS (extension)
+
+
+/**
+ * POST /dicomweb/studies/:study/series/:series/instances/:sop/analyze
+ * Analyze a stored instance with the same pipeline as /api/predict
+ */
+router.post('/studies/:study/series/:series/instances/:sop/analyze', async (req, res) => {
+  const entry = lookupInstance(req, res);
+  if (!entry) return;
+
+  try {
+    console.log(`\n🧠 DICOMweb analysis requested for ${entry.sopUID}`);
+    res.json(await analyzeStoredInstance(entry, analysisOptions(req)));
+  } catch (error) {
+    console.error('\n❌ DICOMweb analysis error:', error.message);
+    const { statusCode, userMessage, kind } = mapAnalysisError(error);
+    res.status(statusCode).json({
+      success: false,
+      error: 'AI Analysis Failed',
+      message: userMessage,
+      kind,
+    });
+  }
+});
+
+module.exports = router;
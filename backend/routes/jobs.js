@@ -0,0 +1,92 @@
+/**
+ * ANALYSIS JOB ROUTES
+ * Status and live progress of background analysis jobs started by
+ * POST /api/predict.
+ *
+ * Stages, in order: uploaded → preprocessing → queued (only when waiting
+ * for AI quota) → model-attempt (one per model tried; model-failed when it
+ * falls through) → repairing (schema re-asks) → parsed → done | failed.
+ * A repeat upload of an already analyzed scan goes uploaded → cached → done. */
+
+const express = require('express');
+const { getJob, subscribe, serializeJob } = require('../utils/jobStore');
+
+const router = express.Router();
+
+// Comment line sent on idle SSE connections so proxies do not close them
+const KEEP_ALIVE_MS = 15000;
+
+
+// HELPERS
+
+
+function jobNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Job not found',
+    message: `No analysis job ${id} (finished jobs expire after an hour)`,
+  });
+}
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+
+// JOB STATUS
+
+
+/**
+ * GET /api/jobs/:id
+ * Current status, every stage so far, and the result once done.
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return jobNotFound(res, req.params.id);
+
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+
+// JOB EVENTS  (SERVER-SENT EVENTS)
+
+
+/**
+ * GET /api/jobs/:id/events
+ * Replays the stages so far, then streams new ones as `stage` events.
+ * Ends with a `done` event (the prediction response) or a `failed` event
+ * ({ statusCode, message }).
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return jobNotFound(res, req.params.id);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  for (const stage of job.stages) sendEvent(res, 'stage', stage);
+
+  if (job.status === 'done' || job.status === 'failed') {
+    sendEvent(res, job.status, job.status === 'done' ? job.result : job.error);
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const unsubscribe = subscribe(job.id, ({ type, data }) => {
+    sendEvent(res, type, data);
+    if (type === 'done' || type === 'failed') close();
+  });
+
+  function close() {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on('close', close);
+});
+
+module.exports = router;
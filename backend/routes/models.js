@@ -0,0 +1,70 @@
+/**
+ * MODEL STATUS ROUTES
+ * Exposes the per-model circuit-breaker state of the AI cascade and the
+ * request queue, so operators and the frontend can see which models are
+ * cooling down and how long new requests will wait. */
+
+const express = require('express');
+const { getModelHealth, getQueueStatus } = require('../utils/aiService');
+const { listVersions, getActiveCalibration } = require('../utils/calibration');
+
+const router = express.Router();
+
+
+// MODEL HEALTH
+
+
+/**
+ * GET /api/models/health
+ * State (closed / open / half-open / removed), recent error counts and
+ * next-available time for every configured model.
+ */
+router.get('/models/health', (req, res) => {
+  const models = getModelHealth();
+  res.json({
+    success: true,
+    models,
+    available: models.filter(m => m.state === 'closed' || m.state === 'half-open').length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+
+
+// CONFIDENCE CALIBRATION
+
+
+/**
+ * GET /api/calibration
+ * The calibration version in use (with its fitted groups) and every stored version.
+ */
+router.get('/calibration', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      active: getActiveCalibration(),
+      versions: listVersions(),
+    });
+  } catch (error) {
+    console.error('Error loading calibration:', error);
+    res.status(500).json({ success: false, error: 'Failed to load calibration', message: error.message });
+  }
+});
+
+
+// REQUEST QUEUE
+
+
+/**
+ * GET /api/queue
+ * Requests waiting for AI quota (chat first, then analysis) and per-model quota left.
+ */
+router.get('/queue', (req, res) => {
+  res.json({
+    success: true,
+    queue: getQueueStatus(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = router;
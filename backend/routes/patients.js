@@ -0,0 +1,239 @@
+/**
+ * PATIENT ROUTES
+ * Pseudonymous patient records and their imaging studies, and a timeline of
+ * each patient's scans, results and follow-up due dates. See
+ * utils/patientStore.js. */
+
+const express = require('express');
+const {
+  createPatient,
+  getPatient,
+  listPatients,
+  updatePatient,
+  deletePatient,
+  createStudy,
+  getStudy,
+  listStudies,
+  updateStudy,
+  deleteStudy,
+  attachPrediction,
+  getTimeline,
+} = require('../utils/patientStore');
+const { listPredictions } = require('../utils/predictionStore');
+
+const router = express.Router();
+
+/**
+ * Respond to a patient store error: 400 for invalid input, 409 for a taken
+ * patient ID, 500 otherwise.
+ */
+function sendError(res, error, action) {
+  if (error.message.startsWith('Invalid patient')) {
+    return res.status(400).json({ success: false, error: 'Invalid patient', message: error.message });
+  }
+  if (error.message.startsWith('Invalid study')) {
+    return res.status(400).json({ success: false, error: 'Invalid study', message: error.message });
+  }
+  if (error.message.startsWith('Patient already exists')) {
+    return res.status(409).json({ success: false, error: 'Patient already exists', message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: `Failed ${action}` });
+}
+
+const patientNotFound = (res) => res.status(404).json({ success: false, error: 'Patient not found' });
+const studyNotFound = (res) => res.status(404).json({ success: false, error: 'Study not found' });
+
+
+// PATIENTS
+
+
+/**
+ * GET /api/patients
+ * Every patient with study and scan counts, most recently studied first.
+ */
+router.get('/patients', (req, res) => {
+  try {
+    const patients = listPatients();
+    res.json({ success: true, patients, count: patients.length });
+  } catch (error) {
+    sendError(res, error, 'to list patients');
+  }
+});
+
+/**
+ * POST /api/patients
+ * Body:
+ *   id            – pseudonymous patient ID (never a name or record number)
+ *   age, sex (female | male), smoking (never | former | current), packYears
+ *   familyHistory, emphysema, cancerHistory – true / false
+ *   notes         – free text, at most 2000 characters
+ */
+router.post('/patients', (req, res) => {
+  try {
+    res.status(201).json({ success: true, patient: createPatient(req.body) });
+  } catch (error) {
+    sendError(res, error, 'to create patient');
+  }
+});
+
+/**
+ * GET /api/patients/:id
+ * One patient with their studies, newest first.
+ */
+router.get('/patients/:id', (req, res) => {
+  try {
+    const patient = getPatient(req.params.id);
+    if (!patient) return patientNotFound(res);
+    res.json({ success: true, patient, studies: listStudies({ patientId: patient.id }) });
+  } catch (error) {
+    sendError(res, error, 'to fetch patient');
+  }
+});
+
+/**
+ * PUT /api/patients/:id
+ * Replaces the patient's details (fields as for POST; the ID cannot change).
+ */
+router.put('/patients/:id', (req, res) => {
+  try {
+    const patient = updatePatient(req.params.id, req.body);
+    if (!patient) return patientNotFound(res);
+    res.json({ success: true, patient });
+  } catch (error) {
+    sendError(res, error, 'to update patient');
+  }
+});
+
+/**
+ * DELETE /api/patients/:id
+ * Deletes the patient and their studies. Their analyses are kept, without a patient.
+ */
+router.delete('/patients/:id', (req, res) => {
+  try {
+    const deleted = deletePatient(req.params.id);
+    if (!deleted) return patientNotFound(res);
+    res.json({ success: true, message: 'Patient deleted', id: deleted.id });
+  } catch (error) {
+    sendError(res, error, 'to delete patient');
+  }
+});
+
+/**
+ * GET /api/patients/:id/timeline
+ * The patient's studies oldest first, each with its scans, results and the
+ * Fleischner / Lung-RADS follow-up they call for, plus the next follow-up due.
+ */
+router.get('/patients/:id/timeline', (req, res) => {
+  try {
+    const timeline = getTimeline(req.params.id);
+    if (!timeline) return patientNotFound(res);
+    res.json({ success: true, ...timeline });
+  } catch (error) {
+    sendError(res, error, 'to build timeline');
+  }
+});
+
+
+// STUDIES
+
+
+/**
+ * GET /api/studies
+ * Query: patientId (optional) – only this patient's studies
+ */
+router.get('/studies', (req, res) => {
+  try {
+    const studies = listStudies({ patientId: req.query.patientId });
+    res.json({ success: true, studies, count: studies.length });
+  } catch (error) {
+    sendError(res, error, 'to list studies');
+  }
+});
+
+/**
+ * POST /api/studies
+ * Body:
+ *   patientId   – existing patient
+ *   studyDate   – YYYY-MM-DD
+ *   modality    – DICOM modality code (default CT)
+ *   studyUid    – Study Instance UID, optional; DICOM uploads with this UID join the study
+ *   description – optional, at most 500 characters
+ * Scans are attached by uploading them with studyId, or with POST /api/studies/:id/predictions.
+ */
+router.post('/studies', (req, res) => {
+  try {
+    res.status(201).json({ success: true, study: createStudy(req.body) });
+  } catch (error) {
+    sendError(res, error, 'to create study');
+  }
+});
+
+/**
+ * GET /api/studies/:id
+ * One study with its stored analyses.
+ */
+router.get('/studies/:id', (req, res) => {
+  try {
+    const study = getStudy(req.params.id);
+    if (!study) return studyNotFound(res);
+    const { items } = listPredictions({ studyId: study.id, pageSize: 100 });
+    res.json({ success: true, study, predictions: items });
+  } catch (error) {
+    sendError(res, error, 'to fetch study');
+  }
+});
+
+/**
+ * PUT /api/studies/:id
+ * Replaces the study's date, modality, UID and description (fields as for
+ * POST; it stays with its patient). Its analyses take the new date.
+ */
+router.put('/studies/:id', (req, res) => {
+  try {
+    const study = updateStudy(req.params.id, req.body);
+    if (!study) return studyNotFound(res);
+    res.json({ success: true, study });
+  } catch (error) {
+    sendError(res, error, 'to update study');
+  }
+});
+
+/**
+ * DELETE /api/studies/:id
+ * Deletes the study. Its analyses stay with the patient, without a study.
+ */
+router.delete('/studies/:id', (req, res) => {
+  try {
+    const deleted = deleteStudy(req.params.id);
+    if (!deleted) return studyNotFound(res);
+    res.json({ success: true, message: 'Study deleted', id: deleted.id });
+  } catch (error) {
+    sendError(res, error, 'to delete study');
+  }
+});
+
+/**
+ * POST /api/studies/:id/predictions
+ * Body: { predictionId } – moves a stored analysis to this study and its patient
+ */
+router.post('/studies/:id/predictions', (req, res) => {
+  try {
+    if (!getStudy(req.params.id)) return studyNotFound(res);
+    if (!req.body.predictionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid study',
+        message: 'Send { "predictionId": "..." } with a stored prediction id',
+      });
+    }
+    if (!attachPrediction(req.params.id, req.body.predictionId)) {
+      return res.status(404).json({ success: false, error: 'Prediction not found' });
+    }
+    res.json({ success: true, study: getStudy(req.params.id), predictionId: req.body.predictionId });
+  } catch (error) {
+    sendError(res, error, 'to attach prediction');
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,40 @@
 /**
  * PREDICTION ROUTES
- * Handles CT scan upload and real AI prediction via Google Gemini Vision.
- *
- * Uses FREE Google Gemini 1.5 Flash API:
- *   - 15 req/min, 1,500 req/day, 1M tokens/month — no credit card required
- *   - Get API key: https://aistudio.google.com/app/apikey */
+ * Handles CT scan upload and real AI prediction via the configured vision
+ * provider (see providers/): Google Gemini by default, an OpenAI-compatible
+ * server or the offline mock, chosen with AI_PROVIDER / AI_VISION_PROVIDER.
+ * Models, rate limits and credentials come from that provider's settings in
+ * backend/.env. */
 
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-const { analyzeCTScan } = require('../utils/geminiAI');
+const { mapAnalysisError } = require('../utils/analysisErrors');
+const { createJob, addStage, completeJob, failJob } = require('../utils/jobStore');
+const {
+  hashContent,
+  recordAnalysis,
+  getPrediction,
+  deletePrediction,
+  listPredictions,
+} = require('../utils/predictionStore');
+const { analysisCacheKey } = require('../utils/aiService');
+const { parsePatientContext, assessFleischner } = require('../utils/fleischner');
+const { parseStudyContext, studyFor } = require('../utils/longitudinal');
+const { checkStudyContext } = require('../utils/patientStore');
+const { calibratePrediction } = require('../utils/calibration');
+const { selectVersion } = require('../utils/promptRegistry');
+const {
+  UPLOAD_DIR,
+  pixelHash,
+  findReusable,
+  ingestUpload,
+  prepareForAnalysis,
+  reportDeidentification,
+  runAnalysis,
+} = require('../utils/analysisPipeline');
 
 const router = express.Router();
 
@@ -19,28 +42,17 @@ const router = express.Router();
 // FILE UPLOAD CONFIGURATION
 
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, `ct-scan-${uniqueSuffix}${ext}`);
-  },
-});
+// Uploads are held in memory until de-identified — nothing raw touches disk
+const storage = multer.memoryStorage();
 
-// Accept PNG and JPEG images
+// Accept PNG and JPEG images, plus DICOM (.dcm) slices.
+// Browsers rarely send a DICOM mimetype, so .dcm is matched by extension.
 const fileFilter = (req, file, cb) => {
-  const allowed = ['image/jpeg', 'image/jpg', 'image/png'];
-  if (allowed.includes(file.mimetype)) {
+  const allowed = ['image/jpeg', 'image/jpg', 'image/png', 'application/dicom'];
+  if (allowed.includes(file.mimetype) || /\.dcm$/i.test(file.originalname)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PNG, JPG, and JPEG are allowed.'), false);
+    cb(new Error('Invalid file type. Only PNG, JPG, JPEG, and DICOM (.dcm) are allowed.'), false);
   }
 };
 
@@ -55,74 +67,200 @@ const upload = multer({
 
 
 /**
- * POST /api/predict
- * Upload CT scan image → get real Gemini Vision analysis
+ * Run the analysis for a job in the background, recording each stage.
+ * Resolves when the job is done or failed; never rejects.
+ * @param {Object} patient - From parsePatientContext(); part of the cache key only through
+ *                           the prompt text, so a cached result gets its follow-up recomputed
+ * @param {Object} studyContext - From parseStudyContext(); not part of the cache key
  */
-router.post('/predict', upload.single('image'), async (req, res) => {
+async function runPredictJob(job, file, body, patient, studyContext) {
   let savedFilePath = null;
+  let renderedFilePath = null;
+  const startedAt = Date.now();
+  const timings = {};
+  const analysisOptions = { consensus: body.consensus === 'true', vote: body.vote };
 
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image file uploaded',
-        message: 'Please upload a CT scan image (PNG, JPG, or JPEG)',
+    // ==========================================
+    // DEDUPLICATION — same pixels, same prompt and models → reuse the result
+    // ==========================================
+    const hash = await pixelHash(file.buffer, file.originalname);
+    // The A/B split is keyed on the pixels, so a repeat upload lands on the same prompt version
+    analysisOptions.promptVersion = selectVersion('vision', hash);
+    const cacheKey = analysisCacheKey({ ...analysisOptions, patient });
+    const { cached, existingPath } = findReusable(hash, cacheKey, body.force === 'true');
+
+    if (cached) {
+      console.log(`♻️  Same scan analyzed before — returning cached prediction ${cached.id}`);
+      addStage(job, 'cached', { predictionId: cached.id, analyzedAt: cached.createdAt });
+      completeJob(job, {
+        ...cached.response,
+        prediction: {
+          ...cached.response.prediction,
+          fleischner: assessFleischner(cached.response.prediction, patient),
+          ...calibratePrediction(cached.response.prediction),
+        },
+        patient,
+        study: studyFor(studyContext, cached.response.dicom),
+        cached: true,
+        cachedFrom: { predictionId: cached.id, analyzedAt: cached.createdAt },
+        queue: null,
+        uploadedAt: job.createdAt,
       });
+      return;
     }
 
-    savedFilePath = req.file.path;
-    console.log(`\n📤 CT scan uploaded: ${req.file.filename}`);
-    console.log(`📊 File size: ${(req.file.size / 1024).toFixed(2)} KB`);
+    // ==========================================
+    // DE-IDENTIFICATION — before anything is stored or sent to the model
+    // ==========================================
+    const ingested = await ingestUpload({
+      buffer: file.buffer,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+    }, { existingPath });
+    // A reused file belongs to earlier predictions, so it is never cleaned up here
+    savedFilePath = ingested.reused ? null : ingested.savedFilePath;
+    if (ingested.reused) console.log(`♻️  Reusing stored upload ${path.basename(existingPath)}`);
+    timings.ingestMs = Date.now() - startedAt;
+
+    addStage(job, 'preprocessing', { isDicom: ingested.isDicom });
+    const prepared = await prepareForAnalysis(ingested);
+    renderedFilePath = ingested.reused ? null : prepared.renderedFilePath;
+    const deidentification = reportDeidentification(ingested, prepared.burnedInAnnotation);
+    timings.preprocessMs = Date.now() - startedAt - timings.ingestMs;
 
     // ==========================================
-    // REAL AI ANALYSIS — Google Gemini Vision
+    // REAL AI ANALYSIS — configured vision provider
     // ==========================================
-    console.log('🧠 Starting Gemini Vision analysis...');
-    const prediction = await analyzeCTScan(savedFilePath);
+    let queue = null;
+    const prediction = await runAnalysis(prepared, {
+      ...analysisOptions,
+      patient,
+      sourceName: file.originalname,
+      onQueued: (info) => {
+        if (!queue) addStage(job, 'queued', info);
+        queue = queue || info;
+      },
+      onProgress: (stage, detail) => addStage(job, stage, detail),
+    });
 
-    console.log(`✅ Analysis complete: ${prediction.result} (${prediction.confidence}% confidence)`);
+    const imageFileName = path.basename(prepared.analysisPath);
+    timings.queueWaitMs = prediction.queueWaitMs;
+    timings.analysisMs = Math.round(prediction.processingTime * 1000);
+    timings.totalMs = Date.now() - startedAt;
 
-    res.json({
+    const response = {
       success: true,
       prediction,
-      imagePath: `/uploads/${req.file.filename}`,
-      fileName: req.file.filename,
-      uploadedAt: new Date().toISOString(),
-      aiEngine: 'Google Gemini Vision',
+      imagePath: `/uploads/${imageFileName}`,
+      fileName: path.basename(ingested.savedFilePath),
+      dicom: prepared.dicom,
+      deidentification,
+      patient,
+      study: studyFor(studyContext, prepared.dicom),
+      queue: queue && { ...queue, waitedMs: prediction.queueWaitMs },
+      uploadedAt: job.createdAt,
+      aiEngine: prediction.analysisEngine,
+      timings,
+      cached: false,
+    };
+    response.predictionId = recordAnalysis({
+      source: 'upload',
+      input: {
+        originalName: file.originalname,
+        fileName: path.basename(ingested.savedFilePath),
+        fileHash: hashContent([file.buffer]),
+        pixelHash: hash,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        isDicom: ingested.isDicom,
+      },
+      response,
+      timings,
+      cacheKey: prediction.parseStatus === 'unparseable' ? null : cacheKey,
     });
 
+    completeJob(job, response);
+
   } catch (error) {
     console.error('\n❌ Prediction error:', error.message);
 
-    // Clean up uploaded file on error
-    if (savedFilePath && fs.existsSync(savedFilePath)) {
-      try { fs.unlinkSync(savedFilePath); } catch (_) { }
+    // Clean up uploaded (and rendered) files on error
+    for (const filePath of [savedFilePath, renderedFilePath]) {
+      if (filePath && fs.existsSync(filePath)) {
+        try { fs.unlinkSync(filePath); } catch (_) { }
+      }
     }
 
     // User-friendly error based on error type
-    let userMessage = 'Analysis failed. Please try again.';
-    let statusCode = 500;
-
-    if (error.message.includes('GEMINI_API_KEY') || error.message.includes('not configured')) {
-      statusCode = 503;
-      userMessage = 'AI service not configured. Please add your GEMINI_API_KEY to backend/.env. Get a FREE key at https://aistudio.google.com/app/apikey';
-    } else if (error.message.includes('All Gemini models quota-exceeded') || error.message.includes('all models')) {
-      statusCode = 429;
-      userMessage = 'Rate limit reached on all AI models. Please wait 60 seconds and try again. (Free tier: 15 requests/minute)';
-    } else if (error.message.includes('429') || error.message.includes('quota') || error.message.includes('Too Many')) {
-      statusCode = 429;
-      userMessage = 'AI rate limit reached. Please wait 60 seconds and try again. (Free tier: 15 requests/minute)';
-    } else if (error.message.includes('API_KEY_INVALID') || error.message.includes('invalid')) {
-      statusCode = 401;
-      userMessage = 'Invalid Gemini API key. Please check GEMINI_API_KEY in backend/.env. Get a valid key at https://aistudio.google.com/app/apikey';
-    }
+    const { statusCode, userMessage, kind } = mapAnalysisError(error);
+    failJob(job, { statusCode, message: userMessage, kind });
+  }
+}
 
-    res.status(statusCode).json({
+/**
+ * POST /api/predict
+ * Upload CT scan image or DICOM slice → start a real AI vision analysis job.
+ * Responds 202 with the job id at once; follow progress on GET /api/jobs/:id
+ * or the SSE stream at GET /api/jobs/:id/events.
+ * Optional form fields: consensus=true (multi-model vote), vote=weighted|majority,
+ *   force=true (analyze again even if the same pixels were analyzed with the current prompt and models),
+ *   patientRisk=low|high and nodules=solitary|multiple (Fleischner follow-up; see utils/fleischner.js),
+ *   patientId and studyDate=YYYY-MM-DD (groups the scan for comparisons; a DICOM file's own
+ *   de-identified patient ID and study date are used when left out, see utils/longitudinal.js),
+ *   studyId (attach the scan to an existing study of routes/patients.js instead)
+ * Query ?wait=true keeps the request open and returns the finished result instead.
+ */
+router.post('/predict', upload.single('image'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
       success: false,
-      error: 'AI Analysis Failed',
-      message: userMessage,
+      error: 'No image file uploaded',
+      message: 'Please upload a CT scan image (PNG, JPG, JPEG, or DICOM)',
+    });
+  }
+
+  let patient;
+  try {
+    patient = parsePatientContext(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: 'Invalid patient context', message: error.message });
+  }
+  let studyContext;
+  try {
+    studyContext = parseStudyContext(req.body);
+    checkStudyContext(studyContext);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: 'Invalid study context', message: error.message });
+  }
+
+  console.log(`\n📤 CT scan uploaded: ${req.file.originalname}`);
+  console.log(`📊 File size: ${(req.file.size / 1024).toFixed(2)} KB`);
+
+  const job = createJob('predict');
+  addStage(job, 'uploaded', { fileName: req.file.originalname, size: req.file.size });
+  const run = runPredictJob(job, req.file, req.body, patient, studyContext);
+
+  if (req.query.wait !== 'true') {
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
     });
   }
+
+  await run;
+  if (job.status === 'done') {
+    return res.json(job.result);
+  }
+  res.status(job.error.statusCode).json({
+    success: false,
+    error: 'AI Analysis Failed',
+    message: job.error.message,
+    kind: job.error.kind,
+  });
 });
 
 
@@ -131,37 +269,80 @@ router.post('/predict', upload.single('image'), async (req, res) => {
 
 /**
  * GET /api/predictions
- * Returns list of previously uploaded scans.
+ * Stored analyses, newest first.
+ * Query: from, to (dates), result, riskLevel, model, promptVersion, patientId, studyUid, studyId,
+ *        reviewStatus (pending | approved | amended | rejected),
+ *        page (1-based), pageSize (max 100)
  */
 router.get('/predictions', (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, '../uploads');
-
-    if (!fs.existsSync(uploadsDir)) {
-      return res.json({ success: true, predictions: [], message: 'No predictions yet' });
-    }
+    const { from, to, result, riskLevel, model, promptVersion, patientId, studyUid, studyId, reviewStatus, page, pageSize } = req.query;
+    const list = listPredictions({
+      from, to, result, riskLevel, model, promptVersion, patientId, studyUid, studyId, reviewStatus, page, pageSize,
+    });
 
-    const files = fs
-      .readdirSync(uploadsDir)
-      .filter(f => f !== '.gitkeep' && /\.(png|jpg|jpeg)$/i.test(f))
-      .map(file => {
-        const stats = fs.statSync(path.join(uploadsDir, file));
-        return {
-          fileName: file,
-          imagePath: `/uploads/${file}`,
-          uploadedAt: stats.birthtime,
-          size: stats.size,
-        };
-      })
-      .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
-
-    res.json({ success: true, predictions: files, count: files.length });
+    res.json({
+      success: true,
+      predictions: list.items,
+      count: list.items.length,
+      total: list.total,
+      page: list.page,
+      pageSize: list.pageSize,
+      pages: list.pages,
+    });
   } catch (error) {
+    if (error.message.startsWith('Invalid prediction filter')) {
+      return res.status(400).json({ success: false, error: 'Invalid filter', message: error.message });
+    }
     console.error('Error fetching predictions:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch predictions' });
   }
 });
 
+/**
+ * GET /api/predictions/:id
+ * One stored analysis, including the full response it was returned with.
+ */
+router.get('/predictions/:id', (req, res) => {
+  try {
+    const prediction = getPrediction(req.params.id);
+    if (!prediction) {
+      return res.status(404).json({ success: false, error: 'Prediction not found' });
+    }
+    res.json({ success: true, prediction });
+  } catch (error) {
+    console.error('Error fetching prediction:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch prediction' });
+  }
+});
+
+/**
+ * DELETE /api/predictions/:id
+ * Removes the stored analysis and its uploaded / rendered images, unless
+ * another stored analysis still uses them.
+ */
+router.delete('/predictions/:id', (req, res) => {
+  try {
+    const deleted = deletePrediction(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Prediction not found' });
+    }
+
+    for (const url of deleted.orphanedFiles) {
+      const filePath = path.resolve(UPLOAD_DIR, url.replace(/^\/uploads\//, ''));
+      if (filePath.startsWith(UPLOAD_DIR + path.sep) && fs.existsSync(filePath)) {
+        try { fs.unlinkSync(filePath); } catch (_) { }
+      }
+    }
+
+    console.log(`🗑️  Deleted prediction ${deleted.id}`);
+    res.json({ success: true, message: 'Prediction deleted', id: deleted.id });
+  } catch (error) {
+    console.error('Error deleting prediction:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete prediction' });
+  }
+});
+
 
 // MULTER ERROR HANDLING
 
@@ -0,0 +1,82 @@
+/**
+ * REVIEW ROUTES
+ * Radiologist sign-off of stored analyses: approve, amend (edit fields,
+ * override the classification with a reason) or reject, with the full
+ * history of every sign-off. See utils/reviewStore.js. */
+
+const express = require('express');
+const { getPrediction } = require('../utils/predictionStore');
+const { EDITABLE_FIELDS, reviewPrediction, listReviews, getReview } = require('../utils/reviewStore');
+
+const router = express.Router();
+
+
+// REVIEWS
+
+
+/**
+ * POST /api/predictions/:id/review
+ * Body:
+ *   reviewer – name of the signing physician
+ *   action   – approve | amend | reject
+ *   changes  – for amend: new values by field, e.g.
+ *              { "result": "Nodule Detected - Malignant", "technicalDetails.noduleSize": "12 mm" }
+ *   reason   – required to reject or to change the classification
+ * Responds with the sign-off and the stored prediction as it now stands.
+ */
+router.post('/predictions/:id/review', (req, res) => {
+  try {
+    const reviewed = reviewPrediction(req.params.id, req.body);
+    if (!reviewed) {
+      return res.status(404).json({ success: false, error: 'Prediction not found' });
+    }
+    res.json({ success: true, ...reviewed });
+  } catch (error) {
+    if (error.message.startsWith('Invalid review')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review',
+        message: error.message,
+        editableFields: Object.keys(EDITABLE_FIELDS),
+      });
+    }
+    console.error('Error reviewing prediction:', error);
+    res.status(500).json({ success: false, error: 'Failed to review prediction' });
+  }
+});
+
+/**
+ * GET /api/predictions/:id/reviews
+ * The current review status and every sign-off, oldest first, with its changes.
+ */
+router.get('/predictions/:id/reviews', (req, res) => {
+  try {
+    const prediction = getPrediction(req.params.id);
+    if (!prediction) {
+      return res.status(404).json({ success: false, error: 'Prediction not found' });
+    }
+    res.json({ success: true, review: prediction.review, reviews: listReviews(prediction.id) });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * GET /api/predictions/:id/reviews/:reviewId
+ * One sign-off with the complete prediction before and after it.
+ */
+router.get('/predictions/:id/reviews/:reviewId', (req, res) => {
+  try {
+    const review = getReview(req.params.id, Number(req.params.reviewId));
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Error fetching review:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch review' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * MALIGNANCY RISK ROUTES
+ * Brock (PanCan) and Mayo Clinic malignancy probability for a nodule, from
+ * patient history plus the nodule features of an analysis. See
+ * utils/riskModels.js for the models. */
+
+const express = require('express');
+const { getPrediction } = require('../utils/predictionStore');
+const { validateRiskInputs, noduleFromPrediction, calculateRisk } = require('../utils/riskModels');
+
+const router = express.Router();
+
+
+// RISK CALCULATOR
+
+
+/**
+ * POST /api/risk/calculate
+ * Body:
+ *   patient      – { age, sex: female|male, smoking: never|former|current,
+ *                    familyHistory, emphysema, cancerHistory (extrathoracic, > 5 years ago) }
+ *   nodule       – { diameterMm, type: solid|part-solid|ground-glass, upperLobe, spiculated, count }
+ *   predictionId – optional stored analysis; nodule fields not given in `nodule`
+ *                  are read from its technical details
+ */
+router.post('/risk/calculate', (req, res) => {
+  try {
+    const { patient, nodule = {}, predictionId } = req.body;
+
+    let fromPrediction = {};
+    if (predictionId) {
+      const stored = getPrediction(predictionId);
+      if (!stored) {
+        return res.status(404).json({ success: false, error: 'Prediction not found' });
+      }
+      fromPrediction = noduleFromPrediction(stored.response.prediction);
+    }
+
+    const inputs = validateRiskInputs(patient, { ...fromPrediction, ...nodule });
+    const risk = calculateRisk(inputs);
+    console.log(`📈 Malignancy risk: Brock ${risk.brock.percent}%, Mayo ${risk.mayo.percent}%`);
+
+    res.json({ success: true, predictionId: predictionId || null, ...risk });
+  } catch (error) {
+    if (error.message.startsWith('Invalid risk input')) {
+      return res.status(400).json({ success: false, error: 'Invalid risk input', message: error.message });
+    }
+    console.error('Error calculating malignancy risk:', error);
+    res.status(500).json({ success: false, error: 'Failed to calculate malignancy risk' });
+  }
+});
+
+module.exports = router;
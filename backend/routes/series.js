@@ -0,0 +1,351 @@
+/**
+ * SERIES ROUTES
+ * Multi-slice CT series upload, slice preview and slab/slice analysis.
+ *
+ * Flow:
+ *   1. POST /api/series                 – upload .dcm slices (or a .zip) → series id + ordered slice list
+ *   2. GET  /api/series/:id/slices/:n   – lung-windowed PNG of one slice for the picker
+ *   3. POST /api/series/:id/analyze     – analyze chosen slices, a sampled slab, or a MIP of a slab
+ *
+ * Uploads land in a private staging directory (outside the public uploads
+ * folder) and are de-identified slice by slice before being stored. */
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { analyzeCTScan } = require('../utils/aiService');
+const { parsePatientContext } = require('../utils/fleischner');
+const { parseStudyContext, studyFor } = require('../utils/longitudinal');
+const { checkStudyContext } = require('../utils/patientStore');
+const { mapAnalysisError } = require('../utils/analysisErrors');
+const { hashContent, recordAnalysis } = require('../utils/predictionStore');
+const { deidentifyDicom, detectBurnedInText, mergeBurnedIn, writeDeidReport } = require('../utils/deidentify');
+const {
+  extractZipSeries,
+  loadSeries,
+  describeSeries,
+  selectSlices,
+  renderSlices,
+  renderSliceFile,
+  renderMip,
+} = require('../utils/dicomSeries');
+
+const router = express.Router();
+
+const SERIES_ROOT = path.join(__dirname, '../uploads/series');
+const STAGING_ROOT = path.join(os.tmpdir(), 'pulmoai-staging');
+const SERIES_ID_PATTERN = /^series-\d+-\d+$/;
+const MAX_SERIES_FILES = 600;
+
+// Slice files of each series in scan order, so a preview does not re-read the whole series
+const sliceOrder = new Map();
+
+
+// FILE UPLOAD CONFIGURATION
+
+
+// Give each upload its own private staging directory before multer writes files
+const assignSeriesId = (req, res, next) => {
+  req.seriesId = `series-${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  req.stagingDir = path.join(STAGING_ROOT, req.seriesId);
+  req.seriesDir = path.join(SERIES_ROOT, req.seriesId);
+  fs.mkdirSync(req.stagingDir, { recursive: true });
+  next();
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, req.stagingDir),
+  filename: (req, file, cb) => {
+    const ext = /\.zip$/i.test(file.originalname) ? '.zip' : '.dcm';
+    cb(null, `upload-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
+  },
+});
+
+// Accept DICOM slices and zip archives of a series
+const fileFilter = (req, file, cb) => {
+  if (/\.(dcm|zip)$/i.test(file.originalname) || ['application/dicom', 'application/zip'].includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only DICOM (.dcm) slices or a .zip of a series are allowed.'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 500 * 1024 * 1024, files: MAX_SERIES_FILES }, // 500 MB per file (zip)
+});
+
+/**
+ * Resolve and validate a series directory from the route param.
+ */
+function getSeriesDir(seriesId) {
+  if (!SERIES_ID_PATTERN.test(seriesId)) return null;
+  const dir = path.join(SERIES_ROOT, seriesId);
+  return fs.existsSync(dir) ? dir : null;
+}
+
+function removeUploadDirs(req) {
+  for (const dir of [req.stagingDir, req.seriesDir]) {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * De-identify every staged slice into the public series directory.
+ * @returns {Object} De-identification report
+ */
+function deidentifyStagedSeries(req) {
+  fs.mkdirSync(req.seriesDir, { recursive: true });
+
+  const files = listSeriesSlices(req.stagingDir).map((stagedPath, i) => {
+    const result = deidentifyDicom(fs.readFileSync(stagedPath));
+    const file = `instance-${String(i).padStart(4, '0')}.dcm`;
+    fs.writeFileSync(path.join(req.seriesDir, file), result.buffer);
+    return {
+      file,
+      actions: result.actions,
+      privateTagsRemoved: result.privateTagsRemoved,
+      burnedInAnnotation: result.burnedInAnnotation,
+    };
+  });
+
+  return writeDeidReport(req.seriesId, files);
+}
+
+function listSeriesSlices(seriesDir) {
+  return fs
+    .readdirSync(seriesDir)
+    .filter(f => /\.dcm$/i.test(f))
+    .map(f => path.join(seriesDir, f));
+}
+
+/**
+ * Slice files of a series in scan order. Series never change after upload,
+ * so the order is worked out once (again after a restart) and kept.
+ */
+function sortedSlices(seriesId, seriesDir) {
+  if (!sliceOrder.has(seriesId)) {
+    sliceOrder.set(seriesId, loadSeries(listSeriesSlices(seriesDir)).slices.map(s => s.filePath));
+  }
+  return sliceOrder.get(seriesId);
+}
+
+
+// SERIES UPLOAD
+
+
+/**
+ * POST /api/series
+ * Upload a whole CT series (many .dcm files under "files", or one .zip)
+ */
+router.post('/series', assignSeriesId, upload.array('files', MAX_SERIES_FILES), (req, res) => {
+  try {
+    if (!req.files || !req.files.length) {
+      removeUploadDirs(req);
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+        message: 'Please upload the DICOM slices of a CT series, or a .zip containing them',
+      });
+    }
+
+    // Unpack any zip archives into the staging directory
+    for (const file of req.files.filter(f => f.filename.endsWith('.zip'))) {
+      extractZipSeries(file.path, req.stagingDir);
+      fs.unlinkSync(file.path);
+    }
+
+    const deidReport = deidentifyStagedSeries(req);
+    fs.rmSync(req.stagingDir, { recursive: true, force: true });
+    console.log(`🛡️  De-identified ${deidReport.summary.filesProcessed} slices (${deidReport.summary.tagsModified} tags)`);
+
+    const volume = loadSeries(listSeriesSlices(req.seriesDir));
+    sliceOrder.set(req.seriesId, volume.slices.map(s => s.filePath));
+    console.log(`\n📚 Series uploaded: ${req.seriesId} (${volume.slices.length} slices)`);
+
+    res.json({
+      success: true,
+      seriesId: req.seriesId,
+      ...describeSeries(volume),
+      deidentification: { reportId: req.seriesId, profile: deidReport.profile, ...deidReport.summary },
+      uploadedAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error('\n❌ Series upload error:', error.message);
+    removeUploadDirs(req);
+
+    res.status(400).json({
+      success: false,
+      error: 'Series upload failed',
+      message: error.message,
+    });
+  }
+});
+
+
+// SLICE PREVIEW
+
+
+/**
+ * GET /api/series/:seriesId/slices/:index
+ * Lung-windowed PNG of a single slice, so the client can pick what to analyze
+ */
+router.get('/series/:seriesId/slices/:index', async (req, res) => {
+  try {
+    const seriesDir = getSeriesDir(req.params.seriesId);
+    if (!seriesDir) {
+      return res.status(404).json({ success: false, error: 'Series not found' });
+    }
+
+    const files = sortedSlices(req.params.seriesId, seriesDir);
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= files.length) {
+      throw new Error(`Invalid slice selection: indices must be between 0 and ${files.length - 1}`);
+    }
+    const rendered = await renderSliceFile(files[index], index, seriesDir);
+
+    res.sendFile(rendered.pngPath);
+  } catch (error) {
+    const { statusCode, userMessage } = mapAnalysisError(error);
+    res.status(statusCode).json({ success: false, error: 'Slice preview failed', message: userMessage });
+  }
+});
+
+
+// SERIES ANALYSIS
+
+
+/**
+ * POST /api/series/:seriesId/analyze
+ * Body (all optional):
+ *   slices    – explicit slice indices, e.g. [40, 42, 44]
+ *   slabStart – first slice of a slab (inclusive)
+ *   slabEnd   – last slice of a slab (inclusive)
+ *   count     – representative slices sampled from the slab (default 5)
+ *   mode      – 'slices' (default) or 'mip' for a maximum-intensity projection of the slab
+ *   consensus – true to run the multi-model ensemble and vote
+ *   vote      – 'weighted' (default) or 'majority' for consensus mode
+ *   patientRisk – 'low' or 'high' and nodules – 'solitary' or 'multiple', for the Fleischner follow-up
+ *   patientId, studyDate – group the analysis for comparisons (default: the series' de-identified header)
+ *   studyId   – attach the analysis to an existing study instead
+ */
+router.post('/series/:seriesId/analyze', async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const seriesDir = getSeriesDir(req.params.seriesId);
+    if (!seriesDir) {
+      return res.status(404).json({ success: false, error: 'Series not found' });
+    }
+
+    const { slices, slabStart, slabEnd, count, mode = 'slices', consensus = false, vote } = req.body;
+    const patient = parsePatientContext(req.body);
+    const studyContext = parseStudyContext(req.body);
+    checkStudyContext(studyContext);
+    const volume = loadSeries(listSeriesSlices(seriesDir));
+
+    let imagePaths;
+    let sliceIndices;
+
+    if (mode === 'mip') {
+      const mip = await renderMip(volume, slabStart, slabEnd, seriesDir);
+      imagePaths = [mip.pngPath];
+      sliceIndices = mip.indices;
+    } else {
+      sliceIndices = selectSlices(volume, { slices, slabStart, slabEnd, count });
+      const rendered = await renderSlices(volume, sliceIndices, seriesDir);
+      imagePaths = rendered.map(r => r.pngPath);
+    }
+
+    // Header tags were checked at upload; check the rendered pixels too
+    const burnedInAnnotation = mergeBurnedIn(...await Promise.all(imagePaths.map(detectBurnedInText)));
+    if (burnedInAnnotation.flagged) {
+      console.warn(`⚠️  Burned-in annotation suspected: ${burnedInAnnotation.reasons.join('; ')}`);
+    }
+
+    console.log(`🧠 Analyzing series ${req.params.seriesId} — ${mode} over slices [${sliceIndices.join(', ')}]`);
+    let queue = null;
+    const prediction = await analyzeCTScan(imagePaths, {
+      sliceIndices,
+      mode,
+      consensus: consensus === true || consensus === 'true',
+      vote,
+      patient,
+      promptKey: req.params.seriesId,
+      onQueued: (info) => { queue = queue || info; },
+    });
+
+    console.log(`✅ Series analysis complete: ${prediction.result} (${prediction.confidence}% confidence)`);
+
+    const timings = {
+      queueWaitMs: prediction.queueWaitMs,
+      analysisMs: Math.round(prediction.processingTime * 1000),
+      totalMs: Date.now() - startedAt,
+    };
+    const response = {
+      success: true,
+      prediction,
+      seriesId: req.params.seriesId,
+      imagePath: `/uploads/series/${req.params.seriesId}/${path.basename(imagePaths[0])}`,
+      imagePaths: imagePaths.map(p => `/uploads/series/${req.params.seriesId}/${path.basename(p)}`),
+      dicom: volume.metadata,
+      patient,
+      study: studyFor(studyContext, volume.metadata),
+      burnedInAnnotation,
+      queue: queue && { ...queue, waitedMs: prediction.queueWaitMs },
+      uploadedAt: new Date().toISOString(),
+      aiEngine: prediction.analysisEngine,
+      timings,
+    };
+    response.predictionId = recordAnalysis({
+      source: 'series',
+      input: {
+        originalName: req.params.seriesId,
+        fileHash: hashContent(imagePaths),
+        isDicom: true,
+      },
+      response,
+      timings,
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('\n❌ Series analysis error:', error.message);
+    const { statusCode, userMessage, kind } = mapAnalysisError(error);
+
+    res.status(statusCode).json({
+      success: false,
+      error: 'AI Analysis Failed',
+      message: userMessage,
+      kind,
+    });
+  }
+});
+
+
+// MULTER ERROR HANDLING
+
+
+router.use('/series', (error, req, res, next) => {
+  removeUploadDirs(req);
+
+  if (error instanceof multer.MulterError) {
+    const message = error.code === 'LIMIT_FILE_COUNT'
+      ? `A series can contain at most ${MAX_SERIES_FILES} files`
+      : error.message;
+    return res.status(400).json({ success: false, error: 'Upload error', message });
+  }
+
+  if (error) {
+    return res.status(400).json({ success: false, error: 'Upload error', message: error.message });
+  }
+
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * CALIBRATION FITTING
+ * Fits confidence calibration from evaluation reports (scripts/evaluate.js)
+ * and stores it as a new version in calibration/ (see utils/calibration.js).
+ * Each case counts as right when its binary call matched the ground truth;
+ * cases are grouped by model and result class.
+ *
+ *   npm run calibrate -- [options]
+ *
+ *   --reports <a.json,b.json>  Evaluation reports (default: the newest in eval-reports/)
+ *   --method <platt|isotonic>  Calibration method (default platt)
+ *   --min-cases <n>            Skip groups with fewer labeled cases (default 5)
+ *
+ * All reports must come from the same prompt version. */
+
+const fs = require('fs');
+const path = require('path');
+
+const { METHODS, fitGroup, groupKey, saveCalibration } = require('../utils/calibration');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const REPORTS_DIR = path.join(BACKEND_DIR, 'eval-reports');
+
+
+// ARGUMENTS
+
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+        const value = match[2] ?? argv[++i];
+        if (value === undefined) throw new Error(`--${match[1]} needs a value`);
+        args[match[1]] = value;
+    }
+    return args;
+}
+
+function newestReport() {
+    const reports = fs.existsSync(REPORTS_DIR)
+        ? fs.readdirSync(REPORTS_DIR).filter(name => /^eval-.*\.json$/.test(name)).sort()
+        : [];
+    if (!reports.length) throw new Error('No evaluation reports found — run `npm run evaluate` first');
+    return path.join(REPORTS_DIR, reports[reports.length - 1]);
+}
+
+
+// MAIN
+
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const method = args.method || 'platt';
+    if (!METHODS.includes(method)) throw new Error(`--method must be one of ${METHODS.join(', ')}`);
+    const minCases = args['min-cases'] === undefined ? 5 : parseInt(args['min-cases'], 10);
+    if (!Number.isInteger(minCases) || minCases < 1) throw new Error('--min-cases must be a positive whole number');
+
+    const files = args.reports
+        ? args.reports.split(',').map(file => path.resolve(BACKEND_DIR, file.trim()))
+        : [newestReport()];
+    const reports = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+
+    const promptVersions = [...new Set(reports.map(r => r.run.promptVersion))];
+    if (promptVersions.length > 1) {
+        throw new Error(`Reports mix prompt versions (${promptVersions.join(', ')}); calibrate each version separately`);
+    }
+
+    const points = {};
+    for (const report of reports) {
+        for (const c of report.cases) {
+            if (c.score === null || !c.model) continue;
+            const key = groupKey(c.model, c.result);
+            (points[key] = points[key] || []).push({ x: c.confidence / 100, y: c.predicted === c.actual ? 1 : 0 });
+        }
+    }
+
+    const groups = {};
+    for (const [key, groupPoints] of Object.entries(points).sort()) {
+        if (groupPoints.length < minCases) {
+            console.warn(`⚠️  ${key}: only ${groupPoints.length} case(s), need ${minCases} — left uncalibrated`);
+            continue;
+        }
+        groups[key] = fitGroup(groupPoints, method);
+        console.log(`📐 ${key}: ${groups[key].correct}/${groups[key].n} right → ${JSON.stringify(groups[key].params)}`);
+    }
+    if (!Object.keys(groups).length) throw new Error('No group had enough cases to fit — nothing was saved');
+
+    const stored = saveCalibration({
+        method,
+        promptVersion: promptVersions[0],
+        sources: files.map(file => path.relative(BACKEND_DIR, file)),
+        groups,
+    });
+    console.log(`✅ Saved calibration ${stored.version} (${Object.keys(groups).length} group(s), prompt ${stored.promptVersion})`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`\n❌ Calibration failed: ${error.message}`);
+    process.exit(1);
+}
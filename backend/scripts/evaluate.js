@@ -0,0 +1,198 @@
+/**
+ * EVALUATION HARNESS
+ * Runs the full analysis pipeline (de-identification, DICOM rendering,
+ * vision model) over a labeled directory and writes a JSON and an HTML
+ * report to eval-reports/, so prompt and model changes can be compared.
+ *
+ * The directory holds one folder per ground-truth label (see
+ * utils/evaluation.js), e.g. test-dicoms/nodules/ and test-dicoms/benign/.
+ *
+ *   npm run evaluate -- [options]
+ *
+ *   --dir <path>             Labeled directory (default test-dicoms)
+ *   --provider <id>          Vision provider (default AI_VISION_PROVIDER / AI_PROVIDER)
+ *   --models <a,b>           Model cascade (default AI_VISION_MODELS / the provider's defaults)
+ *   --prompt-version <v>     Vision prompt version, e.g. v2 (default the active version)
+ *   --consensus              Use the multi-model consensus vote
+ *   --vote <method>          weighted | majority (consensus only)
+ *   --bins <n>               Calibration bins (default 5)
+ *   --out <dir>              Report directory (default eval-reports)
+ *
+ * Exits with status 1 if the run could not start; failed cases are recorded
+ * in the report instead. */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const CASE_EXTENSIONS = ['.dcm', '.png', '.jpg', '.jpeg'];
+const MIME_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.dcm': 'application/dicom' };
+
+const BOOLEAN_FLAGS = ['consensus'];
+
+
+// ARGUMENTS
+
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+        const [, name, inline] = match;
+        if (BOOLEAN_FLAGS.includes(name)) {
+            args[name] = inline === undefined ? true : inline === 'true';
+        } else {
+            const value = inline ?? argv[++i];
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            args[name] = value;
+        }
+    }
+    return args;
+}
+
+/**
+ * Labeled cases in the dataset directory, in a stable order.
+ * @returns {{ file: string, label: string, actual: boolean }[]}
+ */
+function listCases(dir, labelFromFolder) {
+    const cases = [];
+    for (const folder of fs.readdirSync(dir).sort()) {
+        const folderPath = path.join(dir, folder);
+        if (!fs.statSync(folderPath).isDirectory()) continue;
+
+        const actual = labelFromFolder(folder);
+        for (const name of fs.readdirSync(folderPath).sort()) {
+            if (CASE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+                cases.push({ file: path.join(folder, name), label: folder, actual });
+            }
+        }
+    }
+    return cases;
+}
+
+
+// PIPELINE
+
+
+/**
+ * Analyze one case the same way POST /api/predict does, in a scratch
+ * directory that is removed afterwards.
+ */
+async function runCase(testCase, dir, analysisOptions, pipeline, scorePrediction) {
+    const startedAt = Date.now();
+    const filePath = path.join(dir, testCase.file);
+    const originalName = path.basename(filePath);
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulmoai-eval-'));
+
+    try {
+        const ingested = await pipeline.ingestUpload({
+            buffer: fs.readFileSync(filePath),
+            originalName,
+            mimetype: MIME_TYPES[path.extname(originalName).toLowerCase()],
+        }, { outputDir: scratchDir });
+        const prepared = await pipeline.prepareForAnalysis(ingested);
+        const prediction = await pipeline.runAnalysis(prepared, { ...analysisOptions, sourceName: originalName });
+
+        const scored = scorePrediction(prediction);
+        return {
+            ...testCase,
+            predicted: scored ? scored.predicted : null,
+            score: scored ? Math.round(scored.score * 100) / 100 : null,
+            result: prediction.result,
+            confidence: prediction.confidence,
+            riskLevel: prediction.riskLevel,
+            parseStatus: prediction.parseStatus,
+            model: prediction.modelVersion,
+            lungRads: prediction.lungRads?.category ?? null,
+            technicalDetails: prediction.technicalDetails,
+            error: scored ? null : `Result could not be scored (${prediction.parseStatus}, "${prediction.result}")`,
+            durationMs: Date.now() - startedAt,
+        };
+    } catch (error) {
+        return { ...testCase, predicted: null, score: null, error: error.message, durationMs: Date.now() - startedAt };
+    } finally {
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+}
+
+
+// MAIN
+
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    // The provider registry reads these on every call, so set them before the first analysis
+    if (args.provider) process.env.AI_VISION_PROVIDER = args.provider;
+    if (args.models) process.env.AI_VISION_MODELS = args.models;
+
+    const { analysisCacheKey } = require('../utils/aiService');
+    const { findVersion, getSelection } = require('../utils/promptRegistry');
+    const { resolveTask, resolveEnsemble } = require('../providers');
+    const pipeline = require('../utils/analysisPipeline');
+    const { labelFromFolder, scorePrediction, buildReport, renderHtml } = require('../utils/evaluation');
+
+    // One version for the whole run, whatever A/B split the server uses
+    const prompt = findVersion('vision', args['prompt-version'] || getSelection('vision').active);
+
+    const dir = path.resolve(BACKEND_DIR, args.dir || 'test-dicoms');
+    const outDir = path.resolve(BACKEND_DIR, args.out || 'eval-reports');
+    const bins = args.bins === undefined ? 5 : parseInt(args.bins, 10);
+    if (!Number.isInteger(bins) || bins < 1) throw new Error('--bins must be a positive whole number');
+
+    const analysisOptions = { consensus: Boolean(args.consensus), vote: args.vote, promptVersion: prompt.version };
+    const { provider, models } = resolveTask('vision');
+    provider.assertConfigured();
+    const members = analysisOptions.consensus
+        ? resolveEnsemble().map(m => `${m.provider.id}:${m.model}`)
+        : models;
+
+    const cases = listCases(dir, labelFromFolder);
+    if (!cases.length) throw new Error(`No ${CASE_EXTENSIONS.join('/')} cases found under ${dir}`);
+
+    const startedAt = new Date();
+    console.log(`🧪 Evaluating ${cases.length} case(s) from ${dir}`);
+    console.log(`   ${provider.id} · ${members.join(', ')} · prompt ${prompt.id}/${prompt.version} (${prompt.hash})`);
+
+    const results = [];
+    for (const [i, testCase] of cases.entries()) {
+        const result = await runCase(testCase, dir, analysisOptions, pipeline, scorePrediction);
+        results.push(result);
+        const verdict = result.score === null ? `❌ ${result.error}`
+            : `${result.predicted === result.actual ? '✅' : '⚠️ '} ${result.result} (${result.confidence}%)`;
+        console.log(`[${i + 1}/${cases.length}] ${testCase.file}: ${verdict}`);
+    }
+
+    const report = buildReport(results, {
+        dataset: path.relative(BACKEND_DIR, dir) || '.',
+        provider: provider.id,
+        models: members,
+        consensus: analysisOptions.consensus,
+        vote: analysisOptions.consensus ? (args.vote || process.env.AI_ENSEMBLE_VOTE || 'weighted') : null,
+        promptId: prompt.id,
+        promptVersion: prompt.version,
+        promptHash: prompt.hash,
+        cacheKey: analysisCacheKey(analysisOptions),
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+    }, { bins });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const baseName = `eval-${startedAt.toISOString().replace(/[:.]/g, '-')}-${provider.id}-${prompt.id}-${prompt.version}`;
+    fs.writeFileSync(path.join(outDir, `${baseName}.json`), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outDir, `${baseName}.html`), renderHtml(report));
+
+    const { metrics, confusionMatrix: m } = report;
+    const fmt = (v) => (v === null ? 'n/a' : v.toFixed(3));
+    console.log(`\n📊 TP ${m.tp} · FP ${m.fp} · TN ${m.tn} · FN ${m.fn} · failed ${report.counts.failed}`);
+    console.log(`   Sensitivity ${fmt(metrics.sensitivity)} · Specificity ${fmt(metrics.specificity)} · AUC ${fmt(metrics.auc)}`);
+    console.log(`📝 Report: ${path.join(outDir, baseName)}.{json,html}`);
+}
+
+main().catch((error) => {
+    console.error(`\n❌ Evaluation failed: ${error.message}`);
+    process.exit(1);
+});
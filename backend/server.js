@@ -1,7 +1,7 @@
 /**
  * PULMONARY NODULE DETECTION - BACKEND SERVER
  * Main server file for the medical AI application
- * Powered by Google Gemini Vision AI */
+ * AI analysis through a pluggable vision provider (see providers/) */
 
 // Import required packages
 const express = require('express');
@@ -12,6 +12,15 @@ require('dotenv').config();
 // Import routes
 const predictionRoutes = require('./routes/prediction');
 const chatbotRoutes = require('./routes/chatbot');
+const seriesRoutes = require('./routes/series');
+const dicomwebRoutes = require('./routes/dicomweb');
+const modelRoutes = require('./routes/models');
+const jobRoutes = require('./routes/jobs');
+const riskRoutes = require('./routes/risk');
+const compareRoutes = require('./routes/compare');
+const patientRoutes = require('./routes/patients');
+const reviewRoutes = require('./routes/reviews');
+const adminRoutes = require('./routes/admin');
 
 // Initialize Express app
 const app = express();
@@ -61,9 +70,36 @@ app.get('/api/health', (req, res) => {
 // Prediction routes (CT scan analysis)
 app.use('/api', predictionRoutes);
 
+// Analysis job routes (status + SSE progress for /api/predict)
+app.use('/api', jobRoutes);
+
+// Series routes (multi-slice DICOM upload & analysis)
+app.use('/api', seriesRoutes);
+
+// Malignancy risk routes (Brock / Mayo calculators)
+app.use('/api', riskRoutes);
+
+// Comparison routes (nodule growth between two scans of a patient)
+app.use('/api', compareRoutes);
+
+// Patient routes (patients, studies and scan timelines)
+app.use('/api', patientRoutes);
+
+// Review routes (radiologist sign-off of stored analyses)
+app.use('/api', reviewRoutes);
+
 // Chatbot routes (medical Q&A)
 app.use('/api', chatbotRoutes);
 
+// Model status routes (AI cascade circuit breakers)
+app.use('/api', modelRoutes);
+
+// Admin routes (prompt versions and A/B split; needs ADMIN_TOKEN)
+app.use('/api', adminRoutes);
+
+// DICOMweb routes (STOW-RS / QIDO-RS / WADO-RS for PACS & viewers)
+app.use('/dicomweb', dicomwebRoutes);
+
 // 404 handler for undefined routes
 app.use((req, res) => {
   res.status(404).json({
@@ -98,8 +134,24 @@ app.listen(PORT, () => {
   console.log('╠════════════════════════════════════════════════════════════╣');
   console.log('║   Available Endpoints:                                     ║');
   console.log('║   - GET  /api/health        (Health check)                 ║');
-  console.log('║   - POST /api/predict       (CT scan analysis)             ║');
+  console.log('║   - POST /api/predict       (Start CT scan analysis job)   ║');
+  console.log('║   - GET  /api/jobs/:id      (Job status / result)          ║');
+  console.log('║   - GET  /api/jobs/:id/events (Job progress, SSE)          ║');
+  console.log('║   - GET  /api/predictions   (Stored analyses, filterable)  ║');
+  console.log('║   - GET|DELETE /api/predictions/:id (One stored analysis)  ║');
+  console.log('║   - POST /api/predictions/:id/review (Radiologist sign-off)║');
+  console.log('║   - POST /api/series        (CT series upload)             ║');
+  console.log('║   - POST /api/series/:id/analyze (Series analysis)         ║');
+  console.log('║   - POST /api/risk/calculate (Brock / Mayo malignancy risk)║');
+  console.log('║   - POST /api/compare       (Nodule growth between scans)  ║');
+  console.log('║   - /api/patients, /api/studies (Patients, scan timeline)  ║');
   console.log('║   - POST /api/chatbot       (Medical chatbot)              ║');
+  console.log('║   - POST /api/chatbot/stream (Streaming chatbot, SSE)      ║');
+  console.log('║   - GET  /api/models/health (AI model circuit status)      ║');
+  console.log('║   - GET  /api/queue         (AI request queue)             ║');
+  console.log('║   - GET  /api/calibration   (Confidence calibration)       ║');
+  console.log('║   - /api/admin/prompts      (Prompt versions, admin only)  ║');
+  console.log('║   - /dicomweb/studies       (STOW / QIDO / WADO-RS)        ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 });
 
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapAnalysisError } = require('../analysisErrors');
+const { providerError } = require('../../providers/providerError');
+
+const LOCAL = { id: 'openai-compatible', displayName: 'OpenAI-compatible server', credentials: 'OPENAI_API_KEY' };
+
+describe('mapAnalysisError', () => {
+    it('passes input errors through as 400', () => {
+        const mapped = mapAnalysisError(new Error('Invalid DICOM file: no pixel data found'));
+        assert.deepEqual(mapped, { statusCode: 400, userMessage: 'Invalid DICOM file: no pixel data found', kind: 'input' });
+    });
+
+    it('names the provider and its credentials when they are rejected', () => {
+        const { statusCode, userMessage, kind } = mapAnalysisError(providerError(LOCAL, '[openai-compatible] 401 Unauthorized', { status: 401 }));
+        assert.equal(statusCode, 401);
+        assert.equal(kind, 'auth');
+        assert.equal(userMessage, 'OpenAI-compatible server rejected the credentials. Please check OPENAI_API_KEY in backend/.env.');
+    });
+
+    it('reports exhausted quota with the retry time and no provider-specific limits', () => {
+        const error = providerError(LOCAL, 'quota-exceeded on all models', { kind: 'quota', retryAfterSeconds: 12 });
+        const { statusCode, userMessage } = mapAnalysisError(error);
+        assert.equal(statusCode, 429);
+        assert.equal(userMessage, 'Rate limit reached on all OpenAI-compatible server models. Please wait 12 seconds and try again.');
+    });
+
+    it('reports missing configuration and removed models as 503', () => {
+        const notConfigured = providerError(LOCAL, 'OPENAI_BASE_URL is not configured.', { kind: 'notConfigured' });
+        assert.equal(mapAnalysisError(notConfigured).statusCode, 503);
+        assert.match(mapAnalysisError(notConfigured).userMessage, /^AI service not configured\. OPENAI_BASE_URL/);
+
+        const removed = providerError(LOCAL, 'all configured models were removed after 404 responses', { kind: 'notFound' });
+        assert.equal(mapAnalysisError(removed).statusCode, 503);
+    });
+
+    it('does not classify other errors by their message text', () => {
+        for (const message of ['invalid response from model', '429 Too Many Requests', 'GEMINI_API_KEY missing', 'model not configured']) {
+            assert.deepEqual(mapAnalysisError(new Error(message)), { statusCode: 500, userMessage: 'Analysis failed. Please try again.', kind: 'other' });
+        }
+    });
+});
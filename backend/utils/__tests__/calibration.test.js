@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitPlatt, fitIsotonic, fitGroup, applyGroup } = require('../calibration');
+
+const points = (xs, y) => xs.map(x => ({ x, y }));
+
+// Mostly right at high confidence, mostly wrong at low confidence, with overlap
+const MIXED = [
+    ...points([0.62, 0.66, 0.7, 0.74, 0.8], 0),
+    ...points([0.68, 0.76, 0.82, 0.86, 0.9, 0.92, 0.95, 0.97], 1),
+];
+// Every wrong result below every right one
+const SEPARABLE = [...points([0.6, 0.62, 0.65, 0.68, 0.7], 0), ...points([0.85, 0.88, 0.9, 0.95, 0.98], 1)];
+
+const CONFIDENCES = [0, 20, 40, 60, 65, 70, 75, 80, 85, 90, 95, 100];
+
+function assertMonotonic(group) {
+    const probabilities = CONFIDENCES.map(confidence => applyGroup(group, confidence));
+    probabilities.forEach((p, i) => {
+        assert.ok(Number.isFinite(p) && p >= 0 && p <= 1, `probability ${p} out of [0, 1]`);
+        if (i > 0) assert.ok(p >= probabilities[i - 1], `not monotonic at ${CONFIDENCES[i]}: ${probabilities[i - 1]} > ${p}`);
+    });
+    return probabilities;
+}
+
+describe('fitPlatt', () => {
+    it('gives probabilities that rise with confidence', () => {
+        const params = fitPlatt(MIXED);
+        assert.ok(params.a < 0);
+        assertMonotonic({ method: 'platt', params });
+    });
+
+    it('stays finite on a perfectly separable set', () => {
+        const params = fitPlatt(SEPARABLE);
+        assert.ok(Number.isFinite(params.a) && Number.isFinite(params.b));
+        const probabilities = assertMonotonic({ method: 'platt', params });
+        // Platt's smoothed targets keep the ends away from 0 and 1
+        assert.ok(probabilities[probabilities.length - 1] < 1);
+        assert.ok(probabilities[0] > 0);
+    });
+
+    it('gives a flat fit at the smoothed target for a one-class set', () => {
+        const params = fitPlatt(points([0.7, 0.8, 0.9], 1));
+        assert.equal(params.a, 0);
+        // (positives + 1) / (positives + 2) = 4 / 5
+        assert.equal(Math.round(applyGroup({ method: 'platt', params }, 75) * 100), 80);
+    });
+
+    it('gives a neutral fit for an empty set', () => {
+        assert.deepEqual(fitPlatt([]), { a: 0, b: 0 });
+    });
+});
+
+describe('fitIsotonic', () => {
+    it('gives a non-decreasing step function', () => {
+        const params = fitIsotonic(MIXED);
+        params.p.forEach((p, i) => i > 0 && assert.ok(p > params.p[i - 1]));
+        assertMonotonic({ method: 'isotonic', params });
+    });
+
+    it('pools adjacent violators into their mean', () => {
+        // 0.7 wrong after 0.6 right violates the order, so both pool to 0.5
+        assert.deepEqual(fitIsotonic(points([0.6], 1).concat(points([0.7], 0), points([0.9], 1))), { x: [0.7, 0.9], p: [0.5, 1] });
+    });
+
+    it('splits a perfectly separable set into two steps', () => {
+        assert.deepEqual(fitIsotonic(SEPARABLE), { x: [0.7, 0.98], p: [0, 1] });
+        assert.equal(applyGroup({ method: 'isotonic', params: fitIsotonic(SEPARABLE) }, 99), 1);
+    });
+
+    it('gives one step for a one-class set', () => {
+        assert.deepEqual(fitIsotonic(points([0.7, 0.8, 0.9], 0)), { x: [0.9], p: [0] });
+    });
+});
+
+describe('fitGroup', () => {
+    it('records the method and case counts', () => {
+        const group = fitGroup(MIXED, 'isotonic');
+        assert.equal(group.method, 'isotonic');
+        assert.equal(group.n, 13);
+        assert.equal(group.correct, 8);
+    });
+
+    it('refuses an empty set and an unknown method', () => {
+        assert.throws(() => fitGroup([], 'isotonic'), /without labeled cases/);
+        assert.throws(() => fitGroup(MIXED, 'beta'), /Unknown calibration method/);
+    });
+});
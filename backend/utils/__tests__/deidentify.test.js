@@ -0,0 +1,184 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dicomParser = require('dicom-parser');
+
+process.env.DEID_SECRET = 'deidentify-test-secret';
+const { PHI_TAGS, deidentifyDicom } = require('../deidentify');
+
+const FIXTURES = path.join(__dirname, '../../test-dicoms');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parse = (buffer) => dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+
+/**
+ * Implicit VR little endian element, as the fixtures are encoded.
+ */
+function element(group, elementNumber, value) {
+    const header = Buffer.alloc(8);
+    header.writeUInt16LE(group, 0);
+    header.writeUInt16LE(elementNumber, 2);
+    header.writeUInt32LE(value.length, 4);
+    return Buffer.concat([header, Buffer.from(value, 'ascii')]);
+}
+
+/**
+ * Implicit VR sequence of defined length holding one item with the given elements.
+ */
+function sequence(group, elementNumber, ...elements) {
+    const item = Buffer.concat([element(0xfffe, 0xe000, ''), ...elements]);
+    item.writeUInt32LE(item.length - 8, 4);
+    const header = element(group, elementNumber, '');
+    header.writeUInt32LE(item.length, 4);
+    return Buffer.concat([header, item]);
+}
+
+/**
+ * Fixture with attributes of the profile it does not carry itself appended, in tag order.
+ */
+function withProfileAttributes(buffer) {
+    return Buffer.concat([
+        buffer,
+        sequence(0x0008, 0x0082, element(0x0008, 0x0100, 'GH-0042 '), element(0x0008, 0x0104, 'General Hospital')),
+        sequence(0x0008, 0x1120, element(0x0008, 0x1150, '1.2.840.10008.3.1.2.1.1'), element(0x0008, 0x1155, '1.2.3.4.5.6.7.8.9.0')),
+        sequence(0x0010, 0x1002, element(0x0010, 0x0020, 'MRN-55501234'), element(0x0010, 0x0021, 'General Hospital')),
+        element(0x0010, 0x2000, 'Penicillin allergy '),
+        element(0x0032, 0x1060, 'CT chest for J. Smith'),
+        sequence(0x0040, 0x0275, element(0x0040, 0x1001, 'RP-77123'), element(0x0040, 0x0007, 'Follow-up of J. Smith')),
+        element(0x0040, 0xa124, '1.23'),
+    ]);
+}
+
+/**
+ * Fixture with a private creator and a private element carrying PHI appended.
+ */
+function withPrivateTags(buffer) {
+    return Buffer.concat([buffer, element(0x0009, 0x0010, 'ACME 1.0'), element(0x0009, 0x1001, 'PATIENT HOME 555-0100')]);
+}
+
+/**
+ * Fixture with its PatientID overwritten by another value of the same length.
+ */
+function withPatientId(buffer, id) {
+    const copy = Buffer.from(buffer);
+    const { dataOffset, length } = parse(copy).elements.x00100020;
+    copy.write(id.padEnd(length, ' ').substring(0, length), dataOffset, 'ascii');
+    return copy;
+}
+
+function toDate(da) {
+    return Date.UTC(Number(da.substring(0, 4)), Number(da.substring(4, 6)) - 1, Number(da.substring(6, 8)));
+}
+
+describe('deidentifyDicom', () => {
+    let original;
+    let first;
+    let second;
+
+    before(() => {
+        original = fs.readFileSync(path.join(FIXTURES, 'benign/benign-case-001.dcm'));
+        first = parse(deidentifyDicom(original).buffer);
+        second = parse(deidentifyDicom(fs.readFileSync(path.join(FIXTURES, 'nodules/malignant-case-001.dcm'))).buffer);
+    });
+
+    it('removes or replaces every PHI tag in the file', () => {
+        const source = parse(original);
+        const { actions } = deidentifyDicom(original);
+        const present = Object.entries(PHI_TAGS).filter(([tag]) => source.elements[tag]?.length);
+        assert.ok(present.length >= 8, 'fixture should carry PHI to strip');
+
+        for (const [tag, rule] of present) {
+            const value = source.string(tag);
+            const after = first.string(tag) || '';
+            assert.notEqual(after, value, `${rule.name} was left unchanged`);
+            assert.ok(actions.some(action => action.name === rule.name), `${rule.name} missing from the report`);
+
+            if (rule.action === 'X' || rule.action === 'Z') assert.equal(after, '', `${rule.name} not removed`);
+            if (rule.action === 'D') assert.match(after, /^ANON[-^][0-9A-F]+$/, `${rule.name} not pseudonymized`);
+            if (rule.action === 'S') assert.match(after, /^\d{8}$/, `${rule.name} not a shifted date`);
+            if (rule.action === 'U') assert.match(after, /^2\.25\.\d+$/, `${rule.name} not a replacement UID`);
+        }
+    });
+
+    it('keeps patient characteristics and leaves the input buffer untouched', () => {
+        const copy = Buffer.from(original);
+        deidentifyDicom(copy);
+        assert.ok(copy.equals(original));
+        assert.equal(first.string('x00100040'), parse(original).string('x00100040'));
+        assert.equal(first.string('x00101010'), parse(original).string('x00101010'));
+    });
+
+    it('replaces the same UID with the same UID in the header and the file meta', () => {
+        assert.equal(first.string('x00020003'), first.string('x00080018'));
+    });
+
+    it('zero-fills private tags', () => {
+        const result = deidentifyDicom(withPrivateTags(original));
+        assert.equal(result.privateTagsRemoved, 2);
+
+        const { dataOffset, length } = parse(result.buffer).elements.x00091001;
+        assert.ok(result.buffer.subarray(dataOffset, dataOffset + length).every(byte => byte === 0));
+        assert.equal(result.buffer.includes('555-0100'), false);
+    });
+
+    it('gives two files of the same patient the same pseudonym and date offset', () => {
+        assert.equal(parse(original).string('x00100020'), parse(fs.readFileSync(path.join(FIXTURES, 'nodules/malignant-case-001.dcm'))).string('x00100020'));
+        assert.equal(first.string('x00100020'), second.string('x00100020'));
+
+        const [shorter, longer] = [first.string('x00100010'), second.string('x00100010')].sort((l, r) => l.length - r.length);
+        assert.ok(longer.startsWith(shorter), 'PatientName pseudonyms differ');
+
+        const shift = (ds) => (toDate(ds.string('x00080020')) - toDate('20260218')) / DAY_MS;
+        assert.equal(shift(first), shift(second));
+        assert.ok(shift(first) <= -1 && shift(first) >= -3650, `offset ${shift(first)} days out of range`);
+    });
+
+    it('gives another patient a different pseudonym and date offset', () => {
+        const other = parse(deidentifyDicom(withPatientId(original, 'ID9.9.999.0.9.')).buffer);
+        assert.notEqual(other.string('x00100020'), first.string('x00100020'));
+        assert.notEqual(other.string('x00080020'), first.string('x00080020'));
+    });
+
+    it('removes the sequences and attributes of the full profile', () => {
+        const input = withProfileAttributes(original);
+        const result = deidentifyDicom(input);
+        const output = parse(result.buffer);
+
+        for (const tag of ['x00080082', 'x00081120', 'x00101002', 'x00400275']) {
+            const { items } = output.elements[tag];
+            assert.equal(items.length, 1, `${PHI_TAGS[tag].name} lost its structure`);
+            for (const nested of Object.keys(items[0].dataSet.elements)) {
+                assert.equal(items[0].dataSet.string(nested) || '', '', `${PHI_TAGS[tag].name} ${nested} not removed`);
+            }
+            assert.ok(result.actions.some(action => action.name === PHI_TAGS[tag].name && action.action === 'removed'));
+        }
+        assert.equal(output.string('x00102000') || '', '');
+        assert.equal(output.string('x00321060') || '', '');
+        for (const text of ['General Hospital', 'MRN-55501234', 'RP-77123', 'J. Smith', 'Penicillin']) {
+            assert.equal(result.buffer.includes(text), false, `${text} left in the file`);
+        }
+    });
+
+    it('writes a valid replacement UID into a value too short for the 2.25 root', () => {
+        const uid = parse(deidentifyDicom(withProfileAttributes(original)).buffer).string('x0040a124');
+        assert.match(uid, /^[1-9]\d{3}$/);
+        for (const tag of ['x0020000d', 'x0020000e', 'x00080018']) {
+            assert.match(first.string(tag), /^2\.25\.[1-9]\d*$/);
+        }
+    });
+
+    it('gives short patient names and IDs a pseudonym of the minimum length', () => {
+        const input = withPatientId(original, 'ID7');
+        assert.equal(parse(input).string('x00100020'), 'ID7');
+        const output = parse(deidentifyDicom(input).buffer);
+        assert.match(output.string('x00100020'), /^ANON-[0-9A-F]{19}$/);
+        assert.equal(output.elements.x00100010.length, 26, 'longer names are not cut down');
+        assert.equal(output.string('x00080020').length, 8, 'elements after the resized one still parse');
+        assert.ok(output.elements.x7fe00010, 'pixel data still found');
+    });
+
+    it('rejects a file that is not DICOM', () => {
+        assert.throws(() => deidentifyDicom(Buffer.from('not a dicom file')), /^Error: Invalid DICOM file/);
+    });
+});
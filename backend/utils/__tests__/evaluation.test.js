@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    labelFromFolder,
+    scorePrediction,
+    confusionMatrix,
+    rocAuc,
+    calibrationBins,
+    buildReport,
+} = require('../evaluation');
+
+const scored = (actual, score) => ({ actual, predicted: score >= 0.5, score });
+
+// 4 positives and 5 negatives: tp 3, fn 1, fp 1, tn 4
+const CASES = [
+    scored(true, 0.9), scored(true, 0.8), scored(true, 0.7), scored(true, 0.3),
+    scored(false, 0.6), scored(false, 0.4), scored(false, 0.3), scored(false, 0.2), scored(false, 0.1),
+];
+
+describe('confusionMatrix', () => {
+    it('counts each outcome', () => {
+        assert.deepEqual(confusionMatrix(CASES), { tp: 3, fp: 1, tn: 4, fn: 1 });
+    });
+});
+
+describe('rocAuc', () => {
+    it('is the share of positive–negative pairs ranked correctly, ties counting half', () => {
+        // 0.9, 0.8 and 0.7 beat all 5 negatives; 0.3 beats 0.2 and 0.1 and ties 0.3: (15 + 2.5) / 20
+        assert.equal(rocAuc(CASES), 0.875);
+    });
+
+    it('is 1 for a perfect ranking and 0.5 when every score ties', () => {
+        assert.equal(rocAuc([scored(true, 0.9), scored(false, 0.1)]), 1);
+        assert.equal(rocAuc([scored(true, 0.5), scored(false, 0.5)]), 0.5);
+    });
+
+    it('is null without both classes', () => {
+        assert.equal(rocAuc([scored(true, 0.9), scored(true, 0.8)]), null);
+    });
+});
+
+describe('calibrationBins', () => {
+    it('bins scores and weights the expected calibration error by bin size', () => {
+        const { bins, expectedCalibrationError } = calibrationBins(CASES);
+        assert.deepEqual(bins.map(bin => bin.count), [1, 3, 1, 2, 2]);
+        assert.deepEqual(bins.map(bin => bin.meanScore), [0.1, 0.2667, 0.4, 0.65, 0.85]);
+        assert.deepEqual(bins.map(bin => bin.positiveRate), [0, 0.3333, 0, 0.5, 1]);
+        // (1 × 0.1 + 3 × 0.0667 + 1 × 0.4 + 2 × 0.15 + 2 × 0.15) / 9
+        assert.equal(expectedCalibrationError, 0.1444);
+    });
+
+    it('is 0 for perfectly calibrated scores', () => {
+        const cases = [scored(true, 1), scored(true, 1), scored(false, 0)];
+        assert.equal(calibrationBins(cases).expectedCalibrationError, 0);
+    });
+
+    it('leaves empty bins without a mean', () => {
+        const { bins } = calibrationBins([scored(true, 0.9)], 2);
+        assert.deepEqual(bins[0], { from: 0, to: 0.5, count: 0, meanScore: null, positiveRate: null });
+    });
+});
+
+describe('buildReport', () => {
+    const failed = { actual: true, predicted: null, score: null, file: 'broken.dcm', label: 'nodules', error: 'Parse error' };
+
+    it('computes the metrics from the confusion matrix', () => {
+        const { metrics } = buildReport(CASES, {});
+        assert.deepEqual(metrics, {
+            sensitivity: 0.75,
+            specificity: 0.8,
+            ppv: 0.75,
+            npv: 0.8,
+            accuracy: 0.7778,
+            auc: 0.875,
+        });
+    });
+
+    it('lists failed cases and leaves them out of the metrics', () => {
+        const report = buildReport([...CASES, failed], {});
+        assert.deepEqual(report.counts, { cases: 10, scored: 9, failed: 1, positives: 4, negatives: 5 });
+        assert.equal(report.metrics.sensitivity, 0.75);
+        assert.deepEqual(report.failures, [{ file: 'broken.dcm', label: 'nodules', error: 'Parse error' }]);
+    });
+
+    it('reports metrics without a denominator as null', () => {
+        const { metrics } = buildReport([scored(false, 0.2)], {});
+        assert.equal(metrics.sensitivity, null);
+        assert.equal(metrics.specificity, 1);
+        assert.equal(metrics.auc, null);
+    });
+});
+
+describe('scorePrediction', () => {
+    it('scores a positive call by its confidence and a negative one by the complement', () => {
+        assert.deepEqual(scorePrediction({ result: 'Nodule Detected - Malignant', confidence: 80 }), { predicted: true, score: 0.8 });
+        assert.deepEqual(scorePrediction({ result: 'Indeterminate - Further Evaluation Required', confidence: 60 }), { predicted: true, score: 0.6 });
+        assert.deepEqual(scorePrediction({ result: 'No Nodule Detected', confidence: 75 }), { predicted: false, score: 0.25 });
+    });
+
+    it('does not score unparseable results', () => {
+        assert.equal(scorePrediction({ parseStatus: 'unparseable', result: 'No Nodule Detected', confidence: 90 }), null);
+        assert.equal(scorePrediction(null), null);
+    });
+});
+
+describe('labelFromFolder', () => {
+    it('reads ground truth from the folder name', () => {
+        assert.equal(labelFromFolder('Nodules'), true);
+        assert.equal(labelFromFolder('benign'), false);
+        assert.throws(() => labelFromFolder('misc'), /Unknown ground-truth folder/);
+    });
+});
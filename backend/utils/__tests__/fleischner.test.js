@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePatientContext, recommend, assessFleischner } = require('../fleischner');
+
+const nodule = (diameterMm, type = 'solid') => ({ type, diameterMm });
+
+describe('recommend', () => {
+    const solidCases = [
+        // [diameter, risk, multiple, interval]
+        [5, 'low', false, 'No routine follow-up'],
+        [5, 'high', false, 'Optional CT at 12 months'],
+        [5, 'low', true, 'No routine follow-up'],
+        [5, 'high', true, 'Optional CT at 12 months'],
+        [7, 'low', false, 'CT at 6–12 months, then consider CT at 18–24 months'],
+        [7, 'high', false, 'CT at 6–12 months, then CT at 18–24 months'],
+        [7, 'low', true, 'CT at 3–6 months, then consider CT at 18–24 months'],
+        [7, 'high', true, 'CT at 3–6 months, then CT at 18–24 months'],
+        [10, 'low', false, 'Consider CT at 3 months, PET/CT, or tissue sampling'],
+        [10, 'high', false, 'Consider CT at 3 months, PET/CT, or tissue sampling'],
+        [10, 'low', true, 'CT at 3–6 months, then consider CT at 18–24 months'],
+        [10, 'high', true, 'CT at 3–6 months, then consider CT at 18–24 months'],
+    ];
+    for (const [d, risk, multiple, interval] of solidCases) {
+        it(`${multiple ? 'multiple' : 'solitary'} solid ${d} mm, ${risk} risk → ${interval}`, () => {
+            assert.equal(recommend(nodule(d), { risk, multiple }).interval, interval);
+        });
+    }
+
+    it('rounds the mean diameter to the nearest millimetre at the 6 and 8 mm boundaries', () => {
+        const low = { risk: 'low', multiple: false };
+        assert.equal(recommend(nodule(5.4), low).interval, 'No routine follow-up');
+        assert.equal(recommend(nodule(5.5), low).rule, 'Solitary solid nodule 6–8 mm, low-risk patient');
+        assert.equal(recommend(nodule(8.4), low).rule, 'Solitary solid nodule 6–8 mm, low-risk patient');
+        assert.equal(recommend(nodule(8.5), low).rule, 'Solitary solid nodule > 8 mm');
+    });
+
+    const subsolidCases = [
+        // [diameter, type, multiple, rule]
+        [5, 'ground-glass', false, 'Solitary ground-glass nodule < 6 mm'],
+        [7, 'ground-glass', false, 'Solitary ground-glass nodule ≥ 6 mm'],
+        [5, 'part-solid', false, 'Solitary part-solid nodule < 6 mm'],
+        [7, 'part-solid', false, 'Solitary part-solid nodule ≥ 6 mm'],
+        [5, 'ground-glass', true, 'Multiple subsolid nodules < 6 mm'],
+        [7, 'part-solid', true, 'Multiple subsolid nodules, at least one ≥ 6 mm'],
+    ];
+    for (const [d, type, multiple, rule] of subsolidCases) {
+        it(`${multiple ? 'multiple' : 'solitary'} ${type} ${d} mm → ${rule}`, () => {
+            // Subsolid recommendations do not depend on patient risk
+            assert.equal(recommend(nodule(d, type), { risk: 'low', multiple }).rule, rule);
+            assert.equal(recommend(nodule(d, type), { risk: 'high', multiple }).rule, rule);
+        });
+    }
+
+    it('needs no follow-up for a nodule with benign features', () => {
+        assert.equal(recommend({ type: 'benign', diameterMm: 12 }, { risk: 'high', multiple: false }).interval, 'No routine follow-up');
+    });
+
+    it('rejects an unknown risk', () => {
+        assert.throws(() => recommend(nodule(7), { risk: 'moderate', multiple: false }), /Unknown Fleischner patient risk/);
+    });
+});
+
+describe('assessFleischner', () => {
+    const prediction = (technicalDetails, extra = {}) => ({ result: 'Nodule Detected - Benign', technicalDetails, ...extra });
+
+    it('assesses a patient without a stated risk as high risk', () => {
+        const assessment = assessFleischner(prediction({ noduleSize: '5 mm', density: 'Solid' }));
+        assert.equal(assessment.risk, 'high');
+        assert.equal(assessment.interval, 'Optional CT at 12 months');
+        assert.ok(assessment.assumptions.includes('Patient risk not provided — assessed as high risk'));
+    });
+
+    it('uses the stated risk and multiplicity', () => {
+        const assessment = assessFleischner(prediction({ noduleSize: '7 mm', density: 'Solid' }), { risk: 'low', multiple: true });
+        assert.equal(assessment.interval, 'CT at 3–6 months, then consider CT at 18–24 months');
+        assert.deepEqual(assessment.assumptions, []);
+    });
+
+    it('takes multiplicity from the nodules listed on the scan', () => {
+        const listed = prediction({ noduleSize: '7 mm', density: 'Solid' }, { nodules: [{}, {}] });
+        assert.equal(assessFleischner(listed, { risk: 'low' }).multiple, true);
+        assert.equal(assessFleischner(prediction({ noduleSize: '7 mm', density: 'Solid' }), { risk: 'low' }).multiple, false);
+    });
+
+    it('is not applicable without a nodule or a measurable size', () => {
+        assert.equal(assessFleischner({ result: 'No Nodule Detected' }).applicable, false);
+        assert.equal(assessFleischner(prediction({ noduleSize: 'N/A', density: 'Solid' })).applicable, false);
+    });
+});
+
+describe('parsePatientContext', () => {
+    it('normalizes the form fields', () => {
+        assert.deepEqual(parsePatientContext({ patientRisk: 'low', nodules: 'multiple' }), { risk: 'low', multiple: true });
+        assert.deepEqual(parsePatientContext({}), { risk: null, multiple: null });
+    });
+
+    it('rejects unknown values', () => {
+        assert.throws(() => parsePatientContext({ patientRisk: 'medium' }), /^Error: Invalid patient context/);
+        assert.throws(() => parsePatientContext({ nodules: 'many' }), /^Error: Invalid patient context/);
+    });
+});
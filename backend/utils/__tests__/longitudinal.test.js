@@ -0,0 +1,174 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { studyFor, matchNodules, compareAnalyses } = require('../longitudinal');
+const { RESULTS, RISK_LEVELS } = require('../predictionSchema');
+
+const PSEUDONYM = 'ANON-3F2A9C01D4';
+
+const nodule = (id, size, location, region = null) => ({ id, size, location, region, density: 'solid', diameterMm: parseFloat(size) });
+const circle = (cx, cy) => ({ kind: 'circle', cx, cy, r: 0.02 });
+
+/**
+ * Stored analysis as getPrediction() returns it, with one nodule per size.
+ */
+function record(id, { patientId = 'PT-1', patientIdSource = 'form', studyDate, dateSource = 'form', sizes = [] } = {}) {
+    return {
+        id,
+        createdAt: '2026-10-01T12:00:00.000Z',
+        patientId,
+        patientIdSource,
+        studyUid: null,
+        studyDate,
+        dateSource,
+        response: {
+            prediction: {
+                result: sizes.length ? RESULTS[3] : RESULTS[2],
+                riskLevel: sizes.length ? RISK_LEVELS[2] : RISK_LEVELS[0],
+                nodules: sizes.map((size, i) => ({ id: `n${i + 1}`, size: `${size} mm`, density: 'solid', location: 'right upper lobe', region: null })),
+            },
+        },
+    };
+}
+
+describe('studyFor', () => {
+    it('records a form date and patient ID as entered', () => {
+        const study = studyFor({ patientId: 'PT-1', studyDate: '2026-03-01' }, { patientId: PSEUDONYM, studyDate: '2019-07-14' });
+        assert.equal(study.patientId, 'PT-1');
+        assert.equal(study.patientIdSource, 'form');
+        assert.equal(study.studyDate, '2026-03-01');
+        assert.equal(study.dateSource, 'form');
+    });
+
+    it('records a DICOM date as shifted and its patient ID as the pseudonym', () => {
+        const study = studyFor({}, { patientId: PSEUDONYM, studyDate: '2019-07-14' });
+        assert.equal(study.patientIdSource, 'dicom-pseudonym');
+        assert.equal(study.studyDate, '2019-07-14');
+        assert.equal(study.dateSource, 'dicom-shifted');
+    });
+
+    it('takes the source from where the ID came from, not from its shape', () => {
+        assert.equal(studyFor({ patientId: PSEUDONYM }, null).patientIdSource, 'form');
+        assert.equal(studyFor({}, { patientId: 'PT-1' }).patientIdSource, 'dicom-pseudonym');
+    });
+
+    it('has no sources without a patient or date', () => {
+        const study = studyFor({}, null);
+        assert.equal(study.patientIdSource, null);
+        assert.equal(study.dateSource, null);
+    });
+});
+
+describe('matchNodules', () => {
+    it('pairs nodules in the same lobe and reports new and resolved ones', () => {
+        const prior = [nodule('a', '6 mm', 'right upper lobe'), nodule('b', '4 mm', 'left lower lobe')];
+        const current = [nodule('x', '7 mm', 'right upper lobe'), nodule('y', '5 mm', 'right middle lobe')];
+        const { pairs, resolved, added } = matchNodules(prior, current);
+        assert.deepEqual(pairs.map(p => [p.prior.id, p.current.id]), [['a', 'x']]);
+        assert.deepEqual(resolved.map(n => n.id), ['b']);
+        assert.deepEqual(added.map(n => n.id), ['y']);
+    });
+
+    it('never pairs nodules on different sides', () => {
+        const { pairs } = matchNodules([nodule('a', '6 mm', 'right lower lobe')], [nodule('x', '6 mm', 'left lower lobe')]);
+        assert.equal(pairs.length, 0);
+    });
+
+    it('pairs the nearest nodules when a lobe has several', () => {
+        const prior = [nodule('a', '6 mm', 'RUL', circle(0.3, 0.3)), nodule('b', '6 mm', 'RUL', circle(0.35, 0.4))];
+        const current = [nodule('x', '6 mm', 'RUL', circle(0.36, 0.41)), nodule('y', '6 mm', 'RUL', circle(0.31, 0.29))];
+        const { pairs } = matchNodules(prior, current);
+        assert.deepEqual(pairs.map(p => [p.prior.id, p.current.id]).sort(), [['a', 'y'], ['b', 'x']]);
+    });
+
+    it('does not pair marked nodules that are too far apart', () => {
+        const { pairs } = matchNodules([nodule('a', '6 mm', 'RUL', circle(0.2, 0.2))], [nodule('x', '6 mm', 'RUL', circle(0.6, 0.6))]);
+        assert.equal(pairs.length, 0);
+    });
+});
+
+describe('compareAnalyses', () => {
+    it('computes the volume doubling time as Δt × ln 2 / (3 × ln(d₂ / d₁))', () => {
+        // 365 × 0.6931 / (3 × ln 1.2) = 462.6
+        const comparison = compareAnalyses(
+            record('p1', { studyDate: '2025-01-01', sizes: [10] }),
+            record('p2', { studyDate: '2026-01-01', sizes: [12] })
+        );
+        assert.equal(comparison.intervalDays, 365);
+        const [growth] = comparison.matched;
+        assert.equal(growth.status, 'growing');
+        assert.equal(growth.vdtDays, 463);
+        assert.equal(growth.vdtCategory, 'indeterminate');
+        assert.equal(growth.volumeChangePercent, 72.8);
+        assert.deepEqual(comparison.summary.fastestVdt, { nodule: 'n1', vdtDays: 463, category: 'indeterminate' });
+    });
+
+    it('bands fast growth as suspicious', () => {
+        // 100 × 0.6931 / (3 × ln 1.25) = 103.5
+        const { matched } = compareAnalyses(
+            record('p1', { studyDate: '2026-01-01', sizes: [8] }),
+            record('p2', { studyDate: '2026-04-11', sizes: [10] })
+        );
+        assert.equal(matched[0].vdtDays, 104);
+        assert.equal(matched[0].vdtCategory, 'suspicious');
+    });
+
+    it('calls growth within the measurement error stable, without a doubling time', () => {
+        const { matched } = compareAnalyses(
+            record('p1', { studyDate: '2025-01-01', sizes: [10] }),
+            record('p2', { studyDate: '2026-01-01', sizes: [11.5] })
+        );
+        assert.equal(matched[0].status, 'stable');
+        assert.equal(matched[0].vdtDays, null);
+    });
+
+    it('keeps the interval between two shifted DICOM dates', () => {
+        const comparison = compareAnalyses(
+            record('p1', { patientId: PSEUDONYM, patientIdSource: 'dicom-pseudonym', studyDate: '2019-01-01', dateSource: 'dicom-shifted', sizes: [10] }),
+            record('p2', { patientId: PSEUDONYM, patientIdSource: 'dicom-pseudonym', studyDate: '2020-01-01', dateSource: 'dicom-shifted', sizes: [12] })
+        );
+        assert.equal(comparison.intervalDays, 365);
+        assert.equal(comparison.matched[0].vdtDays, 463);
+    });
+
+    it('estimates no doubling time between a shifted DICOM date and a form date', () => {
+        const comparison = compareAnalyses(
+            record('p1', { studyDate: '2019-01-01', dateSource: 'dicom-shifted', sizes: [10] }),
+            record('p2', { studyDate: '2026-01-01', dateSource: 'form', sizes: [12] })
+        );
+        assert.equal(comparison.intervalDays, null);
+        assert.equal(comparison.matched[0].status, 'growing');
+        assert.equal(comparison.matched[0].vdtDays, null);
+        assert.equal(comparison.summary.fastestVdt, null);
+        assert.ok(comparison.warnings.some(w => w.includes('shifted')));
+    });
+
+    it('does not refuse a shifted prior dated after the real current scan', () => {
+        const comparison = compareAnalyses(
+            record('p1', { studyDate: '2026-06-01', dateSource: 'dicom-shifted', sizes: [10] }),
+            record('p2', { studyDate: '2026-01-01', dateSource: 'form', sizes: [10] })
+        );
+        assert.equal(comparison.intervalDays, null);
+    });
+
+    it('explains a form patient ID against a DICOM pseudonym', () => {
+        assert.throws(
+            () => compareAnalyses(record('p1', { studyDate: '2025-01-01' }), record('p2', { patientId: PSEUDONYM, patientIdSource: 'dicom-pseudonym', studyDate: '2026-01-01' })),
+            /upload form and the other the DICOM pseudonym/
+        );
+        assert.throws(
+            () => compareAnalyses(record('p1', { studyDate: '2025-01-01' }), record('p2', { patientId: PSEUDONYM, studyDate: '2026-01-01' })),
+            /belong to different patients/
+        );
+        assert.throws(
+            () => compareAnalyses(record('p1', { studyDate: '2025-01-01' }), record('p2', { patientId: 'PT-2', studyDate: '2026-01-01' })),
+            /belong to different patients/
+        );
+    });
+
+    it('refuses a prior scan dated after the current one', () => {
+        assert.throws(
+            () => compareAnalyses(record('p1', { studyDate: '2026-01-01' }), record('p2', { studyDate: '2025-01-01' })),
+            /prior scan \(2026-01-01\) is later/
+        );
+    });
+});
@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseNoduleSize,
+    parseNoduleType,
+    parseNodule,
+    categorize,
+    assessLungRads,
+} = require('../lungRads');
+
+const solid = (diameterMm, extra = {}) => ({ type: 'solid', diameterMm, solidComponentMm: null, spiculated: false, juxtapleural: false, ...extra });
+const category = (nodule, options) => categorize(nodule, options).category;
+
+describe('parseNoduleSize', () => {
+    it('averages the two axes of "8 x 6 mm"', () => {
+        assert.deepEqual(parseNoduleSize('8 x 6 mm'), { diameterMm: 7, solidComponentMm: null });
+    });
+
+    it('ignores a third craniocaudal axis', () => {
+        assert.equal(parseNoduleSize('12 × 9 × 20 mm').diameterMm, 10.5);
+    });
+
+    it('converts centimetres', () => {
+        assert.equal(parseNoduleSize('1.2 cm').diameterMm, 12);
+        assert.equal(parseNoduleSize('1.4 x 1.0 cm').diameterMm, 12);
+    });
+
+    it('reads a solid component apart from the total size', () => {
+        assert.deepEqual(parseNoduleSize('12 mm (solid component 5 mm)'), { diameterMm: 12, solidComponentMm: 5 });
+        assert.deepEqual(parseNoduleSize('solid component 5 mm'), { diameterMm: null, solidComponentMm: 5 });
+    });
+
+    it('returns nulls for text without a size', () => {
+        assert.deepEqual(parseNoduleSize('N/A'), { diameterMm: null, solidComponentMm: null });
+        assert.deepEqual(parseNoduleSize(undefined), { diameterMm: null, solidComponentMm: null });
+    });
+});
+
+describe('parseNoduleType', () => {
+    it('recognizes each density', () => {
+        assert.equal(parseNoduleType('Solid'), 'solid');
+        assert.equal(parseNoduleType('Part-solid'), 'part-solid');
+        assert.equal(parseNoduleType('Ground-glass opacity'), 'ground-glass');
+        assert.equal(parseNoduleType('Non-solid'), 'ground-glass');
+        assert.equal(parseNoduleType('Calcified'), 'benign');
+        assert.equal(parseNoduleType('N/A'), null);
+    });
+});
+
+describe('parseNodule', () => {
+    it('assesses a nodule without a reported density as solid', () => {
+        const nodule = parseNodule({ noduleSize: '7 mm', density: 'N/A' });
+        assert.equal(nodule.type, 'solid');
+        assert.deepEqual(nodule.assumptions, ['Density not reported — assessed as a solid nodule']);
+    });
+
+    it('makes no assumption when neither size nor density is reported', () => {
+        const nodule = parseNodule({ noduleSize: 'N/A' });
+        assert.equal(nodule.type, null);
+        assert.deepEqual(nodule.assumptions, []);
+    });
+
+    it('takes the solid component from the density text of a part-solid nodule', () => {
+        const nodule = parseNodule({ noduleSize: '14 mm', density: 'Part-solid, solid component 7 mm' });
+        assert.equal(nodule.solidComponentMm, 7);
+    });
+
+    it('flags juxtapleural nodules only with smooth, benign-looking shapes', () => {
+        assert.equal(parseNodule({ noduleSize: '6 mm', shape: 'Smooth, lentiform', location: 'Perifissural, RML' }).juxtapleural, true);
+        assert.equal(parseNodule({ noduleSize: '6 mm', shape: 'Irregular', location: 'Subpleural, RUL' }).juxtapleural, false);
+    });
+});
+
+describe('categorize', () => {
+    it('puts solid baseline nodules at the 6 / 8 / 15 mm boundaries', () => {
+        assert.equal(category(solid(5.9)), '2');
+        assert.equal(category(solid(6)), '3');
+        assert.equal(category(solid(7.9)), '3');
+        assert.equal(category(solid(8)), '4A');
+        assert.equal(category(solid(14.9)), '4A');
+        assert.equal(category(solid(15)), '4B');
+    });
+
+    it('puts new solid nodules at the 4 / 6 / 8 mm boundaries', () => {
+        const status = 'new';
+        assert.equal(category(solid(3.9), { status }), '2');
+        assert.equal(category(solid(4), { status }), '3');
+        assert.equal(category(solid(5.9), { status }), '3');
+        assert.equal(category(solid(6), { status }), '4A');
+        assert.equal(category(solid(7.9), { status }), '4A');
+        assert.equal(category(solid(8), { status }), '4B');
+    });
+
+    it('puts part-solid nodules by their solid component at 6 / 8 mm', () => {
+        const partSolid = (solidComponentMm) => solid(12, { type: 'part-solid', solidComponentMm });
+        assert.equal(category(partSolid(5.9)), '3');
+        assert.equal(category(partSolid(6)), '4A');
+        assert.equal(category(partSolid(7.9)), '4A');
+        assert.equal(category(partSolid(8)), '4B');
+        assert.equal(category(solid(5.9, { type: 'part-solid', solidComponentMm: 5.9 })), '2');
+    });
+
+    it('puts ground-glass nodules at the 30 mm boundary', () => {
+        assert.equal(category(solid(29.9, { type: 'ground-glass' })), '2');
+        assert.equal(category(solid(30, { type: 'ground-glass' })), '3');
+    });
+
+    it('puts juxtapleural nodules under 10 mm at baseline in category 2', () => {
+        assert.equal(category(solid(9.9, { juxtapleural: true })), '2');
+        assert.equal(category(solid(10, { juxtapleural: true })), '4A');
+        assert.equal(category(solid(9, { juxtapleural: true }), { status: 'new' }), '4B');
+    });
+
+    it('upgrades only categories 3 and 4 to 4X for spiculation', () => {
+        const spiculated = (diameterMm) => solid(diameterMm, { spiculated: true });
+        assert.equal(category(spiculated(5)), '2');
+        assert.equal(category(spiculated(7)), '4X');
+        assert.equal(category(spiculated(10)), '4X');
+        assert.equal(category(spiculated(20)), '4X');
+        assert.equal(category({ type: 'benign', spiculated: true }), '1');
+    });
+
+    it('gives category 1 without a nodule', () => {
+        assert.equal(category(null), '1');
+    });
+
+    it('rejects an unknown nodule status', () => {
+        assert.throws(() => categorize(solid(6), { status: 'stable' }), /Unknown Lung-RADS nodule status/);
+    });
+});
+
+describe('assessLungRads', () => {
+    const prediction = (technicalDetails) => ({ result: 'Nodule Detected - Malignant', technicalDetails });
+
+    it('assesses a prediction from its free-text technical details', () => {
+        const assessment = assessLungRads(prediction({ noduleSize: '8 x 6 mm', density: 'Solid', shape: 'Round' }));
+        assert.equal(assessment.applicable, true);
+        assert.equal(assessment.category, '3');
+        assert.equal(assessment.nodule.diameterMm, 7);
+    });
+
+    it('states the solid assumption when density is not reported', () => {
+        const assessment = assessLungRads(prediction({ noduleSize: '1.2 cm', density: 'N/A' }));
+        assert.equal(assessment.category, '4A');
+        assert.ok(assessment.assumptions.includes('Density not reported — assessed as a solid nodule'));
+    });
+
+    it('assesses a part-solid nodule without a measured solid component at its full size', () => {
+        const assessment = assessLungRads(prediction({ noduleSize: '9 mm', density: 'Part-solid' }));
+        assert.equal(assessment.category, '4B');
+        assert.ok(assessment.assumptions.includes('Solid component not measured — assessed at the full nodule size'));
+    });
+
+    it('is category 1 when no nodule was detected', () => {
+        assert.equal(assessLungRads({ result: 'No Nodule Detected' }).category, '1');
+    });
+
+    it('is not applicable when the size cannot be measured or the image is not a CT', () => {
+        assert.equal(assessLungRads(prediction({ noduleSize: 'N/A', density: 'Solid' })).applicable, false);
+        assert.equal(assessLungRads({ ...prediction({ noduleSize: '8 mm' }), imageQuality: 'Not a CT scan' }).applicable, false);
+        assert.equal(assessLungRads({ parseStatus: 'unparseable' }).applicable, false);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const modelHealth = require('../modelHealth');
+
+const quota = Object.assign(new Error('429 Too Many Requests'), { retryAfterMs: 1000 });
+
+describe('tryAcquireProbe', () => {
+    it('always grants requests to a healthy model', () => {
+        assert.equal(modelHealth.tryAcquireProbe('test', 'healthy', 0), true);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'healthy', 0), true);
+    });
+
+    it('grants no request while the circuit is open', () => {
+        modelHealth.recordFailure('test', 'open', 'quota', quota, 0);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'open', 500), false);
+    });
+
+    it('lets exactly one request probe a half-open model', () => {
+        modelHealth.recordFailure('test', 'half-open', 'quota', quota, 0);
+        assert.equal(modelHealth.isAvailable('test', 'half-open', 2000), true);
+
+        // Both callers saw it available before either claimed it
+        assert.equal(modelHealth.tryAcquireProbe('test', 'half-open', 2000), true);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'half-open', 2001), false);
+
+        modelHealth.recordSuccess('test', 'half-open', 2500);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'half-open', 2600), true);
+    });
+
+    it('hands the probe to another request when the first one is lost', () => {
+        modelHealth.recordFailure('test', 'lost', 'quota', quota, 0);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'lost', 2000), true);
+        assert.equal(modelHealth.tryAcquireProbe('test', 'lost', 2000 + 2 * 60 * 1000 + 1), true);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateRiskInputs,
+    noduleFromPrediction,
+    brockProbability,
+    mayoProbability,
+    calculateRisk,
+} = require('../riskModels');
+
+const PATIENT = { age: 62, sex: 'female', smoking: 'current' };
+const NODULE = { diameterMm: 10, type: 'solid', upperLobe: true, spiculated: true, count: 1 };
+
+const to3 = (value) => Math.round(value * 1000) / 1000;
+
+describe('brockProbability', () => {
+    it('matches the published coefficients for a spiculated upper-lobe solid nodule', () => {
+        // x = -6.7892 + 0.6011 (female) - 5.3854 × ((10/10)^-0.5 - 1.58113883)
+        //     + 0.6581 (upper lobe) - 0.0824 × (1 - 4) + 0.7729 (spiculation) = -1.3802
+        const result = brockProbability(validateRiskInputs(PATIENT, NODULE));
+        assert.equal(to3(result.probability), 0.201);
+        assert.equal(result.percent, 20.1);
+    });
+
+    it('matches the published coefficients for a small ground-glass nodule', () => {
+        // x = -6.7892 + 0.0287 × (55 - 62) + 0.2961 + 0.2953 - 5.3854 × ((6/10)^-0.5 - 1.58113883)
+        //     - 0.1276 (ground glass) - 0.0824 × (3 - 4) = -4.8813
+        const inputs = validateRiskInputs(
+            { age: 55, sex: 'male', smoking: 'current', familyHistory: true, emphysema: true },
+            { diameterMm: 6, type: 'ground-glass', upperLobe: false, count: 3 }
+        );
+        assert.equal(to3(brockProbability(inputs).probability), 0.008);
+    });
+});
+
+describe('mayoProbability', () => {
+    it('matches the published coefficients for a spiculated upper-lobe nodule in a former smoker', () => {
+        // x = -6.8272 + 0.0391 × 65 + 0.7917 (smoker) + 0.1274 × 15 + 1.0407 (spiculation) + 0.7838 (upper lobe) = 0.2415
+        const inputs = validateRiskInputs({ age: 65, sex: 'male', smoking: 'former' }, { ...NODULE, diameterMm: 15 });
+        assert.equal(to3(mayoProbability(inputs).probability), 0.560);
+    });
+
+    it('counts prior extrathoracic cancer and not never-smoking', () => {
+        // x = -6.8272 + 0.0391 × 70 + 1.3388 (cancer) + 0.1274 × 8 = -1.7322
+        const inputs = validateRiskInputs(
+            { age: 70, sex: 'female', smoking: 'never', cancerHistory: true },
+            { diameterMm: 8, type: 'solid', upperLobe: false, spiculated: false }
+        );
+        assert.equal(to3(mayoProbability(inputs).probability), 0.150);
+    });
+});
+
+describe('validateRiskInputs', () => {
+    it('rejects an age out of range', () => {
+        assert.throws(() => validateRiskInputs({ ...PATIENT, age: 17 }, NODULE), { message: 'Invalid risk input: age must be between 18 and 110' });
+        assert.throws(() => validateRiskInputs({ ...PATIENT, age: 111 }, NODULE), /age must be between 18 and 110/);
+        assert.throws(() => validateRiskInputs({ ...PATIENT, age: '' }, NODULE), /age is required/);
+    });
+
+    it('rejects an unknown sex or smoking status', () => {
+        assert.throws(() => validateRiskInputs({ ...PATIENT, sex: 'unknown' }, NODULE), /Invalid risk input: sex must be one of female, male/);
+        assert.throws(() => validateRiskInputs({ ...PATIENT, smoking: 'sometimes' }, NODULE), /Invalid risk input: smoking must be one of never, former, current/);
+    });
+
+    it('rejects a nodule count that is not a whole number', () => {
+        assert.throws(() => validateRiskInputs(PATIENT, { ...NODULE, count: 2.5 }), { message: 'Invalid risk input: nodule count must be a whole number' });
+    });
+
+    it('rejects an unknown nodule type and non-boolean flags', () => {
+        assert.throws(() => validateRiskInputs(PATIENT, { ...NODULE, type: 'calcified' }), /nodule type must be one of/);
+        assert.throws(() => validateRiskInputs({ ...PATIENT, emphysema: 'yes' }, NODULE), /emphysema must be true or false/);
+    });
+
+    it('normalizes form values', () => {
+        const { patient, nodule } = validateRiskInputs(
+            { ...PATIENT, age: '62', familyHistory: 'true' },
+            { ...NODULE, diameterMm: '10', spiculated: 'false', count: '' }
+        );
+        assert.equal(patient.age, 62);
+        assert.equal(patient.familyHistory, true);
+        assert.equal(patient.emphysema, false);
+        assert.equal(nodule.spiculated, false);
+        assert.equal(nodule.count, 1);
+    });
+});
+
+describe('calculateRisk', () => {
+    it('warns for inputs outside the derivation cohorts', () => {
+        const { warnings } = calculateRisk(validateRiskInputs({ ...PATIENT, age: 80 }, { ...NODULE, diameterMm: 3, count: 2 }));
+        assert.equal(warnings.length, 3);
+    });
+});
+
+describe('noduleFromPrediction', () => {
+    it('reads the nodule inputs from the technical details', () => {
+        const nodule = noduleFromPrediction({
+            result: 'Nodule Detected - Malignant',
+            technicalDetails: { noduleSize: '12 x 8 mm', density: 'Solid', shape: 'Spiculated', location: 'RUL' },
+            nodules: [{}, {}],
+        });
+        assert.deepEqual(nodule, { spiculated: true, diameterMm: 10, type: 'solid', upperLobe: true, count: 2 });
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * AI REQUEST SCHEDULER
+ * Central token-bucket queue in front of every model call, so bursts of
+ * uploads wait for quota instead of failing with 429s.
+ *
+ *   - One bucket per provider/model, refilled at its requests-per-minute
+ *     limit, plus a requests-per-day counter (reset at 00:00 UTC)
+ *   - Jobs wait in priority order: interactive chat before batch analysis
+ *   - A waiting job never loses its model to a job queued behind it
+ *
+ * Limits come from the provider's rateLimits table, overridden by
+ *   AI_RATE_LIMITS – "model=rpm/rpd" entries, comma-separated; "*" sets the default
+ *                    (e.g. "gemini-2.0-flash=15/1500,*=10/500")
+ * Models with no known limit are not throttled.
+ *
+ *   AI_QUEUE_MAX_LENGTH  – jobs allowed to wait at once (default 50)
+ *   AI_QUEUE_MAX_WAIT_MS – longest a job may wait before it is rejected (default 180000) */
+
+const { providerError } = require('../providers/providerError');
+
+const PRIORITY = { chat: 0, analysis: 1 };
+
+const MAX_QUEUE_LENGTH = parseInt(process.env.AI_QUEUE_MAX_LENGTH, 10) || 50;
+const MAX_WAIT_MS = parseInt(process.env.AI_QUEUE_MAX_WAIT_MS, 10) || 3 * 60 * 1000;
+
+const buckets = new Map();
+const queue = [];
+let sequence = 0;
+let timer = null;
+
+
+// RATE LIMITS
+
+
+function parseLimitOverrides(value) {
+    const overrides = {};
+    for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const match = /^(.+)=(\d+)\/(\d+)$/.exec(entry);
+        if (!match) {
+            console.warn(`⚠️  Ignoring malformed AI_RATE_LIMITS entry "${entry}" (expected model=rpm/rpd)`);
+            continue;
+        }
+        overrides[match[1]] = { rpm: parseInt(match[2], 10), rpd: parseInt(match[3], 10) };
+    }
+    return overrides;
+}
+
+const OVERRIDES = parseLimitOverrides(process.env.AI_RATE_LIMITS);
+
+function limitsFor(provider, model) {
+    return OVERRIDES[model] || provider.rateLimits?.[model] || OVERRIDES['*'] || null;
+}
+
+function startOfUtcDay(now) {
+    const d = new Date(now);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function getBucket(provider, model, now = Date.now()) {
+    const key = `${provider.id}/${model}`;
+    if (!buckets.has(key)) {
+        const limits = limitsFor(provider, model);
+        buckets.set(key, {
+            key,
+            limits,
+            tokens: limits ? limits.rpm : Infinity,
+            refilledAt: now,
+            day: startOfUtcDay(now),
+            usedToday: 0,
+        });
+    }
+
+    return refill(buckets.get(key), now);
+}
+
+function refill(bucket, now) {
+    if (!bucket.limits) return bucket;
+
+    bucket.tokens = Math.min(bucket.limits.rpm, bucket.tokens + ((now - bucket.refilledAt) * bucket.limits.rpm) / 60000);
+    bucket.refilledAt = now;
+    if (startOfUtcDay(now) !== bucket.day) {
+        bucket.day = startOfUtcDay(now);
+        bucket.usedToday = 0;
+    }
+    return bucket;
+}
+
+function dailyExhausted(bucket) {
+    return bucket.limits && bucket.usedToday >= bucket.limits.rpd;
+}
+
+function hasToken(bucket) {
+    return bucket.tokens >= 1 && !dailyExhausted(bucket);
+}
+
+/**
+ * Milliseconds until the bucket has a token again (Infinity if the daily quota is used up).
+ */
+function msUntilToken(bucket) {
+    if (dailyExhausted(bucket)) return Infinity;
+    if (!bucket.limits || bucket.tokens >= 1) return 0;
+    return Math.ceil(((1 - bucket.tokens) * 60000) / bucket.limits.rpm);
+}
+
+
+// QUEUE
+
+
+/**
+ * Estimated wait for a job at a queue position, from the combined refill
+ * rate of its candidate models.
+ */
+function estimateWaitMs(job, position) {
+    const states = job.candidates.map(({ provider, model }) => getBucket(provider, model));
+    if (states.some(b => !b.limits && !dailyExhausted(b))) return 0;
+
+    const usable = states.filter(b => !dailyExhausted(b));
+    const perMs = usable.reduce((sum, b) => sum + b.limits.rpm / 60000, 0);
+    const ready = usable.reduce((sum, b) => sum + Math.floor(b.tokens), 0);
+    return perMs ? Math.max(0, Math.ceil((position - ready) / perMs)) : Infinity;
+}
+
+function positionOf(job) {
+    return queue.indexOf(job) + 1;
+}
+
+function sortQueue() {
+    queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+}
+
+/**
+ * Grant tokens to as many waiting jobs as possible, in priority order.
+ */
+function pump() {
+    clearTimeout(timer);
+    timer = null;
+
+    const now = Date.now();
+    const reserved = new Set();
+    let nextCheck = Infinity;
+
+    for (const job of [...queue]) {
+        const free = job.candidates.find(({ provider, model }) =>
+            !reserved.has(`${provider.id}/${model}`) && hasToken(getBucket(provider, model, now)));
+
+        if (free) {
+            const bucket = getBucket(free.provider, free.model, now);
+            bucket.tokens -= 1;
+            bucket.usedToday += 1;
+            queue.splice(queue.indexOf(job), 1);
+            clearTimeout(job.deadline);
+            job.resolve({ model: free.model, waitedMs: now - job.enqueuedAt, position: job.initialPosition });
+            continue;
+        }
+
+        // Keep this job's models for it, so jobs behind it cannot take them
+        for (const { provider, model } of job.candidates) {
+            const bucket = getBucket(provider, model, now);
+            reserved.add(bucket.key);
+            nextCheck = Math.min(nextCheck, msUntilToken(bucket));
+        }
+    }
+
+    for (const job of queue) {
+        if (job.onQueued) job.onQueued({ position: positionOf(job), estimatedWaitMs: estimateWaitMs(job, positionOf(job)) });
+    }
+
+    if (queue.length && Number.isFinite(nextCheck)) {
+        timer = setTimeout(pump, Math.max(nextCheck, 50));
+        timer.unref();
+    }
+}
+
+/**
+ * Wait for a request slot on one of the candidate models.
+ * @param {Object} provider - Provider the models belong to
+ * @param {string[]} models - Candidates in cascade order; the first with quota is granted
+ * @param {Object} [options]
+ * @param {'chat'|'analysis'} [options.kind] - Queue priority (default 'analysis')
+ * @param {Function} [options.onQueued] - ({ position, estimatedWaitMs }) while the job waits
+ * @param {AbortSignal} [options.signal] - Gives up the place in the queue, e.g. when the client has gone
+ * @returns {Promise<{ model: string, waitedMs: number, position: number }>}
+ */
+function acquire(provider, models, { kind = 'analysis', onQueued, signal } = {}) {
+    const candidates = models.map(model => ({ provider, model }));
+
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    if (candidates.every(({ model }) => dailyExhausted(getBucket(provider, model)))) {
+        return Promise.reject(providerError(
+            provider,
+            `${provider.displayName}: quota-exceeded on all models (daily request limit reached for ${models.join(', ')}).`,
+            { kind: 'quota' }
+        ));
+    }
+    if (queue.length >= MAX_QUEUE_LENGTH) {
+        return Promise.reject(providerError(
+            provider,
+            `AI request queue is full (${queue.length} waiting): quota-exceeded on all models for now. Please try again shortly.`,
+            { kind: 'quota' }
+        ));
+    }
+
+    return new Promise((resolve, reject) => {
+        const job = {
+            seq: ++sequence,
+            priority: PRIORITY[kind] ?? PRIORITY.analysis,
+            candidates,
+            enqueuedAt: Date.now(),
+            onQueued,
+        };
+
+        const leave = () => {
+            clearTimeout(job.deadline);
+            signal?.removeEventListener('abort', onAbort);
+            queue.splice(queue.indexOf(job), 1);
+        };
+        const onAbort = () => {
+            leave();
+            console.log(`⏹️  Queued ${kind} request cancelled`);
+            reject(signal.reason);
+            // Models this job was holding may now go to the jobs behind it
+            pump();
+        };
+        job.resolve = (slot) => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(slot);
+        };
+
+        job.deadline = setTimeout(() => {
+            leave();
+            reject(providerError(
+                provider,
+                `${provider.displayName}: quota-exceeded on all models — waited ${Math.round(MAX_WAIT_MS / 1000)}s in the AI request queue.`,
+                { kind: 'quota', retryAfterSeconds: 60 }
+            ));
+        }, MAX_WAIT_MS);
+        job.deadline.unref();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        queue.push(job);
+        sortQueue();
+        job.initialPosition = positionOf(job);
+        if (job.initialPosition > 1 || !candidates.some(({ model }) => hasToken(getBucket(provider, model)))) {
+            console.log(`⏳ Queued ${kind} request at position ${job.initialPosition}`);
+        }
+        pump();
+    });
+}
+
+/**
+ * Queue length and per-model quota, for the status endpoint.
+ */
+function getQueueStatus() {
+    const now = Date.now();
+    return {
+        length: queue.length,
+        waiting: {
+            chat: queue.filter(j => j.priority === PRIORITY.chat).length,
+            analysis: queue.filter(j => j.priority === PRIORITY.analysis).length,
+        },
+        oldestWaitMs: queue.length ? now - Math.min(...queue.map(j => j.enqueuedAt)) : 0,
+        models: [...buckets.values()].map(b => {
+            refill(b, now);
+            const wait = msUntilToken(b);
+            return {
+                model: b.key,
+                rpm: b.limits?.rpm ?? null,
+                rpd: b.limits?.rpd ?? null,
+                tokensAvailable: b.limits ? Math.floor(b.tokens) : null,
+                usedToday: b.usedToday,
+                nextTokenInMs: Number.isFinite(wait) ? wait : null,
+            };
+        }),
+    };
+}
+
+module.exports = { PRIORITY, acquire, getQueueStatus };
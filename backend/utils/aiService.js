@@ -0,0 +1,724 @@
+/**
+ * AI SERVICE — SMART MODEL CASCADE
+ * Real AI-powered pulmonary nodule detection and medical chat.
+ * Automatically tries multiple models so quota issues on one
+ * never block the analysis.
+ *
+ * The model transport comes from the configured provider (see providers/):
+ * Google Gemini by default, or any OpenAI-compatible server. Routes only use
+ * the functions exported here and never talk to a provider directly. */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { resolveTask, resolveEnsemble } = require('../providers');
+const { providerError, errorKind } = require('../providers/providerError');
+const { RESULTS, RISK_LEVELS, IMAGE_QUALITIES, SUSPICION_LEVELS, NODULE_CLASSIFICATIONS, PREDICTION_SCHEMA, validate } = require('./predictionSchema');
+const { assertVoteMethod, aggregateVotes } = require('./consensus');
+const modelHealth = require('./modelHealth');
+const aiScheduler = require('./aiScheduler');
+const { assessLungRads } = require('./lungRads');
+const { assessFleischner } = require('./fleischner');
+const { calibratePrediction } = require('./calibration');
+const { localizeNodules } = require('./noduleRegions');
+const { summarizeNodules } = require('./noduleSummary');
+const { renderPrompt } = require('./promptRegistry');
+
+
+// HELPERS
+
+
+/**
+ * Circuit-breaker kind of a model failure, from the status and error code the
+ * provider returned (see providers/providerError.js) — never from the message
+ * text, so an unrelated "not found" cannot remove a working model.
+ * @returns {'quota'|'notFound'|'other'}
+ */
+function classifyError(err) {
+    const kind = errorKind(err);
+    return kind === 'quota' || kind === 'notFound' ? kind : 'other';
+}
+
+/**
+ * Call one model and record the outcome in its circuit breaker.
+ * The caller must have claimed the request with modelHealth.tryAcquireProbe.
+ * A call the caller aborted says nothing about the model and is not recorded.
+ */
+async function callModel(provider, modelName, fn, signal) {
+    try {
+        const result = await fn();
+        modelHealth.recordSuccess(provider.id, modelName);
+        return result;
+    } catch (err) {
+        if (signal?.aborted) {
+            modelHealth.releaseProbe(provider.id, modelName);
+            throw signal.reason;
+        }
+        modelHealth.recordFailure(provider.id, modelName, classifyError(err), err);
+        throw err;
+    }
+}
+
+/**
+ * Try each model of the task's provider in turn; skip to the next on quota/404 errors.
+ * Models whose circuit is open (cooling down) or removed are not called at all, and
+ * every call waits for a slot from the request scheduler.
+ * @param {'vision'|'chat'} task
+ * @param {Function} fn - (provider, modelName) => Promise<result>
+ * @param {Object} [queue] - { onQueued, onProgress, stats: { waitedMs } } for queue and progress reporting,
+ *                           and { signal } to give up (in the queue or mid-call) once the caller has gone
+ */
+async function tryModels(task, fn, queue = {}) {
+    const { provider, models } = resolveTask(task);
+    provider.assertConfigured();
+
+    const available = models.filter(m => modelHealth.isAvailable(provider.id, m));
+    if (available.length < models.length) {
+        console.log(`⏭️  Skipping ${models.filter(m => !available.includes(m)).join(', ')} (cooling down or removed)`);
+    }
+
+    const errors = [];
+    let remaining = available;
+    while (remaining.length) {
+        // The scheduler grants the first model (in cascade order) that has quota left
+        const slot = await aiScheduler.acquire(provider, remaining, {
+            kind: task === 'chat' ? 'chat' : 'analysis',
+            onQueued: queue.onQueued,
+            signal: queue.signal,
+        });
+        if (queue.stats) queue.stats.waitedMs += slot.waitedMs;
+        const modelName = slot.model;
+        remaining = remaining.filter(m => m !== modelName);
+
+        // The breaker may have changed while the job waited, e.g. another request took the probe
+        if (!modelHealth.tryAcquireProbe(provider.id, modelName)) {
+            console.log(`⏭️  Skipping ${modelName} (cooling down or already being probed)`);
+            errors.push(`${modelName}: cooling down`);
+            continue;
+        }
+
+        queue.onProgress?.('model-attempt', { provider: provider.id, model: modelName });
+        try {
+            const result = await callModel(provider, modelName, () => fn(provider, modelName), queue.signal);
+            console.log(`✅ Used model: ${provider.id}/${modelName}`);
+            return { result, modelName, provider };
+        } catch (err) {
+            const kind = classifyError(err);
+            if (kind !== 'other') {
+                console.warn(`⚠️  ${modelName} unavailable (${kind === 'quota' ? 'quota' : '404'}) — trying next model`);
+                errors.push(`${modelName}: ${kind === 'quota' ? 'quota exceeded' : 'not found'}`);
+                queue.onProgress?.('model-failed', { model: modelName, reason: kind === 'quota' ? 'quota' : 'not found' });
+                continue;
+            }
+            // Non-quota error — throw immediately
+            throw err;
+        }
+    }
+
+    // All models exhausted
+    const nextAt = modelHealth.nextAvailableAt(provider.id, models);
+    if (nextAt === null) {
+        throw providerError(
+            provider,
+            `${provider.displayName}: all configured models were removed after 404 responses (${models.join(', ')}). ` +
+            `Please check AI_${task.toUpperCase()}_MODELS in backend/.env.`,
+            { kind: 'notFound' }
+        );
+    }
+    const retryAfterSeconds = Math.max(1, Math.ceil((nextAt - Date.now()) / 1000));
+    throw providerError(
+        provider,
+        `${provider.displayName}: quota-exceeded on all models. Next model available in ${retryAfterSeconds}s.\n` +
+        `Details: ${errors.length ? errors.join(' | ') : 'all models cooling down'}`,
+        { kind: 'quota', retryAfterSeconds }
+    );
+}
+
+
+// CT SCAN ANALYSIS
+
+
+// JSON skeleton the vision prompt asks for ({{outputSchema}} in prompts/vision/),
+// kept in code so it always matches the enums the output is validated against
+const OUTPUT_SCHEMA = `{
+  "result": "<one of: ${RESULTS.map(r => `'${r}'`).join(', ')}>",
+  "confidence": <integer 0-100, the probability in percent that your result is right; use the whole range>,
+  "riskLevel": "<one of: ${RISK_LEVELS.join(', ')}>",
+  "description": "<2-3 sentence clinical description>",
+  "technicalDetails": {
+    "noduleSize": "<e.g. '8.5 mm' or 'N/A'>",
+    "location": "<e.g. 'Right Upper Lobe' or 'N/A'>",
+    "shape": "<e.g. 'Round, well-defined' or 'N/A'>",
+    "density": "<e.g. 'Solid', 'Ground-glass', 'Part-solid' or 'N/A'>"
+  },
+  "recommendations": ["<rec 1>","<rec 2>","<rec 3>","<rec 4>"],
+  "imageQuality": "<one of: ${IMAGE_QUALITIES.join(', ')}>",
+  "findings": "<radiological findings 2-4 sentences based only on what is visible>",
+  "nodules": [
+    {
+      "image": <0-based index of the image the nodule is on; 0 for a single image>,
+      "region": <where the nodule is, as fractions of the image width (x) and height (y) from the top-left corner:
+                 either { "x": <left>, "y": <top>, "width": <w>, "height": <h> }
+                 or { "cx": <centre x>, "cy": <centre y>, "r": <radius as a fraction of the width> }>,
+      "size": "<e.g. '8.5 mm'>",
+      "shape": "<e.g. 'Round, well-defined'>",
+      "density": "<e.g. 'Solid', 'Ground-glass', 'Part-solid'>",
+      "classification": "<one of: ${NODULE_CLASSIFICATIONS.join(', ')}>",
+      "suspicion": "<one of: ${SUSPICION_LEVELS.join(', ')}>",
+      "location": "<e.g. 'Right Upper Lobe'>"
+    }
+  ]
+}
+List every nodule you see in "nodules", each with its own measurements (an empty array when there is none),
+and describe the most suspicious one in "technicalDetails".`;
+
+// Re-asks allowed when the model output fails schema validation
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.AI_REPAIR_ATTEMPTS, 10) >= 0
+    ? parseInt(process.env.AI_REPAIR_ATTEMPTS, 10)
+    : 2;
+
+/**
+ * Describe a multi-image request so the model reads the slices together.
+ */
+function seriesPromptContext(imageCount, { sliceIndices, mode } = {}) {
+    if (mode === 'mip') {
+        return `The image is a maximum-intensity projection (MIP) of axial CT slices ${sliceIndices[0]}-${sliceIndices[sliceIndices.length - 1]} from one series. ` +
+            'Bright round foci that do not continue as branching vessels are suspicious for nodules.\n\n';
+    }
+    if (imageCount > 1) {
+        const labels = sliceIndices ? ` (slice indices ${sliceIndices.join(', ')}, in scan order)` : '';
+        return `The ${imageCount} images are axial slices from the same CT series${labels}. ` +
+            'Assess them together as one study and report a single combined result.\n\n';
+    }
+    return '';
+}
+
+/**
+ * Clinical context from the upload form, so the model knows what the
+ * referring clinician already reported.
+ */
+function patientPromptContext(patient) {
+    if (!patient) return '';
+    const facts = [];
+    if (patient.risk) facts.push(`the patient is at ${patient.risk} risk for lung cancer`);
+    if (patient.multiple !== null && patient.multiple !== undefined) {
+        facts.push(patient.multiple ? 'more than one nodule has been reported' : 'a single nodule has been reported');
+    }
+    return facts.length ? `Clinical context: ${facts.join('; ')}.\n` : '';
+}
+
+/**
+ * Render the vision prompt for a request.
+ * @param {number} imageCount - Images sent with the prompt
+ * @param {Object} [options] - analyzeCTScan options (sliceIndices, mode, patient,
+ *                             language, promptVersion, promptKey)
+ * @returns {{ id, version, hash, text }}
+ */
+function renderVisionPrompt(imageCount, options = {}) {
+    return renderPrompt('vision', {
+        seriesContext: seriesPromptContext(imageCount, options),
+        patientContext: patientPromptContext(options.patient),
+        outputSchema: OUTPUT_SCHEMA,
+        ...(options.language && { language: options.language }),
+    }, { version: options.promptVersion, key: options.promptKey });
+}
+
+/**
+ * Analyze one or more CT scan images using the best available vision model,
+ * or with several models at once in consensus mode.
+ * @param {string|string[]} imagePaths - Absolute path(s) to the image(s) to analyze
+ * @param {Object} [options]
+ * @param {number[]} [options.sliceIndices] - Series slice indices the images came from
+ * @param {string} [options.mode] - 'slices' or 'mip' for series analysis
+ * @param {string} [options.sourceName] - Original upload file name (single image only)
+ * @param {boolean} [options.consensus] - Run every ensemble model and vote
+ * @param {string} [options.vote] - 'majority' or 'weighted' (consensus only)
+ * @param {Object} [options.patient] - { risk, multiple } for the Fleischner follow-up (see fleischner.js)
+ * @param {string} [options.language] - Language of the free-text fields (default PROMPT_LANGUAGE)
+ * @param {string} [options.promptVersion] - Vision prompt version to use instead of the active one
+ * @param {string} [options.promptKey] - Stable key for the prompt A/B split (e.g. the pixel hash)
+ * @param {Function} [options.onQueued] - ({ position, estimatedWaitMs }) while waiting for AI quota
+ * @param {Function} [options.onProgress] - (stage, detail) for 'model-attempt', 'model-failed',
+ *                                          'repairing' and 'parsed'
+ * @returns {Object} Structured prediction result
+ */
+async function analyzeCTScan(imagePaths, options = {}) {
+    const startTime = Date.now();
+
+    const paths = Array.isArray(imagePaths) ? imagePaths : [imagePaths];
+    const images = paths.map(imagePath => ({
+        mimeType: path.extname(imagePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg',
+        data: fs.readFileSync(imagePath).toString('base64'),
+        name: paths.length === 1 && options.sourceName ? options.sourceName : path.basename(imagePath),
+    }));
+
+    const rendered = renderVisionPrompt(paths.length, options);
+    const prompt = rendered.text;
+
+    const queue = { onQueued: options.onQueued, onProgress: options.onProgress, stats: { waitedMs: 0 } };
+    const analysis = options.consensus
+        ? await analyzeConsensus(prompt, images, options, queue)
+        : await analyzeCascade(prompt, images, queue);
+
+    // Regions are checked against the images actually sent, never trusted as given;
+    // the scan-level technicalDetails then come from the most suspicious nodule
+    const localized = await localizeNodules(analysis.nodules, paths);
+    const summarized = {
+        ...analysis,
+        ...summarizeNodules({ ...analysis, nodules: localized.nodules }),
+        noduleWarnings: localized.warnings,
+    };
+
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`📊 Analysis complete via ${analysis.modelVersion} (${processingTime}s, ${summarized.nodules.length} nodule(s) listed)`);
+
+    return {
+        ...summarized,
+        // Deterministic categorization of the reported nodule — not asked of the model
+        lungRads: assessLungRads(summarized),
+        fleischner: assessFleischner(summarized, options.patient),
+        // rawConfidence, calibratedConfidence and the calibration version used
+        ...calibratePrediction({ ...summarized, promptVersion: rendered.version }),
+        imagesAnalyzed: paths.length,
+        slicesAnalyzed: options.sliceIndices || null,
+        analysisMode: options.mode || 'single',
+        promptId: rendered.id,
+        promptVersion: rendered.version,
+        processingTime: parseFloat(processingTime),
+        queueWaitMs: queue.stats.waitedMs,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Single result from the first available model in the cascade.
+ */
+async function analyzeCascade(prompt, images, queue) {
+    console.log(`🤖 Starting vision analysis of ${images.length} image(s) (cascade mode)...`);
+
+    const output = await generateValidated(prompt, async (request) => {
+        const { result, modelName, provider } = await tryModels('vision', (provider, model) => {
+            return provider.generateVision({ model, prompt: request, images });
+        }, queue);
+        return { text: result, modelName, provider };
+    }, queue.onProgress);
+
+    return {
+        ...toPrediction(output),
+        modelVersion: output.modelName,
+        analysisProvider: output.provider.id,
+        analysisEngine: `${output.provider.displayName} Vision AI`,
+    };
+}
+
+/**
+ * Vote method for a consensus run: the request's, else AI_ENSEMBLE_VOTE, else weighted.
+ */
+function resolveVote(vote) {
+    const method = vote || process.env.AI_ENSEMBLE_VOTE || 'weighted';
+    assertVoteMethod(method);
+    return method;
+}
+
+/**
+ * Run every ensemble member on the same images and vote on the result.
+ */
+async function analyzeConsensus(prompt, images, options, queue) {
+    const members = resolveEnsemble();
+    const vote = resolveVote(options.vote);
+
+    console.log(`🤖 Starting consensus analysis of ${images.length} image(s) across ${members.length} model(s) (${vote} vote)...`);
+
+    const settled = await Promise.allSettled(members.map(async ({ provider, model }) => {
+        provider.assertConfigured();
+        if (!modelHealth.isAvailable(provider.id, model)) {
+            throw new Error(`${model} skipped: cooling down or removed after earlier errors`);
+        }
+        return generateValidated(prompt, async (request) => {
+            const slot = await aiScheduler.acquire(provider, [model], { kind: 'analysis', onQueued: queue.onQueued });
+            // Members wait in parallel, so the longest wait is the one the caller sees
+            queue.stats.waitedMs = Math.max(queue.stats.waitedMs, slot.waitedMs);
+            if (!modelHealth.tryAcquireProbe(provider.id, model)) {
+                throw new Error(`${model} skipped: cooling down or already being probed`);
+            }
+            queue.onProgress?.('model-attempt', { provider: provider.id, model });
+            return {
+                text: await callModel(provider, model, () => provider.generateVision({ model, prompt: request, images })),
+                modelName: model,
+                provider,
+            };
+        }, queue.onProgress);
+    }));
+
+    const memberResults = members.map(({ provider, model }, i) => {
+        const base = { provider: provider.id, model };
+        if (settled[i].status === 'rejected') {
+            console.warn(`⚠️  Consensus member ${provider.id}/${model} failed: ${settled[i].reason.message}`);
+            return { ...base, status: 'error', error: settled[i].reason.message };
+        }
+        const prediction = toPrediction(settled[i].value);
+        return { ...base, status: prediction.parseStatus === 'unparseable' ? 'unparseable' : 'ok', prediction };
+    });
+
+    const valid = memberResults.filter(m => m.status === 'ok');
+    const memberSummaries = memberResults.map(m => (m.prediction
+        ? {
+            provider: m.provider,
+            model: m.model,
+            status: m.status,
+            result: m.prediction.result,
+            confidence: m.prediction.confidence,
+            riskLevel: m.prediction.riskLevel,
+        }
+        : m));
+    const engineInfo = {
+        modelVersion: `consensus(${members.map(m => m.model).join(', ')})`,
+        analysisProvider: [...new Set(members.map(m => m.provider.id))].join(', '),
+        analysisEngine: `Consensus of ${members.length} models`,
+    };
+
+    if (!valid.length) {
+        // Nothing to vote on: surface the model error, or report the output as unparseable
+        const failed = settled.find(s => s.status === 'rejected');
+        if (!memberResults.some(m => m.status === 'unparseable')) throw failed.reason;
+        const errors = memberResults.flatMap(m => m.prediction?.validationErrors || []);
+        return {
+            ...unparseablePrediction(errors, MAX_REPAIR_ATTEMPTS),
+            repairAttempts: MAX_REPAIR_ATTEMPTS,
+            ...engineInfo,
+            ensemble: { vote, members: memberSummaries },
+        };
+    }
+
+    const { prediction, tally, disagreement, flagged } = aggregateVotes(valid.map(m => m.prediction), { vote });
+    if (flagged) {
+        console.warn(`⚠️  Consensus disagreement ${disagreement} — reporting as indeterminate`);
+    }
+
+    return {
+        ...prediction,
+        ...engineInfo,
+        ensemble: {
+            vote,
+            disagreement,
+            flagged,
+            tally,
+            members: memberSummaries,
+        },
+    };
+}
+
+/**
+ * Call a model and re-ask (up to MAX_REPAIR_ATTEMPTS times) while its output fails validation.
+ * @param {string} prompt - Original prompt
+ * @param {Function} call - (request) => Promise<{ text, modelName, provider }>
+ * @param {Function} [onProgress] - (stage, detail) for 'repairing' and 'parsed'
+ * @returns {Promise<Object>} { text, modelName, provider, value, errors, attempts }
+ */
+async function generateValidated(prompt, call, onProgress) {
+    let attempts = 0;
+    let output = await call(prompt);
+    let parsed = parseModelOutput(output.text);
+
+    while (parsed.errors.length && attempts < MAX_REPAIR_ATTEMPTS) {
+        attempts++;
+        console.warn(`⚠️  ${output.modelName} output failed validation (${parsed.errors.length} error(s)) — re-asking (${attempts}/${MAX_REPAIR_ATTEMPTS})`);
+        onProgress?.('repairing', { model: output.modelName, attempt: attempts, errors: parsed.errors.length });
+        output = await call(repairPrompt(prompt, output.text, parsed.errors));
+        parsed = parseModelOutput(output.text);
+    }
+
+    onProgress?.('parsed', {
+        model: output.modelName,
+        parseStatus: parsed.errors.length ? 'unparseable' : attempts ? 'repaired' : 'valid',
+    });
+    return { ...output, ...parsed, attempts };
+}
+
+/**
+ * Turn validated model output into the prediction fields of the response.
+ */
+function toPrediction({ value, errors, attempts }) {
+    if (errors.length) {
+        return { ...unparseablePrediction(errors, attempts), repairAttempts: attempts };
+    }
+    return {
+        result: value.result,
+        confidence: value.confidence,
+        riskLevel: value.riskLevel,
+        description: value.description.trim(),
+        technicalDetails: {
+            noduleSize: value.technicalDetails.noduleSize,
+            location: value.technicalDetails.location,
+            shape: value.technicalDetails.shape,
+            density: value.technicalDetails.density,
+        },
+        recommendations: value.recommendations,
+        imageQuality: value.imageQuality,
+        findings: value.findings.trim(),
+        nodules: value.nodules || [],
+        parseStatus: attempts ? 'repaired' : 'valid',
+        repairAttempts: attempts,
+    };
+}
+
+/**
+ * Parse raw model text (stripping markdown fences) and validate it.
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+function parseModelOutput(text) {
+    let value;
+    try {
+        value = JSON.parse(text.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim());
+    } catch (err) {
+        return { value: null, errors: [`response is not valid JSON (${err.message})`] };
+    }
+    return { value, errors: validate(value) };
+}
+
+/**
+ * Build the re-ask prompt: the original request plus what was wrong with the answer.
+ */
+function repairPrompt(prompt, previousText, errors) {
+    return `${prompt}
+
+Your previous response did not satisfy the required format.
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response (truncated):
+${previousText.substring(0, 1000)}
+
+Respond again with ONLY a JSON object that validates against this JSON schema:
+${JSON.stringify(PREDICTION_SCHEMA)}`;
+}
+
+/**
+ * Result returned when the model never produced valid output.
+ * No diagnosis is inferred from the raw text.
+ */
+function unparseablePrediction(errors, attempts) {
+    console.warn(`⚠️  Model output still invalid after ${attempts} re-ask(s) — marking result unparseable`);
+    return {
+        result: 'Unparseable - Model Output Invalid',
+        confidence: null,
+        riskLevel: 'unknown',
+        description: 'The AI model did not return a valid structured result, so no diagnosis is reported. ' +
+            'Please re-run the analysis or have a radiologist review the image directly.',
+        technicalDetails: { noduleSize: 'N/A', location: 'N/A', shape: 'N/A', density: 'N/A' },
+        recommendations: [
+            'Re-run the analysis',
+            'Have a radiologist review the image directly',
+        ],
+        imageQuality: 'Unknown',
+        findings: '',
+        nodules: [],
+        parseStatus: 'unparseable',
+        validationErrors: errors,
+    };
+}
+
+
+// INTELLIGENT CHATBOT
+
+
+/**
+ * Summary of a stored analysis for the chat prompt, listing every nodule.
+ * @param {Object} prediction - Prediction from analyzeCTScan, with `review` when it is stored
+ */
+function analysisPromptContext(prediction) {
+    const lines = [
+        `Result: ${prediction.result}` +
+            (typeof prediction.confidence === 'number' ? ` (model confidence ${prediction.confidence}%)` : '') +
+            `, risk level ${prediction.riskLevel}`,
+        `Findings: ${prediction.findings || 'none reported'}`,
+    ];
+
+    const nodules = prediction.nodules || [];
+    if (nodules.length) {
+        const summaryId = prediction.noduleSummary?.mostSuspicious;
+        lines.push(`Nodules (${nodules.length}):`);
+        for (const n of nodules) {
+            lines.push(`- ${n.id}: ${n.location || 'location not given'}, ${n.size}, ${n.density}, ${n.shape}; ` +
+                `${n.classification}, ${n.suspicion} suspicion` +
+                (n.lungRads ? `, Lung-RADS ${n.lungRads.category}` : '') +
+                (n.id === summaryId ? ' (most suspicious — the summary is based on this one)' : ''));
+        }
+    } else if (prediction.result !== 'No Nodule Detected') {
+        const d = prediction.technicalDetails;
+        lines.push(`Nodule: ${d.location}, ${d.noduleSize}, ${d.density}, ${d.shape}`);
+    }
+
+    if (prediction.lungRads?.applicable) {
+        lines.push(`Lung-RADS ${prediction.lungRads.version}: category ${prediction.lungRads.category} — ${prediction.lungRads.management}`);
+    }
+    if (prediction.fleischner?.applicable) {
+        lines.push(`Follow-up (Fleischner ${prediction.fleischner.version}): ${prediction.fleischner.interval}`);
+    }
+    if (prediction.review) {
+        const { status, reviewer } = prediction.review;
+        lines.push(status === 'pending'
+            ? 'Radiologist review: none yet — this is an AI draft, not verified by a physician'
+            : `Radiologist review: ${status} by ${reviewer} (name entered by the reviewer, not verified)` +
+                (status === 'rejected' ? ' — the AI result is not valid and must not be relied on' : ''));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render the chat system prompt and report which version was used.
+ * @param {Object} options - { language, analysis, onPrompt } from the chat functions
+ */
+function chatSystemInstruction(options) {
+    const rendered = renderPrompt('chat', {
+        ...(options.language && { language: options.language }),
+        ...(options.analysis && { analysisContext: analysisPromptContext(options.analysis) }),
+    });
+    if (options.onPrompt) options.onPrompt({ id: rendered.id, version: rendered.version });
+    return rendered.text;
+}
+
+/**
+ * Get an intelligent chatbot response using the best available model.
+ * @param {Object} [options] - { onQueued } called while waiting for AI quota,
+ *                             { onPrompt } called with the { id, version } of the system prompt,
+ *                             { language } to reply in (default: the user's language),
+ *                             { analysis } a stored prediction the user may ask about,
+ *                             { signal } an AbortSignal that cancels the queued or running request
+ */
+async function getChatbotResponse(userMessage, conversationHistory = [], options = {}) {
+    const systemInstruction = chatSystemInstruction(options);
+    const { result, modelName } = await tryModels('chat', (provider, model) => {
+        return provider.chat({
+            model,
+            systemInstruction,
+            history: conversationHistory,
+            message: userMessage,
+            signal: options.signal,
+        });
+    }, { onQueued: options.onQueued, signal: options.signal });
+
+    console.log(`💬 Chatbot response via ${modelName}`);
+    return result;
+}
+
+/**
+ * Stream a chatbot response chunk by chunk.
+ * The cascade applies until the first chunk arrives; after that the model is
+ * committed and any error is passed to the caller. Stopping the generator
+ * early (e.g. `break` in for-await) closes the model stream.
+ * @param {Object} [options] - { onQueued } called while waiting for AI quota,
+ *                             { onModel } called with { provider, model } once a model answers,
+ *                             { onPrompt }, { language }, { analysis } and { signal } as for getChatbotResponse
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* streamChatbotResponse(userMessage, conversationHistory = [], options = {}) {
+    const systemInstruction = chatSystemInstruction(options);
+    const { result: stream, modelName, provider } = await tryModels('chat', async (provider, model) => {
+        const iterator = provider.streamChat({
+            model,
+            systemInstruction,
+            history: conversationHistory,
+            message: userMessage,
+            signal: options.signal,
+        })[Symbol.asyncIterator]();
+        // Pull the first chunk here so quota/404 errors still fall through to the next model
+        const first = await iterator.next();
+        return { iterator, first };
+    }, { onQueued: options.onQueued, signal: options.signal });
+
+    console.log(`💬 Streaming chatbot response via ${modelName}`);
+    if (options.onModel) options.onModel({ provider: provider.id, model: modelName });
+    try {
+        if (stream.first.done) return;
+        yield stream.first.value;
+        for (let next = await stream.iterator.next(); !next.done; next = await stream.iterator.next()) {
+            yield next.value;
+        }
+    } finally {
+        if (stream.iterator.return) await stream.iterator.return();
+    }
+}
+
+/**
+ * Key identifying what an analysis would run with right now: the rendered
+ * vision prompt plus the vision provider and model cascade (or, in consensus
+ * mode, the vote method and ensemble members). Cached results are only
+ * reused under the same key, so changing the prompt version, its template,
+ * the patient context it includes or the models invalidates them.
+ * @param {Object} [options] - analyzeCTScan options for a single image
+ *                             (consensus, vote, patient, language, promptVersion, promptKey)
+ * @returns {string}
+ */
+function analysisCacheKey(options = {}) {
+    const rendered = renderVisionPrompt(1, options);
+    const prompt = `${rendered.id}@${rendered.version}:${crypto.createHash('sha256').update(rendered.text).digest('hex').substring(0, 8)}`;
+    if (options.consensus) {
+        const members = resolveEnsemble().map(m => `${m.provider.id}:${m.model}`);
+        return `${prompt}|consensus:${resolveVote(options.vote)}:${members.join(',')}`;
+    }
+    const { provider, models } = resolveTask('vision');
+    return `${prompt}|${provider.id}:${models.join(',')}`;
+}
+
+/**
+ * Whether the chat provider has the credentials it needs.
+ */
+function isChatConfigured() {
+    try {
+        return resolveTask('chat').provider.isConfigured();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Provider and model cascade currently used for a task, for status displays.
+ * @param {'vision'|'chat'} task
+ */
+function getEngineInfo(task) {
+    const { provider, models } = resolveTask(task);
+    return { provider: provider.id, displayName: provider.displayName, models };
+}
+
+
+/**
+ * Circuit-breaker status of every configured model (vision, chat and ensemble).
+ */
+function getModelHealth() {
+    const configured = [];
+    for (const resolve of [() => resolveTask('vision'), () => resolveTask('chat')]) {
+        try {
+            const { provider, models } = resolve();
+            configured.push(...models.map(model => ({ provider: provider.id, model })));
+        } catch {
+            // Task not configured — nothing to list
+        }
+    }
+    try {
+        configured.push(...resolveEnsemble().map(m => ({ provider: m.provider.id, model: m.model })));
+    } catch {
+        // Ensemble not configured
+    }
+    return modelHealth.getHealthSnapshot(configured);
+}
+
+/**
+ * Request-scheduler queue length and per-model quota.
+ */
+function getQueueStatus() {
+    return aiScheduler.getQueueStatus();
+}
+
+module.exports = {
+    tryModels,
+    analyzeCTScan,
+    analysisCacheKey,
+    getChatbotResponse,
+    streamChatbotResponse,
+    isChatConfigured,
+    getEngineInfo,
+    getModelHealth,
+    getQueueStatus,
+};
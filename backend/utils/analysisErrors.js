@@ -0,0 +1,54 @@
+/**
+ * ANALYSIS ERROR MAPPING
+ * Turns errors from the DICOM pipeline and the AI model cascade into
+ * HTTP status codes and user-friendly messages. */
+
+const { errorKind } = require('../providers/providerError');
+
+/**
+ * Errors caused by the uploaded input rather than the AI service.
+ */
+function isInputError(error) {
+    return error.message.includes('DICOM') ||
+        error.message.includes('slice selection') ||
+        error.message.includes('slab selection') ||
+        error.message.includes('consensus vote') ||
+        error.message.includes('Invalid patient context') ||
+        error.message.includes('Invalid study context');
+}
+
+/**
+ * Map an analysis error to a status code and message for the client.
+ * Provider errors are told apart by their kind (see providers/providerError.js)
+ * and named after the provider that raised them.
+ * @param {Error} error - Error thrown during analysis
+ * @returns {{ statusCode: number, userMessage: string, kind: string }} kind is 'input' or a provider error kind
+ */
+function mapAnalysisError(error) {
+    if (isInputError(error)) {
+        return { statusCode: 400, userMessage: error.message, kind: 'input' };
+    }
+
+    const kind = errorKind(error);
+    const provider = error.provider || 'The AI provider';
+    let userMessage = 'Analysis failed. Please try again.';
+    let statusCode = 500;
+
+    if (kind === 'notConfigured') {
+        statusCode = 503;
+        userMessage = `AI service not configured. ${error.message}`;
+    } else if (kind === 'auth') {
+        statusCode = 401;
+        userMessage = `${provider} rejected the credentials. Please check ${error.credentials || 'the provider settings'} in backend/.env.`;
+    } else if (kind === 'quota') {
+        statusCode = 429;
+        userMessage = `Rate limit reached on all ${error.provider ? `${provider} ` : 'AI '}models. Please wait ${error.retryAfterSeconds || 60} seconds and try again.`;
+    } else if (kind === 'notFound') {
+        statusCode = 503;
+        userMessage = `AI models unavailable. ${error.message}`;
+    }
+
+    return { statusCode, userMessage, kind };
+}
+
+module.exports = { isInputError, mapAnalysisError };
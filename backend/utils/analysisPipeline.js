@@ -0,0 +1,205 @@
+/**
+ * ANALYSIS PIPELINE
+ * Shared upload → de-identify → store → render steps used by every entry
+ * point that feeds images to analyzeCTScan (/api/predict, DICOMweb, ...).
+ *
+ *   pixelHash()           – content hash of an upload's pixels, for deduplication
+ *   findReusable()        – earlier analysis and stored file for the same pixels
+ *   ingestUpload()        – de-identify an in-memory upload and store it
+ *   prepareForAnalysis()  – render DICOM to PNG and check for burned-in text
+ *   reportDeidentification() – write the per-upload de-identification report
+ *   runAnalysis()         – call the vision model on the prepared image */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const dicomParser = require('dicom-parser');
+
+const { analyzeCTScan } = require('./aiService');
+const { findCachedPrediction, findStoredUploads } = require('./predictionStore');
+const { isDicomBuffer, convertDicomToPng } = require('./dicomProcessor');
+const {
+    deidentifyDicom,
+    stripImageMetadata,
+    detectBurnedInText,
+    mergeBurnedIn,
+    writeDeidReport,
+} = require('./deidentify');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+
+/**
+ * SHA-256 of an upload's pixel data rather than its container, so the same
+ * scan re-exported with different headers, metadata or compression settings
+ * hashes the same. DICOM: the PixelData element bytes. Images: the decoded
+ * pixels plus their dimensions.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} [originalName] - Original client-side file name
+ * @returns {Promise<string>} Hex digest
+ */
+async function pixelHash(buffer, originalName = '') {
+    const hash = crypto.createHash('sha256');
+
+    if (isDicomBuffer(buffer, originalName)) {
+        let dataSet;
+        try {
+            dataSet = dicomParser.parseDicom(new Uint8Array(buffer));
+        } catch (err) {
+            throw new Error(`Invalid DICOM file: ${err.exception || err.message || err}`);
+        }
+        const pixels = dataSet.elements.x7fe00010;
+        if (!pixels) {
+            throw new Error('Invalid DICOM file: no pixel data found');
+        }
+        hash.update(buffer.subarray(pixels.dataOffset, pixels.dataOffset + pixels.length));
+    } else {
+        const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+        hash.update(`${info.width}x${info.height}x${info.channels}:`).update(data);
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Look up an earlier analysis of the same pixels: a cached result under the
+ * current cache key (unless forced), and a stored file that can be reused.
+ * Store errors only disable the cache.
+ * @param {string} hash - From pixelHash()
+ * @param {string} cacheKey - analysisCacheKey() of the run about to start
+ * @param {boolean} [force] - Skip the cached result and analyze again
+ * @returns {{ cached: Object|null, existingPath: string|null }}
+ */
+function findReusable(hash, cacheKey, force = false) {
+    try {
+        const uploadExists = (url) => url && fs.existsSync(path.join(UPLOAD_DIR, path.basename(url)));
+        const cached = force ? null : findCachedPrediction(hash, cacheKey);
+        const existing = findStoredUploads(hash).find(uploadExists);
+        return {
+            cached: cached && uploadExists(cached.response.imagePath) ? cached : null,
+            existingPath: existing ? path.join(UPLOAD_DIR, existing) : null,
+        };
+    } catch (error) {
+        console.error('❌ Analysis cache lookup failed:', error.message);
+        return { cached: null, existingPath: null };
+    }
+}
+
+/**
+ * De-identify an upload held in memory and write the clean copy to disk.
+ * @param {Object} file - { buffer, originalName, mimetype }
+ * @param {Object} [options]
+ * @param {string} [options.uploadId] - Id for the stored file and report
+ * @param {string} [options.outputDir] - Where to store the file (default: uploads/)
+ * @param {string} [options.existingPath] - A stored copy of the same pixels to reuse
+ *                                          instead of writing a new file
+ * @returns {Promise<Object>} { uploadId, isDicom, savedFilePath, reused, actions, privateTagsRemoved, headerBurnedIn }
+ */
+async function ingestUpload({ buffer, originalName = '', mimetype = '' }, options = {}) {
+    const reused = Boolean(options.existingPath);
+    const uploadId = reused
+        ? path.basename(options.existingPath, path.extname(options.existingPath))
+        : options.uploadId || `ct-scan-${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    const outputDir = options.outputDir || UPLOAD_DIR;
+    const isDicom = isDicomBuffer(buffer, originalName);
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    if (isDicom) {
+        const result = deidentifyDicom(buffer);
+        const savedFilePath = reused ? options.existingPath : path.join(outputDir, `${uploadId}.dcm`);
+        if (!reused) fs.writeFileSync(savedFilePath, result.buffer);
+        console.log(`🛡️  De-identified ${result.actions.length} tags, ${result.privateTagsRemoved} private tags`);
+
+        return {
+            uploadId,
+            isDicom,
+            savedFilePath,
+            reused,
+            actions: result.actions,
+            privateTagsRemoved: result.privateTagsRemoved,
+            headerBurnedIn: result.burnedInAnnotation,
+        };
+    }
+
+    const ext = mimetype === 'image/png' ? '.png' : '.jpg';
+    const savedFilePath = reused ? options.existingPath : path.join(outputDir, `${uploadId}${ext}`);
+    if (!reused) await stripImageMetadata(buffer, savedFilePath);
+
+    return {
+        uploadId,
+        isDicom,
+        savedFilePath,
+        reused,
+        actions: [{ tag: 'EXIF/XMP/text chunks', name: 'ImageMetadata', action: 'removed' }],
+        privateTagsRemoved: 0,
+        headerBurnedIn: null,
+    };
+}
+
+/**
+ * Render a stored upload for the model and check it for burned-in text.
+ * @param {Object} ingested - Result of ingestUpload (or { savedFilePath, isDicom, headerBurnedIn })
+ * @param {Object} [options]
+ * @param {string} [options.outputPath] - Where to write the rendered PNG for DICOM input
+ * @returns {Promise<{ analysisPath: string, renderedFilePath: string|null, dicom: Object|null, burnedInAnnotation: Object }>}
+ */
+async function prepareForAnalysis(ingested, options = {}) {
+    let analysisPath = ingested.savedFilePath;
+    let renderedFilePath = null;
+    let dicom = null;
+
+    if (ingested.isDicom) {
+        // DICOM → lung-windowed PNG
+        console.log('🩻 DICOM detected — rendering lung window...');
+        const converted = await convertDicomToPng(ingested.savedFilePath, options.outputPath);
+        renderedFilePath = converted.pngPath;
+        analysisPath = converted.pngPath;
+        dicom = converted.metadata;
+        console.log(`🩻 Rendered ${dicom.columns}x${dicom.rows} ${dicom.modality} slice`);
+    }
+
+    const burnedInAnnotation = mergeBurnedIn(ingested.headerBurnedIn, await detectBurnedInText(analysisPath));
+    if (burnedInAnnotation.flagged) {
+        console.warn(`⚠️  Burned-in annotation suspected: ${burnedInAnnotation.reasons.join('; ')}`);
+    }
+
+    return { analysisPath, renderedFilePath, dicom, burnedInAnnotation };
+}
+
+/**
+ * Write the de-identification report for an ingested upload.
+ * @returns {Object} Summary for API responses
+ */
+function reportDeidentification(ingested, burnedInAnnotation) {
+    const report = writeDeidReport(ingested.uploadId, [{
+        file: path.basename(ingested.savedFilePath),
+        actions: ingested.actions,
+        privateTagsRemoved: ingested.privateTagsRemoved,
+        burnedInAnnotation,
+    }]);
+    return { reportId: ingested.uploadId, profile: report.profile, ...report.summary };
+}
+
+/**
+ * Run the vision model on a prepared image.
+ */
+async function runAnalysis(prepared, options = {}) {
+    console.log('🧠 Starting AI vision analysis...');
+    const prediction = await analyzeCTScan(prepared.analysisPath, options);
+    console.log(`✅ Analysis complete: ${prediction.result} (${prediction.confidence}% confidence)`);
+    return prediction;
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    pixelHash,
+    findReusable,
+    ingestUpload,
+    prepareForAnalysis,
+    reportDeidentification,
+    runAnalysis,
+};
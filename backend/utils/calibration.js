@@ -0,0 +1,244 @@
+/**
+ * CONFIDENCE CALIBRATION
+ * The vision prompt asks for a confidence from 0 to 100, but vision models
+ * crowd it near the top, so every result looks confident. This maps the raw
+ * confidence to the probability that the result is right, per model and
+ * result class, using parameters fitted on labeled cases (evaluation reports
+ * from scripts/evaluate.js).
+ *
+ *   Platt scaling      – p = 1 / (1 + exp(a·x + b)), x = confidence / 100
+ *   Isotonic regression – monotone step function from pool-adjacent-violators
+ *
+ * Parameter sets are versioned JSON files in CALIBRATION_DIR (default
+ * backend/calibration/), written by scripts/calibrate.js:
+ *   { version, createdAt, method, promptVersion, sources, groups: { "<model>|<result>": { method, n, params } } }
+ * The newest version is used unless CALIBRATION_VERSION names another.
+ * Results without parameters for their model and class stay uncalibrated. */
+
+const fs = require('fs');
+const path = require('path');
+
+const CALIBRATION_DIR = process.env.CALIBRATION_DIR || path.join(__dirname, '../calibration');
+
+const METHODS = ['platt', 'isotonic'];
+
+
+// FITTING
+
+
+/**
+ * Platt scaling by Newton's method, with Platt's smoothed targets so a group
+ * where every case was right (or wrong) still gets a finite fit.
+ * @param {{ x: number, y: 0|1 }[]} points - x = raw confidence in [0, 1], y = 1 when the result was right
+ * @returns {{ a: number, b: number }}
+ */
+function fitPlatt(points) {
+    const positives = points.filter(p => p.y === 1).length;
+    const negatives = points.length - positives;
+    const hi = (positives + 1) / (positives + 2);
+    const lo = 1 / (negatives + 2);
+    const targets = points.map(p => (p.y === 1 ? hi : lo));
+
+    let a = 0;
+    let b = Math.log((negatives + 1) / (positives + 1));
+    for (let iteration = 0; iteration < 100; iteration++) {
+        // Gradient and Hessian of the cross-entropy in (a, b)
+        let ga = 0, gb = 0, haa = 1e-12, hab = 0, hbb = 1e-12;
+        points.forEach((p, i) => {
+            const prob = 1 / (1 + Math.exp(a * p.x + b));
+            const d = targets[i] - prob;
+            const w = prob * (1 - prob);
+            ga += p.x * d;
+            gb += d;
+            haa += p.x * p.x * w;
+            hab += p.x * w;
+            hbb += w;
+        });
+        const det = haa * hbb - hab * hab;
+        if (Math.abs(det) < 1e-12) break;
+        const da = (hbb * ga - hab * gb) / det;
+        const db = (haa * gb - hab * ga) / det;
+        a -= da;
+        b -= db;
+        if (Math.abs(da) < 1e-9 && Math.abs(db) < 1e-9) break;
+    }
+    return { a: round(a, 6), b: round(b, 6) };
+}
+
+/**
+ * Isotonic regression by pool-adjacent-violators.
+ * @param {{ x: number, y: 0|1 }[]} points
+ * @returns {{ x: number[], p: number[] }} Upper confidence bound of each step and its probability
+ */
+function fitIsotonic(points) {
+    const sorted = [...points].sort((l, r) => l.x - r.x);
+    const blocks = [];
+    for (const point of sorted) {
+        blocks.push({ sum: point.y, count: 1, maxX: point.x });
+        while (blocks.length > 1 &&
+            blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >=
+            blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+            const last = blocks.pop();
+            const prev = blocks[blocks.length - 1];
+            prev.sum += last.sum;
+            prev.count += last.count;
+            prev.maxX = last.maxX;
+        }
+    }
+    return {
+        x: blocks.map(block => round(block.maxX, 4)),
+        p: blocks.map(block => round(block.sum / block.count, 4)),
+    };
+}
+
+/**
+ * Fit one group of labeled cases.
+ * @param {{ x: number, y: 0|1 }[]} points
+ * @param {string} method - 'platt' | 'isotonic'
+ */
+function fitGroup(points, method) {
+    if (!METHODS.includes(method)) {
+        throw new Error(`Unknown calibration method "${method}". Use one of: ${METHODS.join(', ')}`);
+    }
+    // An empty isotonic fit has no steps to look a confidence up in
+    if (!points.length) throw new Error('Cannot fit calibration without labeled cases');
+    return {
+        method,
+        n: points.length,
+        correct: points.filter(p => p.y === 1).length,
+        params: method === 'platt' ? fitPlatt(points) : fitIsotonic(points),
+    };
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+
+// APPLYING
+
+
+function groupKey(model, result) {
+    return `${model}|${result}`;
+}
+
+/**
+ * Calibrated probability for a raw confidence.
+ * @param {Object} group - A fitted group ({ method, params })
+ * @param {number} confidence - Raw confidence, 0–100
+ * @returns {number} Probability in [0, 1]
+ */
+function applyGroup(group, confidence) {
+    const x = confidence / 100;
+    if (group.method === 'platt') {
+        return 1 / (1 + Math.exp(group.params.a * x + group.params.b));
+    }
+    const { x: bounds, p } = group.params;
+    const step = bounds.findIndex(bound => x <= bound);
+    return p[step === -1 ? p.length - 1 : step];
+}
+
+
+// VERSIONED STORE
+
+
+const cache = new Map();
+
+/**
+ * Stored calibration versions, oldest first.
+ * @returns {string[]}
+ */
+function listVersions() {
+    if (!fs.existsSync(CALIBRATION_DIR)) return [];
+    return fs.readdirSync(CALIBRATION_DIR)
+        .map(name => /^(cal-\d+)\.json$/.exec(name))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort((l, r) => parseInt(l.slice(4), 10) - parseInt(r.slice(4), 10));
+}
+
+/**
+ * Load a calibration version (cached after the first read).
+ * @param {string} version - e.g. 'cal-3'
+ */
+function loadVersion(version) {
+    if (!cache.has(version)) {
+        const file = path.join(CALIBRATION_DIR, `${version}.json`);
+        if (!fs.existsSync(file)) throw new Error(`Calibration version ${version} not found in ${CALIBRATION_DIR}`);
+        cache.set(version, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return cache.get(version);
+}
+
+/**
+ * The calibration in use: CALIBRATION_VERSION, or the newest stored version.
+ * @returns {Object|null} null when nothing has been fitted yet
+ */
+function getActiveCalibration() {
+    const version = process.env.CALIBRATION_VERSION || listVersions().pop();
+    return version ? loadVersion(version) : null;
+}
+
+/**
+ * Write a new calibration version.
+ * @param {Object} calibration - { method, promptVersion, sources, groups }
+ * @returns {Object} The stored calibration, with its version and creation time
+ */
+function saveCalibration(calibration) {
+    const latest = listVersions().pop();
+    const version = `cal-${latest ? parseInt(latest.slice(4), 10) + 1 : 1}`;
+    const stored = { version, createdAt: new Date().toISOString(), ...calibration };
+
+    fs.mkdirSync(CALIBRATION_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CALIBRATION_DIR, `${version}.json`), JSON.stringify(stored, null, 2) + '\n');
+    return stored;
+}
+
+/**
+ * Raw and calibrated confidence for a prediction.
+ * @param {Object} prediction - Prediction from analyzeCTScan
+ * @returns {{ rawConfidence: number|null, calibratedConfidence: number|null, calibration: Object|null }}
+ */
+function calibratePrediction(prediction) {
+    const rawConfidence = prediction.confidence;
+    const uncalibrated = (reason, version = null) => ({ rawConfidence, calibratedConfidence: null, calibration: { version, reason } });
+
+    if (typeof rawConfidence !== 'number') return uncalibrated('No confidence to calibrate');
+
+    let active;
+    try {
+        active = getActiveCalibration();
+    } catch (error) {
+        console.error('❌ Could not load calibration:', error.message);
+        return uncalibrated(error.message);
+    }
+    if (!active) return uncalibrated('No calibration has been fitted yet');
+    if (active.promptVersion && prediction.promptVersion && active.promptVersion !== prediction.promptVersion) {
+        return uncalibrated(`Calibration ${active.version} was fitted for prompt ${active.promptVersion}`, active.version);
+    }
+
+    const key = groupKey(prediction.modelVersion, prediction.result);
+    const group = active.groups[key];
+    if (!group) return uncalibrated(`No calibration for ${key}`, active.version);
+
+    return {
+        rawConfidence,
+        calibratedConfidence: Math.round(applyGroup(group, rawConfidence) * 100),
+        calibration: { version: active.version, method: group.method, group: key, cases: group.n },
+    };
+}
+
+module.exports = {
+    METHODS,
+    fitPlatt,
+    fitIsotonic,
+    fitGroup,
+    groupKey,
+    applyGroup,
+    listVersions,
+    loadVersion,
+    getActiveCalibration,
+    saveCalibration,
+    calibratePrediction,
+};
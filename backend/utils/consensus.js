@@ -0,0 +1,74 @@
+/**
+ * CONSENSUS VOTING
+ * Aggregates the predictions of several vision models into one result.
+ *
+ *   majority – one vote per model
+ *   weighted – each vote counts the model's confidence
+ *
+ * The disagreement score is 1 − (winning share of the vote): 0 when every
+ * model agrees, 0.33 for a 2-of-3 split, 0.5 for an even split. Scores above
+ * the threshold turn the result into "Indeterminate - Further Evaluation Required". */
+
+const { RESULTS, RISK_LEVELS } = require('./predictionSchema');
+
+const INDETERMINATE = 'Indeterminate - Further Evaluation Required';
+
+const VOTE_METHODS = ['majority', 'weighted'];
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.AI_ENSEMBLE_DISAGREEMENT) || 0.4;
+
+function assertVoteMethod(vote) {
+    if (!VOTE_METHODS.includes(vote)) {
+        throw new Error(`Unknown consensus vote "${vote}". Use one of: ${VOTE_METHODS.join(', ')}`);
+    }
+}
+
+/**
+ * @param {Object[]} predictions - Valid (schema-checked) member predictions
+ * @param {Object} [options]
+ * @param {string} [options.vote] - 'majority' or 'weighted' (default)
+ * @param {number} [options.threshold] - Disagreement above which the result is indeterminate
+ * @returns {{ prediction: Object, tally: Object, disagreement: number, flagged: boolean }}
+ */
+function aggregateVotes(predictions, { vote = 'weighted', threshold = DEFAULT_THRESHOLD } = {}) {
+    if (!predictions.length) {
+        throw new Error('Consensus needs at least one valid model prediction');
+    }
+    assertVoteMethod(vote);
+
+    const tally = {};
+    for (const p of predictions) {
+        tally[p.result] = (tally[p.result] || 0) + (vote === 'weighted' ? p.confidence : 1);
+    }
+
+    const total = Object.values(tally).reduce((sum, w) => sum + w, 0);
+    // Ties go to the class listed first in the schema
+    const winner = Object.keys(tally)
+        .sort((a, b) => tally[b] - tally[a] || RESULTS.indexOf(a) - RESULTS.indexOf(b))[0];
+    const share = tally[winner] / total;
+    const disagreement = parseFloat((1 - share).toFixed(2));
+    const flagged = disagreement > threshold;
+
+    const agreeing = predictions.filter(p => p.result === winner);
+    const representative = agreeing.reduce((best, p) => (p.confidence > best.confidence ? p : best));
+    const meanConfidence = agreeing.reduce((sum, p) => sum + p.confidence, 0) / agreeing.length;
+
+    // On disagreement report the highest risk any model saw
+    const highestRisk = predictions
+        .map(p => p.riskLevel)
+        .reduce((a, b) => (RISK_LEVELS.indexOf(b) > RISK_LEVELS.indexOf(a) ? b : a));
+
+    const prediction = {
+        ...representative,
+        result: flagged ? INDETERMINATE : winner,
+        confidence: Math.round(meanConfidence * share),
+        riskLevel: flagged ? highestRisk : representative.riskLevel,
+        description: flagged
+            ? `The models disagreed on this scan (${agreeing.length} of ${predictions.length} voted "${winner}"). ${representative.description}`
+            : representative.description,
+    };
+
+    return { prediction, tally, disagreement, flagged };
+}
+
+module.exports = { VOTE_METHODS, assertVoteMethod, aggregateVotes };
@@ -0,0 +1,154 @@
+/**
+ * DATABASE
+ * The embedded SQLite database behind the prediction, patient, study and
+ * review stores. It is opened on first use and its schema brought up to date.
+ *
+ *   PREDICTIONS_DB_PATH – database file (default backend/data/predictions.db) */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.PREDICTIONS_DB_PATH || path.join(__dirname, '../data/predictions.db');
+
+// Schema changes are appended here; PRAGMA user_version records how many ran
+const MIGRATIONS = [
+    `CREATE TABLE predictions (
+        id              TEXT PRIMARY KEY,
+        created_at      TEXT NOT NULL,
+        source          TEXT NOT NULL,
+        original_name   TEXT,
+        file_name       TEXT,
+        image_path      TEXT,
+        file_hash       TEXT,
+        file_size       INTEGER,
+        mime_type       TEXT,
+        is_dicom        INTEGER NOT NULL DEFAULT 0,
+        result          TEXT,
+        risk_level      TEXT,
+        confidence      INTEGER,
+        model           TEXT,
+        provider        TEXT,
+        prompt_version  TEXT,
+        analysis_mode   TEXT,
+        consensus       INTEGER NOT NULL DEFAULT 0,
+        timings_json    TEXT,
+        response_json   TEXT NOT NULL
+    );
+    CREATE INDEX idx_predictions_created_at ON predictions (created_at);
+    CREATE INDEX idx_predictions_result ON predictions (result);
+    CREATE INDEX idx_predictions_risk_level ON predictions (risk_level);
+    CREATE INDEX idx_predictions_model ON predictions (model);
+    CREATE INDEX idx_predictions_file_hash ON predictions (file_hash);`,
+
+    `ALTER TABLE predictions ADD COLUMN pixel_hash TEXT;
+    ALTER TABLE predictions ADD COLUMN cache_key TEXT;
+    CREATE INDEX idx_predictions_pixel_hash ON predictions (pixel_hash, cache_key);`,
+
+    `ALTER TABLE predictions ADD COLUMN prompt_id TEXT;
+    CREATE INDEX idx_predictions_prompt ON predictions (prompt_id, prompt_version);`,
+
+    `ALTER TABLE predictions ADD COLUMN patient_id TEXT;
+    ALTER TABLE predictions ADD COLUMN study_uid TEXT;
+    ALTER TABLE predictions ADD COLUMN study_date TEXT;
+    CREATE INDEX idx_predictions_patient ON predictions (patient_id, study_date);`,
+
+    // Patients and studies; analyses already grouped by patient ID get their records
+    `CREATE TABLE patients (
+        id              TEXT PRIMARY KEY,
+        created_at      TEXT NOT NULL,
+        updated_at      TEXT NOT NULL,
+        age             INTEGER,
+        sex             TEXT,
+        smoking         TEXT,
+        pack_years      REAL,
+        family_history  INTEGER NOT NULL DEFAULT 0,
+        emphysema       INTEGER NOT NULL DEFAULT 0,
+        cancer_history  INTEGER NOT NULL DEFAULT 0,
+        notes           TEXT
+    );
+    CREATE TABLE studies (
+        id              TEXT PRIMARY KEY,
+        patient_id      TEXT NOT NULL REFERENCES patients (id),
+        created_at      TEXT NOT NULL,
+        updated_at      TEXT NOT NULL,
+        study_date      TEXT NOT NULL,
+        modality        TEXT NOT NULL DEFAULT 'CT',
+        study_uid       TEXT,
+        description     TEXT
+    );
+    CREATE INDEX idx_studies_patient ON studies (patient_id, study_date);
+    CREATE UNIQUE INDEX idx_studies_uid ON studies (study_uid) WHERE study_uid IS NOT NULL;
+    ALTER TABLE predictions ADD COLUMN study_id TEXT;
+    CREATE INDEX idx_predictions_study ON predictions (study_id);
+
+    INSERT INTO patients (id, created_at, updated_at)
+        SELECT patient_id, MIN(created_at), MIN(created_at) FROM predictions
+        WHERE patient_id IS NOT NULL GROUP BY patient_id;
+    INSERT INTO studies (id, patient_id, created_at, updated_at, study_date, study_uid)
+        SELECT 'study-' || lower(hex(randomblob(8))), patient_id, MIN(created_at), MIN(created_at),
+            MIN(COALESCE(study_date, substr(created_at, 1, 10))), study_uid
+        FROM predictions WHERE patient_id IS NOT NULL
+        GROUP BY patient_id, COALESCE(study_uid, study_date, substr(created_at, 1, 10));
+    UPDATE predictions SET study_id = (
+        SELECT s.id FROM studies s WHERE s.patient_id = predictions.patient_id
+            AND COALESCE(s.study_uid, s.study_date) =
+                COALESCE(predictions.study_uid, predictions.study_date, substr(predictions.created_at, 1, 10))
+    ) WHERE patient_id IS NOT NULL;`,
+
+    // Radiologist review: current status on the prediction, every sign-off in reviews
+    `ALTER TABLE predictions ADD COLUMN review_status TEXT NOT NULL DEFAULT 'pending';
+    ALTER TABLE predictions ADD COLUMN reviewed_by TEXT;
+    ALTER TABLE predictions ADD COLUMN reviewed_at TEXT;
+    CREATE INDEX idx_predictions_review ON predictions (review_status, created_at);
+    CREATE TABLE reviews (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        prediction_id   TEXT NOT NULL,
+        created_at      TEXT NOT NULL,
+        reviewer        TEXT NOT NULL,
+        action          TEXT NOT NULL,
+        status          TEXT NOT NULL,
+        reason          TEXT,
+        changes_json    TEXT NOT NULL,
+        before_json     TEXT NOT NULL,
+        after_json      TEXT NOT NULL
+    );
+    CREATE INDEX idx_reviews_prediction ON reviews (prediction_id, created_at);`,
+
+    // Where a study date came from: entered on a form, or a de-identified (shifted) DICOM date
+    `ALTER TABLE predictions ADD COLUMN date_source TEXT;
+    ALTER TABLE studies ADD COLUMN date_source TEXT;`,
+
+    // Where a patient ID came from: entered on a form or the API, or a de-identified DICOM header
+    `ALTER TABLE patients ADD COLUMN id_source TEXT;
+    ALTER TABLE predictions ADD COLUMN patient_id_source TEXT;`,
+];
+
+let db = null;
+
+/**
+ * Open the database on first use and bring its schema up to date.
+ */
+function getDb() {
+    if (db) return db;
+
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+    if (version < MIGRATIONS.length) {
+        console.log(`🗄️  Database at schema version ${MIGRATIONS.length} (${DB_PATH})`);
+    }
+    return db;
+}
+
+module.exports = {
+    getDb,
+};
@@ -0,0 +1,648 @@
+/**
+ * DE-IDENTIFICATION
+ * Strips protected health information (PHI) from uploads before they are
+ * written to disk or sent to an external AI model.
+ *
+ * Follows the DICOM PS3.15 Annex E Basic Application Level Confidentiality
+ * Profile with two options that keep the data clinically useful:
+ *   - Retain Longitudinal Temporal Information with Modified Dates
+ *     (dates are shifted by a consistent per-patient offset)
+ *   - Retain Patient Characteristics (sex, age, size, weight are kept)
+ *
+ * Values are rewritten in place at their original length, so the file layout
+ * barely changes. Trailing padding is insignificant in DICOM, so a value blanked
+ * with spaces reads back as zero-length. The one exception: a patient name or
+ * ID shorter than MIN_PSEUDONYM_LENGTH is lengthened, so short originals do not
+ * get short pseudonyms that could collide.
+ *
+ * Pseudonyms, shifted dates and replacement UIDs are derived from an HMAC of
+ * the original value keyed by DEID_SECRET, so every slice of a series (and
+ * every later upload of the same patient) maps to the same pseudonyms. */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const dicomParser = require('dicom-parser');
+
+const REPORTS_DIR = path.join(__dirname, '../deid-reports');
+
+const PROFILE_NAME = 'DICOM PS3.15 Basic Application Level Confidentiality Profile';
+const PROFILE_OPTIONS = [
+    'Retain Longitudinal Temporal Information with Modified Dates',
+    'Retain Patient Characteristics',
+];
+
+let warnedAboutSecret = false;
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+// Action codes follow PS3.15 Table E.1-1:
+//   X – remove, Z – replace with zero-length, D – replace with dummy (pseudonym),
+//   U – replace UID consistently, S – shift date consistently
+// The table is the Basic Application Level Confidentiality Profile with the two
+// options above applied: patient characteristics (age, sex, size, weight,
+// smoking and pregnancy status) are not listed, dates are S instead of X / Z.
+// A listed sequence is removed as a whole, whatever its items hold.
+const PHI_TAGS = {
+    // General study, series and equipment
+    x00080015: { name: 'InstanceCoercionDateTime', action: 'X' },
+    x00080050: { name: 'AccessionNumber', action: 'Z' },
+    x00080054: { name: 'RetrieveAETitle', action: 'X' },
+    x00080055: { name: 'StationAETitle', action: 'X' },
+    x00080080: { name: 'InstitutionName', action: 'X' },
+    x00080081: { name: 'InstitutionAddress', action: 'X' },
+    x00080082: { name: 'InstitutionCodeSequence', action: 'X' },
+    x00080090: { name: 'ReferringPhysicianName', action: 'Z' },
+    x00080092: { name: 'ReferringPhysicianAddress', action: 'X' },
+    x00080094: { name: 'ReferringPhysicianTelephoneNumbers', action: 'X' },
+    x00080096: { name: 'ReferringPhysicianIdentificationSequence', action: 'X' },
+    x0008009c: { name: 'ConsultingPhysicianName', action: 'X' },
+    x0008009d: { name: 'ConsultingPhysicianIdentificationSequence', action: 'X' },
+    x00080201: { name: 'TimezoneOffsetFromUTC', action: 'X' },
+    x00081010: { name: 'StationName', action: 'X' },
+    x00081030: { name: 'StudyDescription', action: 'X' },
+    x0008103e: { name: 'SeriesDescription', action: 'X' },
+    x00081040: { name: 'InstitutionalDepartmentName', action: 'X' },
+    x00081041: { name: 'InstitutionalDepartmentTypeCodeSequence', action: 'X' },
+    x00081048: { name: 'PhysiciansOfRecord', action: 'X' },
+    x00081049: { name: 'PhysiciansOfRecordIdentificationSequence', action: 'X' },
+    x00081050: { name: 'PerformingPhysicianName', action: 'X' },
+    x00081052: { name: 'PerformingPhysicianIdentificationSequence', action: 'X' },
+    x00081060: { name: 'NameOfPhysiciansReadingStudy', action: 'X' },
+    x00081062: { name: 'PhysiciansReadingStudyIdentificationSequence', action: 'X' },
+    x00081070: { name: 'OperatorsName', action: 'X' },
+    x00081072: { name: 'OperatorIdentificationSequence', action: 'X' },
+    x00081080: { name: 'AdmittingDiagnosesDescription', action: 'X' },
+    x00081084: { name: 'AdmittingDiagnosesCodeSequence', action: 'X' },
+    x00081110: { name: 'ReferencedStudySequence', action: 'X' },
+    x00081111: { name: 'ReferencedPerformedProcedureStepSequence', action: 'X' },
+    x00081120: { name: 'ReferencedPatientSequence', action: 'X' },
+    x00082111: { name: 'DerivationDescription', action: 'X' },
+    x00084000: { name: 'IdentifyingComments', action: 'X' },
+    x00181000: { name: 'DeviceSerialNumber', action: 'X' },
+    x00181004: { name: 'PlateID', action: 'X' },
+    x00181005: { name: 'GeneratorID', action: 'X' },
+    x00181007: { name: 'CassetteID', action: 'X' },
+    x00181008: { name: 'GantryID', action: 'X' },
+    x00181009: { name: 'UniqueDeviceIdentifier', action: 'X' },
+    x0018100a: { name: 'UDISequence', action: 'X' },
+    x00181030: { name: 'ProtocolName', action: 'X' },
+    x00181400: { name: 'AcquisitionDeviceProcessingDescription', action: 'X' },
+    x00184000: { name: 'AcquisitionComments', action: 'X' },
+    x0018700a: { name: 'DetectorID', action: 'X' },
+    x00189424: { name: 'AcquisitionProtocolDescription', action: 'X' },
+    x0018a003: { name: 'ContributionDescription', action: 'X' },
+    x00200010: { name: 'StudyID', action: 'Z' },
+    x00204000: { name: 'ImageComments', action: 'X' },
+    x00209158: { name: 'FrameComments', action: 'X' },
+    x00284000: { name: 'ImagePresentationComments', action: 'X' },
+
+    // Patient
+    x00100010: { name: 'PatientName', action: 'D' },
+    x00100020: { name: 'PatientID', action: 'D' },
+    x00100021: { name: 'IssuerOfPatientID', action: 'X' },
+    x00100022: { name: 'TypeOfPatientID', action: 'X' },
+    x00100024: { name: 'IssuerOfPatientIDQualifiersSequence', action: 'X' },
+    x00100026: { name: 'SourcePatientGroupIdentificationSequence', action: 'X' },
+    x00100027: { name: 'GroupOfPatientsIdentificationSequence', action: 'X' },
+    x00100030: { name: 'PatientBirthDate', action: 'Z' },
+    x00100032: { name: 'PatientBirthTime', action: 'X' },
+    x00100033: { name: 'PatientBirthDateInAlternativeCalendar', action: 'X' },
+    x00100034: { name: 'PatientDeathDateInAlternativeCalendar', action: 'X' },
+    x00100035: { name: 'PatientAlternativeCalendar', action: 'X' },
+    x00100050: { name: 'PatientInsurancePlanCodeSequence', action: 'X' },
+    x00100101: { name: 'PatientPrimaryLanguageCodeSequence', action: 'X' },
+    x00100102: { name: 'PatientPrimaryLanguageModifierCodeSequence', action: 'X' },
+    x00101000: { name: 'OtherPatientIDs', action: 'X' },
+    x00101001: { name: 'OtherPatientNames', action: 'X' },
+    x00101002: { name: 'OtherPatientIDsSequence', action: 'X' },
+    x00101005: { name: 'PatientBirthName', action: 'X' },
+    x00101040: { name: 'PatientAddress', action: 'X' },
+    x00101050: { name: 'InsurancePlanIdentification', action: 'X' },
+    x00101060: { name: 'PatientMotherBirthName', action: 'X' },
+    x00101080: { name: 'MilitaryRank', action: 'X' },
+    x00101081: { name: 'BranchOfService', action: 'X' },
+    x00101090: { name: 'MedicalRecordLocator', action: 'X' },
+    x00101100: { name: 'ReferencedPatientPhotoSequence', action: 'X' },
+    x00102000: { name: 'MedicalAlerts', action: 'X' },
+    x00102110: { name: 'Allergies', action: 'X' },
+    x00102150: { name: 'CountryOfResidence', action: 'X' },
+    x00102152: { name: 'RegionOfResidence', action: 'X' },
+    x00102154: { name: 'PatientTelephoneNumbers', action: 'X' },
+    x00102155: { name: 'PatientTelecomInformation', action: 'X' },
+    x00102160: { name: 'EthnicGroup', action: 'X' },
+    x00102180: { name: 'Occupation', action: 'X' },
+    x001021b0: { name: 'AdditionalPatientHistory', action: 'X' },
+    x001021d0: { name: 'LastMenstrualDate', action: 'X' },
+    x001021f0: { name: 'PatientReligiousPreference', action: 'X' },
+    x00102297: { name: 'ResponsiblePerson', action: 'X' },
+    x00102299: { name: 'ResponsibleOrganization', action: 'X' },
+    x00104000: { name: 'PatientComments', action: 'X' },
+
+    // Study request, visit and admission
+    x00320012: { name: 'StudyIDIssuer', action: 'X' },
+    x00321020: { name: 'ScheduledStudyLocation', action: 'X' },
+    x00321021: { name: 'ScheduledStudyLocationAETitle', action: 'X' },
+    x00321030: { name: 'ReasonForStudy', action: 'X' },
+    x00321032: { name: 'RequestingPhysician', action: 'X' },
+    x00321033: { name: 'RequestingService', action: 'X' },
+    x00321060: { name: 'RequestedProcedureDescription', action: 'X' },
+    x00321070: { name: 'RequestedContrastAgent', action: 'X' },
+    x00324000: { name: 'StudyComments', action: 'X' },
+    x00380004: { name: 'ReferencedPatientAliasSequence', action: 'X' },
+    x00380010: { name: 'AdmissionID', action: 'X' },
+    x00380011: { name: 'IssuerOfAdmissionID', action: 'X' },
+    x00380014: { name: 'IssuerOfAdmissionIDSequence', action: 'X' },
+    x0038001e: { name: 'ScheduledPatientInstitutionResidence', action: 'X' },
+    x00380020: { name: 'AdmittingDate', action: 'X' },
+    x00380021: { name: 'AdmittingTime', action: 'X' },
+    x00380040: { name: 'DischargeDiagnosisDescription', action: 'X' },
+    x00380050: { name: 'SpecialNeeds', action: 'X' },
+    x00380060: { name: 'ServiceEpisodeID', action: 'X' },
+    x00380061: { name: 'IssuerOfServiceEpisodeID', action: 'X' },
+    x00380062: { name: 'ServiceEpisodeDescription', action: 'X' },
+    x00380300: { name: 'CurrentPatientLocation', action: 'X' },
+    x00380400: { name: 'PatientInstitutionResidence', action: 'X' },
+    x00380500: { name: 'PatientState', action: 'X' },
+    x00384000: { name: 'VisitComments', action: 'X' },
+
+    // Scheduled and performed procedure steps, orders
+    x00400001: { name: 'ScheduledStationAETitle', action: 'X' },
+    x00400002: { name: 'ScheduledProcedureStepStartDate', action: 'X' },
+    x00400003: { name: 'ScheduledProcedureStepStartTime', action: 'X' },
+    x00400004: { name: 'ScheduledProcedureStepEndDate', action: 'X' },
+    x00400005: { name: 'ScheduledProcedureStepEndTime', action: 'X' },
+    x00400006: { name: 'ScheduledPerformingPhysicianName', action: 'X' },
+    x00400007: { name: 'ScheduledProcedureStepDescription', action: 'X' },
+    x0040000b: { name: 'ScheduledPerformingPhysicianIdentificationSequence', action: 'X' },
+    x00400010: { name: 'ScheduledStationName', action: 'X' },
+    x00400011: { name: 'ScheduledProcedureStepLocation', action: 'X' },
+    x00400012: { name: 'PreMedication', action: 'X' },
+    x00400241: { name: 'PerformedStationAETitle', action: 'X' },
+    x00400242: { name: 'PerformedStationName', action: 'X' },
+    x00400243: { name: 'PerformedLocation', action: 'X' },
+    x00400250: { name: 'PerformedProcedureStepEndDate', action: 'X' },
+    x00400251: { name: 'PerformedProcedureStepEndTime', action: 'X' },
+    x00400253: { name: 'PerformedProcedureStepID', action: 'X' },
+    x00400254: { name: 'PerformedProcedureStepDescription', action: 'X' },
+    x00400275: { name: 'RequestAttributesSequence', action: 'X' },
+    x00400280: { name: 'CommentsOnThePerformedProcedureStep', action: 'X' },
+    x00401001: { name: 'RequestedProcedureID', action: 'X' },
+    x00401002: { name: 'ReasonForTheRequestedProcedure', action: 'X' },
+    x00401004: { name: 'PatientTransportArrangements', action: 'X' },
+    x00401005: { name: 'RequestedProcedureLocation', action: 'X' },
+    x00401010: { name: 'NamesOfIntendedRecipientsOfResults', action: 'X' },
+    x00401011: { name: 'IntendedRecipientsOfResultsIdentificationSequence', action: 'X' },
+    x00401101: { name: 'PersonIdentificationCodeSequence', action: 'X' },
+    x00401102: { name: 'PersonAddress', action: 'X' },
+    x00401103: { name: 'PersonTelephoneNumbers', action: 'X' },
+    x00401400: { name: 'RequestedProcedureComments', action: 'X' },
+    x00402001: { name: 'ReasonForTheImagingServiceRequest', action: 'X' },
+    x00402008: { name: 'OrderEnteredBy', action: 'X' },
+    x00402009: { name: 'OrderEntererLocation', action: 'X' },
+    x00402010: { name: 'OrderCallbackPhoneNumber', action: 'X' },
+    x00402011: { name: 'OrderCallbackTelecomInformation', action: 'X' },
+    x00402016: { name: 'PlacerOrderNumberImagingServiceRequest', action: 'Z' },
+    x00402017: { name: 'FillerOrderNumberImagingServiceRequest', action: 'Z' },
+    x00402400: { name: 'ImagingServiceRequestComments', action: 'X' },
+    x00403001: { name: 'ConfidentialityConstraintOnPatientDataDescription', action: 'X' },
+    x00404036: { name: 'HumanPerformerOrganization', action: 'X' },
+    x00404037: { name: 'HumanPerformerName', action: 'X' },
+
+    // Observers, structured content and results
+    x0040a027: { name: 'VerifyingOrganization', action: 'X' },
+    x0040a073: { name: 'VerifyingObserverSequence', action: 'X' },
+    x0040a075: { name: 'VerifyingObserverName', action: 'D' },
+    x0040a078: { name: 'AuthorObserverSequence', action: 'X' },
+    x0040a07a: { name: 'ParticipantSequence', action: 'X' },
+    x0040a07c: { name: 'CustodialOrganizationSequence', action: 'X' },
+    x0040a088: { name: 'VerifyingObserverIdentificationCodeSequence', action: 'X' },
+    x0040a123: { name: 'PersonName', action: 'D' },
+    x0040a730: { name: 'ContentSequence', action: 'X' },
+    x00700084: { name: 'ContentCreatorName', action: 'Z' },
+    x00700086: { name: 'ContentCreatorIdentificationCodeSequence', action: 'X' },
+    x00880200: { name: 'IconImageSequence', action: 'X' },
+    x00880904: { name: 'TopicTitle', action: 'X' },
+    x00880906: { name: 'TopicSubject', action: 'X' },
+    x00880910: { name: 'TopicAuthor', action: 'X' },
+    x00880912: { name: 'TopicKeywords', action: 'X' },
+    x04000550: { name: 'ModifiedAttributesSequence', action: 'X' },
+    x04000561: { name: 'OriginalAttributesSequence', action: 'X' },
+    x40000010: { name: 'Arbitrary', action: 'X' },
+    x40004000: { name: 'TextComments', action: 'X' },
+    x40080042: { name: 'ResultsIDIssuer', action: 'X' },
+    x40080102: { name: 'InterpretationRecorder', action: 'X' },
+    x4008010a: { name: 'InterpretationTranscriber', action: 'X' },
+    x4008010b: { name: 'InterpretationText', action: 'X' },
+    x4008010c: { name: 'InterpretationAuthor', action: 'X' },
+    x40080111: { name: 'InterpretationApproverSequence', action: 'X' },
+    x40080114: { name: 'PhysicianApprovingInterpretation', action: 'X' },
+    x40080115: { name: 'InterpretationDiagnosisDescription', action: 'X' },
+    x40080118: { name: 'ResultsDistributionListSequence', action: 'X' },
+    x40080119: { name: 'DistributionName', action: 'X' },
+    x4008011a: { name: 'DistributionAddress', action: 'X' },
+    x40080202: { name: 'InterpretationIDIssuer', action: 'X' },
+    x40080300: { name: 'Impressions', action: 'X' },
+    x40084000: { name: 'ResultsComments', action: 'X' },
+    xfffafffa: { name: 'DigitalSignaturesSequence', action: 'X' },
+    xfffcfffc: { name: 'DataSetTrailingPadding', action: 'X' },
+
+    // Dates (Retain Longitudinal Temporal Information with Modified Dates)
+    x00080012: { name: 'InstanceCreationDate', action: 'S' },
+    x00080020: { name: 'StudyDate', action: 'S' },
+    x00080021: { name: 'SeriesDate', action: 'S' },
+    x00080022: { name: 'AcquisitionDate', action: 'S' },
+    x00080023: { name: 'ContentDate', action: 'S' },
+    x0008002a: { name: 'AcquisitionDateTime', action: 'S' },
+    x00400244: { name: 'PerformedProcedureStepStartDate', action: 'S' },
+
+    // UIDs
+    x00020003: { name: 'MediaStorageSOPInstanceUID', action: 'U' },
+    x00080014: { name: 'InstanceCreatorUID', action: 'U' },
+    x00080018: { name: 'SOPInstanceUID', action: 'U' },
+    x00080058: { name: 'FailedSOPInstanceUIDList', action: 'U' },
+    x0008010d: { name: 'ContextGroupExtensionCreatorUID', action: 'U' },
+    x00081155: { name: 'ReferencedSOPInstanceUID', action: 'U' },
+    x00081195: { name: 'TransactionUID', action: 'U' },
+    x00083010: { name: 'IrradiationEventUID', action: 'U' },
+    x00181002: { name: 'DeviceUID', action: 'U' },
+    x0020000d: { name: 'StudyInstanceUID', action: 'U' },
+    x0020000e: { name: 'SeriesInstanceUID', action: 'U' },
+    x00200052: { name: 'FrameOfReferenceUID', action: 'U' },
+    x00200200: { name: 'SynchronizationFrameOfReferenceUID', action: 'U' },
+    x00209161: { name: 'ConcatenationUID', action: 'U' },
+    x00209164: { name: 'DimensionOrganizationUID', action: 'U' },
+    x00281199: { name: 'PaletteColorLookupTableUID', action: 'U' },
+    x00281214: { name: 'LargePaletteColorLookupTableUID', action: 'U' },
+    x0040a124: { name: 'UID', action: 'U' },
+    x0040db0c: { name: 'TemplateExtensionOrganizationUID', action: 'U' },
+    x0040db0d: { name: 'TemplateExtensionCreatorUID', action: 'U' },
+    x00880140: { name: 'StorageMediaFileSetUID', action: 'U' },
+    x30060024: { name: 'ReferencedFrameOfReferenceUID', action: 'U' },
+    x300600c2: { name: 'RelatedFrameOfReferenceUID', action: 'U' },
+    x300a0013: { name: 'DoseReferenceUID', action: 'U' },
+};
+
+// Padding per DICOM value representation: UIDs pad with NUL, text with space
+const UID_PADDING = '\0';
+const TEXT_PADDING = ' ';
+
+// Binary value representations, zero-filled when a sequence is removed (explicit VR only)
+const BINARY_VRS = new Set(['AT', 'FD', 'FL', 'OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SL', 'SS', 'SV', 'UL', 'US', 'UV']);
+
+// 'ANON-' and 19 hex digits of the HMAC (76 bits)
+const MIN_PSEUDONYM_LENGTH = 24;
+const IMPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+
+
+// CONTEXT
+
+
+/**
+ * Secret used to derive pseudonyms. Falls back to a per-process secret, which
+ * keeps a single upload consistent but not uploads across restarts.
+ */
+function getSecret() {
+    if (process.env.DEID_SECRET) return process.env.DEID_SECRET;
+    if (!warnedAboutSecret) {
+        console.warn('⚠️  DEID_SECRET not set — pseudonyms will change when the server restarts');
+        warnedAboutSecret = true;
+    }
+    return processSecret;
+}
+
+function hmac(value) {
+    return crypto.createHmac('sha256', getSecret()).update(String(value)).digest();
+}
+
+
+// DICOM DE-IDENTIFICATION
+
+
+/**
+ * De-identify a DICOM Part 10 buffer.
+ * @param {Buffer} buffer - Original DICOM bytes (not modified)
+ * @returns {{ buffer: Buffer, actions: Object[], privateTagsRemoved: number, burnedInAnnotation: Object }}
+ */
+function deidentifyDicom(buffer) {
+    const output = Buffer.from(buffer);
+    const byteArray = new Uint8Array(output.buffer, output.byteOffset, output.length);
+
+    let dataSet;
+    try {
+        dataSet = dicomParser.parseDicom(byteArray);
+    } catch (err) {
+        throw new Error(`Invalid DICOM file: ${err.exception || err.message || err}`);
+    }
+
+    const patientKey = dataSet.string('x00100020') || dataSet.string('x00100010') || 'unknown';
+    const dateShiftDays = -(1 + (hmac(`date:${patientKey}`).readUInt32BE(0) % 3650));
+
+    const burnedInAnnotation = checkBurnedInTags(dataSet);
+    const actions = [];
+    const lengthened = [];
+    let privateTagsRemoved = 0;
+
+    const visit = (ds, location) => {
+        for (const tag of Object.keys(ds.elements)) {
+            const element = ds.elements[tag];
+            const group = parseInt(tag.substring(1, 5), 16);
+            const rule = PHI_TAGS[tag];
+
+            // A listed sequence is removed as a whole: every value in its items is blanked
+            if (element.items && rule) {
+                blankItems(output, element.items);
+                actions.push({ tag: `${location}${formatTag(tag)}`, name: rule.name, action: 'removed' });
+                continue;
+            }
+
+            if (element.items) {
+                element.items.forEach((item, i) => visit(item.dataSet, `${location}${formatTag(tag)}[${i}].`));
+            }
+
+            // Private tags (odd group numbers) can carry anything — blank them all
+            if (group % 2 === 1 && group > 0x0008) {
+                if (!element.items) {
+                    output.fill(0, element.dataOffset, element.dataOffset + element.length);
+                    privateTagsRemoved++;
+                }
+                continue;
+            }
+
+            if (!rule || !element.length) continue;
+
+            const original = ds.string(tag) || '';
+            const applied = applyRule(output, element, rule, original, { patientKey, dateShiftDays });
+            actions.push({ tag: `${location}${formatTag(tag)}`, name: rule.name, action: applied });
+
+            // Only top-level values can grow: a sequence of defined length would need its lengths rewritten too
+            if (rule.action === 'D' && !location && element.length < MIN_PSEUDONYM_LENGTH) {
+                lengthened.push({ element, value: pseudonym(rule, patientKey).substring(0, MIN_PSEUDONYM_LENGTH) });
+            }
+        }
+    };
+
+    visit(dataSet, '');
+
+    const bigEndian = dataSet.string('x00020010') === EXPLICIT_BIG_ENDIAN;
+    return {
+        buffer: lengthened.length ? resizeValues(output, lengthened, bigEndian) : output,
+        actions,
+        privateTagsRemoved,
+        burnedInAnnotation,
+    };
+}
+
+/**
+ * Blank every value in the items of a sequence, keeping the item structure
+ * so the rest of the file still parses.
+ */
+function blankItems(output, items) {
+    for (const item of items) {
+        for (const element of Object.values(item.dataSet.elements)) {
+            if (element.items) {
+                blankItems(output, element.items);
+            } else {
+                const fill = BINARY_VRS.has(element.vr) ? 0 : TEXT_PADDING;
+                output.fill(fill, element.dataOffset, element.dataOffset + element.length);
+            }
+        }
+    }
+}
+
+/**
+ * Copy of the file with some top-level values replaced by values of another
+ * (even) length, and their length fields updated.
+ * @param {{ element: Object, value: string }[]} replacements
+ */
+function resizeValues(buffer, replacements, bigEndian) {
+    const parts = [];
+    let cursor = 0;
+    for (const { element, value } of [...replacements].sort((l, r) => l.element.dataOffset - r.element.dataOffset)) {
+        // Implicit VR has a 4-byte length; PN and LO in explicit VR a 2-byte one
+        const lengthSize = element.vr ? 2 : 4;
+        const length = Buffer.alloc(lengthSize);
+        if (lengthSize === 2) length[bigEndian ? 'writeUInt16BE' : 'writeUInt16LE'](value.length);
+        else length.writeUInt32LE(value.length);
+
+        parts.push(buffer.subarray(cursor, element.dataOffset - lengthSize), length, Buffer.from(value, 'ascii'));
+        cursor = element.dataOffset + element.length;
+    }
+    parts.push(buffer.subarray(cursor));
+    return Buffer.concat(parts);
+}
+
+function pseudonym(rule, patientKey) {
+    const prefix = rule.name === 'PatientName' ? 'ANON^' : 'ANON-';
+    return prefix + hmac(`${rule.name}:${patientKey}`).toString('hex').toUpperCase();
+}
+
+/**
+ * Rewrite one element in place according to its profile action.
+ * @returns {string} Human-readable description of what was done
+ */
+function applyRule(output, element, rule, original, { patientKey, dateShiftDays }) {
+    switch (rule.action) {
+        case 'D':
+            writeValue(output, element, pseudonym(rule, patientKey), TEXT_PADDING);
+            return 'pseudonymized';
+        case 'S': {
+            const shifted = original.split('\\').map(v => shiftDate(v, dateShiftDays)).join('\\');
+            if (shifted.length === original.length && !shifted.includes('?')) {
+                writeValue(output, element, shifted, TEXT_PADDING);
+                return 'date-shifted';
+            }
+            writeValue(output, element, '', TEXT_PADDING);
+            return 'removed';
+        }
+        case 'U':
+            writeValue(output, element, replacementUid(original, element.length), UID_PADDING);
+            return 'uid-replaced';
+        case 'Z':
+        case 'X':
+        default:
+            writeValue(output, element, '', TEXT_PADDING);
+            return 'removed';
+    }
+}
+
+function writeValue(output, element, value, padding) {
+    const bytes = Buffer.alloc(element.length, padding);
+    bytes.write(value.substring(0, element.length), 'ascii');
+    bytes.copy(output, element.dataOffset);
+}
+
+/**
+ * Shift a DA (YYYYMMDD) or the date part of a DT value by a number of days.
+ */
+function shiftDate(value, days) {
+    const match = /^(\d{4})(\d{2})(\d{2})(.*)$/.exec(value);
+    if (!match) return value ? '?' : value;
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (Number.isNaN(date.getTime())) return '?';
+    date.setUTCDate(date.getUTCDate() + days);
+
+    const y = String(date.getUTCFullYear()).padStart(4, '0');
+    const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const d = String(date.getUTCDate()).padStart(2, '0');
+    return `${y}${m}${d}${match[4]}`;
+}
+
+/**
+ * Deterministic replacement UID under the 2.25 (UUID-derived) root,
+ * truncated to fit the original value's space. A space too small for the
+ * root gets the hash digits alone, which is still a valid UID.
+ */
+function replacementUid(original, maxLength) {
+    const digits = BigInt(`0x${hmac(`uid:${original.trim()}`).subarray(0, 16).toString('hex')}`).toString();
+    const limit = Math.min(maxLength, 64);
+    if (limit < '2.25.'.length + 1) return digits.substring(0, limit);
+    return `2.25.${digits}`.substring(0, limit).replace(/\.+$/, '');
+}
+
+/**
+ * Burned-in annotation flags from the header alone.
+ */
+function checkBurnedInTags(dataSet) {
+    const reasons = [];
+    const burnedIn = (dataSet.string('x00280301') || '').toUpperCase();
+    const imageType = (dataSet.string('x00080008') || '').toUpperCase();
+    const modality = (dataSet.string('x00080060') || '').toUpperCase();
+
+    if (burnedIn === 'YES') reasons.push('BurnedInAnnotation (0028,0301) is YES');
+    if (imageType.includes('SECONDARY')) reasons.push('ImageType is SECONDARY (screen capture or derived image)');
+    if (['SC', 'OT'].includes(modality)) reasons.push(`Modality ${modality} commonly carries burned-in text`);
+
+    return { flagged: reasons.length > 0, reasons };
+}
+
+
+// PLAIN IMAGE DE-IDENTIFICATION
+
+
+/**
+ * Re-encode a PNG/JPEG so EXIF, XMP, ICC comments and text chunks are dropped.
+ * @param {Buffer} buffer - Uploaded image bytes
+ * @param {string} outputPath - Where to write the clean image
+ */
+async function stripImageMetadata(buffer, outputPath) {
+    const image = sharp(buffer).rotate(); // apply EXIF orientation before it is discarded
+    if (/\.png$/i.test(outputPath)) {
+        await image.png().toFile(outputPath);
+    } else {
+        await image.jpeg({ quality: 95 }).toFile(outputPath);
+    }
+}
+
+
+// BURNED-IN TEXT DETECTION
+
+
+/**
+ * Heuristic check for overlay text in the image corners. CT corners are
+ * outside the body (air, rendered black), so clusters of near-white pixels
+ * there usually mean patient details were burned into the pixels.
+ * @param {string} imagePath - Rendered PNG/JPEG that will be sent to the model
+ * @returns {Promise<{ flagged: boolean, reasons: string[] }>}
+ */
+async function detectBurnedInText(imagePath) {
+    const { data, info } = await sharp(imagePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const cornerW = Math.floor(width * 0.25);
+    const cornerH = Math.floor(height * 0.12);
+
+    const corners = {
+        'top-left': [0, 0],
+        'top-right': [width - cornerW, 0],
+        'bottom-left': [0, height - cornerH],
+        'bottom-right': [width - cornerW, height - cornerH],
+    };
+
+    const reasons = [];
+    for (const [name, [x0, y0]] of Object.entries(corners)) {
+        let bright = 0;
+        for (let y = y0; y < y0 + cornerH; y++) {
+            for (let x = x0; x < x0 + cornerW; x++) {
+                if (data[y * width + x] >= 240) bright++;
+            }
+        }
+        const ratio = bright / (cornerW * cornerH);
+        // Text covers a small but non-trivial fraction; a fully bright corner is not text
+        if (ratio > 0.005 && ratio < 0.4) {
+            reasons.push(`Possible burned-in text in ${name} corner (${(ratio * 100).toFixed(1)}% bright pixels)`);
+        }
+    }
+
+    return { flagged: reasons.length > 0, reasons };
+}
+
+
+// REPORTS
+
+
+/**
+ * Write the de-identification report for one upload. Reports list which tags
+ * were touched, never the original values.
+ * @param {string} uploadId - Upload / series identifier
+ * @param {Object[]} files - Per-file results: { file, actions, privateTagsRemoved, burnedInAnnotation }
+ * @returns {Object} The report that was written
+ */
+function writeDeidReport(uploadId, files) {
+    if (!fs.existsSync(REPORTS_DIR)) {
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    }
+
+    const report = {
+        uploadId,
+        createdAt: new Date().toISOString(),
+        profile: PROFILE_NAME,
+        options: PROFILE_OPTIONS,
+        files,
+        summary: summarizeReport(files),
+    };
+
+    fs.writeFileSync(path.join(REPORTS_DIR, `${uploadId}.json`), JSON.stringify(report, null, 2));
+    return report;
+}
+
+/**
+ * Compact summary for API responses.
+ */
+function summarizeReport(files) {
+    const reasons = files.flatMap(f => (f.burnedInAnnotation?.reasons || []).map(r => `${f.file}: ${r}`));
+    return {
+        filesProcessed: files.length,
+        tagsModified: files.reduce((n, f) => n + (f.actions?.length || 0), 0),
+        privateTagsRemoved: files.reduce((n, f) => n + (f.privateTagsRemoved || 0), 0),
+        burnedInAnnotationSuspected: reasons.length > 0,
+        burnedInAnnotationReasons: reasons,
+    };
+}
+
+
+// UTILITIES
+
+
+function formatTag(tag) {
+    return `(${tag.substring(1, 5).toUpperCase()},${tag.substring(5, 9).toUpperCase()})`;
+}
+
+/**
+ * Merge header-based and pixel-based burned-in findings.
+ */
+function mergeBurnedIn(...findings) {
+    const reasons = findings.flatMap(f => (f ? f.reasons : []));
+    return { flagged: reasons.length > 0, reasons };
+}
+
+module.exports = {
+    PROFILE_NAME,
+    PHI_TAGS,
+    deidentifyDicom,
+    stripImageMetadata,
+    detectBurnedInText,
+    mergeBurnedIn,
+    writeDeidReport,
+};
@@ -0,0 +1,254 @@
+/**
+ * DICOM PROCESSING
+ * Parses uploaded DICOM (.dcm) CT slices and renders them into PNG images
+ * the vision models can read.
+ *
+ * Pipeline:
+ *   1. Parse the Part 10 file with dicom-parser
+ *   2. Convert stored pixel values to Hounsfield units (RescaleSlope/Intercept)
+ *   3. Apply a lung window (W 1500 / L -600) to map HU into 0-255 greyscale
+ *   4. Encode the greyscale buffer as PNG with sharp */
+
+const dicomParser = require('dicom-parser');
+const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
+
+// Standard lung window used by radiologists for parenchyma review
+const LUNG_WINDOW = { center: -600, width: 1500 };
+
+// Uncompressed transfer syntaxes we can read pixel data from directly
+const SUPPORTED_TRANSFER_SYNTAXES = [
+    '1.2.840.10008.1.2',     // Implicit VR Little Endian
+    '1.2.840.10008.1.2.1',   // Explicit VR Little Endian
+    '1.2.840.10008.1.2.2',   // Explicit VR Big Endian (retired)
+];
+
+
+// DETECTION & PARSING
+
+
+/**
+ * Check whether a file is DICOM — by the "DICM" preamble marker or .dcm extension.
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} [originalName] - Original client-side file name
+ * @returns {boolean}
+ */
+function isDicomFile(filePath, originalName = '') {
+    if (/\.dcm$/i.test(originalName) || /\.dcm$/i.test(filePath)) return true;
+
+    try {
+        const fd = fs.openSync(filePath, 'r');
+        const marker = Buffer.alloc(4);
+        fs.readSync(fd, marker, 0, 4, 128);
+        fs.closeSync(fd);
+        return marker.toString('ascii') === 'DICM';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Same check as isDicomFile, for uploads still held in memory.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} [originalName] - Original client-side file name
+ * @returns {boolean}
+ */
+function isDicomBuffer(buffer, originalName = '') {
+    if (/\.dcm$/i.test(originalName)) return true;
+    return buffer.length > 132 && buffer.toString('ascii', 128, 132) === 'DICM';
+}
+
+/**
+ * Parse a DICOM file into a dicom-parser DataSet.
+ * @param {string} filePath - Path to the .dcm file
+ * @returns {Object} dicom-parser DataSet
+ */
+function parseDicomFile(filePath) {
+    const byteArray = new Uint8Array(fs.readFileSync(filePath));
+    try {
+        return dicomParser.parseDicom(byteArray);
+    } catch (err) {
+        const reason = err.exception || err.message || String(err);
+        throw new Error(`Invalid DICOM file: ${reason}`);
+    }
+}
+
+
+// METADATA
+
+
+/**
+ * Extract the DICOM tags the rest of the app cares about.
+ * @param {Object} dataSet - dicom-parser DataSet
+ * @returns {Object} Key DICOM tags
+ */
+function extractDicomMetadata(dataSet) {
+    return {
+        modality: dataSet.string('x00080060') || 'N/A',
+        sliceThickness: toNumber(dataSet.string('x00180050')),
+        pixelSpacing: parseMultiValue(dataSet.string('x00280030')),
+        studyDate: formatDicomDate(dataSet.string('x00080020')),
+        // Pseudonyms after de-identification; they group a patient's studies
+        patientId: dataSet.string('x00100020') || null,
+        studyInstanceUID: dataSet.string('x0020000d') || null,
+        rows: dataSet.uint16('x00280010'),
+        columns: dataSet.uint16('x00280011'),
+        seriesDescription: dataSet.string('x0008103e') || null,
+        instanceNumber: toNumber(dataSet.string('x00200013')),
+        imagePositionPatient: parseMultiValue(dataSet.string('x00200032')),
+    };
+}
+
+
+// PIXEL CONVERSION
+
+
+/**
+ * Read the raw pixel data and convert it to Hounsfield units.
+ * @param {Object} dataSet - dicom-parser DataSet
+ * @returns {{ hu: Float32Array, rows: number, columns: number }}
+ */
+function toHounsfieldUnits(dataSet) {
+    const transferSyntax = dataSet.string('x00020010') || '1.2.840.10008.1.2';
+    if (!SUPPORTED_TRANSFER_SYNTAXES.includes(transferSyntax)) {
+        throw new Error(`Unsupported DICOM transfer syntax ${transferSyntax}. Please export the series uncompressed.`);
+    }
+
+    const pixelElement = dataSet.elements.x7fe00010;
+    if (!pixelElement) {
+        throw new Error('Invalid DICOM file: no pixel data found');
+    }
+
+    const rows = dataSet.uint16('x00280010');
+    const columns = dataSet.uint16('x00280011');
+    const bitsAllocated = dataSet.uint16('x00280100') || 16;
+    const isSigned = dataSet.uint16('x00280103') === 1;
+    const samplesPerPixel = dataSet.uint16('x00280002') || 1;
+
+    if (!rows || !columns) {
+        throw new Error('Invalid DICOM file: missing image dimensions');
+    }
+    if (samplesPerPixel !== 1) {
+        throw new Error('Invalid DICOM file: only greyscale CT images are supported');
+    }
+
+    const slope = toNumber(dataSet.string('x00281053')) ?? 1;
+    const intercept = toNumber(dataSet.string('x00281052')) ?? 0;
+
+    const pixelCount = rows * columns;
+    const bytesPerPixel = bitsAllocated / 8;
+    if (pixelElement.length < pixelCount * bytesPerPixel) {
+        throw new Error('Invalid DICOM file: pixel data is truncated');
+    }
+
+    const buffer = Buffer.from(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + pixelElement.dataOffset, pixelElement.length);
+    const bigEndian = transferSyntax === '1.2.840.10008.1.2.2';
+    const hu = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        let stored;
+        if (bitsAllocated === 8) {
+            stored = isSigned ? buffer.readInt8(i) : buffer.readUInt8(i);
+        } else if (bigEndian) {
+            stored = isSigned ? buffer.readInt16BE(i * 2) : buffer.readUInt16BE(i * 2);
+        } else {
+            stored = isSigned ? buffer.readInt16LE(i * 2) : buffer.readUInt16LE(i * 2);
+        }
+        hu[i] = stored * slope + intercept;
+    }
+
+    return { hu, rows, columns };
+}
+
+/**
+ * Map Hounsfield units into 8-bit greyscale using a window centre/width.
+ * @param {Float32Array} hu - Pixel values in HU
+ * @param {{ center: number, width: number }} window - Display window
+ * @param {boolean} [invert] - True for MONOCHROME1 images
+ * @returns {Buffer} 8-bit greyscale pixels
+ */
+function applyWindow(hu, { center, width }, invert = false) {
+    const lower = center - width / 2;
+    const out = Buffer.alloc(hu.length);
+
+    for (let i = 0; i < hu.length; i++) {
+        let value = ((hu[i] - lower) / width) * 255;
+        value = Math.min(255, Math.max(0, value));
+        out[i] = invert ? 255 - value : value;
+    }
+
+    return out;
+}
+
+
+// RENDERING
+
+
+/**
+ * Render a DICOM CT slice to a lung-windowed PNG.
+ * @param {string} dicomPath - Path to the uploaded .dcm file
+ * @param {string} [outputPath] - Where to write the PNG (defaults to same name with .png)
+ * @returns {Promise<{ pngPath: string, metadata: Object }>}
+ */
+async function convertDicomToPng(dicomPath, outputPath) {
+    const dataSet = parseDicomFile(dicomPath);
+    const metadata = extractDicomMetadata(dataSet);
+    const { hu, rows, columns } = toHounsfieldUnits(dataSet);
+
+    const invert = dataSet.string('x00280004') === 'MONOCHROME1';
+    const pixels = applyWindow(hu, LUNG_WINDOW, invert);
+
+    const pngPath = outputPath ||
+        path.join(path.dirname(dicomPath), `${path.basename(dicomPath, path.extname(dicomPath))}.png`);
+
+    await writeGreyscalePng(pixels, columns, rows, pngPath);
+
+    return { pngPath, metadata: { ...metadata, window: LUNG_WINDOW } };
+}
+
+/**
+ * Encode an 8-bit greyscale buffer as a PNG file.
+ * @param {Buffer} pixels - Windowed greyscale pixels
+ * @param {number} width - Image width (columns)
+ * @param {number} height - Image height (rows)
+ * @param {string} outputPath - Destination PNG path
+ */
+async function writeGreyscalePng(pixels, width, height, outputPath) {
+    await sharp(pixels, { raw: { width, height, channels: 1 } })
+        .png()
+        .toFile(outputPath);
+}
+
+
+// UTILITIES
+
+
+function toNumber(val) {
+    if (val === undefined || val === null || val === '') return null;
+    const num = parseFloat(val);
+    return Number.isFinite(num) ? num : null;
+}
+
+function parseMultiValue(val) {
+    if (!val) return null;
+    const nums = val.split('\\').map(Number);
+    return nums.every(Number.isFinite) ? nums : null;
+}
+
+function formatDicomDate(val) {
+    if (!val || !/^\d{8}$/.test(val)) return val || null;
+    return `${val.substring(0, 4)}-${val.substring(4, 6)}-${val.substring(6, 8)}`;
+}
+
+module.exports = {
+    LUNG_WINDOW,
+    isDicomFile,
+    isDicomBuffer,
+    parseDicomFile,
+    extractDicomMetadata,
+    toHounsfieldUnits,
+    applyWindow,
+    writeGreyscalePng,
+    convertDicomToPng,
+};
@@ -0,0 +1,288 @@
+/**
+ * DICOM SERIES HANDLING
+ * Builds a CT volume from a multi-slice series and renders the slices or
+ * slab the client wants analyzed.
+ *
+ * Slices are ordered along the scan axis using ImagePositionPatient projected
+ * onto the slice normal (from ImageOrientationPatient), falling back to
+ * InstanceNumber when positions are missing. */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const {
+    LUNG_WINDOW,
+    isDicomFile,
+    parseDicomFile,
+    extractDicomMetadata,
+    toHounsfieldUnits,
+    applyWindow,
+    writeGreyscalePng,
+} = require('./dicomProcessor');
+
+// Upper bound on images sent to the vision model in one request
+const MAX_ANALYSIS_SLICES = 8;
+const DEFAULT_ANALYSIS_SLICES = 5;
+
+
+// ZIP EXTRACTION
+
+
+/**
+ * Extract the DICOM entries of a zip archive into a directory.
+ * Entry names are flattened so nothing is written outside `outputDir`, and
+ * prefixed with the archive's own (unique) name so several archives can be
+ * extracted into the same directory.
+ * @param {string} zipPath - Uploaded .zip file
+ * @param {string} outputDir - Series directory
+ * @returns {string[]} Paths of the extracted .dcm files
+ */
+function extractZipSeries(zipPath, outputDir) {
+    let zip;
+    try {
+        zip = new AdmZip(zipPath);
+    } catch (err) {
+        throw new Error(`Invalid DICOM series archive: ${err.message}`);
+    }
+
+    const archive = path.basename(zipPath, path.extname(zipPath));
+    const extracted = [];
+    zip.getEntries().forEach((entry, i) => {
+        if (entry.isDirectory) return;
+        const data = entry.getData();
+        const hasMarker = data.length > 132 && data.toString('ascii', 128, 132) === 'DICM';
+        if (!hasMarker && !/\.dcm$/i.test(entry.entryName)) return;
+
+        const target = path.join(outputDir, `${archive}-slice-${String(i).padStart(4, '0')}.dcm`);
+        fs.writeFileSync(target, data);
+        extracted.push(target);
+    });
+
+    return extracted;
+}
+
+
+// VOLUME CONSTRUCTION
+
+
+/**
+ * Parse every slice of a series and sort them into a volume.
+ * @param {string[]} filePaths - .dcm files belonging to one series
+ * @returns {{ rows: number, columns: number, slices: Object[], metadata: Object }}
+ */
+function loadSeries(filePaths) {
+    const dicomPaths = filePaths.filter(fp => isDicomFile(fp));
+    if (!dicomPaths.length) {
+        throw new Error('Invalid DICOM series: no .dcm slices found');
+    }
+
+    const slices = dicomPaths.map(filePath => {
+        const dataSet = parseDicomFile(filePath);
+        const { hu, rows, columns } = toHounsfieldUnits(dataSet);
+        return {
+            filePath,
+            rows,
+            columns,
+            hu,
+            seriesInstanceUid: dataSet.string('x0020000e') || null,
+            orientation: dataSet.string('x00200037'),
+            metadata: extractDicomMetadata(dataSet),
+        };
+    });
+
+    const { rows, columns } = slices[0];
+    if (slices.some(s => s.rows !== rows || s.columns !== columns)) {
+        throw new Error('Invalid DICOM series: slices have different image dimensions');
+    }
+
+    const seriesUids = new Set(slices.map(s => s.seriesInstanceUid).filter(Boolean));
+    if (seriesUids.size > 1) {
+        throw new Error('Invalid DICOM series: files belong to more than one SeriesInstanceUID');
+    }
+
+    const normal = sliceNormal(slices[0].orientation);
+    slices.forEach(s => { s.position = slicePosition(s.metadata.imagePositionPatient, normal); });
+    slices.sort(compareSlices);
+    slices.forEach((s, index) => { s.index = index; });
+
+    return {
+        rows,
+        columns,
+        slices,
+        metadata: { ...slices[0].metadata, sliceCount: slices.length, window: LUNG_WINDOW },
+    };
+}
+
+/**
+ * Summarize a volume for API responses (no pixel data).
+ */
+function describeSeries(volume) {
+    return {
+        rows: volume.rows,
+        columns: volume.columns,
+        sliceCount: volume.slices.length,
+        metadata: volume.metadata,
+        slices: volume.slices.map(s => ({
+            index: s.index,
+            instanceNumber: s.metadata.instanceNumber,
+            position: s.position,
+        })),
+    };
+}
+
+
+// SLICE SELECTION
+
+
+/**
+ * Work out which slice indices to analyze.
+ * @param {Object} volume - Result of loadSeries
+ * @param {Object} selection
+ * @param {number[]} [selection.slices] - Explicit slice indices
+ * @param {number} [selection.slabStart] - First index of a slab (inclusive)
+ * @param {number} [selection.slabEnd] - Last index of a slab (inclusive)
+ * @param {number} [selection.count] - Representative slices to sample from the range
+ * @returns {number[]} Sorted slice indices
+ */
+function selectSlices(volume, { slices, slabStart, slabEnd, count } = {}) {
+    const last = volume.slices.length - 1;
+
+    if (Array.isArray(slices) && slices.length) {
+        const indices = [...new Set(slices.map(Number))].sort((a, b) => a - b);
+        if (indices.some(i => !Number.isInteger(i) || i < 0 || i > last)) {
+            throw new Error(`Invalid slice selection: indices must be between 0 and ${last}`);
+        }
+        if (indices.length > MAX_ANALYSIS_SLICES) {
+            throw new Error(`Invalid slice selection: at most ${MAX_ANALYSIS_SLICES} slices can be analyzed at once`);
+        }
+        return indices;
+    }
+
+    const { start, end } = resolveSlab(volume, slabStart, slabEnd);
+    const wanted = Math.min(Math.max(parseInt(count, 10) || DEFAULT_ANALYSIS_SLICES, 1), MAX_ANALYSIS_SLICES);
+    const span = end - start + 1;
+
+    if (span <= wanted) {
+        return Array.from({ length: span }, (_, i) => start + i);
+    }
+
+    // Evenly spaced, centred within the range
+    const step = span / wanted;
+    return Array.from({ length: wanted }, (_, i) => start + Math.floor(step * i + step / 2));
+}
+
+/**
+ * Validate a slab range, defaulting to the whole volume.
+ */
+function resolveSlab(volume, slabStart, slabEnd) {
+    const last = volume.slices.length - 1;
+    const start = slabStart === undefined || slabStart === '' ? 0 : Number(slabStart);
+    const end = slabEnd === undefined || slabEnd === '' ? last : Number(slabEnd);
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > last || start > end) {
+        throw new Error(`Invalid slab selection: range must lie within 0-${last}`);
+    }
+    return { start, end };
+}
+
+
+// RENDERING
+
+
+/**
+ * Render individual slices to lung-windowed PNGs.
+ * @returns {Promise<Array<{ index: number, pngPath: string }>>}
+ */
+async function renderSlices(volume, indices, outputDir) {
+    const rendered = [];
+    for (const index of indices) {
+        const slice = volume.slices[index];
+        const pngPath = slicePngPath(outputDir, index);
+        await writeGreyscalePng(applyWindow(slice.hu, LUNG_WINDOW), volume.columns, volume.rows, pngPath);
+        rendered.push({ index, pngPath });
+    }
+    return rendered;
+}
+
+/**
+ * Render one slice straight from its file, without loading the rest of the series.
+ * @param {string} filePath - The slice's .dcm file
+ * @param {number} index - Its position in the sorted series
+ * @returns {Promise<{ index: number, pngPath: string }>}
+ */
+async function renderSliceFile(filePath, index, outputDir) {
+    const { hu, rows, columns } = toHounsfieldUnits(parseDicomFile(filePath));
+    const pngPath = slicePngPath(outputDir, index);
+    await writeGreyscalePng(applyWindow(hu, LUNG_WINDOW), columns, rows, pngPath);
+    return { index, pngPath };
+}
+
+/**
+ * Render a maximum-intensity projection of a slab to a PNG.
+ * MIP makes small nodules stand out from vessels across neighbouring slices.
+ * @returns {Promise<{ indices: number[], pngPath: string }>}
+ */
+async function renderMip(volume, slabStart, slabEnd, outputDir) {
+    const { start, end } = resolveSlab(volume, slabStart, slabEnd);
+    const mip = new Float32Array(volume.rows * volume.columns).fill(-Infinity);
+
+    for (let s = start; s <= end; s++) {
+        const { hu } = volume.slices[s];
+        for (let i = 0; i < mip.length; i++) {
+            if (hu[i] > mip[i]) mip[i] = hu[i];
+        }
+    }
+
+    const pngPath = path.join(outputDir, `mip-${start}-${end}.png`);
+    await writeGreyscalePng(applyWindow(mip, LUNG_WINDOW), volume.columns, volume.rows, pngPath);
+
+    return {
+        indices: Array.from({ length: end - start + 1 }, (_, i) => start + i),
+        pngPath,
+    };
+}
+
+
+// UTILITIES
+
+
+function slicePngPath(outputDir, index) {
+    return path.join(outputDir, `slice-${String(index).padStart(4, '0')}.png`);
+}
+
+function sliceNormal(orientation) {
+    const o = orientation ? orientation.split('\\').map(Number) : [];
+    if (o.length !== 6 || !o.every(Number.isFinite)) return [0, 0, 1];
+    return [
+        o[1] * o[5] - o[2] * o[4],
+        o[2] * o[3] - o[0] * o[5],
+        o[0] * o[4] - o[1] * o[3],
+    ];
+}
+
+function slicePosition(imagePosition, normal) {
+    if (!imagePosition || imagePosition.length !== 3) return null;
+    return imagePosition[0] * normal[0] + imagePosition[1] * normal[1] + imagePosition[2] * normal[2];
+}
+
+function compareSlices(a, b) {
+    if (a.position !== null && b.position !== null && a.position !== b.position) {
+        return a.position - b.position;
+    }
+    const ai = a.metadata.instanceNumber ?? Infinity;
+    const bi = b.metadata.instanceNumber ?? Infinity;
+    if (ai !== bi) return ai - bi;
+    return a.filePath.localeCompare(b.filePath);
+}
+
+module.exports = {
+    MAX_ANALYSIS_SLICES,
+    extractZipSeries,
+    loadSeries,
+    describeSeries,
+    selectSlices,
+    renderSlices,
+    renderSliceFile,
+    renderMip,
+};
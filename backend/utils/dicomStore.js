@@ -0,0 +1,316 @@
+/**
+ * DICOM INSTANCE STORE
+ * On-disk store for instances received over DICOMweb, laid out as
+ *   dicom-store/<StudyInstanceUID>/<SeriesInstanceUID>/<SOPInstanceUID>.dcm
+ * with an in-memory index (rebuilt from disk on first use) for QIDO-RS queries.
+ *
+ * Every instance is de-identified before it is written, so the UIDs in the
+ * store are the replacement UIDs, not the ones the sender used. */
+
+const fs = require('fs');
+const path = require('path');
+const dicomParser = require('dicom-parser');
+
+const { deidentifyDicom, writeDeidReport } = require('./deidentify');
+
+const STORE_DIR = path.join(__dirname, '../dicom-store');
+const UID_PATTERN = /^[0-9]+(\.[0-9]+)*$/;
+
+// Attributes returned by QIDO-RS, grouped by query level (PS3.18 Table 10.6.1-5)
+const ATTRIBUTES = {
+    study: [
+        { keyword: 'StudyDate', tag: '00080020', vr: 'DA' },
+        { keyword: 'StudyTime', tag: '00080030', vr: 'TM' },
+        { keyword: 'AccessionNumber', tag: '00080050', vr: 'SH' },
+        { keyword: 'ModalitiesInStudy', tag: '00080061', vr: 'CS' },
+        { keyword: 'ReferringPhysicianName', tag: '00080090', vr: 'PN' },
+        { keyword: 'StudyDescription', tag: '00081030', vr: 'LO' },
+        { keyword: 'PatientName', tag: '00100010', vr: 'PN' },
+        { keyword: 'PatientID', tag: '00100020', vr: 'LO' },
+        { keyword: 'PatientBirthDate', tag: '00100030', vr: 'DA' },
+        { keyword: 'PatientSex', tag: '00100040', vr: 'CS' },
+        { keyword: 'StudyInstanceUID', tag: '0020000D', vr: 'UI' },
+        { keyword: 'StudyID', tag: '00200010', vr: 'SH' },
+        { keyword: 'NumberOfStudyRelatedSeries', tag: '00201206', vr: 'IS' },
+        { keyword: 'NumberOfStudyRelatedInstances', tag: '00201208', vr: 'IS' },
+    ],
+    series: [
+        { keyword: 'Modality', tag: '00080060', vr: 'CS' },
+        { keyword: 'SeriesDescription', tag: '0008103E', vr: 'LO' },
+        { keyword: 'SeriesInstanceUID', tag: '0020000E', vr: 'UI' },
+        { keyword: 'SeriesNumber', tag: '00200011', vr: 'IS' },
+        { keyword: 'NumberOfSeriesRelatedInstances', tag: '00201209', vr: 'IS' },
+    ],
+    instance: [
+        { keyword: 'SOPClassUID', tag: '00080016', vr: 'UI' },
+        { keyword: 'SOPInstanceUID', tag: '00080018', vr: 'UI' },
+        { keyword: 'InstanceNumber', tag: '00200013', vr: 'IS' },
+        { keyword: 'Rows', tag: '00280010', vr: 'US' },
+        { keyword: 'Columns', tag: '00280011', vr: 'US' },
+        { keyword: 'NumberOfFrames', tag: '00280008', vr: 'IS' },
+    ],
+};
+
+const ALL_ATTRIBUTES = [...ATTRIBUTES.study, ...ATTRIBUTES.series, ...ATTRIBUTES.instance];
+
+let index = null;
+
+
+// INDEX
+
+
+/**
+ * Read the attributes we index from a parsed instance.
+ */
+function indexEntry(dataSet, filePath) {
+    const values = {};
+    for (const attr of ALL_ATTRIBUTES) {
+        if (attr.vr === 'US') {
+            const v = dataSet.uint16(`x${attr.tag.toLowerCase()}`);
+            if (v !== undefined) values[attr.keyword] = v;
+        } else {
+            const v = dataSet.string(`x${attr.tag.toLowerCase()}`);
+            if (v) values[attr.keyword] = v;
+        }
+    }
+    return {
+        studyUID: values.StudyInstanceUID,
+        seriesUID: values.SeriesInstanceUID,
+        sopUID: values.SOPInstanceUID,
+        filePath,
+        values,
+    };
+}
+
+/**
+ * Load the index, scanning the store directory the first time.
+ */
+function getIndex() {
+    if (index) return index;
+
+    index = new Map();
+    if (!fs.existsSync(STORE_DIR)) return index;
+
+    for (const study of fs.readdirSync(STORE_DIR)) {
+        const studyDir = path.join(STORE_DIR, study);
+        if (!fs.statSync(studyDir).isDirectory()) continue;
+        for (const series of fs.readdirSync(studyDir)) {
+            const seriesDir = path.join(studyDir, series);
+            for (const file of fs.readdirSync(seriesDir).filter(f => f.endsWith('.dcm'))) {
+                const filePath = path.join(seriesDir, file);
+                try {
+                    const dataSet = dicomParser.parseDicom(new Uint8Array(fs.readFileSync(filePath)), { untilTag: 'x7fe00010' });
+                    const entry = indexEntry(dataSet, filePath);
+                    index.set(entry.sopUID, entry);
+                } catch (err) {
+                    console.warn(`⚠️  Skipping unreadable stored instance ${filePath}`);
+                }
+            }
+        }
+    }
+
+    console.log(`🗄️  DICOM store index loaded (${index.size} instances)`);
+    return index;
+}
+
+
+// STORE (STOW-RS)
+
+
+/**
+ * De-identify and store one instance.
+ * @param {Buffer} buffer - DICOM Part 10 bytes as received
+ * @param {Object} [options]
+ * @param {string} [options.studyUID] - Target study, as the sender's UID or its replacement
+ * @returns {Object} Index entry of the stored (de-identified) instance
+ */
+function storeInstance(buffer, { studyUID } = {}) {
+    const result = deidentifyDicom(buffer);
+    const dataSet = dicomParser.parseDicom(new Uint8Array(result.buffer), { untilTag: 'x7fe00010' });
+    const entry = indexEntry(dataSet, null);
+
+    for (const uid of [entry.studyUID, entry.seriesUID, entry.sopUID]) {
+        if (!uid || !UID_PATTERN.test(uid)) {
+            throw new Error('Invalid DICOM file: missing Study, Series or SOP Instance UID');
+        }
+    }
+
+    // Checked before anything is written, so a rejected instance never replaces a stored one
+    if (studyUID && studyUID !== entry.studyUID && studyUID !== originalStudyUID(buffer)) {
+        throw new Error('Instance does not belong to the target study');
+    }
+
+    const seriesDir = path.join(STORE_DIR, entry.studyUID, entry.seriesUID);
+    fs.mkdirSync(seriesDir, { recursive: true });
+    entry.filePath = path.join(seriesDir, `${entry.sopUID}.dcm`);
+    fs.writeFileSync(entry.filePath, result.buffer);
+
+    writeDeidReport(`dicomweb-${entry.sopUID}`, [{
+        file: path.basename(entry.filePath),
+        actions: result.actions,
+        privateTagsRemoved: result.privateTagsRemoved,
+        burnedInAnnotation: result.burnedInAnnotation,
+    }]);
+
+    entry.headerBurnedIn = result.burnedInAnnotation;
+    getIndex().set(entry.sopUID, entry);
+    return entry;
+}
+
+/**
+ * StudyInstanceUID as the sender wrote it, before de-identification.
+ */
+function originalStudyUID(buffer) {
+    const dataSet = dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length), { untilTag: 'x7fe00010' });
+    return dataSet.string('x0020000d');
+}
+
+
+// QUERY (QIDO-RS)
+
+
+/**
+ * Find instances matching the given scope and filters.
+ * @param {Object} scope - { studyUID, seriesUID, sopUID } (any subset)
+ * @param {Object} [filters] - Query parameters keyed by keyword or tag
+ * @returns {Object[]} Index entries
+ */
+function findInstances(scope = {}, filters = {}) {
+    const matchers = buildMatchers(filters);
+    return [...getIndex().values()].filter(entry =>
+        (!scope.studyUID || entry.studyUID === scope.studyUID) &&
+        (!scope.seriesUID || entry.seriesUID === scope.seriesUID) &&
+        (!scope.sopUID || entry.sopUID === scope.sopUID) &&
+        matchers.every(m => m(entry.values))
+    );
+}
+
+/**
+ * Group matching instances into study, series or instance results.
+ * @param {'study'|'series'|'instance'} level
+ * @returns {Object[]} Attribute maps (keyword → value)
+ */
+function query(level, scope = {}, filters = {}) {
+    const instances = findInstances(scope, filters);
+
+    if (level === 'instance') {
+        return instances.map(e => pickLevel(e.values, level));
+    }
+
+    const key = level === 'study' ? 'studyUID' : 'seriesUID';
+    const groups = new Map();
+    for (const entry of instances) {
+        if (!groups.has(entry[key])) groups.set(entry[key], []);
+        groups.get(entry[key]).push(entry);
+    }
+
+    return [...groups.values()].map(entries => {
+        const values = { ...entries[0].values };
+        if (level === 'study') {
+            // Counts cover the whole study, not just the instances that matched
+            const all = findInstances({ studyUID: entries[0].studyUID });
+            values.ModalitiesInStudy = [...new Set(all.map(e => e.values.Modality).filter(Boolean))].join('\\');
+            values.NumberOfStudyRelatedSeries = new Set(all.map(e => e.seriesUID)).size;
+            values.NumberOfStudyRelatedInstances = all.length;
+        } else {
+            values.NumberOfSeriesRelatedInstances = findInstances({ seriesUID: entries[0].seriesUID }).length;
+        }
+        return pickLevel(values, level);
+    });
+}
+
+/**
+ * Keep only the attributes returned at a query level. Series and instance
+ * results also carry the UIDs of the levels above them.
+ */
+function pickLevel(values, level) {
+    const keywords = ATTRIBUTES[level].map(a => a.keyword);
+    if (level !== 'study') keywords.push('StudyInstanceUID');
+    if (level === 'instance') keywords.push('SeriesInstanceUID');
+
+    const picked = {};
+    for (const keyword of keywords) {
+        if (values[keyword] !== undefined) picked[keyword] = values[keyword];
+    }
+    return picked;
+}
+
+/**
+ * Turn QIDO-RS query parameters into predicate functions.
+ * Supports UID lists, DA/TM ranges ("20240101-20240630") and * / ? wildcards.
+ */
+function buildMatchers(filters) {
+    const reserved = ['limit', 'offset', 'includefield', 'fuzzymatching'];
+    const fuzzy = String(filters.fuzzymatching) === 'true';
+
+    return Object.entries(filters)
+        .filter(([key]) => !reserved.includes(key.toLowerCase()))
+        .map(([key, raw]) => {
+            const attr = ALL_ATTRIBUTES.find(a => a.keyword === key || a.tag === key.toUpperCase());
+            if (!attr) {
+                throw new Error(`Unsupported query attribute: ${key}`);
+            }
+            const wanted = String(raw);
+
+            return (values) => {
+                // Instances carry Modality; ModalitiesInStudy is derived from it
+                const actual = attr.keyword === 'ModalitiesInStudy' ? values.Modality : values[attr.keyword];
+                if (actual === undefined || actual === null || actual === '') return false;
+                const text = String(actual);
+
+                if (attr.vr === 'UI') {
+                    return wanted.split(/[,\\]/).includes(text);
+                }
+                if ((attr.vr === 'DA' || attr.vr === 'TM') && wanted.includes('-')) {
+                    const [from, to] = wanted.split('-');
+                    return (!from || text >= from) && (!to || text <= to);
+                }
+                if (attr.keyword === 'ModalitiesInStudy' || attr.keyword === 'Modality') {
+                    return text.split('\\').some(m => wanted.split(/[,\\]/).includes(m));
+                }
+
+                const pattern = new RegExp(
+                    `^${wanted.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}${fuzzy ? '' : '$'}`,
+                    attr.vr === 'PN' ? 'i' : ''
+                );
+                return pattern.test(text);
+            };
+        });
+}
+
+
+// DICOM JSON (PS3.18 Annex F)
+
+
+/**
+ * Convert keyword → value maps into the DICOM JSON model.
+ */
+function toDicomJson(values, extra = {}) {
+    const json = {};
+    for (const attr of ALL_ATTRIBUTES) {
+        const value = values[attr.keyword];
+        if (value === undefined || value === null || value === '') continue;
+
+        let list = typeof value === 'string' ? value.split('\\') : [value];
+        if (attr.vr === 'PN') list = list.map(v => ({ Alphabetic: v }));
+        if (['IS', 'US'].includes(attr.vr)) list = list.map(Number);
+
+        json[attr.tag] = { vr: attr.vr, Value: list };
+    }
+    return { ...json, ...extra };
+}
+
+function getInstance(studyUID, seriesUID, sopUID) {
+    const entry = getIndex().get(sopUID);
+    if (!entry || entry.studyUID !== studyUID || entry.seriesUID !== seriesUID) return null;
+    return entry;
+}
+
+module.exports = {
+    STORE_DIR,
+    storeInstance,
+    findInstances,
+    query,
+    toDicomJson,
+    getInstance,
+};
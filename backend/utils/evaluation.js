@@ -0,0 +1,271 @@
+/**
+ * EVALUATION METRICS
+ * Scores analyzeCTScan results against ground truth for the evaluation
+ * harness (scripts/evaluate.js) and renders the report.
+ *
+ * The task is binary: is the scan suspicious for malignancy?
+ *   Ground truth – the case's folder: nodules/, malignant/, positive/ are
+ *                  positive; benign/, negative/, normal/ are negative.
+ *   Prediction   – 'Nodule Detected - Malignant' and 'Indeterminate - Further
+ *                  Evaluation Required' (which both lead to a work-up) are
+ *                  positive; 'Nodule Detected - Benign' and 'No Nodule
+ *                  Detected' are negative.
+ *   Score        – the probability of the positive class implied by the
+ *                  model's confidence: confidence for a positive call,
+ *                  100 − confidence for a negative one. Used for AUC and
+ *                  calibration.
+ *
+ * Cases whose analysis failed or was unparseable are reported as failures
+ * and left out of the metrics. */
+
+const POSITIVE_LABELS = ['nodules', 'malignant', 'positive'];
+const NEGATIVE_LABELS = ['benign', 'negative', 'normal'];
+
+const POSITIVE_RESULTS = ['Nodule Detected - Malignant', 'Indeterminate - Further Evaluation Required'];
+const NEGATIVE_RESULTS = ['Nodule Detected - Benign', 'No Nodule Detected'];
+
+
+// CLASSIFICATION
+
+
+/**
+ * Ground truth for a fixture folder name.
+ * @returns {boolean} true for a positive (suspicious) case
+ */
+function labelFromFolder(folder) {
+    const name = folder.toLowerCase();
+    if (POSITIVE_LABELS.includes(name)) return true;
+    if (NEGATIVE_LABELS.includes(name)) return false;
+    throw new Error(`Unknown ground-truth folder "${folder}". ` +
+        `Use one of: ${[...POSITIVE_LABELS, ...NEGATIVE_LABELS].join(', ')}`);
+}
+
+/**
+ * Binary call and positive-class score for a prediction.
+ * @returns {{ predicted: boolean, score: number }|null} null when the result cannot be scored
+ */
+function scorePrediction(prediction) {
+    if (!prediction || prediction.parseStatus === 'unparseable' || typeof prediction.confidence !== 'number') {
+        return null;
+    }
+    const confidence = prediction.confidence / 100;
+    if (POSITIVE_RESULTS.includes(prediction.result)) return { predicted: true, score: confidence };
+    if (NEGATIVE_RESULTS.includes(prediction.result)) return { predicted: false, score: 1 - confidence };
+    return null;
+}
+
+
+// METRICS
+
+
+function ratio(numerator, denominator) {
+    return denominator ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+/**
+ * @param {{ actual: boolean, predicted: boolean }[]} cases
+ */
+function confusionMatrix(cases) {
+    const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    for (const c of cases) {
+        if (c.actual) matrix[c.predicted ? 'tp' : 'fn']++;
+        else matrix[c.predicted ? 'fp' : 'tn']++;
+    }
+    return matrix;
+}
+
+/**
+ * Area under the ROC curve: the probability that a random positive case
+ * scores higher than a random negative one (ties count half).
+ * @param {{ actual: boolean, score: number }[]} cases
+ * @returns {number|null} null without both positive and negative cases
+ */
+function rocAuc(cases) {
+    const positives = cases.filter(c => c.actual).map(c => c.score);
+    const negatives = cases.filter(c => !c.actual).map(c => c.score);
+    if (!positives.length || !negatives.length) return null;
+
+    let wins = 0;
+    for (const p of positives) {
+        for (const n of negatives) {
+            if (p > n) wins += 1;
+            else if (p === n) wins += 0.5;
+        }
+    }
+    return ratio(wins, positives.length * negatives.length);
+}
+
+/**
+ * Reliability table: cases grouped by score, with the mean score and the
+ * observed positive rate in each bin.
+ * @param {{ actual: boolean, score: number }[]} cases
+ * @param {number} [binCount] - Equal-width bins over [0, 1] (default 5)
+ * @returns {{ bins: Object[], expectedCalibrationError: number|null }}
+ */
+function calibrationBins(cases, binCount = 5) {
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        from: i / binCount,
+        to: (i + 1) / binCount,
+        count: 0,
+        meanScore: null,
+        positiveRate: null,
+    }));
+    const members = bins.map(() => []);
+    for (const c of cases) {
+        members[Math.min(binCount - 1, Math.floor(c.score * binCount))].push(c);
+    }
+
+    let weightedGap = 0;
+    bins.forEach((bin, i) => {
+        const inBin = members[i];
+        if (!inBin.length) return;
+        bin.count = inBin.length;
+        bin.meanScore = ratio(inBin.reduce((sum, c) => sum + c.score, 0), inBin.length);
+        bin.positiveRate = ratio(inBin.filter(c => c.actual).length, inBin.length);
+        weightedGap += inBin.length * Math.abs(bin.meanScore - bin.positiveRate);
+    });
+
+    return { bins, expectedCalibrationError: ratio(weightedGap, cases.length) };
+}
+
+/**
+ * Build the evaluation report.
+ * @param {Object[]} cases - Per-case outputs: { file, label, actual, predicted, score,
+ *                           result, confidence, ..., error }
+ * @param {Object} run - Run metadata (provider, models, prompt version, dataset, ...)
+ * @param {Object} [options] - { bins }
+ * @returns {Object} The report
+ */
+function buildReport(cases, run, options = {}) {
+    const scored = cases.filter(c => c.score !== null);
+    const failures = cases.filter(c => c.score === null);
+    const matrix = confusionMatrix(scored);
+
+    return {
+        run,
+        counts: {
+            cases: cases.length,
+            scored: scored.length,
+            failed: failures.length,
+            positives: scored.filter(c => c.actual).length,
+            negatives: scored.filter(c => !c.actual).length,
+        },
+        confusionMatrix: matrix,
+        metrics: {
+            sensitivity: ratio(matrix.tp, matrix.tp + matrix.fn),
+            specificity: ratio(matrix.tn, matrix.tn + matrix.fp),
+            ppv: ratio(matrix.tp, matrix.tp + matrix.fp),
+            npv: ratio(matrix.tn, matrix.tn + matrix.fn),
+            accuracy: ratio(matrix.tp + matrix.tn, scored.length),
+            auc: rocAuc(scored),
+        },
+        calibration: calibrationBins(scored, options.bins),
+        cases,
+        failures: failures.map(c => ({ file: c.file, label: c.label, error: c.error })),
+    };
+}
+
+
+// HTML REPORT
+
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[ch]));
+}
+
+function percent(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Standalone HTML rendering of a report (no external assets).
+ */
+function renderHtml(report) {
+    const { run, counts, confusionMatrix: m, metrics, calibration } = report;
+    const row = (cells, tag = 'td') => `<tr>${cells.map(c => `<${tag}>${escapeHtml(c)}</${tag}>`).join('')}</tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PulmoAI evaluation — ${escapeHtml(run.promptVersion)} — ${escapeHtml(run.startedAt)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1e293b; }
+  h1 { font-size: 1.5rem; } h2 { font-size: 1.15rem; margin-top: 2rem; }
+  table { border-collapse: collapse; margin-top: 0.5rem; }
+  th, td { border: 1px solid #e2e8f0; padding: 0.35rem 0.75rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f1f5f9; }
+  .wrong { background: #fef2f2; }
+</style>
+</head>
+<body>
+<h1>PulmoAI evaluation report</h1>
+<table>
+${row(['Dataset', run.dataset])}
+${row(['Provider', run.provider])}
+${row(['Models', run.models.join(', ')])}
+${row(['Mode', run.consensus ? `consensus (${run.vote} vote)` : 'cascade'])}
+${row(['Prompt', `${run.promptId}/${run.promptVersion} (${run.promptHash})`])}
+${row(['Started', run.startedAt])}
+${row(['Duration', `${(run.durationMs / 1000).toFixed(1)} s`])}
+${row(['Cases', `${counts.cases} (${counts.scored} scored, ${counts.failed} failed)`])}
+</table>
+
+<h2>Confusion matrix</h2>
+<table>
+${row(['', 'Predicted positive', 'Predicted negative'], 'th')}
+${row(['Actual positive', m.tp, m.fn])}
+${row(['Actual negative', m.fp, m.tn])}
+</table>
+
+<h2>Metrics</h2>
+<table>
+${row(['Sensitivity', percent(metrics.sensitivity)])}
+${row(['Specificity', percent(metrics.specificity)])}
+${row(['PPV', percent(metrics.ppv)])}
+${row(['NPV', percent(metrics.npv)])}
+${row(['Accuracy', percent(metrics.accuracy)])}
+${row(['AUC', metrics.auc === null ? 'n/a' : metrics.auc.toFixed(3)])}
+${row(['Expected calibration error', percent(calibration.expectedCalibrationError)])}
+</table>
+
+<h2>Calibration</h2>
+<table>
+${row(['Score bin', 'Cases', 'Mean score', 'Observed positive rate'], 'th')}
+${calibration.bins.map(b => row([
+        `${b.from.toFixed(2)}–${b.to.toFixed(2)}`, b.count, percent(b.meanScore), percent(b.positiveRate),
+    ])).join('\n')}
+</table>
+
+<h2>Cases</h2>
+<table>
+${row(['File', 'Ground truth', 'Result', 'Confidence', 'Score', 'Model', 'Time'], 'th')}
+${report.cases.map(c => `<tr class="${c.score !== null && c.actual !== c.predicted ? 'wrong' : ''}">${[
+        c.file, c.label, c.result || `failed: ${c.error}`, c.confidence ?? '', c.score ?? '', c.model || '',
+        c.durationMs === undefined ? '' : `${c.durationMs} ms`,
+    ].map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`).join('\n')}
+</table>
+
+${report.failures.length ? `<h2>Failures</h2>
+<table>
+${row(['File', 'Ground truth', 'Error'], 'th')}
+${report.failures.map(f => row([f.file, f.label, f.error])).join('\n')}
+</table>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    POSITIVE_LABELS,
+    NEGATIVE_LABELS,
+    labelFromFolder,
+    scorePrediction,
+    confusionMatrix,
+    rocAuc,
+    calibrationBins,
+    buildReport,
+    renderHtml,
+};
@@ -0,0 +1,179 @@
+/**
+ * FLEISCHNER 2017
+ * Follow-up recommendation for an incidental pulmonary nodule from the
+ * Fleischner Society 2017 guidelines (MacMahon et al., Radiology 2017).
+ * The nodule size and type come from the vision model's technical details,
+ * parsed the same way as for Lung-RADS; patient risk and nodule multiplicity
+ * come from the upload form.
+ *
+ *   parsePatientContext() – form fields → { risk, multiple } (throws on bad values)
+ *   recommend()           – structured nodule + patient → follow-up interval and the rule that fired
+ *   assessFleischner()    – prediction + patient → follow-up recommendation (or not applicable)
+ *
+ * The guidelines cover incidental nodules in adults aged 35 or older. They
+ * do not apply to lung cancer screening, immunocompromised patients or
+ * patients with a known primary cancer. */
+
+const { parseNodule } = require('./lungRads');
+
+const VERSION = '2017';
+
+const RISK_LEVELS = ['low', 'high'];
+const MULTIPLICITY = ['solitary', 'multiple'];
+
+const SCOPE = 'Incidental nodules in adults ≥ 35 years; not for lung cancer screening, ' +
+    'immunocompromised patients or patients with known cancer';
+
+
+// PATIENT CONTEXT
+
+
+/**
+ * Validate the patient fields sent with an analysis request.
+ * Missing fields stay null; the assessment states what it assumed for them.
+ * @param {Object} fields
+ * @param {string} [fields.patientRisk] - 'low' | 'high'
+ * @param {string} [fields.nodules] - 'solitary' | 'multiple'
+ * @returns {{ risk: string|null, multiple: boolean|null }}
+ */
+function parsePatientContext({ patientRisk, nodules } = {}) {
+    if (patientRisk && !RISK_LEVELS.includes(patientRisk)) {
+        throw new Error(`Invalid patient context: patientRisk must be one of ${RISK_LEVELS.join(', ')}`);
+    }
+    if (nodules && !MULTIPLICITY.includes(nodules)) {
+        throw new Error(`Invalid patient context: nodules must be one of ${MULTIPLICITY.join(', ')}`);
+    }
+    return {
+        risk: patientRisk || null,
+        multiple: nodules ? nodules === 'multiple' : null,
+    };
+}
+
+
+// GUIDELINE TABLES
+
+
+function advice(interval, rule) {
+    return { interval, rule };
+}
+
+function solidAdvice(d, { risk, multiple }) {
+    const count = multiple ? 'Multiple solid nodules' : 'Solitary solid nodule';
+    const who = `${risk}-risk patient`;
+
+    if (d < 6) {
+        return risk === 'high'
+            ? advice('Optional CT at 12 months', `${count} < 6 mm, ${who}`)
+            : advice('No routine follow-up', `${count} < 6 mm, ${who}`);
+    }
+    if (d <= 8) {
+        const first = multiple ? 'CT at 3–6 months' : 'CT at 6–12 months';
+        return risk === 'high'
+            ? advice(`${first}, then CT at 18–24 months`, `${count} 6–8 mm, ${who}`)
+            : advice(`${first}, then consider CT at 18–24 months`, `${count} 6–8 mm, ${who}`);
+    }
+    return multiple
+        ? advice('CT at 3–6 months, then consider CT at 18–24 months', `${count} > 8 mm`)
+        : advice('Consider CT at 3 months, PET/CT, or tissue sampling', `${count} > 8 mm`);
+}
+
+function subsolidAdvice(d, type, { multiple }) {
+    if (multiple) {
+        return d < 6
+            ? advice('CT at 3–6 months; if stable, consider CT at 2 and 4 years', 'Multiple subsolid nodules < 6 mm')
+            : advice('CT at 3–6 months; subsequent management based on the most suspicious nodule',
+                'Multiple subsolid nodules, at least one ≥ 6 mm');
+    }
+    if (type === 'ground-glass') {
+        return d < 6
+            ? advice('No routine follow-up', 'Solitary ground-glass nodule < 6 mm')
+            : advice('CT at 6–12 months to confirm persistence, then CT every 2 years until 5 years',
+                'Solitary ground-glass nodule ≥ 6 mm');
+    }
+    return d < 6
+        ? advice('No routine follow-up', 'Solitary part-solid nodule < 6 mm')
+        : advice('CT at 3–6 months to confirm persistence; if unchanged and the solid component remains < 6 mm, ' +
+            'annual CT for 5 years', 'Solitary part-solid nodule ≥ 6 mm');
+}
+
+/**
+ * Fleischner follow-up for a structured nodule.
+ * Sizes are the mean diameter rounded to the nearest millimetre, as the
+ * guidelines specify.
+ * @param {Object} nodule - From parseNodule()
+ * @param {Object} patient - { risk: 'low'|'high', multiple: boolean }
+ * @returns {{ interval: string, rule: string }}
+ */
+function recommend(nodule, { risk, multiple }) {
+    if (!RISK_LEVELS.includes(risk)) {
+        throw new Error(`Unknown Fleischner patient risk "${risk}". Use one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (nodule.type === 'benign') {
+        return advice('No routine follow-up', 'Nodule with benign features (calcification or fat)');
+    }
+
+    const d = Math.round(nodule.diameterMm);
+    return nodule.type === 'part-solid' || nodule.type === 'ground-glass'
+        ? subsolidAdvice(d, nodule.type, { multiple })
+        : solidAdvice(d, { risk, multiple });
+}
+
+/**
+ * Fleischner follow-up recommendation for a vision prediction.
+ * A missing patient risk is assessed as high risk. Missing multiplicity is
+ * taken from the nodules the scan lists, or assessed as a solitary nodule
+ * when it lists none; both are listed in `assumptions`.
+ * @param {Object} prediction - Prediction from analyzeCTScan
+ * @param {Object} [patient] - From parsePatientContext()
+ * @returns {Object} { version, applicable, interval, rule, risk, multiple, scope, assumptions }
+ *                   or { version, applicable: false, reason } when no recommendation applies
+ */
+function assessFleischner(prediction, patient = {}) {
+    const notApplicable = (reason) => ({ version: VERSION, applicable: false, interval: null, reason });
+
+    if (!prediction || prediction.parseStatus === 'unparseable') {
+        return notApplicable('No valid AI result to assess');
+    }
+    if (prediction.imageQuality === 'Not a CT scan') {
+        return notApplicable('The image is not a CT scan');
+    }
+    if (prediction.result === 'No Nodule Detected') {
+        return notApplicable('No nodule reported');
+    }
+
+    const { assumptions, ...nodule } = parseNodule(prediction.technicalDetails);
+    if (nodule.type !== 'benign' && nodule.diameterMm === null) {
+        return notApplicable(`Nodule size "${prediction.technicalDetails?.noduleSize}" could not be measured`);
+    }
+
+    const listed = prediction.nodules?.length || 0;
+    const risk = patient.risk || 'high';
+    const multiple = patient.multiple ?? (listed > 1);
+    if (nodule.type !== 'benign') {
+        if (!patient.risk) assumptions.push('Patient risk not provided — assessed as high risk');
+        if (patient.multiple === null || patient.multiple === undefined) {
+            assumptions.push(listed
+                ? `Number of nodules not provided — ${listed} nodule(s) listed on this scan`
+                : 'Number of nodules not provided — assessed as a solitary nodule');
+        }
+    }
+
+    return {
+        version: VERSION,
+        applicable: true,
+        ...recommend(nodule, { risk, multiple }),
+        risk,
+        multiple,
+        scope: SCOPE,
+        assumptions,
+    };
+}
+
+module.exports = {
+    VERSION,
+    RISK_LEVELS,
+    MULTIPLICITY,
+    parsePatientContext,
+    recommend,
+    assessFleischner,
+};
@@ -0,0 +1,121 @@
+/**
+ * ANALYSIS JOB STORE
+ * In-memory registry of background analysis jobs. Each job records the
+ * stages it went through and ends as 'done' (with the API response) or
+ * 'failed' (with a status code and message). Subscribers receive every new
+ * stage, which the SSE endpoint forwards to the browser.
+ *
+ * Finished jobs are kept for JOB_TTL_MS (default one hour), then dropped. */
+
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Create a job in 'pending' state.
+ * @param {string} type - e.g. 'predict'
+ * @returns {Object} The job
+ */
+function createJob(type) {
+    const job = {
+        id: `job-${Date.now()}-${Math.round(Math.random() * 1e9)}`,
+        type,
+        status: 'pending',
+        stages: [],
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function publish(job, event) {
+    events.emit(job.id, event);
+}
+
+/**
+ * Record a stage (uploaded, preprocessing, queued, model-attempt, parsed, ...).
+ * @param {Object} job
+ * @param {string} stage - Stage name
+ * @param {Object} [detail] - Extra fields shown to the client
+ */
+function addStage(job, stage, detail = {}) {
+    const entry = { stage, ...detail, at: new Date().toISOString() };
+    job.status = 'running';
+    job.stages.push(entry);
+    publish(job, { type: 'stage', data: entry });
+}
+
+function finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Mark a job done with the payload the synchronous API used to return.
+ */
+function completeJob(job, result) {
+    job.result = result;
+    addStage(job, 'done');
+    finish(job, 'done');
+    publish(job, { type: 'done', data: result });
+}
+
+/**
+ * Mark a job failed.
+ * @param {Object} job
+ * @param {{ statusCode: number, message: string }} error
+ */
+function failJob(job, error) {
+    job.error = error;
+    addStage(job, 'failed', { message: error.message });
+    finish(job, 'failed');
+    publish(job, { type: 'failed', data: error });
+}
+
+/**
+ * Listen for a job's events.
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+/**
+ * Public view of a job for GET /api/jobs/:id.
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stages.length ? job.stages[job.stages.length - 1].stage : null,
+        stages: job.stages,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+    };
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    addStage,
+    completeJob,
+    failJob,
+    subscribe,
+    serializeJob,
+};
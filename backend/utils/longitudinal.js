@@ -0,0 +1,463 @@
+/**
+ * LONGITUDINAL COMPARISON
+ * Nodule management depends on growth over time. Analyses are grouped by a
+ * pseudonymous patient ID and study (from the de-identified DICOM header, or
+ * the upload form for plain images), and two analyses of the same patient can
+ * be compared nodule by nodule.
+ *
+ *   parseStudyContext()  – form fields → { patientId, studyId, studyDate } (throws on bad values)
+ *   studyFor()           – form fields + DICOM metadata → { patientId, studyId, studyUid, studyDate, modality, ... }
+ *   matchNodules()       – pair the nodules of a prior and a current scan by location and size
+ *   compareAnalyses()    – diameter change, volume doubling time, new and resolved nodules
+ *   followUpsFor()       – Fleischner / Lung-RADS follow-up of an analysis as due dates
+ *
+ * Patient and study records themselves are kept in utils/patientStore.js.
+ *
+ * De-identification shifts every date of a patient by the same offset, so the
+ * interval between two shifted study dates is preserved — but not between a
+ * shifted date and one entered on a form. Each analysis records where its
+ * date came from, and no doubling time is estimated across the two kinds.
+ * Likewise a patient ID entered on a form and the DICOM pseudonym of the same
+ * patient are different IDs, so comparisons say which kind each one is.
+ *
+ * Volume doubling time assumes a sphere (V ∝ d³):
+ *   VDT = Δt × ln 2 / (3 × ln(d₂ / d₁))
+ * Growth smaller than the measurement error (Lung-RADS: > 1.5 mm in mean
+ * diameter) is reported as stable, without a doubling time. */
+
+const { summarizeNodules } = require('./noduleSummary');
+
+// Smallest change in mean diameter that counts as real growth or shrinkage (mm)
+const GROWTH_THRESHOLD_MM = 1.5;
+
+// Farthest apart two marked nodules can be and still be the same one (fraction of the image)
+const MAX_MATCH_DISTANCE = 0.15;
+
+// Volume doubling time bands (days): fast growth is typical of malignancy, slow of benign nodules
+const VDT_BANDS = [
+    { max: 400, category: 'suspicious', label: 'Doubling time under 400 days — typical of malignant growth' },
+    { max: 600, category: 'indeterminate', label: 'Doubling time of 400–600 days — indeterminate' },
+    { max: Infinity, category: 'indolent', label: 'Doubling time over 600 days — typical of benign or indolent nodules' },
+];
+
+const PATIENT_ID = /^[A-Za-z0-9._-]{1,64}$/;
+const STUDY_ID = /^study-[0-9a-f]{16}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// STUDY CONTEXT
+
+
+function isIsoDate(value) {
+    if (!ISO_DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    // Rejects dates that roll over, like 2025-02-30
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate the grouping fields sent with an analysis request.
+ * @param {Object} fields
+ * @param {string} [fields.patientId] - Pseudonymous patient ID (letters, digits, . _ -)
+ * @param {string} [fields.studyId] - Existing study to attach the scan to (sets patient and date)
+ * @param {string} [fields.studyDate] - Date the scan was taken, YYYY-MM-DD
+ * @returns {{ patientId: string|null, studyId: string|null, studyDate: string|null }}
+ */
+function parseStudyContext({ patientId, studyId, studyDate } = {}) {
+    const id = typeof patientId === 'string' ? patientId.trim() : patientId;
+    if (id && (typeof id !== 'string' || !PATIENT_ID.test(id))) {
+        throw new Error('Invalid study context: patientId must be 1–64 letters, digits, dots, dashes or underscores');
+    }
+    if (studyId && !STUDY_ID.test(studyId)) {
+        throw new Error('Invalid study context: studyId must be a study id such as study-0123456789abcdef');
+    }
+    if (studyDate && !isIsoDate(studyDate)) {
+        throw new Error('Invalid study context: studyDate must be a date (YYYY-MM-DD)');
+    }
+    return { patientId: id || null, studyId: studyId || null, studyDate: studyDate || null };
+}
+
+/**
+ * Patient and study an analysis belongs to. Form fields win over the DICOM
+ * header, which holds de-identified pseudonyms and shifted dates.
+ * @param {Object} [given] - From parseStudyContext()
+ * @param {Object} [dicom] - extractDicomMetadata() of the analyzed file
+ * @returns {{ patientId, patientIdSource, studyId, studyUid, studyDate, dateSource, modality }}
+ *   Missing values are null; patientIdSource is 'form' or 'dicom-pseudonym' (the
+ *   de-identified header's), dateSource 'form' or 'dicom-shifted'
+ */
+function studyFor(given = {}, dicom = null) {
+    const patientId = given.patientId || dicom?.patientId || null;
+    const dicomDate = isIsoDate(dicom?.studyDate) ? dicom.studyDate : null;
+    return {
+        patientId,
+        patientIdSource: given.patientId ? 'form' : patientId ? 'dicom-pseudonym' : null,
+        studyId: given.studyId || null,
+        studyUid: dicom?.studyInstanceUID || null,
+        studyDate: given.studyDate || dicomDate,
+        dateSource: given.studyDate ? 'form' : dicomDate ? 'dicom-shifted' : null,
+        modality: dicom?.modality && dicom.modality !== 'N/A' ? dicom.modality : null,
+    };
+}
+
+
+// MATCHING
+
+
+/**
+ * Lobe (RUL, RML, RLL, LUL, LLL) or at least the side of a location text.
+ * @returns {{ lobe: string|null, side: string|null }}
+ */
+function parseLocation(location) {
+    const text = (location || '').toLowerCase();
+    const side = /\bright\b|\br[uml]l\b/.test(text) ? 'R' : /\bleft\b|\bl[ul]l\b|lingula/.test(text) ? 'L' : null;
+    // The lingula belongs to the left upper lobe
+    const zone = /upper|\b[rl]ul\b|lingula/.test(text) ? 'U'
+        : /middle|\brml\b/.test(text) ? 'M'
+            : /lower|\b[rl]ll\b/.test(text) ? 'L' : null;
+    return { lobe: side && zone ? `${side}${zone}L` : null, side };
+}
+
+function centreOf(nodule) {
+    const region = nodule.region;
+    if (!region) return null;
+    return region.kind === 'circle'
+        ? { x: region.cx, y: region.cy }
+        : { x: region.x + region.width / 2, y: region.y + region.height / 2 };
+}
+
+/**
+ * Nodules of a prediction with diameters and Lung-RADS categories. An older
+ * analysis without a nodule list counts its technical details as one nodule.
+ */
+function nodulesOf(prediction) {
+    if (prediction.nodules?.length) return summarizeNodules(prediction).nodules;
+    if (['No Nodule Detected', 'Unparseable - Model Output Invalid'].includes(prediction.result)) return [];
+
+    const details = prediction.technicalDetails || {};
+    if (!details.noduleSize || details.noduleSize === 'N/A') return [];
+    return summarizeNodules({
+        nodules: [{
+            id: 'n1',
+            region: null,
+            size: details.noduleSize,
+            shape: details.shape,
+            density: details.density,
+            location: details.location,
+        }],
+    }).nodules;
+}
+
+/**
+ * Cost of calling two nodules the same one, or null when they cannot be.
+ * Different lobes (or sides) never match; otherwise nearer and more similar
+ * in size is cheaper. Missing positions or sizes cost a fixed amount.
+ */
+function matchCost(prior, current) {
+    const a = parseLocation(prior.location);
+    const b = parseLocation(current.location);
+    if (a.lobe && b.lobe && a.lobe !== b.lobe) return null;
+    if (a.side && b.side && a.side !== b.side) return null;
+
+    const pa = centreOf(prior);
+    const pb = centreOf(current);
+    const distance = pa && pb ? Math.hypot(pa.x - pb.x, pa.y - pb.y) : null;
+    if (distance !== null && distance > MAX_MATCH_DISTANCE) return null;
+
+    const da = prior.diameterMm;
+    const db = current.diameterMm;
+    const sizeDifference = da && db ? Math.abs(db - da) / Math.max(da, db) : 0.5;
+    return (distance ?? MAX_MATCH_DISTANCE) + sizeDifference + (a.lobe && a.lobe === b.lobe ? 0 : 0.25);
+}
+
+/**
+ * Pair the nodules of two scans, cheapest pairs first.
+ * @returns {{ pairs: { prior, current }[], resolved: Object[], added: Object[] }}
+ */
+function matchNodules(priorNodules, currentNodules) {
+    const candidates = [];
+    for (const prior of priorNodules) {
+        for (const current of currentNodules) {
+            const cost = matchCost(prior, current);
+            if (cost !== null) candidates.push({ prior, current, cost });
+        }
+    }
+    candidates.sort((l, r) => l.cost - r.cost);
+
+    const pairs = [];
+    const used = new Set();
+    for (const candidate of candidates) {
+        if (used.has(candidate.prior) || used.has(candidate.current)) continue;
+        used.add(candidate.prior);
+        used.add(candidate.current);
+        pairs.push(candidate);
+    }
+
+    return {
+        pairs: pairs.map(({ prior, current }) => ({ prior, current })),
+        resolved: priorNodules.filter(n => !used.has(n)),
+        added: currentNodules.filter(n => !used.has(n)),
+    };
+}
+
+
+// GROWTH
+
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Change of one matched nodule over the interval.
+ * @param {number|null} intervalDays - null when the scan dates cannot be compared
+ * @returns {Object} { priorDiameterMm, currentDiameterMm, changeMm, changePercent,
+ *                     volumeChangePercent, status, vdtDays, vdtCategory, interpretation }
+ */
+function measureGrowth(prior, current, intervalDays) {
+    const d1 = prior.diameterMm;
+    const d2 = current.diameterMm;
+    if (!d1 || !d2) {
+        return {
+            priorDiameterMm: d1 ?? null,
+            currentDiameterMm: d2 ?? null,
+            changeMm: null,
+            changePercent: null,
+            volumeChangePercent: null,
+            status: 'unmeasured',
+            vdtDays: null,
+            vdtCategory: null,
+            interpretation: 'Size not reported on both scans — growth cannot be measured',
+        };
+    }
+
+    const changeMm = d2 - d1;
+    const status = changeMm > GROWTH_THRESHOLD_MM ? 'growing'
+        : changeMm < -GROWTH_THRESHOLD_MM ? 'shrinking' : 'stable';
+
+    let vdtDays = null;
+    let vdtCategory = null;
+    let interpretation;
+    if (status === 'growing' && intervalDays > 0) {
+        vdtDays = Math.round(intervalDays * Math.LN2 / (3 * Math.log(d2 / d1)));
+        const band = VDT_BANDS.find(b => vdtDays < b.max);
+        vdtCategory = band.category;
+        interpretation = band.label;
+    } else if (status === 'growing' && intervalDays === null) {
+        interpretation = 'Grown, but the scan dates cannot be compared — doubling time not estimated';
+    } else if (status === 'growing') {
+        interpretation = 'Grown, but the scans have no time between them — doubling time unknown';
+    } else if (status === 'shrinking') {
+        interpretation = 'Decreased in size — favours a benign or inflammatory cause';
+    } else {
+        interpretation = `Stable within measurement error (≤ ${GROWTH_THRESHOLD_MM} mm)`;
+    }
+
+    return {
+        priorDiameterMm: d1,
+        currentDiameterMm: d2,
+        changeMm: round(changeMm),
+        changePercent: round((changeMm / d1) * 100),
+        volumeChangePercent: round(((d2 / d1) ** 3 - 1) * 100),
+        status,
+        vdtDays,
+        vdtCategory,
+        interpretation,
+    };
+}
+
+function describe(nodule) {
+    return {
+        id: nodule.id,
+        location: nodule.location || null,
+        size: nodule.size,
+        density: nodule.density,
+        classification: nodule.classification || null,
+        suspicion: nodule.suspicion || null,
+        diameterMm: nodule.diameterMm,
+        lungRads: nodule.lungRads ? nodule.lungRads.category : null,
+        region: nodule.region || null,
+        image: nodule.image ?? 0,
+        imageSize: nodule.imageSize || null,
+    };
+}
+
+/**
+ * dateSource: 'form' or 'dicom-shifted'; 'study' for a study date saved before
+ * its source was recorded; 'analysis' when the upload date stands in for it.
+ * patientIdSource is null for analyses saved before it was recorded.
+ */
+function scanOf(record) {
+    const date = record.studyDate || record.createdAt.substring(0, 10);
+    return {
+        predictionId: record.id,
+        patientId: record.patientId,
+        patientIdSource: record.patientIdSource || null,
+        studyUid: record.studyUid,
+        date,
+        dateSource: !record.studyDate ? 'analysis' : record.dateSource || 'study',
+        imagePath: record.response.imagePath || null,
+        result: record.response.prediction.result,
+        riskLevel: record.response.prediction.riskLevel,
+    };
+}
+
+/**
+ * Compare a prior and a current analysis of the same patient.
+ * @param {Object} prior - Stored prediction from getPrediction()
+ * @param {Object} current - Stored prediction from getPrediction(), taken later
+ * @returns {Object} { prior, current, intervalDays, matched, added, resolved, summary, warnings }
+ *   intervalDays is null when one date is shifted by de-identification and the other is not
+ * @throws {Error} "Invalid comparison: ..." when the two cannot be compared
+ */
+function compareAnalyses(prior, current) {
+    if (prior.id === current.id) {
+        throw new Error('Invalid comparison: choose two different analyses');
+    }
+    const priorScan = scanOf(prior);
+    const currentScan = scanOf(current);
+    if (priorScan.patientId && currentScan.patientId && priorScan.patientId !== currentScan.patientId) {
+        if (priorScan.patientIdSource && currentScan.patientIdSource && priorScan.patientIdSource !== currentScan.patientIdSource) {
+            throw new Error(
+                `Invalid comparison: one analysis has a patient ID from the upload form and the other the DICOM pseudonym ` +
+                `(${priorScan.patientId}, ${currentScan.patientId}). If they are the same patient, attach both to studies of one patient (POST /api/studies/:id/predictions).`
+            );
+        }
+        throw new Error(`Invalid comparison: the analyses belong to different patients (${priorScan.patientId}, ${currentScan.patientId})`);
+    }
+
+    // A shifted DICOM date and a real one are offset by the patient's (unknown) shift
+    const shifted = [priorScan, currentScan].map(scan => scan.dateSource === 'dicom-shifted');
+    const datesComparable = shifted[0] === shifted[1] || [priorScan, currentScan].some(scan => scan.dateSource === 'study');
+
+    const intervalDays = datesComparable
+        ? Math.round((new Date(`${currentScan.date}T00:00:00Z`) - new Date(`${priorScan.date}T00:00:00Z`)) / DAY_MS)
+        : null;
+    if (intervalDays < 0) {
+        throw new Error(`Invalid comparison: the prior scan (${priorScan.date}) is later than the current one (${currentScan.date})`);
+    }
+
+    const warnings = [];
+    if (!datesComparable) {
+        warnings.push(
+            'One scan is dated by its de-identified DICOM header (shifted) and the other by a real date — ' +
+            'the interval is unknown, so no doubling time is estimated. Enter the study dates on both uploads to compare growth rates.'
+        );
+    }
+    if (!priorScan.patientId || !currentScan.patientId) {
+        warnings.push('At least one analysis has no patient ID — make sure both scans are of the same patient');
+    }
+    if (datesComparable && (priorScan.dateSource === 'analysis' || currentScan.dateSource === 'analysis')) {
+        warnings.push('No study date on at least one scan — the upload date was used, so the interval and doubling time may be wrong');
+    }
+    if (intervalDays === 0) {
+        warnings.push('Both scans have the same date — no doubling time can be estimated');
+    }
+
+    const { pairs, resolved, added } = matchNodules(
+        nodulesOf(prior.response.prediction),
+        nodulesOf(current.response.prediction)
+    );
+    const matched = pairs.map(({ prior: p, current: c }) => ({
+        prior: describe(p),
+        current: describe(c),
+        ...measureGrowth(p, c, intervalDays),
+    }));
+
+    const growing = matched.filter(m => m.status === 'growing');
+    const fastest = growing
+        .filter(m => m.vdtDays !== null)
+        .sort((l, r) => l.vdtDays - r.vdtDays)[0] || null;
+
+    console.log(`📈 Compared ${prior.id} → ${current.id} over ${intervalDays ?? 'an unknown number of'} day(s): ` +
+        `${matched.length} matched, ${added.length} new, ${resolved.length} resolved`);
+
+    return {
+        prior: priorScan,
+        current: currentScan,
+        intervalDays,
+        matched,
+        added: added.map(describe),
+        resolved: resolved.map(describe),
+        summary: {
+            matched: matched.length,
+            growing: growing.length,
+            stable: matched.filter(m => m.status === 'stable').length,
+            shrinking: matched.filter(m => m.status === 'shrinking').length,
+            added: added.length,
+            resolved: resolved.length,
+            fastestVdt: fastest && { nodule: fastest.current.id, vdtDays: fastest.vdtDays, category: fastest.vdtCategory },
+            growthThresholdMm: GROWTH_THRESHOLD_MM,
+        },
+        warnings,
+    };
+}
+
+
+
+// FOLLOW-UP
+
+
+/**
+ * Date a number of months after an ISO date, clamped to the end of the month.
+ */
+function addMonths(isoDate, months) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().substring(0, 10);
+}
+
+/**
+ * Window of the first follow-up in a recommendation such as "CT at 6–12 months".
+ * Workup without an interval (diagnostic CT, PET/CT, tissue sampling) is due at once.
+ * @returns {{ due: string|null, latest: string|null }}
+ */
+function followUpWindow(recommendation, studyDate) {
+    if (/no routine follow-up/i.test(recommendation)) return { due: null, latest: null };
+    const months = /(\d+)(?:\s*[–-]\s*(\d+))?[\s-]*months?/i.exec(recommendation);
+    if (!months) return { due: studyDate, latest: studyDate };
+    return {
+        due: addMonths(studyDate, Number(months[1])),
+        latest: addMonths(studyDate, Number(months[2] || months[1])),
+    };
+}
+
+/**
+ * Follow-up of an analysis under each guideline that applies to it.
+ * @param {Object} prediction - Prediction with fleischner / lungRads assessments
+ * @param {string} studyDate - Date of the scan, YYYY-MM-DD
+ * @returns {{ guideline, recommendation, due, latest }[]}
+ */
+function followUpsFor(prediction, studyDate) {
+    const followUps = [];
+    if (prediction.fleischner?.applicable) {
+        followUps.push({
+            guideline: `Fleischner ${prediction.fleischner.version}`,
+            recommendation: prediction.fleischner.interval,
+            ...followUpWindow(prediction.fleischner.interval, studyDate),
+        });
+    }
+    if (prediction.lungRads?.applicable) {
+        followUps.push({
+            guideline: `Lung-RADS ${prediction.lungRads.version}`,
+            recommendation: prediction.lungRads.management,
+            ...followUpWindow(prediction.lungRads.management, studyDate),
+        });
+    }
+    return followUps;
+}
+
+module.exports = {
+    GROWTH_THRESHOLD_MM,
+    PATIENT_ID,
+    isIsoDate,
+    parseStudyContext,
+    studyFor,
+    matchNodules,
+    compareAnalyses,
+    followUpsFor,
+};
@@ -0,0 +1,267 @@
+/**
+ * LUNG-RADS v2022
+ * Deterministic Lung-RADS categorization of the nodule the vision model
+ * described. The model only reports free text ("8.5 mm", "Part-solid"); the
+ * size and density are parsed here and the category is computed from the
+ * ACR Lung-RADS v2022 tables, never asked of the model.
+ *
+ *   parseNoduleSize()   – "8 x 6 mm", "1.2 cm", "12 mm (solid component 5 mm)" → mean diameter in mm
+ *   parseNoduleType()   – "Part-solid", "Ground-glass", "Calcified" → solid | part-solid | ground-glass | benign
+ *   parseNodule()       – technicalDetails → structured nodule
+ *   categorize()        – structured nodule → category, management and the rule that fired
+ *   assessLungRads()    – prediction → Lung-RADS assessment (or not applicable)
+ *
+ * Sizes are mean diameters, (long axis + short axis) / 2, to one decimal.
+ * Without a prior exam every nodule is assessed as a baseline finding unless
+ * the caller says it is new or growing. */
+
+const VERSION = 'v2022';
+
+const CATEGORIES = {
+    '1': {
+        descriptor: 'Negative',
+        management: '12-month screening LDCT',
+    },
+    '2': {
+        descriptor: 'Benign',
+        management: '12-month screening LDCT',
+    },
+    '3': {
+        descriptor: 'Probably benign',
+        management: '6-month LDCT',
+    },
+    '4A': {
+        descriptor: 'Suspicious',
+        management: '3-month LDCT; PET/CT may be considered if there is a ≥ 8 mm solid nodule or solid component',
+    },
+    '4B': {
+        descriptor: 'Very suspicious',
+        management: 'Diagnostic chest CT with or without contrast; PET/CT may be considered if there is a ≥ 8 mm solid component; ' +
+            'tissue sampling and/or referral for further clinical evaluation',
+    },
+    '4X': {
+        descriptor: 'Very suspicious, with additional features',
+        management: 'Diagnostic chest CT with or without contrast; PET/CT may be considered if there is a ≥ 8 mm solid component; ' +
+            'tissue sampling and/or referral for further clinical evaluation',
+    },
+};
+
+const NODULE_STATUSES = ['baseline', 'new', 'growing'];
+
+
+// PARSING
+
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+function toMm(value, unit) {
+    return parseFloat(value) * (/^cm$/i.test(unit) ? 10 : 1);
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Parse a free-text nodule size.
+ * "8 x 6 mm" gives the mean of the two axes; a third (craniocaudal) axis is ignored.
+ * @param {string} text - e.g. '8.5 mm', '12 x 9 mm', '1.4 cm', 'N/A'
+ * @returns {{ diameterMm: number|null, solidComponentMm: number|null }}
+ */
+function parseNoduleSize(text) {
+    const result = { diameterMm: null, solidComponentMm: null };
+    if (!text || typeof text !== 'string') return result;
+
+    // Solid component reported alongside the total size
+    let rest = text;
+    const solid = new RegExp(`solid\\s+(?:component|portion|part)[^\\d]{0,20}${NUMBER}\\s*(mm|cm)`, 'i').exec(text);
+    if (solid) {
+        result.solidComponentMm = round1(toMm(solid[1], solid[2]));
+        rest = text.replace(solid[0], '');
+    }
+
+    const axes = new RegExp(`${NUMBER}\\s*(mm|cm)?\\s*[x×]\\s*${NUMBER}\\s*(?:[x×]\\s*${NUMBER}\\s*)?(mm|cm)`, 'i').exec(rest);
+    if (axes) {
+        const unit = axes[5];
+        const long = toMm(axes[1], axes[2] || unit);
+        const short = toMm(axes[3], unit);
+        result.diameterMm = round1((long + short) / 2);
+        return result;
+    }
+
+    const single = new RegExp(`${NUMBER}\\s*(mm|cm)\\b`, 'i').exec(rest);
+    if (single) result.diameterMm = round1(toMm(single[1], single[2]));
+    return result;
+}
+
+/**
+ * Parse a free-text nodule density.
+ * @param {string} text - e.g. 'Solid', 'Part-solid', 'Ground-glass', 'Calcified'
+ * @returns {'solid'|'part-solid'|'ground-glass'|'benign'|null}
+ */
+function parseNoduleType(text) {
+    if (!text || typeof text !== 'string') return null;
+    const lower = text.toLowerCase();
+
+    // Benign features (complete/central calcification, fat) put a nodule in category 1
+    if (/calcif|fat[- ]containing|\bfat\b|hamartoma/.test(lower)) return 'benign';
+    if (/part[- ]?solid|semi[- ]?solid|mixed/.test(lower)) return 'part-solid';
+    if (/ground[- ]?glass|\bggn\b|\bggo\b|non[- ]?solid|subsolid/.test(lower)) return 'ground-glass';
+    if (/solid/.test(lower)) return 'solid';
+    return null;
+}
+
+/**
+ * Structured nodule from the prediction's technicalDetails.
+ * @param {Object} technicalDetails - { noduleSize, location, shape, density }
+ * @returns {Object} { type, diameterMm, solidComponentMm, spiculated, juxtapleural, assumptions }
+ */
+function parseNodule(technicalDetails = {}) {
+    const { noduleSize, shape = '', density, location = '' } = technicalDetails;
+    const size = parseNoduleSize(noduleSize);
+    const fromDensity = parseNoduleSize(density);
+    const assumptions = [];
+
+    let type = parseNoduleType(density);
+    if (!type && size.diameterMm !== null) {
+        // Solid thresholds are the strictest, so an unknown density never under-calls
+        type = 'solid';
+        assumptions.push('Density not reported — assessed as a solid nodule');
+    }
+
+    const solidComponentMm = size.solidComponentMm ?? fromDensity.solidComponentMm;
+
+    return {
+        type,
+        diameterMm: size.diameterMm,
+        // null when the solid component of a part-solid nodule was not measured
+        solidComponentMm: type === 'part-solid' ? solidComponentMm : null,
+        spiculated: /spicul/i.test(shape),
+        juxtapleural: /perifissural|juxta-?pleural|subpleural|fissur/i.test(`${shape} ${location}`) &&
+            /smooth|oval|lentiform|triangular|well-defined/i.test(shape),
+        assumptions,
+    };
+}
+
+
+// CATEGORIES
+
+
+function finding(category, rule) {
+    return { category, rule, ...CATEGORIES[category] };
+}
+
+function solidCategory(d, status) {
+    if (status === 'growing') {
+        return d < 8
+            ? finding('4A', 'Solid nodule growing, < 8 mm')
+            : finding('4B', 'Solid nodule growing, ≥ 8 mm');
+    }
+    if (status === 'new') {
+        if (d < 4) return finding('2', 'New solid nodule < 4 mm');
+        if (d < 6) return finding('3', 'New solid nodule ≥ 4 to < 6 mm');
+        if (d < 8) return finding('4A', 'New solid nodule ≥ 6 to < 8 mm');
+        return finding('4B', 'New solid nodule ≥ 8 mm');
+    }
+    if (d < 6) return finding('2', 'Solid nodule < 6 mm at baseline');
+    if (d < 8) return finding('3', 'Solid nodule ≥ 6 to < 8 mm at baseline');
+    if (d < 15) return finding('4A', 'Solid nodule ≥ 8 to < 15 mm at baseline');
+    return finding('4B', 'Solid nodule ≥ 15 mm at baseline');
+}
+
+function partSolidCategory(d, solid, status) {
+    if (status === 'new' || status === 'growing') {
+        if (status === 'new' && d < 6) return finding('3', 'New part-solid nodule < 6 mm');
+        return solid < 4
+            ? finding('4A', `${status === 'new' ? 'New' : 'Growing'} part-solid nodule with solid component < 4 mm`)
+            : finding('4B', `${status === 'new' ? 'New' : 'Growing'} part-solid nodule with solid component ≥ 4 mm`);
+    }
+    if (d < 6) return finding('2', 'Part-solid nodule < 6 mm total at baseline');
+    if (solid < 6) return finding('3', 'Part-solid nodule ≥ 6 mm total with solid component < 6 mm');
+    if (solid < 8) return finding('4A', 'Part-solid nodule ≥ 6 mm with solid component ≥ 6 to < 8 mm');
+    return finding('4B', 'Part-solid nodule with solid component ≥ 8 mm');
+}
+
+function groundGlassCategory(d) {
+    return d < 30
+        ? finding('2', 'Ground-glass nodule < 30 mm')
+        : finding('3', 'Ground-glass nodule ≥ 30 mm');
+}
+
+/**
+ * Lung-RADS category of a structured nodule.
+ * @param {Object|null} nodule - From parseNodule(); null when no nodule was seen
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'baseline' (default), 'new' or 'growing'
+ * @returns {Object} { category, descriptor, management, rule }
+ */
+function categorize(nodule, { status = 'baseline' } = {}) {
+    if (!NODULE_STATUSES.includes(status)) {
+        throw new Error(`Unknown Lung-RADS nodule status "${status}". Use one of: ${NODULE_STATUSES.join(', ')}`);
+    }
+
+    if (!nodule) return finding('1', 'No lung nodules');
+    if (nodule.type === 'benign') return finding('1', 'Nodule with benign features (calcification or fat)');
+
+    const d = nodule.diameterMm;
+    let base;
+    if (nodule.type === 'part-solid') {
+        base = partSolidCategory(d, nodule.solidComponentMm, status);
+    } else if (nodule.type === 'ground-glass') {
+        base = groundGlassCategory(d);
+    } else if (nodule.juxtapleural && status === 'baseline' && d < 10) {
+        base = finding('2', 'Juxtapleural nodule < 10 mm with smooth margins and oval, lentiform or triangular shape');
+    } else {
+        base = solidCategory(d, status);
+    }
+
+    // Category 3 or 4 with additional suspicious features (e.g. spiculation) → 4X
+    if (nodule.spiculated && base.category !== '1' && base.category !== '2') {
+        return finding('4X', `${base.rule}, with spiculation`);
+    }
+    return base;
+}
+
+/**
+ * Lung-RADS assessment for a vision prediction.
+ * @param {Object} prediction - Prediction from analyzeCTScan
+ * @param {Object} [options] - { status } passed to categorize()
+ * @returns {Object} { version, applicable, category, descriptor, management, rule, nodule, assumptions }
+ *                   or { version, applicable: false, reason } when it cannot be assigned
+ */
+function assessLungRads(prediction, options = {}) {
+    const notApplicable = (reason) => ({ version: VERSION, applicable: false, category: null, reason });
+
+    if (!prediction || prediction.parseStatus === 'unparseable') {
+        return notApplicable('No valid AI result to categorize');
+    }
+    if (prediction.imageQuality === 'Not a CT scan') {
+        return notApplicable('The image is not a CT scan');
+    }
+    if (prediction.result === 'No Nodule Detected') {
+        return { version: VERSION, applicable: true, ...categorize(null, options), nodule: null, assumptions: [] };
+    }
+
+    const { assumptions, ...nodule } = parseNodule(prediction.technicalDetails);
+    if (nodule.type !== 'benign' && nodule.diameterMm === null) {
+        return notApplicable(`Nodule size "${prediction.technicalDetails?.noduleSize}" could not be measured`);
+    }
+
+    if (nodule.type === 'part-solid' && nodule.solidComponentMm === null) {
+        nodule.solidComponentMm = nodule.diameterMm;
+        assumptions.push('Solid component not measured — assessed at the full nodule size');
+    }
+
+    return { version: VERSION, applicable: true, ...categorize(nodule, options), nodule, assumptions };
+}
+
+module.exports = {
+    VERSION,
+    CATEGORIES,
+    NODULE_STATUSES,
+    parseNoduleSize,
+    parseNoduleType,
+    parseNodule,
+    categorize,
+    assessLungRads,
+};
@@ -0,0 +1,214 @@
+/**
+ * MODEL HEALTH — PER-MODEL CIRCUIT BREAKER
+ * Remembers how each provider/model pair has been behaving so the cascade
+ * can skip models that just failed instead of retrying them on every call.
+ *
+ *   closed    – healthy, requests go through
+ *   open      – cooling down after quota errors (or repeated failures) until nextAvailableAt
+ *   half-open – cooldown over; one probe request is let through to test the model
+ *   removed   – returned 404, skipped until the server restarts
+ *
+ * Environment:
+ *   MODEL_COOLDOWN_MS        – base cooldown when the API gives no retry delay (default 60000)
+ *   MODEL_COOLDOWN_MAX_MS    – cap for the doubling cooldown (default 900000)
+ *   MODEL_FAILURE_THRESHOLD  – consecutive non-quota failures that open the breaker (default 3)
+ *   MODEL_ERROR_WINDOW_MS    – window for the recent error counts (default 900000) */
+
+const BASE_COOLDOWN_MS = parseInt(process.env.MODEL_COOLDOWN_MS, 10) || 60 * 1000;
+const MAX_COOLDOWN_MS = parseInt(process.env.MODEL_COOLDOWN_MAX_MS, 10) || 15 * 60 * 1000;
+const FAILURE_THRESHOLD = parseInt(process.env.MODEL_FAILURE_THRESHOLD, 10) || 3;
+const ERROR_WINDOW_MS = parseInt(process.env.MODEL_ERROR_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+// A probe that has not reported back after this long is assumed lost
+const PROBE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const models = new Map();
+
+function keyOf(providerId, model) {
+    return `${providerId}/${model}`;
+}
+
+function getEntry(providerId, model) {
+    const key = keyOf(providerId, model);
+    if (!models.has(key)) {
+        models.set(key, {
+            provider: providerId,
+            model,
+            state: 'closed',
+            consecutiveFailures: 0,
+            cooldownMs: 0,
+            nextAvailableAt: null,
+            probeStartedAt: null,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null,
+            errors: [],
+        });
+    }
+    return models.get(key);
+}
+
+/**
+ * Current state, moving open → half-open once the cooldown has passed.
+ */
+function currentState(entry, now = Date.now()) {
+    if (entry.state === 'open' && now >= entry.nextAvailableAt) {
+        entry.state = 'half-open';
+    }
+    return entry.state;
+}
+
+/**
+ * Extract the retry delay an API sent with a 429, in milliseconds.
+ * Understands Gemini RetryInfo ("retryDelay":"37s", "retry in 37.5s") and
+ * a retryAfterMs property set by the provider (e.g. from Retry-After).
+ * @returns {number|null}
+ */
+function parseRetryDelay(err) {
+    if (Number.isFinite(err.retryAfterMs)) return err.retryAfterMs;
+
+    const detail = (err.errorDetails || []).find(d => d.retryDelay);
+    if (detail) return Math.ceil(parseFloat(detail.retryDelay) * 1000);
+
+    const match = /"retryDelay"\s*:\s*"([\d.]+)s"/.exec(err.message) || /retry in ([\d.]+)\s*s/i.exec(err.message);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Whether a request may be sent to the model right now (does not claim the probe).
+ * Use it to pick candidates; tryAcquireProbe decides when the request is sent.
+ */
+function isAvailable(providerId, model, now = Date.now()) {
+    const entry = getEntry(providerId, model);
+    const state = currentState(entry, now);
+    if (state === 'closed') return true;
+    if (state === 'half-open') {
+        return !entry.probeStartedAt || now - entry.probeStartedAt > PROBE_TIMEOUT_MS;
+    }
+    return false;
+}
+
+/**
+ * Claim the right to send a request now. Always granted while closed; in
+ * half-open state only the first caller gets it, because the check and the
+ * claim happen in one step — callers that waited for a scheduler slot in the
+ * meantime are turned away instead of all probing at once.
+ * @returns {boolean} false if the model is open, removed or already being probed
+ */
+function tryAcquireProbe(providerId, model, now = Date.now()) {
+    const entry = getEntry(providerId, model);
+    if (!isAvailable(providerId, model, now)) return false;
+    if (entry.state === 'half-open') {
+        entry.probeStartedAt = now;
+        console.log(`🔌 Probing ${entry.provider}/${entry.model} after cooldown`);
+    }
+    return true;
+}
+
+/**
+ * Give the probe back without a verdict, e.g. when the caller cancelled the request.
+ */
+function releaseProbe(providerId, model) {
+    getEntry(providerId, model).probeStartedAt = null;
+}
+
+function recordSuccess(providerId, model, now = Date.now()) {
+    const entry = getEntry(providerId, model);
+    if (entry.state !== 'closed') {
+        console.log(`🔌 ${entry.provider}/${entry.model} recovered — circuit closed`);
+    }
+    Object.assign(entry, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        cooldownMs: 0,
+        nextAvailableAt: null,
+        probeStartedAt: null,
+        lastSuccessAt: new Date(now).toISOString(),
+    });
+}
+
+/**
+ * Record a failed request.
+ * @param {string} kind - 'quota' | 'notFound' | 'other'
+ * @param {Error} err - The error, used for the retry delay and status display
+ */
+function recordFailure(providerId, model, kind, err, now = Date.now()) {
+    const entry = getEntry(providerId, model);
+    const wasProbe = currentState(entry, now) === 'half-open';
+
+    entry.consecutiveFailures++;
+    entry.probeStartedAt = null;
+    entry.lastError = err.message.substring(0, 300);
+    entry.lastFailureAt = new Date(now).toISOString();
+    entry.errors.push({ at: now, kind });
+    entry.errors = entry.errors.filter(e => now - e.at <= ERROR_WINDOW_MS);
+
+    if (kind === 'notFound') {
+        entry.state = 'removed';
+        entry.nextAvailableAt = null;
+        console.warn(`🔌 ${entry.provider}/${entry.model} returned 404 — removed from the cascade`);
+        return;
+    }
+
+    if (kind === 'quota' || wasProbe || entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+        // Honor the API's retry delay; otherwise back off exponentially
+        const retryDelay = kind === 'quota' ? parseRetryDelay(err) : null;
+        entry.cooldownMs = retryDelay ?? Math.min(entry.cooldownMs ? entry.cooldownMs * 2 : BASE_COOLDOWN_MS, MAX_COOLDOWN_MS);
+        entry.state = 'open';
+        entry.nextAvailableAt = now + entry.cooldownMs;
+        console.warn(`🔌 ${entry.provider}/${entry.model} circuit open for ${Math.round(entry.cooldownMs / 1000)}s`);
+    }
+}
+
+/**
+ * Earliest time any of the given models becomes available again.
+ * @returns {number|null} Epoch ms, or null if all were removed
+ */
+function nextAvailableAt(providerId, modelNames) {
+    const times = modelNames
+        .map(model => getEntry(providerId, model))
+        .filter(entry => entry.state !== 'removed')
+        .map(entry => entry.nextAvailableAt || Date.now());
+    return times.length ? Math.min(...times) : null;
+}
+
+/**
+ * Status of every known model, for the health endpoint.
+ * @param {{ provider: string, model: string }[]} [configured] - Models to include even if never called
+ */
+function getHealthSnapshot(configured = [], now = Date.now()) {
+    for (const { provider, model } of configured) getEntry(provider, model);
+
+    return [...models.values()].map(entry => {
+        const recent = entry.errors.filter(e => now - e.at <= ERROR_WINDOW_MS);
+        return {
+            provider: entry.provider,
+            model: entry.model,
+            state: currentState(entry, now),
+            consecutiveFailures: entry.consecutiveFailures,
+            recentErrors: {
+                quota: recent.filter(e => e.kind === 'quota').length,
+                notFound: recent.filter(e => e.kind === 'notFound').length,
+                other: recent.filter(e => e.kind === 'other').length,
+                windowSeconds: ERROR_WINDOW_MS / 1000,
+            },
+            nextAvailableAt: entry.state === 'removed'
+                ? null
+                : new Date(Math.max(entry.nextAvailableAt || now, now)).toISOString(),
+            lastError: entry.lastError,
+            lastFailureAt: entry.lastFailureAt,
+            lastSuccessAt: entry.lastSuccessAt,
+        };
+    });
+}
+
+module.exports = {
+    parseRetryDelay,
+    isAvailable,
+    tryAcquireProbe,
+    releaseProbe,
+    recordSuccess,
+    recordFailure,
+    nextAvailableAt,
+    getHealthSnapshot,
+};
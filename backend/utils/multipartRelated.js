@@ -0,0 +1,82 @@
+/**
+ * MULTIPART/RELATED
+ * Minimal reader/writer for the multipart/related bodies used by DICOMweb
+ * (STOW-RS requests and WADO-RS responses, PS3.18 §8.6). */
+
+const crypto = require('crypto');
+
+/**
+ * Pull a parameter (boundary, type, ...) out of a Content-Type header.
+ */
+function getContentTypeParam(contentType = '', name) {
+    const match = new RegExp(`${name}\\s*=\\s*("([^"]+)"|[^;\\s]+)`, 'i').exec(contentType);
+    return match ? (match[2] || match[1]) : null;
+}
+
+/**
+ * Split a multipart/related body into its parts.
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type header
+ * @returns {Array<{ headers: Object, body: Buffer }>}
+ */
+function parseMultipartRelated(body, contentType) {
+    const boundary = getContentTypeParam(contentType, 'boundary');
+    if (!boundary) {
+        throw new Error('Invalid multipart/related request: missing boundary');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let start = body.indexOf(delimiter);
+
+    while (start !== -1) {
+        start += delimiter.length;
+        // "--" right after the delimiter marks the closing boundary
+        if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        let part = body.subarray(start, end);
+        if (part[0] === 0x0d && part[1] === 0x0a) part = part.subarray(2);
+        if (part[part.length - 2] === 0x0d && part[part.length - 1] === 0x0a) part = part.subarray(0, part.length - 2);
+
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const rawHeaders = headerEnd === -1 ? '' : part.subarray(0, headerEnd).toString('utf8');
+        const headers = {};
+        rawHeaders.split('\r\n').filter(Boolean).forEach(line => {
+            const idx = line.indexOf(':');
+            if (idx > 0) headers[line.substring(0, idx).trim().toLowerCase()] = line.substring(idx + 1).trim();
+        });
+
+        parts.push({ headers, body: headerEnd === -1 ? part : part.subarray(headerEnd + 4) });
+        start = end;
+    }
+
+    return parts;
+}
+
+/**
+ * Build a multipart/related body.
+ * @param {Array<{ contentType: string, body: Buffer, location?: string }>} parts
+ * @param {string} type - Root media type (e.g. application/dicom)
+ * @returns {{ contentType: string, body: Buffer }}
+ */
+function buildMultipartRelated(parts, type) {
+    const boundary = `pulmoai-${crypto.randomBytes(12).toString('hex')}`;
+    const chunks = [];
+
+    for (const part of parts) {
+        let headers = `--${boundary}\r\nContent-Type: ${part.contentType}\r\n`;
+        if (part.location) headers += `Content-Location: ${part.location}\r\n`;
+        chunks.push(Buffer.from(`${headers}\r\n`), part.body, Buffer.from('\r\n'));
+    }
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+        contentType: `multipart/related; type="${type}"; boundary=${boundary}`,
+        body: Buffer.concat(chunks),
+    };
+}
+
+module.exports = { getContentTypeParam, parseMultipartRelated, buildMultipartRelated };
@@ -0,0 +1,163 @@
+/**
+ * NODULE REGIONS
+ * Checks the nodule regions the vision model reports against the images it
+ * was actually given, so the overlay never points outside the scan.
+ *
+ * The model gives each region in normalized coordinates (fractions of the
+ * image width and height, origin top-left), either as a box or a circle:
+ *   { x, y, width, height }   – top-left corner and size
+ *   { cx, cy, r }             – centre and radius (r as a fraction of the width)
+ *
+ * A region that overshoots an edge by a little (model rounding) is clipped;
+ * one that lies mostly outside the image, is empty, or covers most of the
+ * slice is removed with a warning (the nodule itself is kept, without a
+ * marker). Valid regions get their pixel coordinates in the analyzed image
+ * added. */
+
+const sharp = require('sharp');
+
+// Overshoot past an image edge that is clipped rather than rejected (fraction of the image)
+const EDGE_TOLERANCE = 0.02;
+
+// A "nodule" larger than this fraction of the image area is not a nodule
+const MAX_AREA = 0.25;
+
+
+// REGIONS
+
+
+function round(value, digits = 4) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function isSet(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Normalized region → box or circle, with the box it covers.
+ * @returns {{ kind: 'box'|'circle', region: Object, bounds: { x, y, width, height } }}
+ */
+function readRegion(region, aspect) {
+    if (['x', 'y', 'width', 'height'].every(key => isSet(region[key]))) {
+        const { x, y, width, height } = region;
+        return { kind: 'box', region: { x, y, width, height }, bounds: { x, y, width, height } };
+    }
+    if (['cx', 'cy', 'r'].every(key => isSet(region[key]))) {
+        const { cx, cy, r } = region;
+        // r is a fraction of the width; in height units the same circle is r × width / height
+        const ry = r * aspect;
+        return {
+            kind: 'circle',
+            region: { cx, cy, r },
+            bounds: { x: cx - r, y: cy - ry, width: 2 * r, height: 2 * ry },
+        };
+    }
+    throw new Error('region needs either x, y, width and height or cx, cy and r');
+}
+
+/**
+ * Check one region against the size of its image.
+ * @param {Object} region - Normalized box or circle from the model
+ * @param {{ width: number, height: number }} size - Image size in pixels
+ * @returns {{ region: { kind, ... }, pixels: { x, y, width, height } }} The (possibly clipped) region
+ * @throws {Error} When the region cannot be placed on the image
+ */
+function validateRegion(region, size) {
+    const { kind, region: read, bounds } = readRegion(region, size.width / size.height);
+    const { x, y, width, height } = bounds;
+
+    if (width <= 0 || height <= 0) throw new Error(`${kind} has no area`);
+    if (x < -EDGE_TOLERANCE || y < -EDGE_TOLERANCE ||
+        x + width > 1 + EDGE_TOLERANCE || y + height > 1 + EDGE_TOLERANCE) {
+        throw new Error(`${kind} extends past the ${size.width}×${size.height} image`);
+    }
+    if (width * height > MAX_AREA) {
+        throw new Error(`${kind} covers ${Math.round(width * height * 100)}% of the image, too large for a nodule`);
+    }
+
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    const clipped = {
+        x: left,
+        y: top,
+        width: Math.min(1, x + width) - left,
+        height: Math.min(1, y + height) - top,
+    };
+    const pixels = {
+        x: Math.round(clipped.x * size.width),
+        y: Math.round(clipped.y * size.height),
+        width: Math.max(1, Math.round(clipped.width * size.width)),
+        height: Math.max(1, Math.round(clipped.height * size.height)),
+    };
+
+    // Boxes are clipped to the image; a circle keeps its centre and radius and only its pixel bounds are clipped
+    const kept = kind === 'box' ? clipped : read;
+    return {
+        region: { kind, ...Object.fromEntries(Object.entries(kept).map(([key, value]) => [key, round(value)])) },
+        pixels,
+    };
+}
+
+
+// PREDICTIONS
+
+
+/**
+ * Validate the nodules of a prediction against the analyzed image(s).
+ * Every nodule is kept, numbered n1, n2, ...; one whose region is invalid
+ * gets region and pixels null.
+ * @param {Object[]} [nodules] - `nodules` from the model output
+ * @param {string[]} imagePaths - Images sent to the model, in order
+ * @returns {Promise<{ nodules: Object[], warnings: string[] }>}
+ */
+async function localizeNodules(nodules, imagePaths) {
+    if (!Array.isArray(nodules) || !nodules.length) return { nodules: [], warnings: [] };
+
+    const sizes = new Map();
+    const sizeOf = async (index) => {
+        if (!sizes.has(index)) {
+            const { width, height } = await sharp(imagePaths[index]).metadata();
+            sizes.set(index, { width, height });
+        }
+        return sizes.get(index);
+    };
+
+    const localized = [];
+    const warnings = [];
+    for (const [i, nodule] of nodules.entries()) {
+        const image = nodule.image ?? 0;
+        let marker = { region: null, pixels: null, imageSize: null };
+        try {
+            if (image >= imagePaths.length) {
+                throw new Error(`image ${image} does not exist (${imagePaths.length} image(s) analyzed)`);
+            }
+            const imageSize = await sizeOf(image);
+            marker = { ...validateRegion(nodule.region, imageSize), imageSize };
+        } catch (error) {
+            warnings.push(`Nodule n${i + 1}: ${error.message} — region not shown`);
+        }
+        localized.push({
+            id: `n${i + 1}`,
+            image,
+            ...marker,
+            size: nodule.size,
+            shape: nodule.shape,
+            density: nodule.density,
+            classification: nodule.classification,
+            suspicion: nodule.suspicion,
+            location: nodule.location || null,
+        });
+    }
+
+    if (warnings.length) console.warn(`⚠️  Removed ${warnings.length} nodule region(s): ${warnings.join('; ')}`);
+    return { nodules: localized, warnings };
+}
+
+module.exports = {
+    EDGE_TOLERANCE,
+    MAX_AREA,
+    validateRegion,
+    localizeNodules,
+};
@@ -0,0 +1,103 @@
+/**
+ * NODULE SUMMARY
+ * A scan can hold several nodules. Each one the model lists gets its own
+ * Lung-RADS category, and the scan-level summary (technicalDetails, which
+ * Lung-RADS, Fleischner and the risk calculators read) is taken from the
+ * most suspicious nodule.
+ *
+ * Most suspicious = highest model suspicion, then Malignant before
+ * Indeterminate before Benign, then the higher Lung-RADS category, then the
+ * larger diameter; ties keep the model's order. */
+
+const { SUSPICION_LEVELS, NODULE_CLASSIFICATIONS } = require('./predictionSchema');
+const { parseNodule, categorize } = require('./lungRads');
+
+const CATEGORY_ORDER = ['1', '2', '3', '4A', '4B', '4X'];
+
+// Classification rank, most suspicious last
+const CLASSIFICATION_ORDER = ['Benign', 'Indeterminate', 'Malignant'];
+
+
+// PER NODULE
+
+
+function asTechnicalDetails(nodule) {
+    return {
+        noduleSize: nodule.size,
+        location: nodule.location || 'N/A',
+        shape: nodule.shape || 'N/A',
+        density: nodule.density,
+    };
+}
+
+/**
+ * Lung-RADS category and mean diameter of one listed nodule.
+ * @returns {{ diameterMm: number|null, lungRads: { category, rule }|null }}
+ */
+function measureNodule(nodule) {
+    const { assumptions, ...parsed } = parseNodule(asTechnicalDetails(nodule));
+    if (parsed.type !== 'benign' && parsed.diameterMm === null) {
+        return { diameterMm: null, lungRads: null };
+    }
+    if (parsed.type === 'part-solid' && parsed.solidComponentMm === null) {
+        parsed.solidComponentMm = parsed.diameterMm;
+    }
+    const { category, rule } = categorize(parsed);
+    return { diameterMm: parsed.diameterMm, lungRads: { category, rule } };
+}
+
+function rank(nodule) {
+    return [
+        SUSPICION_LEVELS.indexOf(nodule.suspicion),
+        CLASSIFICATION_ORDER.indexOf(nodule.classification),
+        nodule.lungRads ? CATEGORY_ORDER.indexOf(nodule.lungRads.category) : -1,
+        nodule.diameterMm ?? -1,
+    ];
+}
+
+function compareSuspicion(a, b) {
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let i = 0; i < ra.length; i++) {
+        if (ra[i] !== rb[i]) return rb[i] - ra[i];
+    }
+    return 0;
+}
+
+
+// SCAN
+
+
+/**
+ * Measure every nodule and build the scan-level summary.
+ * @param {Object} prediction - Prediction with `nodules` from localizeNodules()
+ * @returns {{ nodules: Object[], noduleSummary: Object, technicalDetails: Object }}
+ *   nodules          – each nodule with diameterMm and lungRads added
+ *   noduleSummary    – { count, multiple, mostSuspicious (id or null), bySuspicion, byClassification }
+ *   technicalDetails – the most suspicious nodule's, or the model's own when no nodule is listed
+ */
+function summarizeNodules(prediction) {
+    const nodules = (prediction.nodules || []).map(nodule => ({ ...nodule, ...measureNodule(nodule) }));
+    const mostSuspicious = nodules.length ? [...nodules].sort(compareSuspicion)[0] : null;
+
+    const countBy = (key, values) => Object.fromEntries(
+        values.map(value => [value, nodules.filter(n => n[key] === value).length])
+    );
+
+    return {
+        nodules,
+        noduleSummary: {
+            count: nodules.length,
+            multiple: nodules.length > 1,
+            mostSuspicious: mostSuspicious ? mostSuspicious.id : null,
+            bySuspicion: countBy('suspicion', SUSPICION_LEVELS),
+            byClassification: countBy('classification', NODULE_CLASSIFICATIONS),
+        },
+        technicalDetails: mostSuspicious ? asTechnicalDetails(mostSuspicious) : prediction.technicalDetails,
+    };
+}
+
+module.exports = {
+    summarizeNodules,
+    compareSuspicion,
+};
@@ -0,0 +1,504 @@
+/**
+ * PATIENT STORE
+ * Patients and their imaging studies, so every scan can be attached to a
+ * patient record and followed over time.
+ *
+ *   patient – pseudonymous ID (never a name or MRN), age, sex, smoking status
+ *             and pack-years, relevant history and free-text notes
+ *   study   – one imaging session of a patient: date, modality, the DICOM
+ *             Study Instance UID when known, and its analyses
+ *
+ * Analyses are attached when they are saved (resolveStudy): to the study
+ * named in the request, to the study with the same DICOM UID, or to the
+ * patient's study on the same date. Patients and studies that do not exist
+ * yet are created, so de-identified DICOM uploads group themselves. */
+
+const crypto = require('crypto');
+const { getDb } = require('./database');
+const { SEXES, SMOKING } = require('./riskModels');
+const { PATIENT_ID, isIsoDate, followUpsFor } = require('./longitudinal');
+
+const MODALITY = /^[A-Z]{2,4}$/;
+const DICOM_UID = /^[0-9.]{1,64}$/;
+const MAX_NOTES = 2000;
+const MAX_DESCRIPTION = 500;
+
+
+// VALIDATION
+
+
+function invalid(entity, message) {
+    return new Error(`Invalid ${entity}: ${message}`);
+}
+
+function optionalNumber(value, name, { min, max, integer = false }) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw invalid('patient', `${name} must be a number`);
+    if (integer && !Number.isInteger(number)) throw invalid('patient', `${name} must be a whole number`);
+    if (number < min || number > max) throw invalid('patient', `${name} must be between ${min} and ${max}`);
+    return number;
+}
+
+function optionalText(value, name, max, entity) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.length > max) {
+        throw invalid(entity, `${name} must be text of at most ${max} characters`);
+    }
+    return value.trim() || null;
+}
+
+function flag(value, name) {
+    if (value === undefined || value === null || value === '') return false;
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw invalid('patient', `${name} must be true or false`);
+}
+
+/**
+ * Validate patient fields. Fields left out are cleared, as with PUT.
+ * @param {Object} fields - { age, sex, smoking, packYears, familyHistory, emphysema, cancerHistory, notes }
+ * @returns {Object} Normalized fields
+ */
+function validatePatient(fields = {}) {
+    if (fields.sex && !SEXES.includes(fields.sex)) throw invalid('patient', `sex must be one of ${SEXES.join(', ')}`);
+    if (fields.smoking && !SMOKING.includes(fields.smoking)) {
+        throw invalid('patient', `smoking must be one of ${SMOKING.join(', ')}`);
+    }
+    const packYears = optionalNumber(fields.packYears, 'packYears', { min: 0, max: 300 });
+    if (packYears > 0 && fields.smoking === 'never') {
+        throw invalid('patient', 'a never-smoker cannot have pack-years');
+    }
+    return {
+        age: optionalNumber(fields.age, 'age', { min: 0, max: 120, integer: true }),
+        sex: fields.sex || null,
+        smoking: fields.smoking || null,
+        packYears,
+        familyHistory: flag(fields.familyHistory, 'familyHistory'),
+        emphysema: flag(fields.emphysema, 'emphysema'),
+        cancerHistory: flag(fields.cancerHistory, 'cancerHistory'),
+        notes: optionalText(fields.notes, 'notes', MAX_NOTES, 'patient'),
+    };
+}
+
+/**
+ * Validate study fields.
+ * @param {Object} fields - { studyDate, modality, studyUid, description }
+ * @returns {Object} Normalized fields
+ */
+function validateStudy(fields = {}) {
+    if (!isIsoDate(fields.studyDate)) throw invalid('study', 'studyDate is required (YYYY-MM-DD)');
+    const modality = fields.modality ? String(fields.modality).toUpperCase() : 'CT';
+    if (!MODALITY.test(modality)) throw invalid('study', 'modality must be a DICOM modality code such as CT');
+    if (fields.studyUid && !DICOM_UID.test(fields.studyUid)) {
+        throw invalid('study', 'studyUid must be a DICOM UID (digits and dots)');
+    }
+    return {
+        studyDate: fields.studyDate,
+        modality,
+        studyUid: fields.studyUid || null,
+        description: optionalText(fields.description, 'description', MAX_DESCRIPTION, 'study'),
+    };
+}
+
+
+// RECORDS
+
+
+function toPatient(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        age: row.age,
+        sex: row.sex,
+        smoking: row.smoking,
+        packYears: row.pack_years,
+        familyHistory: Boolean(row.family_history),
+        emphysema: Boolean(row.emphysema),
+        cancerHistory: Boolean(row.cancer_history),
+        notes: row.notes,
+        // 'form' (created here or entered with an upload), 'dicom-pseudonym', or null for patients saved before it was recorded
+        idSource: row.id_source,
+    };
+}
+
+function toStudy(row) {
+    return {
+        id: row.id,
+        patientId: row.patient_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        studyDate: row.study_date,
+        // 'form', 'dicom-shifted', 'analysis' (upload date), or null for studies saved before it was recorded
+        dateSource: row.date_source,
+        modality: row.modality,
+        studyUid: row.study_uid,
+        description: row.description,
+    };
+}
+
+function patientParams(id, fields, now) {
+    return {
+        id,
+        now,
+        age: fields.age,
+        sex: fields.sex,
+        smoking: fields.smoking,
+        packYears: fields.packYears,
+        familyHistory: fields.familyHistory ? 1 : 0,
+        emphysema: fields.emphysema ? 1 : 0,
+        cancerHistory: fields.cancerHistory ? 1 : 0,
+        notes: fields.notes,
+    };
+}
+
+function studyUidTaken(studyUid, exceptId = null) {
+    return studyUid && getDb()
+        .prepare('SELECT 1 FROM studies WHERE study_uid = ? AND id IS NOT ?')
+        .get(studyUid, exceptId);
+}
+
+
+// PATIENTS
+
+
+/**
+ * @param {Object} fields - { id, ...validatePatient() fields }
+ * @returns {Object} The new patient
+ * @throws {Error} "Patient already exists: <id>" when the ID is taken
+ */
+function createPatient(fields = {}) {
+    if (typeof fields.id !== 'string' || !PATIENT_ID.test(fields.id.trim())) {
+        throw invalid('patient', 'id is required: 1–64 letters, digits, dots, dashes or underscores (a pseudonym, not a name)');
+    }
+    const id = fields.id.trim();
+    const values = validatePatient(fields);
+    if (getPatient(id)) throw new Error(`Patient already exists: ${id}`);
+
+    getDb().prepare(`
+        INSERT INTO patients (id, created_at, updated_at, age, sex, smoking, pack_years,
+            family_history, emphysema, cancer_history, notes, id_source)
+        VALUES (@id, @now, @now, @age, @sex, @smoking, @packYears,
+            @familyHistory, @emphysema, @cancerHistory, @notes, 'form')
+    `).run(patientParams(id, values, new Date().toISOString()));
+
+    console.log(`🧑 Created patient ${id}`);
+    return getPatient(id);
+}
+
+function getPatient(id) {
+    const row = getDb().prepare('SELECT * FROM patients WHERE id = ?').get(id);
+    return row ? toPatient(row) : null;
+}
+
+/**
+ * Every patient with the number of studies and analyses and the last study
+ * date, most recently studied first.
+ */
+function listPatients() {
+    return getDb().prepare(`
+        SELECT p.*,
+            (SELECT COUNT(*) FROM studies s WHERE s.patient_id = p.id) AS study_count,
+            (SELECT COUNT(*) FROM predictions r WHERE r.patient_id = p.id) AS scan_count,
+            (SELECT MAX(study_date) FROM studies s WHERE s.patient_id = p.id) AS last_study_date
+        FROM patients p
+        ORDER BY last_study_date IS NULL, last_study_date DESC, p.updated_at DESC
+    `).all().map(row => ({
+        ...toPatient(row),
+        studyCount: row.study_count,
+        scanCount: row.scan_count,
+        lastStudyDate: row.last_study_date,
+    }));
+}
+
+/**
+ * Replace a patient's details (the ID cannot change).
+ * @returns {Object|null} The updated patient, or null if there is none
+ */
+function updatePatient(id, fields = {}) {
+    const values = validatePatient(fields);
+    const { changes } = getDb().prepare(`
+        UPDATE patients SET updated_at = @now, age = @age, sex = @sex, smoking = @smoking,
+            pack_years = @packYears, family_history = @familyHistory, emphysema = @emphysema,
+            cancer_history = @cancerHistory, notes = @notes
+        WHERE id = @id
+    `).run(patientParams(id, values, new Date().toISOString()));
+    return changes ? getPatient(id) : null;
+}
+
+/**
+ * Delete a patient and their studies. Their analyses are kept, detached
+ * from any patient.
+ * @returns {Object|null} The deleted patient
+ */
+function deletePatient(id) {
+    const patient = getPatient(id);
+    if (!patient) return null;
+
+    const db = getDb();
+    db.transaction(() => {
+        db.prepare('UPDATE predictions SET patient_id = NULL, study_id = NULL WHERE patient_id = ?').run(id);
+        db.prepare('DELETE FROM studies WHERE patient_id = ?').run(id);
+        db.prepare('DELETE FROM patients WHERE id = ?').run(id);
+    })();
+
+    console.log(`🗑️  Deleted patient ${id}`);
+    return patient;
+}
+
+
+// STUDIES
+
+
+/**
+ * @param {Object} fields - { patientId, ...validateStudy() fields }
+ * @returns {Object} The new study
+ */
+function createStudy(fields = {}) {
+    const values = validateStudy(fields);
+    if (!fields.patientId || !getPatient(fields.patientId)) {
+        throw invalid('study', `no patient ${fields.patientId || '(patientId missing)'}`);
+    }
+    if (studyUidTaken(values.studyUid)) throw invalid('study', `studyUid ${values.studyUid} belongs to another study`);
+
+    const id = `study-${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date().toISOString();
+    getDb().prepare(`
+        INSERT INTO studies (id, patient_id, created_at, updated_at, study_date, modality, study_uid, description, date_source)
+        VALUES (@id, @patientId, @now, @now, @studyDate, @modality, @studyUid, @description, 'form')
+    `).run({ id, patientId: fields.patientId, now, ...values });
+
+    console.log(`📁 Created study ${id} (${fields.patientId}, ${values.studyDate})`);
+    return getStudy(id);
+}
+
+function getStudy(id) {
+    const row = getDb().prepare('SELECT * FROM studies WHERE id = ?').get(id);
+    return row ? toStudy(row) : null;
+}
+
+/**
+ * Studies, newest first.
+ * @param {Object} [filters] - { patientId }
+ */
+function listStudies({ patientId } = {}) {
+    const rows = patientId
+        ? getDb().prepare('SELECT * FROM studies WHERE patient_id = ? ORDER BY study_date DESC, created_at DESC').all(patientId)
+        : getDb().prepare('SELECT * FROM studies ORDER BY study_date DESC, created_at DESC').all();
+    return rows.map(toStudy);
+}
+
+/**
+ * Replace a study's details (it stays with its patient). Attached analyses
+ * take the new date, and its UID when it has one.
+ * @returns {Object|null} The updated study, or null if there is none
+ */
+function updateStudy(id, fields = {}) {
+    const values = validateStudy(fields);
+    if (!getStudy(id)) return null;
+    if (studyUidTaken(values.studyUid, id)) throw invalid('study', `studyUid ${values.studyUid} belongs to another study`);
+
+    const db = getDb();
+    db.transaction(() => {
+        db.prepare(`
+            UPDATE studies SET updated_at = @now, study_date = @studyDate, modality = @modality,
+                study_uid = @studyUid, description = @description, date_source = 'form'
+            WHERE id = @id
+        `).run({ id, now: new Date().toISOString(), ...values });
+        db.prepare(`UPDATE predictions SET study_date = ?, study_uid = COALESCE(?, study_uid), date_source = 'form' WHERE study_id = ?`)
+            .run(values.studyDate, values.studyUid, id);
+    })();
+    return getStudy(id);
+}
+
+/**
+ * Delete a study. Its analyses stay with the patient, without a study.
+ * @returns {Object|null} The deleted study
+ */
+function deleteStudy(id) {
+    const study = getStudy(id);
+    if (!study) return null;
+
+    const db = getDb();
+    db.transaction(() => {
+        db.prepare('UPDATE predictions SET study_id = NULL WHERE study_id = ?').run(id);
+        db.prepare('DELETE FROM studies WHERE id = ?').run(id);
+    })();
+
+    console.log(`🗑️  Deleted study ${id}`);
+    return study;
+}
+
+/**
+ * Attach a stored analysis to a study (and so to its patient).
+ * @returns {boolean} false when the analysis does not exist
+ */
+function attachPrediction(studyId, predictionId) {
+    const study = getStudy(studyId);
+    if (!study) throw invalid('study', `no study ${studyId}`);
+    const { changes } = getDb().prepare(`
+        UPDATE predictions SET study_id = @id, patient_id = @patientId, study_date = @studyDate,
+            date_source = @dateSource, patient_id_source = @patientIdSource, study_uid = COALESCE(@studyUid, study_uid)
+        WHERE id = @predictionId
+    `).run({ ...study, patientIdSource: getPatient(study.patientId)?.idSource || null, predictionId });
+    return changes > 0;
+}
+
+/**
+ * Check the study context of an analysis request before the analysis runs.
+ * @param {Object} context - From parseStudyContext()
+ * @throws {Error} "Invalid study context: ..." for an unknown study or one of another patient
+ */
+function checkStudyContext(context) {
+    if (!context.studyId) return;
+    const study = getStudy(context.studyId);
+    if (!study) throw new Error(`Invalid study context: no study ${context.studyId}`);
+    if (context.patientId && context.patientId !== study.patientId) {
+        throw new Error(`Invalid study context: study ${study.id} belongs to patient ${study.patientId}`);
+    }
+}
+
+/**
+ * Patient and study an analysis is saved under, creating them when needed.
+ * Called by savePrediction() inside its transaction.
+ * @param {Object} study - studyFor() of the analysis
+ * @returns {Object|null} { patientId, patientIdSource, studyId, studyUid, studyDate, dateSource, modality },
+ *                        or null when the analysis names no patient or study; the date and its
+ *                        source are the study's, the patient ID source the analysis's own
+ */
+function resolveStudy(study) {
+    const db = getDb();
+    if (study.studyId) {
+        const existing = getStudy(study.studyId);
+        if (!existing) throw new Error(`Invalid study context: no study ${study.studyId}`);
+        // A DICOM header's UID is kept when the study was created without one; the
+        // patient ID is the study's, so its source is the patient's
+        return {
+            ...study,
+            ...pick(existing),
+            patientIdSource: getPatient(existing.patientId)?.idSource || null,
+            studyUid: existing.studyUid || study.studyUid,
+        };
+    }
+    if (!study.patientId) return null;
+
+    const now = new Date().toISOString();
+    // An existing patient keeps the source its ID was first seen with
+    db.prepare('INSERT OR IGNORE INTO patients (id, created_at, updated_at, id_source) VALUES (?, ?, ?, ?)')
+        .run(study.patientId, now, now, study.patientIdSource);
+
+    const byUid = study.studyUid && db.prepare('SELECT * FROM studies WHERE study_uid = ?').get(study.studyUid);
+    if (byUid && byUid.patient_id === study.patientId) return { ...study, ...pick(toStudy(byUid)) };
+
+    const studyDate = study.studyDate || now.substring(0, 10);
+    const dateSource = study.studyDate ? study.dateSource : 'analysis';
+    // A plain image has no UID: it joins the patient's study on the same date
+    const byDate = !study.studyUid && db.prepare(`
+        SELECT * FROM studies WHERE patient_id = ? AND study_date = ? ORDER BY created_at LIMIT 1
+    `).get(study.patientId, studyDate);
+    if (byDate) return { ...study, ...pick(toStudy(byDate)) };
+
+    const id = `study-${crypto.randomBytes(8).toString('hex')}`;
+    db.prepare(`
+        INSERT INTO studies (id, patient_id, created_at, updated_at, study_date, modality, study_uid, date_source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, study.patientId, now, now, studyDate, study.modality || 'CT', byUid ? null : study.studyUid, dateSource);
+    console.log(`📁 Created study ${id} (${study.patientId}, ${studyDate})`);
+    return { ...study, ...pick(getStudy(id)) };
+}
+
+function pick(study) {
+    return {
+        patientId: study.patientId,
+        studyId: study.id,
+        studyUid: study.studyUid,
+        studyDate: study.studyDate,
+        dateSource: study.dateSource,
+        modality: study.modality,
+    };
+}
+
+
+// TIMELINE
+
+
+/**
+ * A patient's studies, oldest first, with the result of every analysis and
+ * the follow-up it calls for. Analyses a reviewer rejected stay listed but
+ * call for no follow-up.
+ * @returns {Object|null} { patient, studies, unassigned, nextFollowUp }, or null for an unknown patient
+ *   studies      – [{ ...study, scans: [{ predictionId, result, riskLevel, ..., followUps }] }]
+ *   unassigned   – analyses of the patient without a study
+ *   nextFollowUp – earliest follow-up due from the latest study with a recommendation, or null
+ */
+function getTimeline(patientId) {
+    const patient = getPatient(patientId);
+    if (!patient) return null;
+
+    const rows = getDb().prepare(`
+        SELECT id, created_at, source, study_id, study_date, response_json, review_status, reviewed_by, reviewed_at
+        FROM predictions
+        WHERE patient_id = ? ORDER BY created_at
+    `).all(patientId);
+
+    const toScan = (row, studyDate) => {
+        const response = JSON.parse(row.response_json);
+        const { prediction } = response;
+        return {
+            predictionId: row.id,
+            analyzedAt: row.created_at,
+            source: row.source,
+            imagePath: response.imagePath || null,
+            result: prediction.result,
+            riskLevel: prediction.riskLevel,
+            confidence: prediction.confidence,
+            review: { status: row.review_status, reviewer: row.reviewed_by, reviewedAt: row.reviewed_at },
+            noduleCount: prediction.noduleSummary ? prediction.noduleSummary.count : null,
+            // With several nodules, the most suspicious one
+            finding: prediction.technicalDetails || null,
+            lungRads: prediction.lungRads?.applicable ? prediction.lungRads.category : null,
+            followUps: row.review_status === 'rejected' ? [] : followUpsFor(prediction, studyDate),
+        };
+    };
+
+    const studies = listStudies({ patientId }).reverse().map(study => ({
+        ...study,
+        scans: rows.filter(row => row.study_id === study.id).map(row => toScan(row, study.studyDate)),
+    }));
+    const unassigned = rows
+        .filter(row => !row.study_id)
+        .map(row => toScan(row, row.study_date || row.created_at.substring(0, 10)));
+
+    const latest = [...studies].reverse()
+        .find(study => study.scans.some(scan => scan.followUps.some(f => f.due)));
+    const candidates = latest
+        ? latest.scans.flatMap(scan => scan.followUps.filter(f => f.due).map(f => ({ ...f, predictionId: scan.predictionId })))
+        : [];
+    const next = candidates.sort((l, r) => l.due.localeCompare(r.due))[0] || null;
+    const today = new Date().toISOString().substring(0, 10);
+
+    return {
+        patient,
+        studies,
+        unassigned,
+        nextFollowUp: next && { ...next, studyId: latest.id, overdue: (next.latest || next.due) < today },
+    };
+}
+
+module.exports = {
+    createPatient,
+    getPatient,
+    listPatients,
+    updatePatient,
+    deletePatient,
+    createStudy,
+    getStudy,
+    listStudies,
+    updateStudy,
+    deleteStudy,
+    attachPrediction,
+    checkStudyContext,
+    resolveStudy,
+    getTimeline,
+};
@@ -0,0 +1,151 @@
+/**
+ * PREDICTION SCHEMA
+ * JSON Schema for the structured result the vision prompt asks for, plus a
+ * small validator for the subset of keywords it uses (type, enum, minimum,
+ * maximum, minLength, minItems, required, properties, items).
+ *
+ * `nodules` (optional) lists every nodule with its own measurements,
+ * classification and suspicion, and localizes it as a normalized region — a box
+ * { x, y, width, height } or a circle { cx, cy, r } — with coordinates as
+ * fractions of the image size. The schema only checks the ranges; whether a
+ * region fits the actual image is checked in noduleRegions.js. */
+
+const RESULTS = [
+    'Nodule Detected - Benign',
+    'Nodule Detected - Malignant',
+    'No Nodule Detected',
+    'Indeterminate - Further Evaluation Required',
+];
+
+const RISK_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+const IMAGE_QUALITIES = ['Good', 'Fair', 'Poor', 'Not a CT scan'];
+
+const SUSPICION_LEVELS = ['low', 'moderate', 'high'];
+
+const NODULE_CLASSIFICATIONS = ['Benign', 'Malignant', 'Indeterminate'];
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const unitNumber = { type: 'number', minimum: 0, maximum: 1 };
+
+const NODULE_SCHEMA = {
+    type: 'object',
+    required: ['region', 'size', 'shape', 'density', 'classification', 'suspicion'],
+    properties: {
+        image: { type: 'integer', minimum: 0 },
+        region: {
+            type: 'object',
+            properties: {
+                x: unitNumber,
+                y: unitNumber,
+                width: unitNumber,
+                height: unitNumber,
+                cx: unitNumber,
+                cy: unitNumber,
+                r: unitNumber,
+            },
+        },
+        size: nonEmptyString,
+        shape: nonEmptyString,
+        density: nonEmptyString,
+        classification: { type: 'string', enum: NODULE_CLASSIFICATIONS },
+        suspicion: { type: 'string', enum: SUSPICION_LEVELS },
+        location: nonEmptyString,
+    },
+};
+
+const PREDICTION_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'PulmoAI vision prediction',
+    type: 'object',
+    required: [
+        'result', 'confidence', 'riskLevel', 'description',
+        'technicalDetails', 'recommendations', 'imageQuality', 'findings',
+    ],
+    properties: {
+        result: { type: 'string', enum: RESULTS },
+        confidence: { type: 'integer', minimum: 0, maximum: 100 },
+        riskLevel: { type: 'string', enum: RISK_LEVELS },
+        description: nonEmptyString,
+        technicalDetails: {
+            type: 'object',
+            required: ['noduleSize', 'location', 'shape', 'density'],
+            properties: {
+                noduleSize: nonEmptyString,
+                location: nonEmptyString,
+                shape: nonEmptyString,
+                density: nonEmptyString,
+            },
+        },
+        recommendations: { type: 'array', minItems: 1, items: nonEmptyString },
+        imageQuality: { type: 'string', enum: IMAGE_QUALITIES },
+        findings: nonEmptyString,
+        nodules: { type: 'array', items: NODULE_SCHEMA },
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {Object} [schema] - Defaults to PREDICTION_SCHEMA
+ * @param {string} [at] - JSON path used in messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validate(value, schema = PREDICTION_SCHEMA, at = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const ok = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+        if (!ok) {
+            return [`${at}: expected ${schema.type}, got ${actual}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${at}: must not be empty`);
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(value[key], child, `${at}.${key}`));
+        }
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+    }
+
+    return errors;
+}
+
+module.exports = {
+    RESULTS,
+    RISK_LEVELS,
+    IMAGE_QUALITIES,
+    SUSPICION_LEVELS,
+    NODULE_CLASSIFICATIONS,
+    PREDICTION_SCHEMA,
+    validate,
+};
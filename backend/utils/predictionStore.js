@@ -0,0 +1,316 @@
+/**
+ * PREDICTION STORE
+ * Every completed analysis (single upload, series, DICOMweb) is saved in an
+ * embedded SQLite database with its input metadata, file hash, the full API
+ * response, the model and prompt version used, and stage timings.
+ *
+ * Searchable fields are kept in their own columns; the complete response is
+ * stored as JSON so GET /api/predictions/:id returns exactly what the
+ * analysis endpoint returned.
+ *
+ * Uploads are also indexed by a hash of their pixel data and a cache key
+ * (prompt + models), so a repeat upload can reuse the stored file
+ * and the earlier result.
+ *
+ * Analyses are grouped by pseudonymous patient ID and study (response.study,
+ * see utils/longitudinal.js) so a patient's scans can be compared over time;
+ * saving one creates its patient and study records (utils/patientStore.js)
+ * when they do not exist yet.
+ *
+ * Every analysis is a draft until a radiologist signs it off; its review
+ * status is returned as `review` (see utils/reviewStore.js).
+ *
+ * The database and its schema are in utils/database.js. */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { getDb } = require('./database');
+const { resolveStudy } = require('./patientStore');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+
+// HELPERS
+
+
+/**
+ * SHA-256 of one or more buffers or files, as hex.
+ * @param {(Buffer|string)[]} contents - Buffers, or paths of files to read
+ */
+function hashContent(contents) {
+    const hash = crypto.createHash('sha256');
+    for (const content of contents) {
+        hash.update(Buffer.isBuffer(content) ? content : fs.readFileSync(content));
+    }
+    return hash.digest('hex');
+}
+
+function toRecord(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        source: row.source,
+        input: {
+            originalName: row.original_name,
+            fileName: row.file_name,
+            imagePath: row.image_path,
+            fileHash: row.file_hash,
+            pixelHash: row.pixel_hash,
+            fileSize: row.file_size,
+            mimeType: row.mime_type,
+            isDicom: Boolean(row.is_dicom),
+        },
+        result: row.result,
+        riskLevel: row.risk_level,
+        confidence: row.confidence,
+        model: row.model,
+        provider: row.provider,
+        promptId: row.prompt_id,
+        promptVersion: row.prompt_version,
+        patientId: row.patient_id,
+        studyId: row.study_id,
+        studyUid: row.study_uid,
+        studyDate: row.study_date,
+        dateSource: row.date_source,
+        patientIdSource: row.patient_id_source,
+        analysisMode: row.analysis_mode,
+        consensus: Boolean(row.consensus),
+        timings: row.timings_json ? JSON.parse(row.timings_json) : null,
+        review: reviewOf(row),
+    };
+}
+
+function reviewOf(row) {
+    return { status: row.review_status, reviewer: row.reviewed_by, reviewedAt: row.reviewed_at };
+}
+
+// The stored response with the current review status
+function withResponse(row) {
+    return { ...toRecord(row), response: { ...JSON.parse(row.response_json), review: reviewOf(row) } };
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid prediction filter: ${name} must be a date (e.g. 2025-01-31)`);
+    }
+    return date;
+}
+
+
+// STORE
+
+
+/**
+ * Save a completed analysis.
+ * @param {Object} entry
+ * @param {string} entry.source - 'upload' | 'series' | 'dicomweb'
+ * @param {Object} entry.input - { originalName, fileName, fileHash, pixelHash, fileSize, mimeType, isDicom }
+ * @param {Object} entry.response - The API response body (must contain `prediction`; `study`
+ *                                   groups it by patient and study, and is replaced by the
+ *                                   patient's study it was saved under; `review` is set
+ *                                   to pending)
+ * @param {Object} [entry.timings] - Stage durations in ms
+ * @param {string} [entry.cacheKey] - analysisCacheKey() of the run; set only for results
+ *                                    that may be served again from the cache
+ * @returns {string} The prediction id
+ */
+function savePrediction({ source, input = {}, response, timings = null, cacheKey = null }) {
+    const { prediction } = response;
+    const id = `pred-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    getDb().transaction(() => {
+        if (response.study) response.study = resolveStudy(response.study) || response.study;
+        const study = response.study || {};
+
+        getDb().prepare(`
+            INSERT INTO predictions (
+                id, created_at, source, original_name, file_name, image_path, file_hash, file_size,
+                mime_type, is_dicom, result, risk_level, confidence, model, provider, prompt_version,
+                analysis_mode, consensus, timings_json, response_json, pixel_hash, cache_key, prompt_id,
+                patient_id, study_uid, study_date, study_id, date_source, patient_id_source
+            ) VALUES (
+                @id, @createdAt, @source, @originalName, @fileName, @imagePath, @fileHash, @fileSize,
+                @mimeType, @isDicom, @result, @riskLevel, @confidence, @model, @provider, @promptVersion,
+                @analysisMode, @consensus, @timings, @response, @pixelHash, @cacheKey, @promptId,
+                @patientId, @studyUid, @studyDate, @studyId, @dateSource, @patientIdSource
+            )
+        `).run({
+            id,
+            createdAt: new Date().toISOString(),
+            source,
+            originalName: input.originalName || null,
+            fileName: input.fileName || null,
+            imagePath: response.imagePath || null,
+            fileHash: input.fileHash || null,
+            fileSize: input.fileSize ?? null,
+            mimeType: input.mimeType || null,
+            isDicom: input.isDicom ? 1 : 0,
+            result: prediction.result,
+            riskLevel: prediction.riskLevel,
+            confidence: prediction.confidence,
+            model: prediction.modelVersion,
+            provider: prediction.analysisProvider,
+            promptVersion: prediction.promptVersion || null,
+            analysisMode: prediction.analysisMode || null,
+            consensus: prediction.ensemble ? 1 : 0,
+            timings: timings && JSON.stringify(timings),
+            response: JSON.stringify({ ...response, predictionId: id }),
+            pixelHash: input.pixelHash || null,
+            cacheKey,
+            promptId: prediction.promptId || null,
+            patientId: study.patientId || null,
+            studyUid: study.studyUid || null,
+            studyDate: study.studyDate || null,
+            studyId: study.studyId || null,
+            dateSource: study.dateSource || null,
+            patientIdSource: study.patientIdSource || null,
+        });
+    })();
+
+    response.review = { status: 'pending', reviewer: null, reviewedAt: null };
+    console.log(`🗄️  Saved prediction ${id}`);
+    return id;
+}
+
+/**
+ * Save an analysis without letting a storage failure fail the request the
+ * user is waiting for; the error is logged instead.
+ * @returns {string|null} The prediction id, or null if it could not be saved
+ */
+function recordAnalysis(entry) {
+    try {
+        return savePrediction(entry);
+    } catch (error) {
+        console.error('❌ Could not save prediction:', error.message);
+        return null;
+    }
+}
+
+/**
+ * A stored prediction with the full response it was returned with.
+ * @returns {Object|null} { ...record, response }
+ */
+function getPrediction(id) {
+    const row = getDb().prepare('SELECT * FROM predictions WHERE id = ?').get(id);
+    return row ? withResponse(row) : null;
+}
+
+/**
+ * Most recent cacheable result for the same pixels under the same cache key.
+ * A result a reviewer rejected is never served again.
+ * @returns {Object|null} { ...record, response }
+ */
+function findCachedPrediction(pixelHash, cacheKey) {
+    const row = getDb().prepare(`
+        SELECT * FROM predictions WHERE pixel_hash = ? AND cache_key = ? AND review_status != 'rejected'
+        ORDER BY created_at DESC LIMIT 1
+    `).get(pixelHash, cacheKey);
+    return row ? withResponse(row) : null;
+}
+
+/**
+ * Stored upload files holding the same pixels, newest first.
+ * @returns {string[]} File names in uploads/
+ */
+function findStoredUploads(pixelHash) {
+    return getDb().prepare(`
+        SELECT file_name, MAX(created_at) AS last_used FROM predictions
+        WHERE pixel_hash = ? AND source = 'upload' AND file_name IS NOT NULL
+        GROUP BY file_name ORDER BY last_used DESC
+    `).all(pixelHash).map(row => row.file_name);
+}
+
+/**
+ * Delete a stored prediction and its reviews.
+ * @returns {Object|null} The deleted record, with `orphanedFiles`: /uploads/ URLs
+ *                        of stored images no other prediction refers to
+ */
+function deletePrediction(id) {
+    const row = getDb().prepare('SELECT * FROM predictions WHERE id = ?').get(id);
+    if (!row) return null;
+
+    getDb().transaction(() => {
+        getDb().prepare('DELETE FROM reviews WHERE prediction_id = ?').run(id);
+        getDb().prepare('DELETE FROM predictions WHERE id = ?').run(id);
+    })();
+
+    const stillUsed = (column, value) => value &&
+        getDb().prepare(`SELECT 1 FROM predictions WHERE ${column} = ? LIMIT 1`).get(value);
+    const orphanedFiles = [];
+    // Only single uploads own their source file; series and DICOMweb files live in their own stores
+    if (row.source === 'upload' && row.file_name && !stillUsed('file_name', row.file_name)) {
+        orphanedFiles.push(`/uploads/${row.file_name}`);
+    }
+    if (row.image_path && !stillUsed('image_path', row.image_path)) orphanedFiles.push(row.image_path);
+
+    return { ...toRecord(row), orphanedFiles };
+}
+
+/**
+ * Paginated list of stored predictions, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Earliest creation date (inclusive)
+ * @param {string} [filters.to] - Latest creation date (inclusive; a bare date covers the whole day)
+ * @param {string} [filters.result] - Exact result class
+ * @param {string} [filters.riskLevel] - none | low | moderate | high | unknown
+ * @param {string} [filters.model] - Model name (substring, so consensus runs match their members)
+ * @param {string} [filters.promptVersion] - Vision prompt version, e.g. 'v2' (to compare an A/B split)
+ * @param {string} [filters.patientId] - Pseudonymous patient ID
+ * @param {string} [filters.studyUid] - Study Instance UID
+ * @param {string} [filters.studyId] - Study id (see utils/patientStore.js)
+ * @param {string} [filters.reviewStatus] - pending | approved | amended | rejected
+ * @param {number} [filters.page] - 1-based page (default 1)
+ * @param {number} [filters.pageSize] - Items per page (default 20, max 100)
+ * @returns {{ items: Object[], total: number, page: number, pageSize: number, pages: number }}
+ */
+function listPredictions(filters = {}) {
+    const where = [];
+    const params = {};
+
+    const from = parseDate(filters.from, 'from');
+    let to = parseDate(filters.to, 'to');
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+        to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+    if (from) { where.push('created_at >= @from'); params.from = from.toISOString(); }
+    if (to) { where.push('created_at <= @to'); params.to = to.toISOString(); }
+    if (filters.result) { where.push('result = @result'); params.result = filters.result; }
+    if (filters.riskLevel) { where.push('risk_level = @riskLevel'); params.riskLevel = filters.riskLevel; }
+    if (filters.model) { where.push("model LIKE '%' || @model || '%'"); params.model = filters.model; }
+    if (filters.promptVersion) { where.push('prompt_version = @promptVersion'); params.promptVersion = filters.promptVersion; }
+    if (filters.patientId) { where.push('patient_id = @patientId'); params.patientId = filters.patientId; }
+    if (filters.studyUid) { where.push('study_uid = @studyUid'); params.studyUid = filters.studyUid; }
+    if (filters.studyId) { where.push('study_id = @studyId'); params.studyId = filters.studyId; }
+    if (filters.reviewStatus) { where.push('review_status = @reviewStatus'); params.reviewStatus = filters.reviewStatus; }
+
+    const page = Math.max(1, parseInt(filters.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE));
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const { total } = getDb().prepare(`SELECT COUNT(*) AS total FROM predictions ${clause}`).get(params);
+    const rows = getDb()
+        .prepare(`SELECT * FROM predictions ${clause} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+    return {
+        items: rows.map(toRecord),
+        total,
+        page,
+        pageSize,
+        pages: Math.ceil(total / pageSize),
+    };
+}
+
+module.exports = {
+    hashContent,
+    savePrediction,
+    recordAnalysis,
+    getPrediction,
+    findCachedPrediction,
+    findStoredUploads,
+    deletePrediction,
+    listPredictions,
+};
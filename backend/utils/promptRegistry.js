@@ -0,0 +1,235 @@
+/**
+ * PROMPT REGISTRY
+ * Model prompts are versioned template files, so wording changes need no
+ * code deploy and every result records which prompt produced it.
+ *
+ *   prompts/<id>/v<N>.txt   – one file per version, e.g. prompts/vision/v2.txt
+ *
+ * Templates use {{variable}} placeholders. Each prompt id declares the
+ * variables it accepts (VARIABLES below); a template using any other name
+ * is rejected when it is loaded.
+ *
+ * Which version is used is kept in PROMPT_STATE_PATH (default
+ * backend/data/prompt-state.json) and changed through the admin API:
+ *   active – the version every request uses (default: the newest file)
+ *   split  – optional A/B weights, e.g. { v1: 50, v2: 50 }. With a key (such
+ *            as the scan's pixel hash) the same input always gets the same
+ *            version; without one the version is drawn at random. */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '../prompts');
+const STATE_PATH = process.env.PROMPT_STATE_PATH || path.join(__dirname, '../data/prompt-state.json');
+
+// Variables each prompt id may use, with their default values
+const VARIABLES = {
+    vision: {
+        seriesContext: '',
+        patientContext: '',
+        outputSchema: '',
+        language: process.env.PROMPT_LANGUAGE || 'English',
+    },
+    chat: {
+        analysisContext: 'None — no analysis is attached to this conversation.',
+        language: process.env.PROMPT_LANGUAGE || 'the same language as the user\'s message',
+    },
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+
+// TEMPLATES
+
+
+function versionNumber(version) {
+    return parseInt(version.slice(1), 10);
+}
+
+function assertPromptId(id) {
+    if (!VARIABLES[id]) {
+        throw new Error(`Unknown prompt "${id}". Available prompts: ${Object.keys(VARIABLES).join(', ')}`);
+    }
+}
+
+/**
+ * Every version of a prompt, oldest first. Files are re-read on each call
+ * so an edited or added template is picked up without a restart.
+ * @param {string} id - Prompt id (vision | chat)
+ * @returns {{ id, version, file, text, hash, variables }[]}
+ */
+function loadVersions(id) {
+    assertPromptId(id);
+    const dir = path.join(PROMPTS_DIR, id);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .map(name => /^(v\d+)\.txt$/.exec(name))
+        .filter(Boolean)
+        .map(match => {
+            const file = path.join(dir, match[0]);
+            const text = fs.readFileSync(file, 'utf8').replace(/\s+$/, '');
+            const variables = [...new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]))];
+            const unknown = variables.filter(name => !(name in VARIABLES[id]));
+            if (unknown.length) {
+                throw new Error(`Prompt ${id}/${match[1]} uses unknown variable(s) ${unknown.join(', ')}. ` +
+                    `Allowed: ${Object.keys(VARIABLES[id]).join(', ')}`);
+            }
+            return {
+                id,
+                version: match[1],
+                file: path.relative(path.join(__dirname, '..'), file),
+                text,
+                hash: crypto.createHash('sha256').update(text).digest('hex').substring(0, 8),
+                variables,
+            };
+        })
+        .sort((l, r) => versionNumber(l.version) - versionNumber(r.version));
+}
+
+function findVersion(id, version) {
+    const found = loadVersions(id).find(v => v.version === version);
+    if (!found) throw new Error(`Unknown prompt version ${id}/${version}`);
+    return found;
+}
+
+
+// ACTIVE VERSION AND A/B SPLIT
+
+
+function readState() {
+    if (!fs.existsSync(STATE_PATH)) return {};
+    return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+}
+
+function writeState(state) {
+    fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Active version and split of a prompt.
+ * @returns {{ active: string, split: Object|null, updatedAt: string|null }}
+ */
+function getSelection(id) {
+    const versions = loadVersions(id);
+    if (!versions.length) throw new Error(`No templates found for prompt "${id}" in ${PROMPTS_DIR}/${id}/`);
+
+    const saved = readState()[id] || {};
+    const exists = (version) => versions.some(v => v.version === version);
+    return {
+        // A saved version whose file was removed falls back to the newest one
+        active: exists(saved.active) ? saved.active : versions[versions.length - 1].version,
+        split: saved.split && Object.keys(saved.split).every(exists) ? saved.split : null,
+        updatedAt: saved.updatedAt || null,
+    };
+}
+
+/**
+ * Make one version the one every request uses (ends any A/B split).
+ */
+function activateVersion(id, version) {
+    findVersion(id, version);
+    const state = readState();
+    state[id] = { active: version, split: null, updatedAt: new Date().toISOString() };
+    writeState(state);
+    console.log(`📝 Prompt ${id} → ${version}`);
+    return getSelection(id);
+}
+
+/**
+ * Split traffic between versions by weight, or end the split with null.
+ * @param {Object|null} weights - e.g. { v1: 80, v2: 20 }
+ */
+function setSplit(id, weights) {
+    if (weights !== null) {
+        if (typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length < 2) {
+            throw new Error('Invalid prompt split: give weights for at least two versions, e.g. { "v1": 50, "v2": 50 }');
+        }
+        assertPromptId(id);
+        const versions = loadVersions(id).map(v => v.version);
+        for (const [version, weight] of Object.entries(weights)) {
+            if (!versions.includes(version)) {
+                throw new Error(`Invalid prompt split: ${id} has no version ${version} (available: ${versions.join(', ')})`);
+            }
+            if (typeof weight !== 'number' || !(weight > 0)) {
+                throw new Error(`Invalid prompt split: weight of ${version} must be a positive number`);
+            }
+        }
+    }
+
+    const state = readState();
+    state[id] = { ...getSelection(id), split: weights, updatedAt: new Date().toISOString() };
+    writeState(state);
+    console.log(`📝 Prompt ${id} split → ${weights ? JSON.stringify(weights) : 'off'}`);
+    return getSelection(id);
+}
+
+/**
+ * Version a request should use.
+ * @param {string} id - Prompt id
+ * @param {string} [key] - Stable key for A/B assignment (e.g. a pixel hash)
+ * @returns {string} Version
+ */
+function selectVersion(id, key) {
+    const { active, split } = getSelection(id);
+    if (!split) return active;
+
+    const entries = Object.entries(split);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    const draw = key
+        ? parseInt(crypto.createHash('sha256').update(`${id}|${key}`).digest('hex').substring(0, 8), 16) / 0x100000000
+        : Math.random();
+
+    let point = draw * total;
+    for (const [version, weight] of entries) {
+        if (point < weight) return version;
+        point -= weight;
+    }
+    return entries[entries.length - 1][0];
+}
+
+
+// RENDERING
+
+
+/**
+ * Resolve a prompt version and fill in its variables.
+ * @param {string} id - Prompt id
+ * @param {Object} [values] - Variable values; missing ones use the defaults in VARIABLES
+ * @param {Object} [options]
+ * @param {string} [options.version] - Use this version instead of the active / split selection
+ * @param {string} [options.key] - Stable key for A/B assignment
+ * @returns {{ id: string, version: string, hash: string, text: string }}
+ */
+function renderPrompt(id, values = {}, options = {}) {
+    const template = findVersion(id, options.version || selectVersion(id, options.key));
+    const merged = { ...VARIABLES[id], ...values };
+    const text = template.text.replace(PLACEHOLDER, (_, name) => merged[name] ?? '');
+    return { id, version: template.version, hash: template.hash, text };
+}
+
+/**
+ * Every prompt with its versions and current selection, for the admin API.
+ */
+function listPrompts() {
+    return Object.keys(VARIABLES).map(id => ({
+        id,
+        variables: Object.keys(VARIABLES[id]),
+        ...getSelection(id),
+        versions: loadVersions(id).map(({ version, file, hash, variables }) => ({ version, file, hash, variables })),
+    }));
+}
+
+module.exports = {
+    VARIABLES,
+    loadVersions,
+    findVersion,
+    getSelection,
+    activateVersion,
+    setSplit,
+    selectVersion,
+    renderPrompt,
+    listPrompts,
+};
@@ -0,0 +1,270 @@
+/**
+ * REVIEW STORE
+ * Radiologist review of stored analyses. Every AI result starts as a draft
+ * (status pending); a reviewer signs it off as
+ *
+ *   approve – the AI result is correct as it stands   → approved
+ *   amend   – fields corrected before signing off      → amended
+ *   reject  – the AI result must not be used           → rejected
+ *
+ * An amendment rewrites the stored prediction, so the result, history,
+ * comparisons and reports all show the corrected values; Lung-RADS and
+ * Fleischner are assessed again from them. Overriding the classification and
+ * rejecting need a reason. Once amended, approving again keeps the status
+ * amended, since the stored result is no longer the AI's.
+ *
+ * Each sign-off is kept in the reviews table with the field-by-field changes
+ * and the complete prediction before and after it.
+ *
+ * The reviewer is the name typed in with the sign-off; it is not
+ * authenticated, so reports and the UI show it as "(unverified)". */
+
+const { getDb } = require('./database');
+const { getPrediction } = require('./predictionStore');
+const { RESULTS, RISK_LEVELS } = require('./predictionSchema');
+const { summarizeNodules } = require('./noduleSummary');
+const { assessLungRads } = require('./lungRads');
+const { assessFleischner } = require('./fleischner');
+
+const ACTIONS = { approve: 'approved', amend: 'amended', reject: 'rejected' };
+const REVIEW_STATUSES = ['pending', 'approved', 'amended', 'rejected'];
+
+const MAX_REVIEWER = 100;
+const MAX_REASON = 1000;
+const MAX_RECOMMENDATIONS = 20;
+
+// Fields a reviewer may change, by path in the prediction, with their maximum text length
+const EDITABLE_FIELDS = {
+    result: null,
+    riskLevel: null,
+    description: 2000,
+    findings: 4000,
+    recommendations: 500,
+    'technicalDetails.noduleSize': 200,
+    'technicalDetails.location': 200,
+    'technicalDetails.shape': 200,
+    'technicalDetails.density': 200,
+};
+
+// Technical details map onto these fields of the most suspicious listed nodule
+const NODULE_FIELDS = { noduleSize: 'size', location: 'location', shape: 'shape', density: 'density' };
+
+
+// HELPERS
+
+
+function invalid(message) {
+    return new Error(`Invalid review: ${message}`);
+}
+
+function getField(object, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function validateValue(field, value) {
+    if (field === 'result') {
+        if (!RESULTS.includes(value)) throw invalid(`result must be one of ${RESULTS.join(', ')}`);
+        return value;
+    }
+    if (field === 'riskLevel') {
+        if (!RISK_LEVELS.includes(value)) throw invalid(`riskLevel must be one of ${RISK_LEVELS.join(', ')}`);
+        return value;
+    }
+    const max = EDITABLE_FIELDS[field];
+    if (field === 'recommendations') {
+        if (!Array.isArray(value) || value.length > MAX_RECOMMENDATIONS ||
+            value.some(item => typeof item !== 'string' || !item.trim() || item.length > max)) {
+            throw invalid(`recommendations must be a list of at most ${MAX_RECOMMENDATIONS} texts of at most ${max} characters`);
+        }
+        return value.map(item => item.trim());
+    }
+    if (typeof value !== 'string' || !value.trim() || value.length > max) {
+        throw invalid(`${field} must be text of 1–${max} characters`);
+    }
+    return value.trim();
+}
+
+/**
+ * Validate a sign-off.
+ * @returns {{ reviewer, action, status, reason, changes }} changes normalized, by field path
+ */
+function validateReview({ reviewer, action, changes = {}, reason } = {}) {
+    if (typeof reviewer !== 'string' || !reviewer.trim() || reviewer.length > MAX_REVIEWER) {
+        throw invalid(`reviewer is required (name, at most ${MAX_REVIEWER} characters)`);
+    }
+    if (!ACTIONS[action]) throw invalid(`action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON)) {
+        throw invalid(`reason must be text of at most ${MAX_REASON} characters`);
+    }
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+        throw invalid('changes must be an object of field → new value');
+    }
+    const unknown = Object.keys(changes).filter(field => !(field in EDITABLE_FIELDS));
+    if (unknown.length) {
+        throw invalid(`${unknown.join(', ')} cannot be edited (editable: ${Object.keys(EDITABLE_FIELDS).join(', ')})`);
+    }
+
+    return {
+        reviewer: reviewer.trim(),
+        action,
+        status: ACTIONS[action],
+        reason: reason ? reason.trim() || null : null,
+        changes: Object.fromEntries(Object.entries(changes).map(([field, value]) => [field, validateValue(field, value)])),
+    };
+}
+
+/**
+ * The prediction with the reviewer's changes applied and its guideline
+ * assessments redone from them.
+ */
+function applyChanges(prediction, changes, patient) {
+    const amended = { ...prediction, technicalDetails: { ...prediction.technicalDetails } };
+    for (const [field, value] of Object.entries(changes)) {
+        const [key, detail] = field.split('.');
+        if (detail) amended.technicalDetails[detail] = value;
+        else amended[key] = value;
+    }
+
+    // The scan-level technical details are those of the most suspicious nodule; keep them in step
+    const mostSuspicious = prediction.noduleSummary?.mostSuspicious;
+    if (mostSuspicious && amended.nodules?.length) {
+        const edited = Object.keys(changes).filter(field => field.startsWith('technicalDetails.'));
+        amended.nodules = summarizeNodules({
+            nodules: amended.nodules.map(nodule => (nodule.id !== mostSuspicious ? nodule : {
+                ...nodule,
+                ...Object.fromEntries(edited.map(field => {
+                    const detail = field.split('.')[1];
+                    return [NODULE_FIELDS[detail], amended.technicalDetails[detail]];
+                })),
+            })),
+        }).nodules;
+    }
+
+    // The calibration was fitted for the model's own classification, not the reviewer's
+    const overridden = amended.result !== prediction.result;
+
+    return {
+        ...amended,
+        ...(overridden && prediction.calibration && {
+            calibratedConfidence: null,
+            calibration: { version: prediction.calibration.version ?? null, reason: 'Classification overridden by the reviewer' },
+        }),
+        lungRads: assessLungRads(amended),
+        fleischner: assessFleischner(amended, patient || {}),
+    };
+}
+
+function toReview(row, full = false) {
+    return {
+        id: row.id,
+        predictionId: row.prediction_id,
+        createdAt: row.created_at,
+        reviewer: row.reviewer,
+        action: row.action,
+        status: row.status,
+        reason: row.reason,
+        changes: JSON.parse(row.changes_json),
+        ...(full && { before: JSON.parse(row.before_json), after: JSON.parse(row.after_json) }),
+    };
+}
+
+
+// REVIEWS
+
+
+/**
+ * Sign off a stored analysis.
+ * @param {string} predictionId
+ * @param {Object} review
+ * @param {string} review.reviewer - Name of the signing physician, as entered (not authenticated)
+ * @param {string} review.action - approve | amend | reject
+ * @param {Object} [review.changes] - For amend: new values by field path, e.g.
+ *                                    { result: '...', 'technicalDetails.noduleSize': '12 mm' }
+ * @param {string} [review.reason] - Required to reject or to change the classification
+ * @returns {Object|null} { review, prediction } – the sign-off and the stored prediction
+ *                        after it, or null if there is no such prediction
+ */
+function reviewPrediction(predictionId, review) {
+    const { reviewer, action, reason, changes, status: actionStatus } = validateReview(review);
+    const db = getDb();
+    const row = db.prepare('SELECT response_json FROM predictions WHERE id = ?').get(predictionId);
+    if (!row) return null;
+
+    const amendedBefore = db.prepare("SELECT 1 FROM reviews WHERE prediction_id = ? AND action = 'amend'").get(predictionId);
+    const status = action === 'approve' && amendedBefore ? 'amended' : actionStatus;
+
+    const response = JSON.parse(row.response_json);
+    const before = response.prediction;
+    const diff = Object.entries(changes)
+        .filter(([field, value]) => !same(getField(before, field), value))
+        .map(([field, value]) => ({ field, before: getField(before, field) ?? null, after: value }));
+
+    if (action === 'approve' && diff.length) throw invalid('approve takes no changes — amend to correct fields');
+    if (action === 'amend' && !diff.length) throw invalid('amend needs at least one changed field');
+    if (action === 'reject' && !reason) throw invalid('a reason is required to reject');
+    if (diff.some(change => change.field === 'result') && !reason) {
+        throw invalid('a reason is required to override the classification');
+    }
+
+    const after = diff.length ? applyChanges(before, changes, response.patient) : before;
+    const reviewedAt = new Date().toISOString();
+
+    let id;
+    db.transaction(() => {
+        db.prepare(`
+            UPDATE predictions SET response_json = @response, result = @result, risk_level = @riskLevel,
+                review_status = @status, reviewed_by = @reviewer, reviewed_at = @reviewedAt
+            WHERE id = @predictionId
+        `).run({
+            predictionId,
+            response: JSON.stringify({ ...response, prediction: after }),
+            result: after.result,
+            riskLevel: after.riskLevel,
+            status,
+            reviewer,
+            reviewedAt,
+        });
+        ({ lastInsertRowid: id } = db.prepare(`
+            INSERT INTO reviews (prediction_id, created_at, reviewer, action, status, reason, changes_json, before_json, after_json)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(predictionId, reviewedAt, reviewer, action, status, reason,
+            JSON.stringify(diff), JSON.stringify(before), JSON.stringify(after)));
+    })();
+
+    console.log(`🩺 ${reviewer} ${status} prediction ${predictionId}${diff.length ? ` (${diff.length} field(s) changed)` : ''}`);
+    return { review: getReview(predictionId, Number(id)), prediction: getPrediction(predictionId) };
+}
+
+/**
+ * Every sign-off of an analysis, oldest first, with its field changes.
+ * @returns {Object[]}
+ */
+function listReviews(predictionId) {
+    return getDb()
+        .prepare('SELECT * FROM reviews WHERE prediction_id = ? ORDER BY created_at, id')
+        .all(predictionId)
+        .map(row => toReview(row));
+}
+
+/**
+ * One sign-off with the complete prediction before and after it.
+ * @returns {Object|null}
+ */
+function getReview(predictionId, reviewId) {
+    const row = getDb()
+        .prepare('SELECT * FROM reviews WHERE prediction_id = ? AND id = ?')
+        .get(predictionId, reviewId);
+    return row ? toReview(row, true) : null;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    EDITABLE_FIELDS,
+    reviewPrediction,
+    listReviews,
+    getReview,
+};
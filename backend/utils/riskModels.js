@@ -0,0 +1,189 @@
+/**
+ * MALIGNANCY RISK MODELS
+ * Validated clinical calculators for the probability that a pulmonary
+ * nodule is malignant. Unlike the vision model's `confidence` (how sure the
+ * model is of its own classification), these are calibrated probabilities
+ * from published logistic regression models:
+ *
+ *   Brock (PanCan) – McWilliams et al., NEJM 2013, full model with spiculation
+ *   Mayo Clinic    – Swensen et al., Arch Intern Med 1997
+ *
+ *   validateRiskInputs()     – request body → normalized patient and nodule (throws on bad values)
+ *   noduleFromPrediction()   – prediction technicalDetails → nodule inputs
+ *   brockProbability()       – Brock model
+ *   mayoProbability()        – Mayo model
+ *   calculateRisk()          – both models, with warnings for inputs outside their derivation cohorts */
+
+const { parseNodule } = require('./lungRads');
+
+const SEXES = ['female', 'male'];
+const SMOKING = ['never', 'former', 'current'];
+const NODULE_TYPES = ['solid', 'part-solid', 'ground-glass'];
+
+
+// INPUTS
+
+
+function invalid(message) {
+    return new Error(`Invalid risk input: ${message}`);
+}
+
+function toBoolean(value, name) {
+    if (value === undefined || value === null || value === '') return false;
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw invalid(`${name} must be true or false`);
+}
+
+function toNumber(value, name, { min, max, integer = false }) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+        throw invalid(`${name} is required and must be a number`);
+    }
+    if (integer && !Number.isInteger(number)) throw invalid(`${name} must be a whole number`);
+    if (number < min || number > max) throw invalid(`${name} must be between ${min} and ${max}`);
+    return number;
+}
+
+/**
+ * Validate and normalize calculator inputs.
+ * @param {Object} patient - { age, sex, smoking, familyHistory, emphysema, cancerHistory }
+ * @param {Object} nodule - { diameterMm, type, upperLobe, spiculated, count }
+ * @returns {{ patient: Object, nodule: Object }}
+ */
+function validateRiskInputs(patient = {}, nodule = {}) {
+    if (!SEXES.includes(patient.sex)) throw invalid(`sex must be one of ${SEXES.join(', ')}`);
+    if (!SMOKING.includes(patient.smoking)) throw invalid(`smoking must be one of ${SMOKING.join(', ')}`);
+    if (!NODULE_TYPES.includes(nodule.type)) throw invalid(`nodule type must be one of ${NODULE_TYPES.join(', ')}`);
+
+    return {
+        patient: {
+            age: toNumber(patient.age, 'age', { min: 18, max: 110 }),
+            sex: patient.sex,
+            smoking: patient.smoking,
+            familyHistory: toBoolean(patient.familyHistory, 'familyHistory'),
+            emphysema: toBoolean(patient.emphysema, 'emphysema'),
+            cancerHistory: toBoolean(patient.cancerHistory, 'cancerHistory'),
+        },
+        nodule: {
+            diameterMm: toNumber(nodule.diameterMm, 'nodule diameterMm', { min: 1, max: 100 }),
+            type: nodule.type,
+            upperLobe: toBoolean(nodule.upperLobe, 'upperLobe'),
+            spiculated: toBoolean(nodule.spiculated, 'spiculated'),
+            count: nodule.count === undefined || nodule.count === ''
+                ? 1
+                : toNumber(nodule.count, 'nodule count', { min: 1, max: 100, integer: true }),
+        },
+    };
+}
+
+/**
+ * Nodule inputs read from a prediction's technical details (the most
+ * suspicious nodule) and nodule list. Fields the model did not report are
+ * left out so the caller can supply them.
+ * @param {Object} prediction - Prediction from analyzeCTScan
+ * @returns {Object} { diameterMm, type, upperLobe, spiculated, count } (subset)
+ */
+function noduleFromPrediction(prediction) {
+    const details = prediction?.technicalDetails;
+    if (!details || prediction.result === 'No Nodule Detected') return {};
+
+    const parsed = parseNodule(details);
+    const nodule = { spiculated: parsed.spiculated };
+    if (parsed.diameterMm !== null) nodule.diameterMm = parsed.diameterMm;
+    if (NODULE_TYPES.includes(parsed.type)) nodule.type = parsed.type;
+    if (details.location && details.location !== 'N/A') {
+        nodule.upperLobe = /upper|\b[RL]UL\b/i.test(details.location);
+    }
+    if (prediction.nodules?.length) nodule.count = prediction.nodules.length;
+    return nodule;
+}
+
+
+// MODELS
+
+
+function logistic(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function toResult(model, reference, probability) {
+    return {
+        model,
+        reference,
+        probability: Math.round(probability * 10000) / 10000,
+        percent: Math.round(probability * 1000) / 10,
+    };
+}
+
+/**
+ * Brock (PanCan) full model with spiculation.
+ * Nodule count is the number of nodules on the scan.
+ */
+function brockProbability({ patient, nodule }) {
+    const typeWeight = { solid: 0, 'part-solid': 0.377, 'ground-glass': -0.1276 }[nodule.type];
+    const x = -6.7892 +
+        0.0287 * (patient.age - 62) +
+        0.6011 * (patient.sex === 'female' ? 1 : 0) +
+        0.2961 * (patient.familyHistory ? 1 : 0) +
+        0.2953 * (patient.emphysema ? 1 : 0) -
+        5.3854 * (Math.pow(nodule.diameterMm / 10, -0.5) - 1.58113883) +
+        typeWeight +
+        0.6581 * (nodule.upperLobe ? 1 : 0) -
+        0.0824 * (nodule.count - 4) +
+        0.7729 * (nodule.spiculated ? 1 : 0);
+    return toResult('Brock (PanCan)', 'McWilliams et al., N Engl J Med 2013', logistic(x));
+}
+
+/**
+ * Mayo Clinic model. Smoking counts current and former smokers; cancer
+ * history is an extrathoracic cancer diagnosed more than 5 years ago.
+ */
+function mayoProbability({ patient, nodule }) {
+    const x = -6.8272 +
+        0.0391 * patient.age +
+        0.7917 * (patient.smoking === 'never' ? 0 : 1) +
+        1.3388 * (patient.cancerHistory ? 1 : 0) +
+        0.1274 * nodule.diameterMm +
+        1.0407 * (nodule.spiculated ? 1 : 0) +
+        0.7838 * (nodule.upperLobe ? 1 : 0);
+    return toResult('Mayo Clinic', 'Swensen et al., Arch Intern Med 1997', logistic(x));
+}
+
+/**
+ * Both models for validated inputs.
+ * @param {{ patient: Object, nodule: Object }} inputs - From validateRiskInputs()
+ * @returns {Object} { brock, mayo, inputs, warnings }
+ */
+function calculateRisk(inputs) {
+    const { patient, nodule } = inputs;
+    const warnings = [];
+
+    if (patient.age < 50 || patient.age > 75) {
+        warnings.push('Brock was derived in people aged 50–75; the estimate is less reliable outside that range');
+    }
+    if (nodule.diameterMm < 4 || nodule.diameterMm > 30) {
+        warnings.push('Mayo was derived for nodules of 4–30 mm; the estimate is less reliable outside that range');
+    }
+    if (nodule.count > 1) {
+        warnings.push('Mayo was derived for solitary nodules');
+    }
+
+    return {
+        brock: brockProbability(inputs),
+        mayo: mayoProbability(inputs),
+        inputs,
+        warnings,
+    };
+}
+
+module.exports = {
+    SEXES,
+    SMOKING,
+    NODULE_TYPES,
+    validateRiskInputs,
+    noduleFromPrediction,
+    brockProbability,
+    mayoProbability,
+    calculateRisk,
+};
@@ -7,68 +7,53 @@ import Navbar from './components/Navbar';
 import LandingPage from './components/LandingPage';
 import UploadSection from './components/UploadSection';
 import ResultDisplay from './components/ResultDisplay';
+import ComparisonView from './components/ComparisonView';
+import PatientPage from './components/PatientPage';
 import Chatbot from './components/Chatbot';
-import { uploadCTScan, checkHealth } from './services/api';
+import { uploadCTScan, calculateMalignancyRisk, checkHealth } from './services/api';
 import './styles/ModernApp.css';
 
 
 // ERROR CARD — shows smart error messages
 
 
-function classifyError(msg) {
-  if (!msg) return 'generic';
-  const m = msg.toLowerCase();
-  if (m.includes('rate limit') || m.includes('quota') || m.includes('wait 60') || m.includes('429'))
-    return 'rateLimit';
-  if (m.includes('not configured') || m.includes('api key') || m.includes('gemini_api_key'))
-    return 'noApiKey';
-  if (m.includes('invalid') && m.includes('key'))
-    return 'badApiKey';
-  return 'generic';
-}
-
-function ErrorCard({ message }) {
-  const type = classifyError(message);
+// kind comes from the backend's error mapping: 'quota' | 'notConfigured' | 'auth' | ...
+function ErrorCard({ error }) {
+  const { message, kind } = error;
 
-  if (type === 'rateLimit') {
+  if (kind === 'quota') {
     return (
       <div className="error-card rate-limit-card">
         <div className="error-card-icon">⏱️</div>
         <div className="error-card-body">
           <h4>Rate Limit Reached — Please Wait</h4>
-          <p>The free Gemini AI tier allows <strong>15 requests per minute</strong>. Too many uploads in a short time exhausted the quota.</p>
-          <p className="error-action">✅ <strong>Wait 60 seconds</strong>, then upload your image again.</p>
+          <p>{message}</p>
+          <p className="error-action">✅ <strong>Wait until the time above has passed</strong>, then upload your image again.</p>
         </div>
       </div>
     );
   }
 
-  if (type === 'noApiKey') {
+  if (kind === 'notConfigured') {
     return (
       <div className="error-card config-card">
         <div className="error-card-icon">🔑</div>
         <div className="error-card-body">
-          <h4>Gemini API Key Not Configured</h4>
-          <p>The backend needs a free Google Gemini API key to run real AI analysis.</p>
-          <ol className="error-steps">
-            <li>Visit <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noreferrer">aistudio.google.com/app/apikey</a></li>
-            <li>Sign in &amp; click <strong>"Create API key"</strong></li>
-            <li>Open <code>backend/.env</code> and replace <code>YOUR_GEMINI_API_KEY_HERE</code> with your key</li>
-            <li>Restart the backend: <code>npm start</code></li>
-          </ol>
+          <h4>AI Provider Not Configured</h4>
+          <p>{message}</p>
+          <p className="error-action">After editing <code>backend/.env</code>, restart the backend: <code>npm start</code></p>
         </div>
       </div>
     );
   }
 
-  if (type === 'badApiKey') {
+  if (kind === 'auth') {
     return (
       <div className="error-card config-card">
         <div className="error-card-icon">❌</div>
         <div className="error-card-body">
           <h4>Invalid API Key</h4>
-          <p>The Gemini API key in <code>backend/.env</code> is not valid.</p>
-          <p className="error-action">Get a new free key at <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noreferrer">aistudio.google.com/app/apikey</a></p>
+          <p>{message}</p>
         </div>
       </div>
     );
@@ -115,16 +100,31 @@ function App() {
     setError(null);
   };
 
-  const handleUpload = async (file, onProgress) => {
+  // Brock / Mayo probability for the analyzed nodule, when patient history was entered
+  const malignancyRiskFor = async (response, options) => {
+    const nodulePresent = !['No Nodule Detected', 'Unparseable - Model Output Invalid'].includes(response.prediction.result);
+    if (!options.patientHistory || !nodulePresent) return null;
+    try {
+      return await calculateMalignancyRisk(
+        options.patientHistory,
+        options.noduleCount ? { count: options.noduleCount } : {},
+        response.predictionId,
+      );
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  const handleUpload = async (file, onProgress, options) => {
     setIsLoading(true);
     setError(null);
     try {
-      const response = await uploadCTScan(file, onProgress);
-      setResult(response);
+      const response = await uploadCTScan(file, onProgress, options);
+      setResult({ ...response, malignancyRisk: await malignancyRiskFor(response, options) });
       setCurrentPage('results'); // switch to new results page automatically
     } catch (err) {
       console.error('Upload error:', err);
-      setError(err.message);
+      setError({ message: err.message, kind: err.kind });
     } finally {
       setIsLoading(false);
     }
@@ -146,19 +146,35 @@ function App() {
         {currentPage === 'scan' && (
           <div className="container">
             <UploadSection onUpload={handleUpload} isLoading={isLoading} />
-            {error && <ErrorCard message={error} />}
+            {error && <ErrorCard error={error} />}
           </div>
         )}
 
         {currentPage === 'results' && (
           <div className="container">
             {result ? (
-              <ResultDisplay result={result} imagePath={result.imagePath} />
+              <ResultDisplay
+                result={result}
+                imagePath={result.imagePath}
+                onReviewed={(stored) => setResult(prev => ({ ...prev, ...stored }))}
+              />
             ) : (
               <div className="status-banner error">No results available. Please upload a scan first.</div>
             )}
           </div>
         )}
+
+        {currentPage === 'compare' && (
+          <div className="container">
+            <ComparisonView />
+          </div>
+        )}
+
+        {currentPage === 'patients' && (
+          <div className="container">
+            <PatientPage />
+          </div>
+        )}
       </main>
 
       <Chatbot analysisResult={result} />
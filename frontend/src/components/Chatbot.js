@@ -3,14 +3,14 @@
  * Interactive medical information chatbot */
 
 import React, { useState, useRef, useEffect } from 'react';
-import { sendChatMessage, getChatbotInfo } from '../services/api';
+import { streamChatMessage, getChatbotInfo } from '../services/api';
 
 const Chatbot = ({ analysisResult }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [messages, setMessages] = useState([
     {
       type: 'bot',
-      text: 'Hello! I\'m your AI Medical Assistant powered by Google Gemini. Ask me anything about pulmonary nodules, CT scans, symptoms, treatments, or your analysis results!',
+      text: 'Hello! I\'m your AI Medical Assistant. Ask me anything about pulmonary nodules, CT scans, symptoms, treatments, or your analysis results!',
       timestamp: new Date()
     }
   ]);
@@ -18,6 +18,8 @@ const Chatbot = ({ analysisResult }) => {
   const [isTyping, setIsTyping] = useState(false);
   const [hasShownResultsHelp, setHasShownResultsHelp] = useState(false);
   const [aiEngine, setAiEngine] = useState('gemini');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const abortRef = useRef(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -64,40 +66,72 @@ const Chatbot = ({ analysisResult }) => {
     setInputMessage('');
     setIsTyping(true);
 
-    try {
-      // Pass full conversation history for context-aware Gemini responses
-      const response = await sendChatMessage(trimmedMessage, messages);
+    // Append text to the reply being streamed (always the last message)
+    const updateReply = (update) => setMessages(prev => [
+      ...prev.slice(0, -1),
+      { ...prev[prev.length - 1], ...update(prev[prev.length - 1]) },
+    ]);
 
-      if (response.engine) setAiEngine(response.engine);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let started = false;
 
-      const botMessage = {
-        type: 'bot',
-        text: response.reply,
-        timestamp: new Date(),
-        engine: response.engine,
-      };
+    try {
+      // Pass full conversation history for context-aware responses
+      const done = await streamChatMessage(trimmedMessage, messages, {
+        signal: controller.signal,
+        predictionId: analysisResult?.predictionId,
+        onToken: (text) => {
+          if (!started) {
+            started = true;
+            setIsTyping(false);
+            setIsStreaming(true);
+            setMessages(prev => [...prev, { type: 'bot', text, timestamp: new Date(), streaming: true }]);
+            return;
+          }
+          updateReply(m => ({ text: m.text + text }));
+        },
+      });
 
-      setMessages(prev => [...prev, botMessage]);
-      setIsTyping(false);
+      if (done.engine) setAiEngine(done.engine);
+      updateReply(() => ({ streaming: false, engine: done.engine, model: done.model }));
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped by the user — keep whatever was generated so far
+        if (started) updateReply(m => ({ streaming: false, text: `${m.text} …`, stopped: true }));
+        return;
+      }
+
       console.error('Chatbot error:', error);
 
       const isApiKeyError = error.message?.includes('API') || error.message?.includes('key');
       const errorMessage = {
         type: 'bot',
         text: isApiKeyError
-          ? '⚠️ AI service not configured. Please add your GEMINI_API_KEY to backend/.env (get a free key at aistudio.google.com). The system is using basic rule-based responses.'
+          ? '⚠️ AI service not configured. Please set up the chat provider in backend/.env (see AI_PROVIDER). The system is using basic rule-based responses.'
           : "I'm sorry, I'm having trouble processing your request. Please try again.",
         timestamp: new Date(),
         isError: true
       };
 
+      if (started) updateReply(() => ({ streaming: false }));
       setMessages(prev => [...prev, errorMessage]);
+
+    } finally {
+      abortRef.current = null;
       setIsTyping(false);
+      setIsStreaming(false);
     }
   };
 
+  /**
+   * Stop the reply being generated
+   */
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
   /**
    * Handle Enter key press
    */
@@ -139,7 +173,7 @@ const Chatbot = ({ analysisResult }) => {
                 <h4>PulmoAI Assistant</h4>
                 <p className="chatbot-status">
                   <span className="status-dot pulsing"></span>
-                  {aiEngine === 'gemini' ? 'Gemini AI Online' : 'Basic Model Selected'}
+                  {aiEngine !== 'rule-based' ? 'AI Assistant Online' : 'Basic Model Selected'}
                 </p>
               </div>
             </div>
@@ -153,12 +187,17 @@ const Chatbot = ({ analysisResult }) => {
                 className={`message ${message.type} ${message.isError ? 'error' : ''} ${message.isHighlight ? 'highlight' : ''}`}
               >
                 <div className="message-content">
-                  <p style={{ whiteSpace: 'pre-line' }}>{message.text}</p>
+                  <p style={{ whiteSpace: 'pre-line' }}>
+                    {message.text}
+                    {message.streaming && <span className="streaming-cursor" />}
+                  </p>
                   <span className="message-time">
                     {message.timestamp.toLocaleTimeString([], {
                       hour: '2-digit',
                       minute: '2-digit'
                     })}
+                    {message.model && ` · ${message.model}`}
+                    {message.stopped && ' · stopped'}
                   </span>
                 </div>
               </div>
@@ -190,15 +229,25 @@ const Chatbot = ({ analysisResult }) => {
               onChange={(e) => setInputMessage(e.target.value)}
               onKeyPress={handleKeyPress}
               rows="1"
-              disabled={isTyping}
+              disabled={isTyping || isStreaming}
             />
-            <button
-              className="chat-send-btn"
-              onClick={handleSendMessage}
-              disabled={!inputMessage.trim() || isTyping}
-            >
-              ➤
-            </button>
+            {isTyping || isStreaming ? (
+              <button
+                className="chat-send-btn chat-stop-btn"
+                onClick={handleStop}
+                title="Stop generating"
+              >
+                ■
+              </button>
+            ) : (
+              <button
+                className="chat-send-btn"
+                onClick={handleSendMessage}
+                disabled={!inputMessage.trim()}
+              >
+                ➤
+              </button>
+            )}
           </div>
         </div>
       )}
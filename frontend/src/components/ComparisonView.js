@@ -0,0 +1,271 @@
+/**
+ * COMPARISON VIEW COMPONENT
+ * Two analyses of the same patient side by side, with nodule growth,
+ * volume doubling time and new or resolved nodules */
+
+import React, { useState, useEffect } from 'react';
+import { getPredictionHistory, compareAnalyses } from '../services/api';
+
+const API_ORIGIN = 'http://localhost:5001';
+
+const STATUS_COLORS = {
+  growing: '#d32f2f',
+  added: '#d32f2f',
+  stable: '#388e3c',
+  shrinking: '#1976d2',
+  unmeasured: '#f59e0b',
+  resolved: '#94a3b8',
+};
+
+const scanDate = (p) => p.studyDate || p.createdAt.substring(0, 10);
+
+const DATE_SOURCE_NOTES = {
+  analysis: ' (upload date)',
+  'dicom-shifted': ' (shifted DICOM date)',
+};
+
+/**
+ * One scan with markers for the nodules that have a region on its first image.
+ */
+const ScanImage = ({ title, scan, markers }) => {
+  const shown = markers.filter(m => m.nodule.region && m.nodule.image === 0 && m.nodule.imageSize);
+  const size = shown[0]?.nodule.imageSize;
+  const labelSize = size ? Math.round(size.width / 28) : 0;
+
+  return (
+    <div className="result-card image-card">
+      <h3>{title}</h3>
+      <p className="confidence-note">{scan.date}{DATE_SOURCE_NOTES[scan.dateSource] || ''} · {scan.result}</p>
+      <div className="image-wrapper">
+        {scan.imagePath ? (
+          <img src={`${API_ORIGIN}${scan.imagePath}`} alt={title} className="ct-scan-image" />
+        ) : (
+          <p className="confidence-note">No image stored for this analysis.</p>
+        )}
+        {scan.imagePath && size && (
+          <svg className="nodule-overlay" viewBox={`0 0 ${size.width} ${size.height}`} aria-label="Nodule markers">
+            {shown.map(({ nodule, status }) => {
+              const { region } = nodule;
+              const color = STATUS_COLORS[status];
+              const x = region.kind === 'circle' ? (region.cx - region.r) * size.width : region.x * size.width;
+              const y = region.kind === 'circle' ? region.cy * size.height - region.r * size.width : region.y * size.height;
+              return (
+                <g key={nodule.id} stroke={color} fill={color}>
+                  {region.kind === 'circle' ? (
+                    <circle cx={region.cx * size.width} cy={region.cy * size.height} r={region.r * size.width} />
+                  ) : (
+                    <rect x={x} y={y} width={region.width * size.width} height={region.height * size.height} />
+                  )}
+                  <text x={x} y={Math.max(labelSize, y - labelSize / 3)} fontSize={labelSize}>{nodule.id}</text>
+                  <title>{`${nodule.id}: ${nodule.location || 'Nodule'} · ${nodule.size} · ${status}`}</title>
+                </g>
+              );
+            })}
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ComparisonView = () => {
+  const [predictions, setPredictions] = useState([]);
+  const [patientId, setPatientId] = useState('');
+  const [priorId, setPriorId] = useState('');
+  const [currentId, setCurrentId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isComparing, setIsComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Stored analyses grouped by patient, each patient's scans oldest first
+  const patients = [...new Set(predictions.map(p => p.patientId).filter(Boolean))].sort();
+  const scans = predictions
+    .filter(p => p.patientId === patientId)
+    .sort((a, b) => scanDate(a).localeCompare(scanDate(b)) || a.createdAt.localeCompare(b.createdAt));
+
+  useEffect(() => {
+    getPredictionHistory({ pageSize: 100 })
+      .then((data) => {
+        setPredictions(data.predictions);
+        const first = data.predictions.find(p => p.patientId);
+        if (first) selectPatient(first.patientId, data.predictions);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Default to the two most recent scans of the patient
+  const selectPatient = (id, list = predictions) => {
+    const own = list
+      .filter(p => p.patientId === id)
+      .sort((a, b) => scanDate(a).localeCompare(scanDate(b)) || a.createdAt.localeCompare(b.createdAt));
+    setPatientId(id);
+    setPriorId(own.length > 1 ? own[own.length - 2].id : '');
+    setCurrentId(own.length ? own[own.length - 1].id : '');
+    setComparison(null);
+  };
+
+  const handleCompare = async () => {
+    setIsComparing(true);
+    setError(null);
+    try {
+      setComparison(await compareAnalyses(priorId, currentId));
+    } catch (err) {
+      setComparison(null);
+      setError(err.message);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const scanLabel = (p) => `${scanDate(p)} — ${p.result}${p.studyDate ? '' : ' (upload date)'}`;
+
+  const priorMarkers = comparison ? [
+    ...comparison.matched.map(m => ({ nodule: m.prior, status: m.status })),
+    ...comparison.resolved.map(n => ({ nodule: n, status: 'resolved' })),
+  ] : [];
+  const currentMarkers = comparison ? [
+    ...comparison.matched.map(m => ({ nodule: m.current, status: m.status })),
+    ...comparison.added.map(n => ({ nodule: n, status: 'added' })),
+  ] : [];
+
+  return (
+    <div className="result-section">
+      <div className="result-header-bar">
+        <h2>Scan Comparison</h2>
+      </div>
+
+      {isLoading && <p className="confidence-note">Loading stored analyses…</p>}
+
+      {!isLoading && patients.length === 0 && (
+        <div className="status-banner error">
+          No analyses with a patient ID yet. Enter a patient ID and study date when uploading a scan
+          (DICOM files carry their own) to compare scans over time.
+        </div>
+      )}
+
+      {patients.length > 0 && (
+        <fieldset className="patient-context comparison-picker">
+          <legend>Scans to compare</legend>
+          <label>
+            <span>Patient</span>
+            <select value={patientId} onChange={(e) => selectPatient(e.target.value)}>
+              {patients.map(id => <option key={id} value={id}>{id}</option>)}
+            </select>
+          </label>
+          <label>
+            <span>Prior scan</span>
+            <select value={priorId} onChange={(e) => setPriorId(e.target.value)}>
+              <option value="">Select…</option>
+              {scans.map(p => <option key={p.id} value={p.id}>{scanLabel(p)}</option>)}
+            </select>
+          </label>
+          <label>
+            <span>Current scan</span>
+            <select value={currentId} onChange={(e) => setCurrentId(e.target.value)}>
+              <option value="">Select…</option>
+              {scans.map(p => <option key={p.id} value={p.id}>{scanLabel(p)}</option>)}
+            </select>
+          </label>
+          <div className="upload-actions">
+            <button
+              className={`btn-analyze ${isComparing ? 'loading' : ''}`}
+              onClick={handleCompare}
+              disabled={!priorId || !currentId || priorId === currentId || isComparing}
+            >
+              {isComparing ? <span className="spinner" /> : <span>📈</span>}
+              <span>Compare Scans</span>
+            </button>
+          </div>
+        </fieldset>
+      )}
+
+      {error && <div className="status-banner error">{error}</div>}
+
+      {comparison && (
+        <div className="comparison-results">
+          <div className="grid-2-col">
+            <ScanImage title="Prior Scan" scan={comparison.prior} markers={priorMarkers} />
+            <ScanImage title="Current Scan" scan={comparison.current} markers={currentMarkers} />
+          </div>
+
+          <div className="result-card details-card">
+            <h4>
+              {comparison.intervalDays === null
+                ? 'Growth (interval unknown)'
+                : `Growth over ${comparison.intervalDays} day${comparison.intervalDays === 1 ? '' : 's'}`}
+            </h4>
+            {comparison.summary.fastestVdt && (
+              <p className="confidence-note">
+                Fastest volume doubling time: {comparison.summary.fastestVdt.vdtDays} days
+                ({comparison.summary.fastestVdt.nodule}, {comparison.summary.fastestVdt.category})
+              </p>
+            )}
+            {comparison.matched.length === 0 ? (
+              <p className="findings-text">No nodule was found on both scans.</p>
+            ) : (
+              <ul className="details-list nodule-list">
+                {comparison.matched.map(m => (
+                  <li key={`${m.prior.id}-${m.current.id}`}>
+                    <span className="detail-label">
+                      <span className="nodule-swatch" style={{ borderColor: STATUS_COLORS[m.status] }} />
+                      {m.prior.id} → {m.current.id} · {m.current.location || m.prior.location || 'Nodule'} · {m.status}
+                    </span>
+                    <span className="detail-value">
+                      {m.changeMm === null
+                        ? `${m.prior.size} → ${m.current.size}`
+                        : `${m.priorDiameterMm} → ${m.currentDiameterMm} mm (${m.changeMm > 0 ? '+' : ''}${m.changeMm} mm, ` +
+                          `${m.changePercent > 0 ? '+' : ''}${m.changePercent}%; volume ${m.volumeChangePercent > 0 ? '+' : ''}${m.volumeChangePercent}%)`}
+                      {m.vdtDays !== null && ` · VDT ${m.vdtDays} days`}
+                    </span>
+                    <span className="confidence-note">{m.interpretation}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="grid-2-col">
+            <div className="result-card details-card">
+              <h4>New Nodules ({comparison.added.length})</h4>
+              {comparison.added.length === 0 ? (
+                <p className="findings-text">None.</p>
+              ) : (
+                <ul className="details-list">
+                  {comparison.added.map(n => (
+                    <li key={n.id}>
+                      <span className="detail-label">{n.id} · {n.location || 'Nodule'}</span>
+                      <span className="detail-value">{n.size} · {n.density}{n.lungRads ? ` · Lung-RADS ${n.lungRads}` : ''}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="result-card details-card">
+              <h4>Resolved Nodules ({comparison.resolved.length})</h4>
+              {comparison.resolved.length === 0 ? (
+                <p className="findings-text">None.</p>
+              ) : (
+                <ul className="details-list">
+                  {comparison.resolved.map(n => (
+                    <li key={n.id}>
+                      <span className="detail-label">{n.id} · {n.location || 'Nodule'}</span>
+                      <span className="detail-value">{n.size} · {n.density} — not seen on the current scan</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {comparison.warnings.map(warning => (
+            <p className="confidence-note" key={warning}>⚠️ {warning}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonView;
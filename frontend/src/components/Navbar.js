@@ -75,6 +75,18 @@ const Navbar = ({ currentPage, onNavigate }) => {
           >
             CT Scan Analysis
           </button>
+          <button
+            className={`nav-link ${currentPage === 'compare' ? 'active' : ''}`}
+            onClick={() => onNavigate('compare')}
+          >
+            Compare Scans
+          </button>
+          <button
+            className={`nav-link ${currentPage === 'patients' ? 'active' : ''}`}
+            onClick={() => onNavigate('patients')}
+          >
+            Patients
+          </button>
           <button className="nav-link" onClick={scrollToAbout}>
             About
           </button>
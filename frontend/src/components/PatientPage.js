@@ -0,0 +1,414 @@
+/**
+ * PATIENT PAGE COMPONENT
+ * Pseudonymous patient records with their history, and a timeline of their
+ * studies with each scan's result and follow-up due dates */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getPatients,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  getPatientTimeline,
+  createStudy,
+  deleteStudy,
+} from '../services/api';
+
+const EMPTY_PATIENT = {
+  id: '', age: '', sex: '', smoking: '', packYears: '',
+  familyHistory: false, emphysema: false, cancerHistory: false, notes: '',
+};
+
+const RISK_COLORS = {
+  high: '#d32f2f',
+  moderate: '#f59e0b',
+  low: '#388e3c',
+  none: '#1976d2',
+};
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+const SMOKING_LABELS = { never: 'Never smoked', former: 'Former smoker', current: 'Current smoker' };
+
+const describePatient = (p) => [
+  p.age !== null && `${p.age} y`,
+  p.sex,
+  p.smoking && SMOKING_LABELS[p.smoking],
+  p.packYears !== null && `${p.packYears} pack-years`,
+].filter(Boolean).join(' · ') || 'No details recorded';
+
+/**
+ * Create or edit form for one patient.
+ */
+const PatientForm = ({ initial, isNew, onSave, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave({ ...form, id: form.id.trim() });
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <fieldset className="patient-context patient-form" disabled={isSaving}>
+        <legend>{isNew ? 'New patient' : `Edit ${initial.id}`} <span>(pseudonymous — never a name or record number)</span></legend>
+        {isNew && (
+          <label>
+            <span>Patient ID</span>
+            <input
+              type="text"
+              maxLength="64"
+              required
+              value={form.id}
+              onChange={(e) => update('id', e.target.value)}
+              placeholder="e.g. PT-0042"
+            />
+          </label>
+        )}
+        <label>
+          <span>Age</span>
+          <input type="number" min="0" max="120" value={form.age} onChange={(e) => update('age', e.target.value)} />
+        </label>
+        <label>
+          <span>Sex</span>
+          <select value={form.sex} onChange={(e) => update('sex', e.target.value)}>
+            <option value="">Not specified</option>
+            <option value="female">Female</option>
+            <option value="male">Male</option>
+          </select>
+        </label>
+        <label>
+          <span>Smoking history</span>
+          <select value={form.smoking} onChange={(e) => update('smoking', e.target.value)}>
+            <option value="">Not specified</option>
+            {Object.entries(SMOKING_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Pack-years</span>
+          <input
+            type="number"
+            min="0"
+            max="300"
+            step="0.5"
+            value={form.packYears}
+            disabled={form.smoking === 'never'}
+            onChange={(e) => update('packYears', e.target.value)}
+          />
+        </label>
+        <div className="patient-context-checks">
+          <label>
+            <input type="checkbox" checked={form.familyHistory} onChange={(e) => update('familyHistory', e.target.checked)} />
+            <span>Family history of lung cancer</span>
+          </label>
+          <label>
+            <input type="checkbox" checked={form.emphysema} onChange={(e) => update('emphysema', e.target.checked)} />
+            <span>Emphysema</span>
+          </label>
+          <label>
+            <input type="checkbox" checked={form.cancerHistory} onChange={(e) => update('cancerHistory', e.target.checked)} />
+            <span>Prior extrathoracic cancer</span>
+          </label>
+        </div>
+        <label className="patient-form-notes">
+          <span>Notes</span>
+          <textarea maxLength="2000" rows="3" value={form.notes} onChange={(e) => update('notes', e.target.value)} />
+        </label>
+        {error && <p className="patient-context-hint patient-form-error">{error}</p>}
+        <div className="upload-actions">
+          <button type="submit" className={`btn-analyze ${isSaving ? 'loading' : ''}`}>
+            {isSaving ? <span className="spinner" /> : <span>💾</span>}
+            <span>{isNew ? 'Create Patient' : 'Save Changes'}</span>
+          </button>
+          <button type="button" className="btn-clear" onClick={onCancel}>Cancel</button>
+        </div>
+      </fieldset>
+    </form>
+  );
+};
+
+/**
+ * One analysis on the timeline with its result and follow-up.
+ */
+const TimelineScan = ({ scan }) => (
+  <li className="timeline-scan">
+    <div className="timeline-scan-header">
+      <span className="risk-badge" style={{ backgroundColor: RISK_COLORS[scan.riskLevel] || '#757575' }}>
+        {scan.riskLevel.toUpperCase()}
+      </span>
+      <strong>{scan.result}</strong>
+      <span className="confidence-note">{scan.confidence}% confidence</span>
+      {scan.lungRads && (
+        <span className={`lung-rads-badge lung-rads-${scan.lungRads.toLowerCase()}`} title="Lung-RADS category">{scan.lungRads}</span>
+      )}
+      <span className={`review-badge review-badge-${scan.review.status}`} title={scan.review.reviewer ? `Reviewed by ${scan.review.reviewer} (unverified)` : ''}>
+        {scan.review.status === 'pending' ? 'AI draft' : scan.review.status}
+      </span>
+    </div>
+    {scan.finding && scan.finding.noduleSize !== 'N/A' && (
+      <p className="confidence-note">
+        {scan.noduleCount > 1 ? `${scan.noduleCount} nodules; most suspicious: ` : ''}
+        {scan.finding.noduleSize} · {scan.finding.location} · {scan.finding.density}
+      </p>
+    )}
+    {scan.followUps.length > 0 && (
+      <ul className="details-list timeline-follow-ups">
+        {scan.followUps.map(f => {
+          const overdue = f.due && (f.latest || f.due) < today();
+          return (
+            <li key={f.guideline} className={overdue ? 'overdue' : ''}>
+              <span className="detail-label">{f.guideline}: {f.recommendation}</span>
+              <span className="detail-value">
+                {!f.due ? 'No follow-up due' : `Due ${f.due}${f.latest !== f.due ? ` – ${f.latest}` : ''}${overdue ? ' (overdue)' : ''}`}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+    <p className="confidence-note">Analyzed {new Date(scan.analyzedAt).toLocaleString()} · {scan.source} · {scan.predictionId}</p>
+  </li>
+);
+
+const PatientPage = () => {
+  const [patients, setPatients] = useState([]);
+  const [patientId, setPatientId] = useState('');
+  const [timeline, setTimeline] = useState(null);
+  const [editing, setEditing] = useState(null); // null | 'new' | 'edit'
+  const [newStudy, setNewStudy] = useState({ studyDate: today(), modality: 'CT', description: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPatients = async (selectId) => {
+    const list = await getPatients();
+    setPatients(list);
+    const id = selectId || list[0]?.id || '';
+    setPatientId(id);
+    setTimeline(id ? await getPatientTimeline(id) : null);
+  };
+
+  useEffect(() => {
+    loadPatients()
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectPatient = (id) => run(async () => {
+    setPatientId(id);
+    setEditing(null);
+    setTimeline(await getPatientTimeline(id));
+  });
+
+  const handleSave = async (form) => {
+    const saved = editing === 'new'
+      ? await createPatient(form)
+      : await updatePatient(patientId, form);
+    setEditing(null);
+    await loadPatients(saved.id);
+  };
+
+  const handleDeletePatient = () => {
+    if (!window.confirm(`Delete patient ${patientId} and their studies? Their analyses are kept.`)) return;
+    run(async () => {
+      await deletePatient(patientId);
+      await loadPatients();
+    });
+  };
+
+  const handleAddStudy = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createStudy({ ...newStudy, patientId });
+      setNewStudy({ studyDate: today(), modality: 'CT', description: '' });
+      await loadPatients(patientId);
+    });
+  };
+
+  const handleDeleteStudy = (study) => {
+    if (!window.confirm(`Delete the study of ${study.studyDate}? Its analyses stay with the patient.`)) return;
+    run(async () => {
+      await deleteStudy(study.id);
+      await loadPatients(patientId);
+    });
+  };
+
+  const patient = timeline?.patient;
+  const next = timeline?.nextFollowUp;
+
+  return (
+    <div className="result-section">
+      <div className="result-header-bar">
+        <h2>Patients</h2>
+        {editing === null && (
+          <button className="btn-download-pdf" onClick={() => setEditing('new')}>
+            <span>➕</span>
+            <span>New Patient</span>
+          </button>
+        )}
+      </div>
+
+      {isLoading && <p className="confidence-note">Loading patients…</p>}
+      {error && <div className="status-banner error">{error}</div>}
+
+      {editing && (
+        <PatientForm
+          key={editing === 'new' ? 'new' : patientId}
+          isNew={editing === 'new'}
+          initial={editing === 'new' ? EMPTY_PATIENT : {
+            ...EMPTY_PATIENT,
+            ...Object.fromEntries(Object.entries(patient).map(([key, value]) => [key, value ?? EMPTY_PATIENT[key]])),
+          }}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {!isLoading && patients.length === 0 && editing === null && (
+        <div className="status-banner error">
+          No patients yet. Create one, or upload a scan with a patient ID (DICOM files carry their own).
+        </div>
+      )}
+
+      {patients.length > 0 && editing === null && (
+        <fieldset className="patient-context comparison-picker">
+          <legend>Patient</legend>
+          <label>
+            <span>Patient ID</span>
+            <select value={patientId} onChange={(e) => selectPatient(e.target.value)}>
+              {patients.map(p => (
+                <option key={p.id} value={p.id}>
+                  {p.id} — {p.scanCount} scan{p.scanCount === 1 ? '' : 's'}{p.lastStudyDate ? `, last ${p.lastStudyDate}` : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="upload-actions">
+            <button className="btn-clear" onClick={() => setEditing('edit')} disabled={!patient}>Edit</button>
+            <button className="btn-clear" onClick={handleDeletePatient} disabled={!patient}>Delete</button>
+          </div>
+        </fieldset>
+      )}
+
+      {patient && editing === null && (
+        <div className="patient-timeline-view">
+          <div className="grid-2-col">
+            <div className="result-card details-card">
+              <h4>{patient.id}</h4>
+              <p className="findings-text">{describePatient(patient)}</p>
+              {[
+                patient.familyHistory && 'Family history of lung cancer',
+                patient.emphysema && 'Emphysema',
+                patient.cancerHistory && 'Prior extrathoracic cancer',
+              ].filter(Boolean).map(item => <p className="confidence-note" key={item}>• {item}</p>)}
+              {patient.notes && <p className="confidence-note">{patient.notes}</p>}
+            </div>
+            <div className={`result-card details-card ${next?.overdue ? 'follow-up-overdue' : ''}`}>
+              <h4>Next Follow-up</h4>
+              {next ? (
+                <>
+                  <p className="findings-text">
+                    {next.due}{next.latest !== next.due ? ` – ${next.latest}` : ''}{next.overdue ? ' — overdue' : ''}
+                  </p>
+                  <p className="confidence-note">{next.guideline}: {next.recommendation}</p>
+                </>
+              ) : (
+                <p className="findings-text">None due — no analysis of the latest study calls for follow-up.</p>
+              )}
+            </div>
+          </div>
+
+          <form onSubmit={handleAddStudy}>
+            <fieldset className="patient-context comparison-picker">
+              <legend>New study</legend>
+              <label>
+                <span>Study date</span>
+                <input
+                  type="date"
+                  required
+                  value={newStudy.studyDate}
+                  onChange={(e) => setNewStudy(prev => ({ ...prev, studyDate: e.target.value }))}
+                />
+              </label>
+              <label>
+                <span>Modality</span>
+                <select value={newStudy.modality} onChange={(e) => setNewStudy(prev => ({ ...prev, modality: e.target.value }))}>
+                  <option value="CT">CT</option>
+                  <option value="PT">PET</option>
+                  <option value="CR">Chest X-ray (CR)</option>
+                  <option value="DX">Chest X-ray (DX)</option>
+                </select>
+              </label>
+              <label>
+                <span>Description</span>
+                <input
+                  type="text"
+                  maxLength="500"
+                  value={newStudy.description}
+                  onChange={(e) => setNewStudy(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="e.g. Low-dose screening CT"
+                />
+              </label>
+              <div className="upload-actions">
+                <button type="submit" className="btn-clear">Add Study</button>
+              </div>
+            </fieldset>
+          </form>
+
+          {timeline.studies.length === 0 ? (
+            <p className="findings-text">No studies yet. Add one, or upload a scan with this patient ID.</p>
+          ) : (
+            <ol className="patient-timeline">
+              {timeline.studies.map(study => (
+                <li key={study.id} className="result-card timeline-study">
+                  <div className="timeline-study-header">
+                    <h4>{study.studyDate} · {study.modality}{study.description ? ` · ${study.description}` : ''}</h4>
+                    <button className="btn-overlay-toggle" onClick={() => handleDeleteStudy(study)}>Delete study</button>
+                  </div>
+                  {study.studyUid && <p className="confidence-note">Study UID {study.studyUid}</p>}
+                  {study.scans.length === 0 ? (
+                    <p className="confidence-note">No scans analyzed yet — upload one and choose this study.</p>
+                  ) : (
+                    <ul className="timeline-scans">
+                      {study.scans.map(scan => <TimelineScan key={scan.predictionId} scan={scan} />)}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {timeline.unassigned.length > 0 && (
+            <div className="result-card timeline-study">
+              <h4>Scans without a study ({timeline.unassigned.length})</h4>
+              <ul className="timeline-scans">
+                {timeline.unassigned.map(scan => <TimelineScan key={scan.predictionId} scan={scan} />)}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatientPage;
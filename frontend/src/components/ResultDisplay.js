@@ -2,14 +2,87 @@
  * RESULT DISPLAY COMPONENT
  * Shows AI prediction results with detailed analysis and PDF export */
 
-import React from 'react';
+import React, { useState } from 'react';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import ReviewPanel, { REVIEW_LABELS } from './ReviewPanel';
+
+const API_ORIGIN = 'http://localhost:5001';
+
+const SUSPICION_COLORS = { high: '#d32f2f', moderate: '#f59e0b', low: '#388e3c' };
+
+/**
+ * Draw the nodule regions onto a copy of the scan for the PDF.
+ * Resolves to a JPEG data URL with the image size, or null if the image cannot be loaded.
+ */
+const annotateImage = (src, nodules) => new Promise((resolve) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onerror = () => resolve(null);
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    const line = Math.max(2, Math.round(canvas.width / 200));
+    ctx.lineWidth = line;
+    ctx.font = `bold ${line * 7}px sans-serif`;
+    for (const nodule of nodules) {
+      const { x, y, width, height } = nodule.pixels;
+      ctx.strokeStyle = ctx.fillStyle = SUSPICION_COLORS[nodule.suspicion] || '#ffffff';
+      ctx.beginPath();
+      if (nodule.region.kind === 'circle') {
+        ctx.arc(nodule.region.cx * canvas.width, nodule.region.cy * canvas.height, nodule.region.r * canvas.width, 0, 2 * Math.PI);
+      } else {
+        ctx.rect(x, y, width, height);
+      }
+      ctx.stroke();
+      ctx.fillText(nodule.id, x, Math.max(line * 7, y - line));
+    }
+    resolve({ dataUrl: canvas.toDataURL('image/jpeg', 0.9), width: canvas.width, height: canvas.height });
+  };
+  img.src = src;
+});
+
+const ResultDisplay = ({ result, imagePath, onReviewed }) => {
+  const [showOverlay, setShowOverlay] = useState(true);
 
-const ResultDisplay = ({ result, imagePath }) => {
   if (!result) return null;
 
-  const { prediction } = result;
+  const { prediction, dicom, deidentification, malignancyRisk } = result;
+  // Analyses that could not be stored have no review status
+  const review = result.review || null;
+  const isSignedOff = review && (review.status === 'approved' || review.status === 'amended');
+  const isUnparseable = prediction.parseStatus === 'unparseable';
+  // The meter shows the calibrated confidence when a calibration covers this model and result
+  const isCalibrated = typeof prediction.calibratedConfidence === 'number';
+  const meterConfidence = isCalibrated ? prediction.calibratedConfidence : prediction.confidence;
+  const confidenceText = meterConfidence === null ? 'N/A' : `${meterConfidence}%`;
+  const confidenceDetail = isCalibrated
+    ? `calibrated ${prediction.calibration.version}, raw ${prediction.rawConfidence}%`
+    : 'uncalibrated';
+  const ensemble = prediction.ensemble;
+  const lungRads = prediction.lungRads;
+  const fleischner = prediction.fleischner;
+  // Every nodule the model listed; markers only for those with a valid region on the
+  // displayed image (the first one for a multi-slice series)
+  const nodules = prediction.nodules || [];
+  const mostSuspicious = prediction.noduleSummary?.mostSuspicious;
+  const shownNodules = nodules.filter(n => n.image === 0 && n.region);
+  const otherSliceCount = nodules.filter(n => n.image !== 0 && n.region).length;
+  const describeNodule = (n) => [
+    n.location,
+    n.size,
+    n.shape,
+    n.density,
+    n.classification,
+    n.suspicion && `${n.suspicion} suspicion`,
+    n.lungRads && `Lung-RADS ${n.lungRads.category}`,
+  ].filter(Boolean).join(' · ');
+  const imageSize = shownNodules[0]?.imageSize;
+  const labelSize = imageSize ? Math.round(imageSize.width / 28) : 0;
 
   const getRiskColor = (riskLevel) => {
     switch (riskLevel) {
@@ -29,7 +102,9 @@ const ResultDisplay = ({ result, imagePath }) => {
     }
   };
 
-  const generatePDF = () => {
+  const generatePDF = async () => {
+    // Opened before the await so the browser still treats it as a user action
+    const pdfWindow = window.open('', '_blank');
     const doc = new jsPDF();
     const date = new Date(prediction.timestamp).toLocaleString();
 
@@ -43,6 +118,17 @@ const ResultDisplay = ({ result, imagePath }) => {
     doc.text(`Generated on: ${date}`, 14, 30);
     doc.text(`Report ID: ${Math.random().toString(36).substring(2, 10).toUpperCase()}`, 14, 35);
 
+    // Review status — reviewer names are typed in, not authenticated, so a sign-off is marked unverified
+    doc.setFontSize(10);
+    if (isSignedOff) doc.setTextColor(56, 142, 60);
+    else doc.setTextColor(211, 47, 47);
+    doc.text(review?.status === 'rejected' ? 'REJECTED BY PHYSICIAN — DO NOT USE'
+      : isSignedOff ? `SIGNED OFF (${review.status.toUpperCase()}) — REVIEWER UNVERIFIED` : 'AI-ONLY — NOT REVIEWED BY A PHYSICIAN', 196, 30, { align: 'right' });
+    doc.setTextColor(100, 100, 100);
+    if (review?.reviewer) {
+      doc.text(`Reviewed by ${review.reviewer} (unverified), ${new Date(review.reviewedAt).toLocaleString()}`, 196, 35, { align: 'right' });
+    }
+
     doc.line(14, 40, 196, 40); // Divider
 
     // Diagnosis Section
@@ -53,7 +139,7 @@ const ResultDisplay = ({ result, imagePath }) => {
     doc.setFontSize(12);
     doc.setTextColor(0, 0, 0);
     doc.text(`Result: ${prediction.result}`, 14, 62);
-    doc.text(`Confidence Level: ${prediction.confidence}%`, 14, 70);
+    doc.text(`AI Confidence Level: ${confidenceText} (${confidenceDetail}; not a malignancy probability)`, 14, 70);
     doc.text(`Risk Level: ${prediction.riskLevel.toUpperCase()}`, 14, 78);
 
     doc.setFontSize(11);
@@ -64,7 +150,7 @@ const ResultDisplay = ({ result, imagePath }) => {
     // Technical Details
     doc.setFontSize(16);
     doc.setTextColor(33, 33, 33);
-    doc.text('Technical Details', 14, 115);
+    doc.text(prediction.noduleSummary?.multiple ? `Technical Details (most suspicious nodule, ${mostSuspicious})` : 'Technical Details', 14, 115);
 
     autoTable(doc, {
       startY: 120,
@@ -75,18 +161,83 @@ const ResultDisplay = ({ result, imagePath }) => {
         ['Shape', prediction.technicalDetails.shape],
         ['Density', prediction.technicalDetails.density],
         ['Image Quality', prediction.imageQuality || 'N/A'],
-        ['Analysis Engine', prediction.analysisEngine || 'Gemini Vision AI']
+        ...(lungRads ? (lungRads.applicable ? [
+          [`Lung-RADS ${lungRads.version} Category`, `${lungRads.category} — ${lungRads.descriptor} (${lungRads.rule})`],
+          ['Lung-RADS Management', lungRads.management],
+          ...lungRads.assumptions.map(a => ['  Assumption', a]),
+        ] : [
+          [`Lung-RADS ${lungRads.version} Category`, `Not assigned — ${lungRads.reason}`],
+        ]) : []),
+        ...(prediction.slicesAnalyzed ? [
+          ['Slices Analyzed', `${prediction.analysisMode === 'mip' ? 'MIP of ' : ''}${prediction.slicesAnalyzed.join(', ')}`],
+        ] : []),
+        ...(dicom ? [
+          ['Modality', dicom.modality],
+          ['Slice Thickness', dicom.sliceThickness ? `${dicom.sliceThickness} mm` : 'N/A'],
+          ['Pixel Spacing', dicom.pixelSpacing ? `${dicom.pixelSpacing.join(' x ')} mm` : 'N/A'],
+          ['Study Date', dicom.studyDate || 'N/A'],
+        ] : []),
+        ...(ensemble?.disagreement !== undefined ? [
+          ['Consensus', `${ensemble.vote} vote, disagreement ${ensemble.disagreement}${ensemble.flagged ? ' (flagged)' : ''}`],
+          ...ensemble.members.map(m => [
+            `  ${m.model}`,
+            m.status === 'ok' ? `${m.result} (${m.confidence}%)` : m.status,
+          ]),
+        ] : []),
+        ...(malignancyRisk && !malignancyRisk.error ? [
+          [`Malignancy Probability (${malignancyRisk.brock.model})`, `${malignancyRisk.brock.percent}%`],
+          [`Malignancy Probability (${malignancyRisk.mayo.model})`, `${malignancyRisk.mayo.percent}%`],
+        ] : []),
+        ['Analysis Engine', prediction.analysisEngine || 'Gemini Vision AI'],
+        ...(prediction.promptVersion ? [
+          ['Prompt Version', `${prediction.promptId || 'vision'} ${prediction.promptVersion}`],
+        ] : []),
+        ...(result.cached ? [
+          ['Cached Result', `Reused from analysis of ${new Date(result.cachedFrom.analyzedAt).toLocaleString()}`],
+        ] : []),
       ],
       theme: 'grid',
       headStyles: { fillColor: [102, 126, 234] }
     });
 
+    // Every listed nodule
+    if (nodules.length) {
+      doc.setFontSize(16);
+      doc.setTextColor(33, 33, 33);
+      doc.text(`Nodules (${nodules.length})`, 14, doc.lastAutoTable.finalY + 15);
+
+      autoTable(doc, {
+        startY: doc.lastAutoTable.finalY + 20,
+        head: [['Nodule', 'Location', 'Size', 'Shape', 'Density', 'Classification', 'Suspicion', 'Lung-RADS']],
+        body: nodules.map(n => [
+          `${n.id}${n.id === mostSuspicious && nodules.length > 1 ? ' *' : ''}`,
+          n.location || '—',
+          n.size,
+          n.shape || '—',
+          n.density,
+          n.classification || '—',
+          n.suspicion,
+          n.lungRads?.category || '—',
+        ]),
+        theme: 'grid',
+        headStyles: { fillColor: [102, 126, 234] }
+      });
+      if (nodules.length > 1) {
+        doc.setFontSize(9);
+        doc.setTextColor(100, 100, 100);
+        doc.text('* Most suspicious nodule; technical details, Lung-RADS and follow-up are based on it.', 14, doc.lastAutoTable.finalY + 6);
+      }
+    }
+
     // Recommendations (Prescription Format)
     doc.setFontSize(16);
     doc.setTextColor(33, 33, 33);
     doc.text('Rx / Clinical Recommendations', 14, doc.lastAutoTable.finalY + 15);
 
-    const recs = prediction.recommendations.map(r => [r.replace(/[📋💊🔬👨‍⚕️🏥📅⚠️✅]/g, '').trim()]);
+    const recs = [
+      ...(fleischner?.applicable ? [[`Follow-up (Fleischner ${fleischner.version}): ${fleischner.interval} — ${fleischner.rule}`]] : []),
+      ...prediction.recommendations.map(r => [r.replace(/[📋💊🔬👨‍⚕️🏥📅⚠️✅]/g, '').trim()]),
+    ];
 
     autoTable(doc, {
       startY: doc.lastAutoTable.finalY + 20,
@@ -98,19 +249,66 @@ const ResultDisplay = ({ result, imagePath }) => {
 
     // Footer signature
     const finalY = doc.lastAutoTable.finalY + 30;
+    if (review?.reviewer) {
+      doc.setFontSize(11);
+      doc.text(`${review.reviewer} (unverified)`, 142, finalY - 2);
+    }
     doc.line(140, finalY, 190, finalY);
     doc.setFontSize(10);
-    doc.text('Authorized Digital Signature', 142, finalY + 5);
+    doc.text(review?.reviewer ? `Signed off ${new Date(review.reviewedAt).toLocaleDateString()}` : 'Authorized Digital Signature', 142, finalY + 5);
+
+    // Annotated scan on its own page
+    if (shownNodules.length) {
+      doc.addPage();
+      doc.setFontSize(16);
+      doc.setTextColor(33, 33, 33);
+      doc.text('Annotated CT Image', 14, 22);
+
+      const annotated = await annotateImage(`${API_ORIGIN}${imagePath}`, shownNodules);
+      let tableY = 32;
+      if (annotated) {
+        const scale = Math.min(182 / annotated.width, 150 / annotated.height);
+        doc.addImage(annotated.dataUrl, 'JPEG', 14, 30, annotated.width * scale, annotated.height * scale);
+        tableY = 30 + annotated.height * scale + 8;
+      } else {
+        doc.setFontSize(10);
+        doc.setTextColor(100, 100, 100);
+        doc.text('The scan image could not be loaded for annotation.', 14, 30);
+        tableY = 36;
+      }
+
+      autoTable(doc, {
+        startY: tableY,
+        head: [['Marker', 'Location', 'Size', 'Density', 'Suspicion']],
+        body: shownNodules.map(n => [n.id, n.location || '—', n.size, n.density, n.suspicion]),
+        theme: 'grid',
+        headStyles: { fillColor: [102, 126, 234] }
+      });
+    }
 
     const pdfBlob = doc.output('blob');
     const pdfUrl = URL.createObjectURL(pdfBlob);
-    window.open(pdfUrl, '_blank');
+    if (pdfWindow) pdfWindow.location.href = pdfUrl;
+    else window.open(pdfUrl, '_blank');
   };
 
   return (
     <div className="result-section">
       <div className="result-header-bar">
-        <h2>Analysis Results</h2>
+        <h2>
+          Analysis Results
+          {result.cached && (
+            <span
+              className="cached-badge"
+              title={`Same pixels, prompt and models as prediction ${result.cachedFrom.predictionId}`}
+            >
+              ♻️ Cached · analyzed {new Date(result.cachedFrom.analyzedAt).toLocaleString()}
+            </span>
+          )}
+          {review && (
+            <span className={`review-badge review-badge-${review.status}`}>{REVIEW_LABELS[review.status]}</span>
+          )}
+        </h2>
         <button className="btn-download-pdf" onClick={generatePDF}>
           <span>📄</span> Download PDF Report
         </button>
@@ -120,16 +318,82 @@ const ResultDisplay = ({ result, imagePath }) => {
         {/* Left Column: Image and Findings */}
         <div className="result-column-left">
           <div className="result-card image-card">
-            <h3>Analyzed CT Scan</h3>
+            <div className="image-card-header">
+              <h3>Analyzed CT Scan</h3>
+              {shownNodules.length > 0 && (
+                <button
+                  type="button"
+                  className="btn-overlay-toggle"
+                  aria-pressed={showOverlay}
+                  onClick={() => setShowOverlay(!showOverlay)}
+                >
+                  {showOverlay ? 'Hide' : 'Show'} nodule markers
+                </button>
+              )}
+            </div>
             <div className="image-wrapper">
               <img
-                src={`http://localhost:5001${imagePath}`}
+                src={`${API_ORIGIN}${imagePath}`}
                 alt="Analyzed CT Scan"
                 className="ct-scan-image"
               />
+              {showOverlay && imageSize && (
+                // Same aspect-fit as the image (object-fit: contain), in image pixels
+                <svg
+                  className="nodule-overlay"
+                  viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+                  aria-label="Nodule markers"
+                >
+                  {shownNodules.map(n => (
+                    <g key={n.id} stroke={SUSPICION_COLORS[n.suspicion]} fill={SUSPICION_COLORS[n.suspicion]}>
+                      {n.region.kind === 'circle' ? (
+                        <circle
+                          cx={n.region.cx * imageSize.width}
+                          cy={n.region.cy * imageSize.height}
+                          r={n.region.r * imageSize.width}
+                        />
+                      ) : (
+                        <rect x={n.pixels.x} y={n.pixels.y} width={n.pixels.width} height={n.pixels.height} />
+                      )}
+                      <text x={n.pixels.x} y={Math.max(labelSize, n.pixels.y - labelSize / 3)} fontSize={labelSize}>{n.id}</text>
+                      <title>{`${n.id}: ${n.location || 'Nodule'} · ${n.size} · ${n.density} · ${n.suspicion} suspicion`}</title>
+                    </g>
+                  ))}
+                </svg>
+              )}
             </div>
+            {otherSliceCount > 0 && (
+              <p className="confidence-note">
+                {otherSliceCount} more nodule(s) marked on other slices of the series.
+              </p>
+            )}
+            {prediction.noduleWarnings?.length > 0 && (
+              <p className="confidence-note" title={prediction.noduleWarnings.join('\n')}>
+                {prediction.noduleWarnings.length} nodule(s) listed without a marker: the reported region did not fit the image.
+              </p>
+            )}
           </div>
 
+          {isUnparseable && (
+            <div className="result-card findings-card">
+              <h4>⚠️ No Valid AI Result</h4>
+              <p className="findings-text">
+                The model's answer did not match the required format after {prediction.repairAttempts} re-ask(s),
+                so no diagnosis is shown. Please re-run the analysis or have a radiologist review the scan.
+              </p>
+            </div>
+          )}
+
+          {deidentification?.burnedInAnnotationSuspected && (
+            <div className="result-card findings-card">
+              <h4>⚠️ Possible Burned-in Patient Data</h4>
+              <p className="findings-text">
+                The image may contain text burned into the pixels, which header de-identification cannot remove.
+                Please verify before sharing this scan.
+              </p>
+            </div>
+          )}
+
           {prediction.findings && (
             <div className="result-card findings-card">
               <h4>🔍 Radiological Findings</h4>
@@ -153,27 +417,95 @@ const ResultDisplay = ({ result, imagePath }) => {
               <p className="diagnosis-text">{prediction.result}</p>
               <div className="confidence-meter">
                 <div className="confidence-label">
-                  <span>AI Confidence Level</span>
-                  <strong>{prediction.confidence}%</strong>
+                  <span title={prediction.calibration?.reason || ''}>
+                    AI Confidence Level <small>({confidenceDetail})</small>
+                  </span>
+                  <strong>{confidenceText}</strong>
                 </div>
                 <div className="confidence-bar">
                   <div
                     className="confidence-fill"
                     style={{
-                      width: `${prediction.confidence}%`,
+                      width: `${meterConfidence || 0}%`,
                       backgroundColor: getRiskColor(prediction.riskLevel)
                     }}
                   />
                 </div>
               </div>
+              <p className="confidence-note">
+                {isCalibrated
+                  ? 'Probability that this classification is right, calibrated on labeled cases'
+                  : 'How certain the AI says it is of its classification'} — not a probability of malignancy.
+              </p>
             </div>
             <p className="result-description">{prediction.description}</p>
           </div>
 
+          {/* Radiologist sign-off (stored analyses only) */}
+          {review && result.predictionId && (
+            <ReviewPanel
+              key={result.predictionId}
+              predictionId={result.predictionId}
+              prediction={prediction}
+              review={review}
+              onReviewed={onReviewed}
+            />
+          )}
+
+          {/* Brock / Mayo malignancy probability (when patient history was entered) */}
+          {malignancyRisk && (
+            <div className="result-card details-card malignancy-card">
+              <h4>Malignancy Probability</h4>
+              {malignancyRisk.error ? (
+                <p className="findings-text">Could not calculate — {malignancyRisk.error}</p>
+              ) : (
+                <>
+                  {[malignancyRisk.brock, malignancyRisk.mayo].map((model) => (
+                    <div className="confidence-meter" key={model.model}>
+                      <div className="confidence-label">
+                        <span title={model.reference}>{model.model}</span>
+                        <strong>{model.percent}%</strong>
+                      </div>
+                      <div className="confidence-bar">
+                        <div className="confidence-fill" style={{ width: `${model.percent}%` }} />
+                      </div>
+                    </div>
+                  ))}
+                  {malignancyRisk.warnings.map((warning) => (
+                    <p className="confidence-note" key={warning}>⚠️ {warning}</p>
+                  ))}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Every nodule the model listed, most suspicious first in the summary below */}
+          {nodules.length > 0 && (
+            <div className="result-card details-card">
+              <h4>Nodules ({nodules.length})</h4>
+              <ul className="details-list nodule-list">
+                {nodules.map(n => (
+                  <li key={n.id} className={n.id === mostSuspicious ? 'most-suspicious' : undefined}>
+                    <span className="detail-label">
+                      <span className="nodule-swatch" style={{ borderColor: SUSPICION_COLORS[n.suspicion] }} />
+                      {n.id}{n.id === mostSuspicious && nodules.length > 1 ? ' · most suspicious' : ''}
+                    </span>
+                    <span className="detail-value">
+                      {describeNodule(n)}{n.region ? '' : ' (no marker)'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="grid-2-col">
             {/* Technical Details */}
             <div className="result-card details-card">
               <h4>Technical Measurements</h4>
+              {prediction.noduleSummary?.multiple && (
+                <p className="confidence-note">Most suspicious nodule ({mostSuspicious})</p>
+              )}
               <ul className="details-list">
                 <li>
                   <span className="detail-label">Size</span>
@@ -210,14 +542,153 @@ const ResultDisplay = ({ result, imagePath }) => {
                   <span className="detail-label">Quality</span>
                   <span className="detail-value">{prediction.imageQuality}</span>
                 </li>
+                {prediction.slicesAnalyzed && (
+                  <li>
+                    <span className="detail-label">Slices</span>
+                    <span className="detail-value">
+                      {prediction.analysisMode === 'mip'
+                        ? `MIP ${prediction.slicesAnalyzed[0]}–${prediction.slicesAnalyzed[prediction.slicesAnalyzed.length - 1]}`
+                        : prediction.slicesAnalyzed.join(', ')}
+                    </span>
+                  </li>
+                )}
+                {deidentification && (
+                  <li>
+                    <span className="detail-label">Privacy</span>
+                    <span className="detail-value">De-identified ({deidentification.tagsModified} fields)</span>
+                  </li>
+                )}
                 <li>
                   <span className="detail-label">Engine</span>
                   <span className="detail-value">{prediction.analysisEngine || 'Gemini Vision AI'}</span>
                 </li>
+                {prediction.promptVersion && (
+                  <li>
+                    <span className="detail-label">Prompt</span>
+                    <span className="detail-value">{prediction.promptId || 'vision'} {prediction.promptVersion}</span>
+                  </li>
+                )}
               </ul>
             </div>
           </div>
 
+          {/* Per-model votes (consensus mode only) */}
+          {ensemble && (
+            <div className="result-card details-card">
+              <h4>Model Consensus</h4>
+              <ul className="details-list">
+                {ensemble.disagreement !== undefined && (
+                  <li>
+                    <span className="detail-label">Disagreement</span>
+                    <span className="detail-value">
+                      {ensemble.disagreement} ({ensemble.vote} vote){ensemble.flagged ? ' — flagged' : ''}
+                    </span>
+                  </li>
+                )}
+                {ensemble.members.map((member) => (
+                  <li key={`${member.provider}/${member.model}`}>
+                    <span className="detail-label">{member.model}</span>
+                    <span className="detail-value">
+                      {member.status === 'ok'
+                        ? `${member.result} · ${member.confidence}% · ${member.riskLevel}`
+                        : member.status === 'error' ? 'Unavailable' : 'Unparseable output'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Lung-RADS category computed from the reported nodule */}
+          {lungRads && (
+            <div className="result-card details-card">
+              <h4>Lung-RADS {lungRads.version}</h4>
+              {lungRads.applicable ? (
+                <ul className="details-list">
+                  <li>
+                    <span className="detail-label">Category</span>
+                    <span className="detail-value">
+                      <span className={`lung-rads-badge lung-rads-${lungRads.category.toLowerCase()}`}>{lungRads.category}</span>
+                      {' '}{lungRads.descriptor}
+                    </span>
+                  </li>
+                  <li>
+                    <span className="detail-label">Management</span>
+                    <span className="detail-value">{lungRads.management}</span>
+                  </li>
+                  <li>
+                    <span className="detail-label">Rule</span>
+                    <span className="detail-value">{lungRads.rule}</span>
+                  </li>
+                  {lungRads.assumptions.map((assumption) => (
+                    <li key={assumption}>
+                      <span className="detail-label">Assumption</span>
+                      <span className="detail-value">{assumption}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="findings-text">Not assigned — {lungRads.reason}</p>
+              )}
+            </div>
+          )}
+
+          {/* Fleischner follow-up for the reported nodule and patient risk */}
+          {fleischner && (
+            <div className="result-card details-card">
+              <h4>Follow-up (Fleischner {fleischner.version})</h4>
+              {fleischner.applicable ? (
+                <ul className="details-list">
+                  <li>
+                    <span className="detail-label">Interval</span>
+                    <span className="detail-value">{fleischner.interval}</span>
+                  </li>
+                  <li>
+                    <span className="detail-label">Rule</span>
+                    <span className="detail-value">{fleischner.rule}</span>
+                  </li>
+                  {fleischner.assumptions.map((assumption) => (
+                    <li key={assumption}>
+                      <span className="detail-label">Assumption</span>
+                      <span className="detail-value">{assumption}</span>
+                    </li>
+                  ))}
+                  <li>
+                    <span className="detail-label">Applies to</span>
+                    <span className="detail-value">{fleischner.scope}</span>
+                  </li>
+                </ul>
+              ) : (
+                <p className="findings-text">No guideline follow-up — {fleischner.reason}</p>
+              )}
+            </div>
+          )}
+
+          {/* DICOM header tags (only for .dcm uploads) */}
+          {dicom && (
+            <div className="result-card details-card">
+              <h4>DICOM Metadata</h4>
+              <ul className="details-list">
+                <li>
+                  <span className="detail-label">Modality</span>
+                  <span className="detail-value">{dicom.modality}</span>
+                </li>
+                <li>
+                  <span className="detail-label">Slice Thickness</span>
+                  <span className="detail-value">{dicom.sliceThickness ? `${dicom.sliceThickness} mm` : 'N/A'}</span>
+                </li>
+                <li>
+                  <span className="detail-label">Pixel Spacing</span>
+                  <span className="detail-value">{dicom.pixelSpacing ? `${dicom.pixelSpacing.join(' x ')} mm` : 'N/A'}</span>
+                </li>
+                <li>
+                  <span className="detail-label">Study Date</span>
+                  <span className="detail-value">{dicom.studyDate || 'N/A'}</span>
+                </li>
+              </ul>
+            </div>
+          )}
+
           {/* Rx / Recommendations structured as Prescription */}
           <div className="result-card prescription-card">
             <h4><span className="rx-symbol">Rx</span> Clinical Recommendations</h4>
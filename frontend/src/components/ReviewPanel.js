@@ -0,0 +1,227 @@
+/**
+ * REVIEW PANEL COMPONENT
+ * Radiologist sign-off of an analysis: approve it, amend fields (overriding
+ * the classification needs a reason) or reject it, with the history of every
+ * sign-off and what it changed */
+
+import React, { useState, useEffect } from 'react';
+import { reviewPrediction, getReviewHistory } from '../services/api';
+
+const RESULTS = [
+  'Nodule Detected - Benign',
+  'Nodule Detected - Malignant',
+  'No Nodule Detected',
+  'Indeterminate - Further Evaluation Required',
+];
+
+const RISK_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+const DETAIL_FIELDS = [
+  ['noduleSize', 'Nodule size'],
+  ['location', 'Location'],
+  ['shape', 'Shape'],
+  ['density', 'Density'],
+];
+
+export const REVIEW_LABELS = {
+  pending: 'AI draft — pending radiologist review',
+  approved: 'Signed off — approved (reviewer unverified)',
+  amended: 'Signed off — amended (reviewer unverified)',
+  rejected: 'Rejected by radiologist — do not use',
+};
+
+const FIELD_LABELS = {
+  result: 'Classification',
+  riskLevel: 'Risk level',
+  description: 'Description',
+  findings: 'Findings',
+  recommendations: 'Recommendations',
+  ...Object.fromEntries(DETAIL_FIELDS.map(([key, label]) => [`technicalDetails.${key}`, label])),
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join('; ') : value ?? '—');
+
+// Editable fields of a prediction, as the form holds them
+const draftOf = (prediction) => ({
+  result: prediction.result,
+  riskLevel: prediction.riskLevel,
+  description: prediction.description || '',
+  findings: prediction.findings || '',
+  recommendations: (prediction.recommendations || []).join('\n'),
+  ...Object.fromEntries(DETAIL_FIELDS.map(([key]) => [`technicalDetails.${key}`, prediction.technicalDetails?.[key] || ''])),
+});
+
+const ReviewPanel = ({ predictionId, prediction, review, onReviewed }) => {
+  const [history, setHistory] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [reviewer, setReviewer] = useState('');
+  const [action, setAction] = useState('approve');
+  const [draft, setDraft] = useState(() => draftOf(prediction));
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getReviewHistory(predictionId).then(setHistory).catch(() => setHistory([]));
+  }, [predictionId, review.reviewedAt]);
+
+  const original = draftOf(prediction);
+  const changes = Object.fromEntries(
+    Object.entries(draft)
+      .filter(([field, value]) => value !== original[field])
+      .map(([field, value]) => [field, field === 'recommendations'
+        ? value.split('\n').map(line => line.trim()).filter(Boolean)
+        : value])
+  );
+  const overridesResult = action === 'amend' && 'result' in changes;
+  const needsReason = action === 'reject' || overridesResult;
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const signed = await reviewPrediction(predictionId, {
+        reviewer,
+        action,
+        changes: action === 'amend' ? changes : {},
+        reason: reason || null,
+      });
+      onReviewed(signed.prediction.response);
+      setDraft(draftOf(signed.prediction.response.prediction));
+      setReason('');
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className={`result-card details-card review-card review-${review.status}`}>
+      <h4>Radiologist Review</h4>
+      <p className="findings-text">
+        <span className={`review-badge review-badge-${review.status}`}>{REVIEW_LABELS[review.status]}</span>
+      </p>
+      {review.reviewer && (
+        <p className="confidence-note">Reviewed by {review.reviewer} (unverified) on {new Date(review.reviewedAt).toLocaleString()}</p>
+      )}
+
+      {!isOpen ? (
+        <button className="btn-overlay-toggle" onClick={() => setIsOpen(true)}>
+          {review.status === 'pending' ? 'Review and sign off' : 'Review again'}
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <fieldset className="patient-context review-form" disabled={isSaving}>
+            <legend>Sign-off</legend>
+            <label>
+              <span>Reviewer</span>
+              <input type="text" required maxLength="100" value={reviewer} onChange={(e) => setReviewer(e.target.value)} placeholder="Dr. …" />
+            </label>
+            <label>
+              <span>Decision</span>
+              <select value={action} onChange={(e) => setAction(e.target.value)}>
+                <option value="approve">Approve as is</option>
+                <option value="amend">Amend fields</option>
+                <option value="reject">Reject</option>
+              </select>
+            </label>
+
+            {action === 'amend' && (
+              <>
+                <label>
+                  <span>Classification</span>
+                  <select value={draft.result} onChange={(e) => update('result', e.target.value)}>
+                    {RESULTS.map(r => <option key={r} value={r}>{r}</option>)}
+                  </select>
+                </label>
+                <label>
+                  <span>Risk level</span>
+                  <select value={draft.riskLevel} onChange={(e) => update('riskLevel', e.target.value)}>
+                    {RISK_LEVELS.map(r => <option key={r} value={r}>{r}</option>)}
+                  </select>
+                </label>
+                {DETAIL_FIELDS.map(([key, label]) => (
+                  <label key={key}>
+                    <span>{label}</span>
+                    <input
+                      type="text"
+                      maxLength="200"
+                      value={draft[`technicalDetails.${key}`]}
+                      onChange={(e) => update(`technicalDetails.${key}`, e.target.value)}
+                    />
+                  </label>
+                ))}
+                <label className="review-form-wide">
+                  <span>Description</span>
+                  <textarea rows="3" maxLength="2000" value={draft.description} onChange={(e) => update('description', e.target.value)} />
+                </label>
+                <label className="review-form-wide">
+                  <span>Findings</span>
+                  <textarea rows="3" maxLength="4000" value={draft.findings} onChange={(e) => update('findings', e.target.value)} />
+                </label>
+                <label className="review-form-wide">
+                  <span>Recommendations (one per line)</span>
+                  <textarea rows="4" value={draft.recommendations} onChange={(e) => update('recommendations', e.target.value)} />
+                </label>
+              </>
+            )}
+
+            <label className="review-form-wide">
+              <span>Reason{needsReason ? ' (required)' : ' (optional)'}</span>
+              <textarea
+                rows="2"
+                maxLength="1000"
+                required={needsReason}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={overridesResult ? 'Why the classification is overridden' : ''}
+              />
+            </label>
+
+            {action === 'amend' && Object.keys(changes).length === 0 && (
+              <p className="patient-context-hint">Change at least one field to amend, or approve as is.</p>
+            )}
+            {error && <p className="patient-context-hint patient-form-error">{error}</p>}
+
+            <div className="upload-actions">
+              <button
+                type="submit"
+                className={`btn-analyze ${isSaving ? 'loading' : ''}`}
+                disabled={action === 'amend' && Object.keys(changes).length === 0}
+              >
+                {isSaving ? <span className="spinner" /> : <span>🩺</span>}
+                <span>Sign Off</span>
+              </button>
+              <button type="button" className="btn-clear" onClick={() => setIsOpen(false)}>Cancel</button>
+            </div>
+          </fieldset>
+        </form>
+      )}
+
+      {history.length > 0 && (
+        <ol className="review-history">
+          {history.map(entry => (
+            <li key={entry.id}>
+              <span className="detail-label">
+                {new Date(entry.createdAt).toLocaleString()} · {entry.reviewer} (unverified) · {entry.status}
+              </span>
+              {entry.reason && <span className="confidence-note">Reason: {entry.reason}</span>}
+              {entry.changes.map(change => (
+                <span className="confidence-note" key={change.field}>
+                  {FIELD_LABELS[change.field] || change.field}: <del>{formatValue(change.before)}</del> → {formatValue(change.after)}
+                </span>
+              ))}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPanel;
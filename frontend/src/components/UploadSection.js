@@ -3,21 +3,94 @@
  * CT scan image upload with drag-and-drop support and preview
  * Clean, professional medical interface */
 
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { getQueueStatus, getPatients, getStudies } from '../services/api';
 
 const UploadSection = ({ onUpload, isLoading }) => {
   const [dragOver, setDragOver] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [preview, setPreview] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [consensus, setConsensus] = useState(false);
+  const [forceFresh, setForceFresh] = useState(false);
+  const [patientRisk, setPatientRisk] = useState('');
+  const [noduleCount, setNoduleCount] = useState('');
+  const [study, setStudy] = useState({ patientId: '', studyId: '', studyDate: '' });
+  const [patients, setPatients] = useState([]);
+  const [studies, setStudies] = useState([]);
+  const [history, setHistory] = useState({
+    age: '', sex: '', smoking: '', familyHistory: false, emphysema: false, cancerHistory: false,
+  });
+  const [queueStatus, setQueueStatus] = useState(null);
+  const [stages, setStages] = useState([]);
   const fileInputRef = useRef(null);
 
+  // While analyzing, poll the server's AI queue so users see why they wait
+  useEffect(() => {
+    if (!isLoading) {
+      setQueueStatus(null);
+      return undefined;
+    }
+    const poll = () => getQueueStatus().then(setQueueStatus).catch(() => setQueueStatus(null));
+    poll();
+    const interval = setInterval(poll, 3000);
+    return () => clearInterval(interval);
+  }, [isLoading]);
+
+  // Known patients, to pick from and to fill in their history
+  useEffect(() => {
+    getPatients().then(setPatients).catch(() => setPatients([]));
+  }, []);
+
+  // Studies of a known patient, so the scan can join one of them
+  const knownPatient = patients.find(p => p.id === study.patientId.trim());
+  useEffect(() => {
+    if (!knownPatient) {
+      setStudies([]);
+      return;
+    }
+    getStudies(knownPatient.id).then(setStudies).catch(() => setStudies([]));
+    setHistory(prev => (prev.age !== '' || prev.sex || prev.smoking ? prev : {
+      age: knownPatient.age ?? '',
+      sex: knownPatient.sex || '',
+      smoking: knownPatient.smoking || '',
+      familyHistory: knownPatient.familyHistory,
+      emphysema: knownPatient.emphysema,
+      cancerHistory: knownPatient.cancerHistory,
+    }));
+  }, [knownPatient]);
+
+  const nextSlotSeconds = (status) => {
+    const waits = status.models.map(m => m.nextTokenInMs).filter(ms => ms !== null);
+    return waits.length ? Math.ceil(Math.min(...waits) / 1000) : null;
+  };
+
+  // Human-readable label for an analysis job stage
+  const stageLabel = (s) => {
+    switch (s.stage) {
+      case 'uploaded': return 'Uploaded and de-identified';
+      case 'preprocessing': return s.isDicom ? 'Rendering DICOM slice' : 'Preprocessing image';
+      case 'queued': return `Queued for AI quota (position ${s.position}${s.estimatedWaitMs ? `, ~${Math.ceil(s.estimatedWaitMs / 1000)}s` : ''})`;
+      case 'model-attempt': return `Model ${s.model} attempted`;
+      case 'model-failed': return `${s.model} unavailable (${s.reason}) — trying next model`;
+      case 'repairing': return `Re-asking ${s.model} for valid output (attempt ${s.attempt})`;
+      case 'parsed': return `Result parsed (${s.parseStatus})`;
+      case 'cached': return `Same scan analyzed on ${new Date(s.analyzedAt).toLocaleString()} — reusing that result`;
+      case 'done': return 'Analysis complete';
+      case 'failed': return `Failed: ${s.message}`;
+      default: return s.stage;
+    }
+  };
+
   const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
   const MAX_SIZE_MB = 10;
 
+  // Browsers usually report an empty mimetype for DICOM, so match the extension
+  const isDicom = (file) => /\.dcm$/i.test(file.name) || file.type === 'application/dicom';
+
   const validateFile = (file) => {
-    if (!ALLOWED_TYPES.includes(file.type)) {
-      return 'Invalid file type. Please upload a PNG or JPG image.';
+    if (!ALLOWED_TYPES.includes(file.type) && !isDicom(file)) {
+      return 'Invalid file type. Please upload a PNG, JPG or DICOM (.dcm) file.';
     }
     if (file.size > MAX_SIZE_MB * 1024 * 1024) {
       return `File too large. Maximum size is ${MAX_SIZE_MB}MB.`;
@@ -32,6 +105,11 @@ const UploadSection = ({ onUpload, isLoading }) => {
       return;
     }
     setSelectedFile(file);
+    // DICOM slices are rendered server-side; browsers can't preview them
+    if (isDicom(file)) {
+      setPreview(null);
+      return;
+    }
     const reader = new FileReader();
     reader.onload = (e) => setPreview(e.target.result);
     reader.readAsDataURL(file);
@@ -59,10 +137,27 @@ const UploadSection = ({ onUpload, isLoading }) => {
     if (file) handleFileSelect(file);
   };
 
+  const updateHistory = (field, value) => setHistory(prev => ({ ...prev, [field]: value }));
+
+  // Brock and Mayo need at least age, sex and smoking history
+  const historyComplete = history.age !== '' && history.sex && history.smoking;
+
   const handleAnalyze = () => {
     if (selectedFile && onUpload) {
       setUploadProgress(0);
-      onUpload(selectedFile, (progress) => setUploadProgress(progress));
+      setStages([]);
+      onUpload(selectedFile, (progress) => setUploadProgress(progress), {
+        consensus,
+        force: forceFresh,
+        patientRisk,
+        nodules: noduleCount === '' ? '' : (Number(noduleCount) > 1 ? 'multiple' : 'solitary'),
+        noduleCount: noduleCount === '' ? undefined : Number(noduleCount),
+        patientHistory: historyComplete ? { ...history, age: Number(history.age) } : null,
+        patientId: study.patientId.trim(),
+        studyId: knownPatient ? study.studyId : '',
+        studyDate: study.studyDate,
+        onStage: (stage) => setStages(prev => [...prev, stage]),
+      });
     }
   };
 
@@ -70,6 +165,7 @@ const UploadSection = ({ onUpload, isLoading }) => {
     setSelectedFile(null);
     setPreview(null);
     setUploadProgress(0);
+    setStages([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -109,7 +205,7 @@ const UploadSection = ({ onUpload, isLoading }) => {
             ref={fileInputRef}
             type="file"
             id="ct-scan-file-input"
-            accept="image/png,image/jpeg,image/jpg"
+            accept="image/png,image/jpeg,image/jpg,.dcm,application/dicom"
             onChange={handleInputChange}
             style={{ display: 'none' }}
           />
@@ -130,16 +226,23 @@ const UploadSection = ({ onUpload, isLoading }) => {
                 Drag & drop your image here, or <span className="browse-link">browse</span>
               </p>
               <p className="drop-zone-formats">
-                Supported formats: PNG, JPG, JPEG · Max size: 10MB
+                Supported formats: PNG, JPG, JPEG, DICOM · Max size: 10MB
               </p>
             </div>
           ) : (
             <div className="drop-zone-preview">
               <div className="preview-image-container">
-                <img src={preview} alt="CT scan preview" className="preview-image" />
+                {preview ? (
+                  <img src={preview} alt="CT scan preview" className="preview-image" />
+                ) : (
+                  <div className="preview-dicom-placeholder">
+                    <span className="preview-dicom-icon">🩻</span>
+                    <p>DICOM slice — preview rendered after analysis</p>
+                  </div>
+                )}
                 <div className="preview-overlay">
                   <div className="preview-badge">
-                    <span>✓</span> Image Ready
+                    <span>✓</span> {preview ? 'Image Ready' : 'DICOM Ready'}
                   </div>
                 </div>
               </div>
@@ -148,7 +251,7 @@ const UploadSection = ({ onUpload, isLoading }) => {
                 <div className="file-info-details">
                   <p className="file-name">{selectedFile.name}</p>
                   <p className="file-meta">
-                    {formatFileSize(selectedFile.size)} · {selectedFile.type.split('/')[1].toUpperCase()}
+                    {formatFileSize(selectedFile.size)} · {isDicom(selectedFile) ? 'DICOM' : selectedFile.type.split('/')[1].toUpperCase()}
                   </p>
                 </div>
                 <button
@@ -169,7 +272,7 @@ const UploadSection = ({ onUpload, isLoading }) => {
             <div className="info-panel-icon">📋</div>
             <h4>How It Works</h4>
             <ol className="info-steps-list">
-              <li>Upload a CT scan image (PNG or JPG)</li>
+              <li>Upload a CT scan image (PNG, JPG or DICOM)</li>
               <li>AI analyzes lung regions for nodules</li>
               <li>Get detailed diagnostic report</li>
               <li>Download report as PDF</li>
@@ -183,6 +286,7 @@ const UploadSection = ({ onUpload, isLoading }) => {
               <div className="format-tag">PNG</div>
               <div className="format-tag">JPG</div>
               <div className="format-tag">JPEG</div>
+              <div className="format-tag">DICOM</div>
             </div>
             <p className="format-note">Maximum file size: 10MB</p>
           </div>
@@ -210,6 +314,175 @@ const UploadSection = ({ onUpload, isLoading }) => {
         </div>
       )}
 
+      {/* Analysis Job Stages */}
+      {stages.length > 0 && (
+        <ol className="job-stages">
+          {stages.map((s, i) => (
+            <li
+              key={`${s.stage}-${i}`}
+              className={`job-stage ${s.stage === 'failed' || s.stage === 'model-failed' ? 'failed' : ''} ${isLoading && i === stages.length - 1 ? 'current' : ''}`}
+            >
+              {stageLabel(s)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* AI Queue Status */}
+      {isLoading && queueStatus?.length > 0 && (
+        <div className="progress-container">
+          <span className="progress-text">
+            ⏳ AI quota busy — {queueStatus.length} request{queueStatus.length === 1 ? '' : 's'} waiting
+            {nextSlotSeconds(queueStatus) ? `, next slot in ~${nextSlotSeconds(queueStatus)}s` : ''}
+          </span>
+        </div>
+      )}
+
+      {/* Patient and Study — groups scans so they can be compared over time */}
+      <fieldset className="patient-context" disabled={isLoading}>
+        <legend>Patient and study <span>(optional — to compare this scan with the patient's earlier ones)</span></legend>
+        <label>
+          <span>Patient ID</span>
+          <input
+            type="text"
+            maxLength="64"
+            value={study.patientId}
+            onChange={(e) => setStudy(prev => ({ ...prev, patientId: e.target.value, studyId: '' }))}
+            placeholder="Pseudonymous ID (DICOM: from the file)"
+            list="known-patients"
+          />
+          <datalist id="known-patients">
+            {patients.map(p => <option key={p.id} value={p.id} />)}
+          </datalist>
+        </label>
+        {studies.length > 0 && (
+          <label>
+            <span>Study</span>
+            <select value={study.studyId} onChange={(e) => setStudy(prev => ({ ...prev, studyId: e.target.value }))}>
+              <option value="">New or same-day study</option>
+              {studies.map(s => (
+                <option key={s.id} value={s.id}>{s.studyDate} · {s.modality}{s.description ? ` · ${s.description}` : ''}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {!(knownPatient && study.studyId) && (
+          <label>
+            <span>Study date</span>
+            <input
+              type="date"
+              value={study.studyDate}
+              onChange={(e) => setStudy(prev => ({ ...prev, studyDate: e.target.value }))}
+            />
+          </label>
+        )}
+      </fieldset>
+
+      {/* Patient History — Fleischner follow-up and Brock / Mayo risk */}
+      <fieldset className="patient-context" disabled={isLoading}>
+        <legend>Patient history <span>(optional — for follow-up guidance and malignancy risk)</span></legend>
+        <label>
+          <span>Age</span>
+          <input
+            type="number"
+            min="18"
+            max="110"
+            value={history.age}
+            onChange={(e) => updateHistory('age', e.target.value)}
+            placeholder="Years"
+          />
+        </label>
+        <label>
+          <span>Sex</span>
+          <select value={history.sex} onChange={(e) => updateHistory('sex', e.target.value)}>
+            <option value="">Not specified</option>
+            <option value="female">Female</option>
+            <option value="male">Male</option>
+          </select>
+        </label>
+        <label>
+          <span>Smoking history</span>
+          <select value={history.smoking} onChange={(e) => updateHistory('smoking', e.target.value)}>
+            <option value="">Not specified</option>
+            <option value="never">Never smoked</option>
+            <option value="former">Former smoker</option>
+            <option value="current">Current smoker</option>
+          </select>
+        </label>
+        <label>
+          <span>Nodules on the scan</span>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={noduleCount}
+            onChange={(e) => setNoduleCount(e.target.value)}
+            placeholder="Not specified (assessed as 1)"
+          />
+        </label>
+        <label>
+          <span>Fleischner patient risk</span>
+          <select value={patientRisk} onChange={(e) => setPatientRisk(e.target.value)}>
+            <option value="">Not specified (assessed as high)</option>
+            <option value="low">Low — minimal or no smoking, no other risk factors</option>
+            <option value="high">High — smoking, family history, emphysema, fibrosis, upper lobe</option>
+          </select>
+        </label>
+        <div className="patient-context-checks">
+          <label>
+            <input
+              type="checkbox"
+              checked={history.familyHistory}
+              onChange={(e) => updateHistory('familyHistory', e.target.checked)}
+            />
+            <span>Family history of lung cancer</span>
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={history.emphysema}
+              onChange={(e) => updateHistory('emphysema', e.target.checked)}
+            />
+            <span>Emphysema</span>
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={history.cancerHistory}
+              onChange={(e) => updateHistory('cancerHistory', e.target.checked)}
+            />
+            <span>Prior extrathoracic cancer (&gt; 5 years ago)</span>
+          </label>
+        </div>
+        {!historyComplete && (
+          <p className="patient-context-hint">Enter age, sex and smoking history to get Brock and Mayo malignancy probabilities.</p>
+        )}
+      </fieldset>
+
+      {/* Analysis Options */}
+      <label className="consensus-toggle">
+        <input
+          type="checkbox"
+          checked={consensus}
+          onChange={(e) => setConsensus(e.target.checked)}
+          disabled={isLoading}
+        />
+        <span>
+          <strong>Consensus mode</strong> — run several AI models and vote (slower; for borderline cases)
+        </span>
+      </label>
+      <label className="consensus-toggle">
+        <input
+          type="checkbox"
+          checked={forceFresh}
+          onChange={(e) => setForceFresh(e.target.checked)}
+          disabled={isLoading}
+        />
+        <span>
+          <strong>Force fresh analysis</strong> — ignore the cached result if this scan was analyzed before
+        </span>
+      </label>
+
       {/* Action Buttons */}
       <div className="upload-actions">
         <button
@@ -22,17 +22,34 @@ const apiClient = axios.create({
 
 /**
  * Upload CT scan image for analysis
+ * The server answers at once with a job id; the analysis itself is followed
+ * over Server-Sent Events (with polling as fallback), so a slow model or a
+ * long wait for AI quota never hits the request timeout.
  * @param {File} imageFile - CT scan image file
  * @param {Function} onUploadProgress - Progress callback
+ * @param {Object} options - { consensus: boolean, vote: 'weighted' | 'majority', force: boolean,
+ *                            patientRisk: 'low' | 'high', nodules: 'solitary' | 'multiple',
+ *                            patientId: string, studyId: string, studyDate: 'YYYY-MM-DD',
+ *                            onStage: (stage) => void }
  * @returns {Promise} API response with prediction
  */
-export const uploadCTScan = async (imageFile, onUploadProgress) => {
+export const uploadCTScan = async (imageFile, onUploadProgress, options = {}) => {
   try {
     // Create FormData for file upload
     const formData = new FormData();
     formData.append('image', imageFile);
+    if (options.consensus) {
+      formData.append('consensus', 'true');
+      if (options.vote) formData.append('vote', options.vote);
+    }
+    if (options.force) formData.append('force', 'true');
+    if (options.patientRisk) formData.append('patientRisk', options.patientRisk);
+    if (options.nodules) formData.append('nodules', options.nodules);
+    if (options.patientId) formData.append('patientId', options.patientId);
+    if (options.studyId) formData.append('studyId', options.studyId);
+    if (options.studyDate) formData.append('studyDate', options.studyDate);
 
-    // Send POST request with file
+    // Send POST request with file — returns the analysis job
     const response = await apiClient.post('/predict', formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
@@ -47,7 +64,7 @@ export const uploadCTScan = async (imageFile, onUploadProgress) => {
       }
     });
 
-    return response.data;
+    return await followAnalysisJob(response.data.jobId, options.onStage);
 
   } catch (error) {
     console.error('Upload error:', error);
@@ -56,12 +73,136 @@ export const uploadCTScan = async (imageFile, onUploadProgress) => {
 };
 
 /**
- * Get prediction history (optional feature)
- * @returns {Promise} List of previous predictions
+ * Get the status of an analysis job
+ * @param {string} jobId - Id returned by POST /predict
+ * @returns {Promise} { id, status, stage, stages, result, error }
+ */
+export const getAnalysisJob = async (jobId) => {
+  const response = await apiClient.get(`/jobs/${jobId}`);
+  return response.data.job;
+};
+
+/**
+ * Wait for an analysis job to finish, reporting each stage as it happens
+ * @param {string} jobId - Id returned by POST /predict
+ * @param {Function} onStage - Called with every stage ({ stage, at, ... })
+ * @returns {Promise} The prediction response once the job is done
+ */
+export const followAnalysisJob = (jobId, onStage) => new Promise((resolve, reject) => {
+  let seen = 0;
+  const report = (stages) => {
+    stages.slice(seen).forEach(stage => onStage && onStage(stage));
+    seen = Math.max(seen, stages.length);
+  };
+  const fail = (error) => reject(Object.assign(new Error(error.message || 'AI analysis failed'), { kind: error.kind }));
+
+  // Fallback when the browser or a proxy does not support SSE
+  const poll = async () => {
+    try {
+      const job = await getAnalysisJob(jobId);
+      report(job.stages);
+      if (job.status === 'done') return resolve(job.result);
+      if (job.status === 'failed') return fail(job.error);
+      setTimeout(poll, 2000);
+    } catch (error) {
+      reject(handleAPIError(error));
+    }
+  };
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+    return;
+  }
+
+  const replayed = [];
+  const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+  source.addEventListener('stage', (event) => {
+    // The stream replays earlier stages; skip the ones already reported
+    replayed.push(JSON.parse(event.data));
+    report(replayed);
+  });
+  source.addEventListener('done', (event) => {
+    source.close();
+    resolve(JSON.parse(event.data));
+  });
+  source.addEventListener('failed', (event) => {
+    source.close();
+    fail(JSON.parse(event.data));
+  });
+  source.onerror = () => {
+    source.close();
+    poll();
+  };
+});
+
+/**
+ * Upload a multi-slice CT series (DICOM slices or a .zip of them)
+ * @param {File[]} files - .dcm slices or a single .zip archive
+ * @param {Function} onUploadProgress - Progress callback
+ * @returns {Promise} Series id and ordered slice list
+ */
+export const uploadCTSeries = async (files, onUploadProgress) => {
+  try {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const response = await apiClient.post('/series', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      timeout: 120000, // series can be hundreds of MB
+      onUploadProgress: (progressEvent) => {
+        if (onUploadProgress) {
+          const percentCompleted = Math.round(
+            (progressEvent.loaded * 100) / progressEvent.total
+          );
+          onUploadProgress(percentCompleted);
+        }
+      }
+    });
+
+    return response.data;
+
+  } catch (error) {
+    console.error('Series upload error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Get the preview URL of one slice of an uploaded series
+ * @param {string} seriesId - Series id returned by uploadCTSeries
+ * @param {number} index - Slice index (scan order)
+ * @returns {string} PNG URL
  */
-export const getPredictionHistory = async () => {
+export const getSeriesSliceUrl = (seriesId, index) =>
+  `${API_BASE_URL}/series/${seriesId}/slices/${index}`;
+
+/**
+ * Analyze selected slices or a slab of an uploaded series
+ * @param {string} seriesId - Series id returned by uploadCTSeries
+ * @param {Object} selection - { slices, slabStart, slabEnd, count, mode: 'slices' | 'mip' }
+ * @returns {Promise} API response with prediction
+ */
+export const analyzeCTSeries = async (seriesId, selection = {}) => {
   try {
-    const response = await apiClient.get('/predictions');
+    const response = await apiClient.post(`/series/${seriesId}/analyze`, selection);
+    return response.data;
+  } catch (error) {
+    console.error('Series analysis error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Get stored predictions, newest first
+ * @param {Object} filters - { from, to, result, riskLevel, model, patientId, studyUid, studyId, reviewStatus,
+ *                            page, pageSize }
+ * @returns {Promise} { predictions, total, page, pageSize, pages }
+ */
+export const getPredictionHistory = async (filters = {}) => {
+  try {
+    const response = await apiClient.get('/predictions', { params: filters });
     return response.data;
   } catch (error) {
     console.error('History fetch error:', error);
@@ -69,35 +210,270 @@ export const getPredictionHistory = async () => {
   }
 };
 
+/**
+ * Get one stored prediction with its full analysis response
+ * @param {string} predictionId - Id from the analysis response or the history list
+ * @returns {Promise} Stored prediction ({ ..., response })
+ */
+export const getStoredPrediction = async (predictionId) => {
+  try {
+    const response = await apiClient.get(`/predictions/${predictionId}`);
+    return response.data.prediction;
+  } catch (error) {
+    console.error('Prediction fetch error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Delete a stored prediction and its images
+ * @param {string} predictionId - Id of the stored prediction
+ * @returns {Promise} API response
+ */
+export const deleteStoredPrediction = async (predictionId) => {
+  try {
+    const response = await apiClient.delete(`/predictions/${predictionId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Prediction delete error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+
+// REVIEW API
+
+
+/**
+ * Sign off a stored analysis as a radiologist
+ * @param {string} predictionId - Stored analysis to review
+ * @param {Object} review - { reviewer, action: 'approve' | 'amend' | 'reject',
+ *                          changes: { field: newValue } for amend, reason }
+ * @returns {Promise} { review, prediction } – the sign-off and the stored analysis after it
+ */
+export const reviewPrediction = async (predictionId, review) => {
+  try {
+    const response = await apiClient.post(`/predictions/${predictionId}/review`, review);
+    return response.data;
+  } catch (error) {
+    console.error('Review error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Get every sign-off of a stored analysis, oldest first
+ * @param {string} predictionId - Stored analysis
+ * @returns {Promise} [{ id, createdAt, reviewer, action, status, reason, changes }]
+ */
+export const getReviewHistory = async (predictionId) => {
+  try {
+    const response = await apiClient.get(`/predictions/${predictionId}/reviews`);
+    return response.data.reviews;
+  } catch (error) {
+    console.error('Review history error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+
+// COMPARISON API
+
+
+/**
+ * Compare two stored analyses of the same patient
+ * @param {string} priorId - Stored analysis of the earlier scan
+ * @param {string} currentId - Stored analysis of the later scan
+ * @returns {Promise} { prior, current, intervalDays, matched, added, resolved, summary, warnings }
+ */
+export const compareAnalyses = async (priorId, currentId) => {
+  try {
+    const response = await apiClient.post('/compare', { priorId, currentId });
+    return response.data.comparison;
+  } catch (error) {
+    console.error('Comparison error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+
+// PATIENTS API
+
+
+/**
+ * Get every patient with study and scan counts, most recently studied first
+ * @returns {Promise} [{ id, age, sex, smoking, packYears, ..., studyCount, scanCount, lastStudyDate }]
+ */
+export const getPatients = async () => {
+  try {
+    const response = await apiClient.get('/patients');
+    return response.data.patients;
+  } catch (error) {
+    console.error('Patients fetch error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Create a patient record
+ * @param {Object} patient - { id (pseudonym), age, sex, smoking, packYears, familyHistory,
+ *                           emphysema, cancerHistory, notes }
+ * @returns {Promise} The new patient
+ */
+export const createPatient = async (patient) => {
+  try {
+    const response = await apiClient.post('/patients', patient);
+    return response.data.patient;
+  } catch (error) {
+    console.error('Patient create error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Replace a patient's details
+ * @param {string} patientId - Pseudonymous patient ID
+ * @param {Object} patient - Fields as for createPatient (the ID cannot change)
+ * @returns {Promise} The updated patient
+ */
+export const updatePatient = async (patientId, patient) => {
+  try {
+    const response = await apiClient.put(`/patients/${encodeURIComponent(patientId)}`, patient);
+    return response.data.patient;
+  } catch (error) {
+    console.error('Patient update error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Delete a patient and their studies (their analyses are kept)
+ * @param {string} patientId - Pseudonymous patient ID
+ * @returns {Promise} API response
+ */
+export const deletePatient = async (patientId) => {
+  try {
+    const response = await apiClient.delete(`/patients/${encodeURIComponent(patientId)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Patient delete error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Get a patient's studies with their scans, results and follow-up due dates
+ * @param {string} patientId - Pseudonymous patient ID
+ * @returns {Promise} { patient, studies, unassigned, nextFollowUp }
+ */
+export const getPatientTimeline = async (patientId) => {
+  try {
+    const response = await apiClient.get(`/patients/${encodeURIComponent(patientId)}/timeline`);
+    return response.data;
+  } catch (error) {
+    console.error('Timeline fetch error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Get a patient's studies, newest first
+ * @param {string} patientId - Pseudonymous patient ID
+ * @returns {Promise} [{ id, patientId, studyDate, modality, studyUid, description }]
+ */
+export const getStudies = async (patientId) => {
+  try {
+    const response = await apiClient.get('/studies', { params: { patientId } });
+    return response.data.studies;
+  } catch (error) {
+    console.error('Studies fetch error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Create a study for a patient
+ * @param {Object} study - { patientId, studyDate: 'YYYY-MM-DD', modality, studyUid, description }
+ * @returns {Promise} The new study
+ */
+export const createStudy = async (study) => {
+  try {
+    const response = await apiClient.post('/studies', study);
+    return response.data.study;
+  } catch (error) {
+    console.error('Study create error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+/**
+ * Delete a study (its analyses stay with the patient)
+ * @param {string} studyId - Id of the study
+ * @returns {Promise} API response
+ */
+export const deleteStudy = async (studyId) => {
+  try {
+    const response = await apiClient.delete(`/studies/${studyId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Study delete error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+
+// MALIGNANCY RISK API
+
+
+/**
+ * Brock (PanCan) and Mayo Clinic malignancy probability
+ * @param {Object} patient - { age, sex, smoking, familyHistory, emphysema, cancerHistory }
+ * @param {Object} nodule - { diameterMm, type, upperLobe, spiculated, count }; fields left
+ *                          out are read from the stored prediction
+ * @param {string} predictionId - Stored analysis the nodule was found in
+ * @returns {Promise} { brock, mayo, inputs, warnings }
+ */
+export const calculateMalignancyRisk = async (patient, nodule = {}, predictionId = null) => {
+  try {
+    const response = await apiClient.post('/risk/calculate', { patient, nodule, predictionId });
+    return response.data;
+  } catch (error) {
+    console.error('Risk calculation error:', error);
+    throw handleAPIError(error);
+  }
+};
+
 
 // CHATBOT API
 
 
 /**
- * Send message to chatbot
- * @param {string} message - User's question
- * @returns {Promise} Chatbot response
+ * Convert chat messages to the history format the backend expects
+ * (alternating user/model roles, last 10 messages for the context window)
+ * @param {Array} history - Previous conversation turns [{type, text}]
+ * @returns {Array} [{role, text}]
  */
+const toChatHistory = (history) => history
+  .filter(m => (m.type === 'user' || m.type === 'bot') && m.text)
+  .slice(-10)
+  .map(m => ({
+    role: m.type === 'user' ? 'user' : 'model',
+    text: m.text,
+  }));
+
 /**
  * Send message to chatbot with conversation history for context
  * @param {string} message - User's question
  * @param {Array} history - Previous conversation turns [{role, text}]
+ * @param {string} predictionId - Stored analysis the conversation is about (optional)
  * @returns {Promise} Chatbot response
  */
-export const sendChatMessage = async (message, history = []) => {
+export const sendChatMessage = async (message, history = [], predictionId = null) => {
   try {
-    // Convert history to the format Gemini expects (alternating user/model roles)
-    const geminiHistory = history
-      .filter(m => m.type === 'user' || m.type === 'bot')
-      .slice(-10) // Keep last 10 messages for context window
-      .map(m => ({
-        role: m.type === 'user' ? 'user' : 'model',
-        text: m.text,
-      }));
-
     const response = await apiClient.post('/chatbot', {
       message,
-      history: geminiHistory,
+      history: toChatHistory(history),
+      predictionId,
     });
     return response.data;
   } catch (error) {
@@ -106,6 +482,62 @@ export const sendChatMessage = async (message, history = []) => {
   }
 };
 
+/**
+ * Stream a chatbot reply token by token (Server-Sent Events over fetch)
+ * @param {string} message - User's question
+ * @param {Array} history - Previous conversation turns
+ * @param {Object} handlers - { onToken: (text) => void, onQueued: (info) => void, signal: AbortSignal,
+ *                            predictionId: stored analysis the conversation is about }
+ * @returns {Promise} { engine, provider, model } from the final event; rejects with
+ *                    an AbortError when the signal stops generation
+ */
+export const streamChatMessage = async (message, history = [], { onToken, onQueued, signal, predictionId } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/chatbot/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, history: toChatHistory(history), predictionId }),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error('Cannot connect to server. Please check if backend is running.');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.reply || data.error || 'Server error');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line: "event: <type>\ndata: <json>"
+    const events = buffered.split('\n\n');
+    buffered = events.pop();
+    for (const raw of events) {
+      const type = /^event: (.+)$/m.exec(raw)?.[1];
+      const data = /^data: (.+)$/m.exec(raw)?.[1];
+      if (!type || !data) continue;
+
+      const payload = JSON.parse(data);
+      if (type === 'token' && onToken) onToken(payload.text);
+      if (type === 'queued' && onQueued) onQueued(payload);
+      if (type === 'error') throw new Error(payload.message);
+      if (type === 'done') return payload;
+    }
+  }
+
+  throw new Error('The AI reply ended unexpectedly. Please try again.');
+};
+
 /**
  * Get chatbot information
  * @returns {Promise} Chatbot capabilities
@@ -121,6 +553,24 @@ export const getChatbotInfo = async () => {
 };
 
 
+// AI QUEUE
+
+
+/**
+ * Get the server's AI request queue (waiting requests and per-model quota)
+ * @returns {Promise} { length, waiting: { chat, analysis }, oldestWaitMs, models }
+ */
+export const getQueueStatus = async () => {
+  try {
+    const response = await apiClient.get('/queue');
+    return response.data.queue;
+  } catch (error) {
+    console.error('Queue status error:', error);
+    throw handleAPIError(error);
+  }
+};
+
+
 // HEALTH CHECK
 
 
@@ -151,7 +601,7 @@ const handleAPIError = (error) => {
   if (error.response) {
     // Server responded with error status
     const message = error.response.data?.message || error.response.data?.error || 'Server error';
-    return new Error(message);
+    return Object.assign(new Error(message), { kind: error.response.data?.kind });
   } else if (error.request) {
     // Request made but no response received
     return new Error('Cannot connect to server. Please check if backend is running.');